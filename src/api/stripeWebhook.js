@@ -2,6 +2,7 @@
 import Stripe from 'stripe';
 import Order from '../models/Order.js';
 import { sendOrderNotification } from '../controllers/notify.controller.js';
+import { checkTransition, transitionEffects } from '../services/orderStatus.service.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: '2020-08-27'
@@ -42,28 +43,47 @@ export const stripeWebhook = async (req, res) => {
         `✅ checkout.session.completed for order ${orderId}, payment_status=${paymentStatus}`
       );
 
-      // Update Order.status with payment_status
-      const update = {
-        status: paymentStatus,
-        // 'meta.paymentStatus': paymentStatus,
-        // 'meta.stripe': {
-        //   ...(metadata || {}),
-        //   checkoutSessionId: session.id,
-        //   paymentStatus,
-        //   eventId: event.id,
-        //   eventType: event.type
-        // }
-      };
-
-      const updatedOrder = await Order.findByIdAndUpdate(orderId, update, {
-        new: true
-      });
-
-      if (!updatedOrder) {
+      const existing = await Order.findById(orderId).lean();
+      if (!existing) {
         console.error(`❌ Order not found for id=${orderId}`);
         return res.status(404).json({ error: 'Order not found' });
       }
 
+      // Update Order.status with payment_status, through the status model
+      // ("paid" / "no_payment_required" -> paid, "unpaid" -> awaiting_payment)
+      const move = checkTransition(existing, paymentStatus);
+      const update = {};
+      if (move.ok && !move.unchanged) {
+        const now = new Date();
+        const { timestamp } = transitionEffects(move.to);
+        update.status = move.to;
+        if (timestamp && !existing[timestamp]) update[timestamp] = now;
+        update.$push = { 'meta.statusHistory': { at: now, from: move.from, to: move.to, by: 'stripe_webhook' } };
+      } else if (!move.ok) {
+        console.warn(`⚠️ Stripe payment_status=${paymentStatus} not applied to order ${orderId}: ${move.message}`);
+      }
+      // 'meta.paymentStatus': paymentStatus,
+      // 'meta.stripe': {
+      //   ...(metadata || {}),
+      //   checkoutSessionId: session.id,
+      //   paymentStatus,
+      //   eventId: event.id,
+      //   eventType: event.type
+      // }
+
+      if (!update.status) {
+        // nothing changed (repeat delivery or illegal move): nobody to tell
+        return res.status(200).json({ received: true });
+      }
+
+      const updatedOrder = await Order.findOneAndUpdate({ _id: orderId, status: existing.status }, update, { new: true });
+
+      if (!updatedOrder) {
+        // status changed since it was read; Stripe retries and we check again
+        console.error(`❌ Order ${orderId} changed while applying payment_status`);
+        return res.status(409).json({ error: 'Order changed, retry' });
+      }
+
       console.log('✅ Order updated from Stripe webhook:', {
         id: updatedOrder._id,
         status: updatedOrder.status,
@@ -72,7 +92,7 @@ export const stripeWebhook = async (req, res) => {
 
       // 🔔 ALSO send FCM notification using the same logic as /api/order/notify
       try {
-        const notifyResult = await sendOrderNotification(updatedOrder);
+        const notifyResult = await sendOrderNotification(updatedOrder, { source: 'stripe_webhook' });
         console.log('✅ FCM notify result from webhook:', notifyResult);
       } catch (notifyErr) {
         // Don’t fail the Stripe webhook if notification fails; just log it.
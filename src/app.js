@@ -11,10 +11,17 @@ import userRoutes from './routes/user.js';
 import orderRoutes from './routes/order.js';
 import utilRoutes from './routes/utils.js';
 import siteBridgeRoutes from './routes/siteBridge.js';
+import adminRoutes from './routes/admin.js';
 import { stripeWebhook } from './api/stripeWebhook.js';
+import { getAppVersionManifest } from './controllers/appVersion.controller.js';
+import { enforceMinimumAppVersion } from './middleware/appVersion.js';
 
 const app = express();
 
+// Behind the Elastic Beanstalk load balancer: trust its X-Forwarded-For so
+// req.ip (and the rate limiters) see the real client address
+app.set('trust proxy', 1);
+
 // ESM-safe __dirname / __filename
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -38,9 +45,21 @@ app.post(
 // Middlewares
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
+// Keep the exact bytes for HMAC-signed service requests (see serviceAuth)
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+// Bulk order import is the only route that takes large bodies; parsed here
+// first, so the default limit below still applies everywhere else
+app.post('/api/order/import', express.json({ limit: '1mb', verify: keepRawBody }));
+app.use(express.json({ verify: keepRawBody }));
 app.use(morgan('dev'));
 
+// Version policy now lives in the database (admin API); the old file URLs
+// keep working for apps that poll them. public/app-versions.json is only
+// the fallback until the first policy is saved.
+app.get(['/app-versions.json', '/public/app-versions.json'], getAppVersionManifest);
+
 // Serve /<file> directly, e.g. /app-versions.json
 app.use(express.static(PUBLIC_DIR, {
   maxAge: '1h',
@@ -58,10 +77,14 @@ app.use('/public', express.static(PUBLIC_DIR, {
 app.get('/health', (_, res) => res.status(200).send('OK'));
 
 // Routes
-app.use('/api/user', userRoutes);
+// Outdated mobile apps get 426 + store URL (X-App-Platform / X-App-Version)
+// on the routes the app calls: /api/user here, the signed-in order routes
+// in routes/order.js. Admin, util and service routes are never gated.
+app.use('/api/user', enforceMinimumAppVersion, userRoutes);
 app.use('/api/order', orderRoutes);
 app.use('/api/util', utilRoutes);
 app.use('/api/site', siteBridgeRoutes);
+app.use('/api/admin', adminRoutes);
 
 
 app.get('/', (req, res) => res.send('API is running'));
@@ -0,0 +1,16 @@
+import webpush from 'web-push';
+
+const publicKey = process.env.VAPID_PUBLIC_KEY;
+const privateKey = process.env.VAPID_PRIVATE_KEY;
+const subject = process.env.VAPID_SUBJECT || 'mailto:support@blueboxx.ca';
+
+// Web Push is optional: without VAPID keys the channel is simply skipped
+export const webPushConfigured = !!(publicKey && privateKey);
+
+if (webPushConfigured) {
+  webpush.setVapidDetails(subject, publicKey, privateKey);
+}
+
+export const vapidPublicKey = publicKey || null;
+
+export default webpush;
@@ -1,8 +1,21 @@
 import jwt from 'jsonwebtoken';
-import bcrypt from 'bcryptjs';
 import User from '../models/User.js';
-
-const SALT_ROUNDS = 10;
+import Invitation from '../models/Invitation.js';
+import {
+  ISSUER,
+  isSessionActive,
+  issueSession,
+  revokeAllSessions
+} from '../services/session.service.js';
+import {
+  hashPassword,
+  passwordPolicyError,
+  verifyPassword,
+  verifyTempPassword
+} from '../services/password.service.js';
+import { findRedeemableInvitation } from '../services/invitation.service.js';
+import { clearFailedLogins, lockoutRemainingSeconds, recordFailedLogin } from '../services/lockout.service.js';
+import { maskEmail, sendMail, simpleNoticeHtml } from '../services/mail.service.js';
 
 function isPlausibleEmail(s) {
   if (typeof s !== 'string') return false;
@@ -12,7 +25,102 @@ function isPlausibleEmail(s) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
 }
 
+/**
+ * Proof that the caller may set the first password of `user`: the temp
+ * password, or a live session of that same user (from a temp-password login).
+ */
+async function hasSetupProof(req, user, tempPassword) {
+  if (typeof tempPassword === 'string' && tempPassword.length > 0) {
+    const { ok } = await verifyTempPassword(tempPassword, user.temp_password);
+    if (ok) return true;
+  }
+
+  const auth = req.headers.authorization || '';
+  if (!auth.startsWith('Bearer ')) return false;
+  try {
+    const payload = jwt.verify(auth.slice(7), process.env.JWT_SECRET, { issuer: ISSUER });
+    return payload?.userId === String(user._id) && (await isSessionActive(payload.sid));
+  } catch {
+    return false;
+  }
+}
+
+// POST /api/user/account/setup   (invite)
+// body: { inviteToken, password, recoveryEmail? }   recoveryEmail defaults to the invited address
+async function setupFromInvitation(req, res) {
+  const { inviteToken, password, recoveryEmail } = req.body || {};
+
+  const invitation = await findRedeemableInvitation(inviteToken);
+  if (!invitation) {
+    return res.status(410).json({ error: 'Invite is invalid, used or expired' });
+  }
+
+  const policyError = passwordPolicyError(password, { username: invitation.username });
+  if (policyError) {
+    return res.status(400).json({ error: policyError });
+  }
+  const recovery = recoveryEmail === undefined ? invitation.email : recoveryEmail;
+  if (!isPlausibleEmail(recovery)) {
+    return res.status(400).json({ error: 'recoveryEmail is invalid' });
+  }
+
+  if (await User.exists({ username: invitation.username })) {
+    return res.status(409).json({ error: 'Username already exists' });
+  }
+
+  // single use: claim the invite before creating the account
+  const claimed = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending' },
+    { $set: { status: 'accepted', accepted_at: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    return res.status(410).json({ error: 'Invite is invalid, used or expired' });
+  }
+
+  let user;
+  try {
+    user = await User.create({
+      username: claimed.username,
+      name: claimed.name,
+      site: claimed.site,
+      role: claimed.role,
+      password: await hashPassword(password),
+      temp_password: null,
+      recovery_email: recovery.trim().toLowerCase(),
+      premium: false
+    });
+  } catch (e) {
+    // give the invite back so it can be retried (e.g. duplicate name)
+    await Invitation.updateOne(
+      { _id: claimed._id },
+      { $set: { status: 'pending', accepted_at: null } }
+    );
+    if (e?.code === 11000) {
+      return res.status(409).json({ error: 'An account with this username or name already exists' });
+    }
+    throw e;
+  }
+
+  await Invitation.updateOne({ _id: claimed._id }, { $set: { accepted_user: user._id } });
+
+  const { token, refreshToken, expiresIn } = await issueSession(user, req);
+
+  return res.json({
+    message: 'Account setup complete',
+    username: user.username,
+    tempPassword: false,
+    premium: !!user.premium,
+    token,
+    refreshToken,
+    expiresIn
+  });
+}
+
 // POST /api/user/account/setup
+// body (invite): { inviteToken, password, recoveryEmail? }
+// body (temp):   { username, password, recoveryEmail, tempPassword }
+//                (or the Bearer token from a temp-password login instead of tempPassword)
 export const accountSetup = async (req, res) => {
   try {
     if (!process.env.JWT_SECRET) {
@@ -20,16 +128,19 @@ export const accountSetup = async (req, res) => {
       return res.status(500).json({ error: 'Server misconfiguration' });
     }
 
-    const { username, password, recoveryEmail } = req.body || {};
+    if (req.body?.inviteToken !== undefined) {
+      return await setupFromInvitation(req, res);
+    }
+
+    const { username, password, recoveryEmail, tempPassword } = req.body || {};
 
     // === validation ===
     if (typeof username !== 'string' || username.length === 0) {
       return res.status(400).json({ error: 'username is required' });
     }
-    if (typeof password !== 'string' || password.length < 8) {
-      return res
-        .status(400)
-        .json({ error: 'password must be a string of at least 8 characters' });
+    const policyError = passwordPolicyError(password, { username });
+    if (policyError) {
+      return res.status(400).json({ error: policyError });
     }
     if (!isPlausibleEmail(recoveryEmail)) {
       return res.status(400).json({ error: 'recoveryEmail is invalid' });
@@ -50,8 +161,15 @@ export const accountSetup = async (req, res) => {
       });
     }
 
+    // knowing the username alone is not enough
+    if (!(await hasSetupProof(req, existing, tempPassword))) {
+      return res
+        .status(401)
+        .json({ error: 'tempPassword (or a temp-password login) is required' });
+    }
+
     // Hash new password
-    const hash = await bcrypt.hash(password, SALT_ROUNDS);
+    const hash = await hashPassword(password);
 
     // Atomically set password only if it's still null, clear temp_password, set recovery email
     const updated = await User.findOneAndUpdate(
@@ -75,35 +193,109 @@ export const accountSetup = async (req, res) => {
       });
     }
 
-    // === Build JWT like in login ===
-    const userId = String(updated._id);
-    const payload = {
-      sub: userId,
-      userId,                                     // explicit for consumers expecting userId
-      username: updated.username,
-      name: updated.name || updated.username,     // include name; fallback to username if not present
-      recovery_email: updated.recovery_email || null,
-      site: updated.site ? String(updated.site) : null, // ensure string if ObjectId
-      premium: !!updated.premium
-    };
-
-    const options = {
-      algorithm: 'HS256',
-      expiresIn: '30d',
-      issuer: 'blue-boxx'
-    };
+    // temp-password sessions end here; the caller gets a fresh pair
+    await revokeAllSessions(updated._id, 'account_setup');
 
-    const token = jwt.sign(payload, process.env.JWT_SECRET, options);
+    // === Issue token pair like in login ===
+    const { token, refreshToken, expiresIn } = await issueSession(updated, req);
 
     return res.json({
       message: 'Account setup complete',
       username: updated.username,
       tempPassword: false,
       premium: !!updated.premium,
-      token
+      token,
+      refreshToken,
+      expiresIn
     });
   } catch (err) {
     console.error('account setup error:', err?.message || err);
     return res.status(500).json({ error: 'Something went wrong' });
   }
 };
+
+// POST /api/user/account/password   (requireAuth)
+// body: { currentPassword, newPassword }
+// Signs out every other device and emails a confirmation to recovery_email.
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (typeof currentPassword !== 'string' || currentPassword.length === 0) {
+      return res.status(400).json({ error: 'currentPassword is required' });
+    }
+
+    const user = await User.findById(req.user?.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.password === null) {
+      return res
+        .status(409)
+        .json({ error: 'No password set yet; use account setup instead' });
+    }
+
+    const policyError = passwordPolicyError(newPassword, { username: user.username });
+    if (policyError) {
+      return res.status(400).json({ error: policyError.replace(/^password/, 'newPassword') });
+    }
+
+    // Wrong current passwords count towards the login lockout; while locked
+    // every attempt gets the same answer as a wrong password
+    if (lockoutRemainingSeconds(user) > 0) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+    if (!(await verifyPassword(currentPassword, user.password))) {
+      await recordFailedLogin(user);
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+    if (await verifyPassword(newPassword, user.password)) {
+      return res
+        .status(400)
+        .json({ error: 'newPassword must differ from the current password' });
+    }
+
+    const hash = await hashPassword(newPassword);
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { password: hash, temp_password: null } }
+    );
+    await clearFailedLogins(user);
+
+    // keep the caller's session, drop every other device
+    const revokedSessions = await revokeAllSessions(user._id, 'password_change', {
+      exceptSessionId: req.user?.sid
+    });
+
+    const toEmail = user.recovery_email?.trim();
+    let confirmationSent = false;
+    if (toEmail) {
+      const lines = [
+        `Hi ${user.username},`,
+        'The password for your BlueBoxx account was just changed.',
+        `Other devices (${revokedSessions}) have been signed out.`,
+        'If you did not make this change, reset your password with a recovery code right away.'
+      ];
+      try {
+        await sendMail({
+          to: toEmail,
+          subject: 'Your BlueBoxx password was changed',
+          text: lines.join('\n\n'),
+          html: simpleNoticeHtml('Password changed', lines)
+        });
+        confirmationSent = true;
+      } catch (e) {
+        console.error('password change email failed for user', user.username, e?.message || e);
+      }
+    }
+
+    return res.json({
+      message: 'Password changed',
+      revokedSessions,
+      confirmationSentTo: confirmationSent ? maskEmail(toEmail) : null
+    });
+  } catch (err) {
+    console.error('change password error:', err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
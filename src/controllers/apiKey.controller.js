@@ -0,0 +1,250 @@
+// src/controllers/apiKey.controller.js
+// Platform admin management of backend API keys. Secrets are returned
+// exactly once (on create and rotate) and cannot be read back later.
+import mongoose from 'mongoose';
+import ApiKey from '../models/ApiKey.js';
+import { recordAudit } from '../services/audit.service.js';
+import Site from '../models/Site.js';
+import {
+  ALL_SITES,
+  SERVICE_SCOPE_VALUES,
+  generateKeyId,
+  generateKeySecret,
+  newSecretEntry
+} from '../services/apiKey.service.js';
+
+const DEFAULT_GRACE_HOURS = 24;
+const MAX_GRACE_HOURS = 24 * 14;
+
+const toPublicApiKey = (k) => {
+  const now = new Date();
+  return {
+    id: String(k._id),
+    keyId: k.key_id,
+    name: k.name,
+    scopes: k.scopes || [],
+    sites: k.sites || [],
+    status: k.status,
+    secrets: (k.secrets || [])
+      .filter((s) => !s.expires_at || new Date(s.expires_at) > now)
+      .map((s) => ({
+        fingerprint: s.fingerprint,
+        created_at: s.created_at,
+        expires_at: s.expires_at
+      })),
+    created_by: k.created_by,
+    rotated_at: k.rotated_at,
+    revoked_at: k.revoked_at,
+    last_used_at: k.last_used_at,
+    created_at: k.created_at
+  };
+};
+
+const parseScopes = (scopes) => {
+  if (scopes === undefined) return SERVICE_SCOPE_VALUES.slice();
+  if (!Array.isArray(scopes) || scopes.length === 0) return null;
+  const clean = Array.from(new Set(scopes.map((s) => String(s).trim())));
+  return clean.every((s) => SERVICE_SCOPE_VALUES.includes(s)) ? clean : null;
+};
+
+/**
+ * Validates a list of site slugs ("*" alone = every site).
+ *
+ * @returns {Promise<{ sites: string[] } | { error: string, unknown?: string[] }>}
+ */
+const parseSites = async (sites) => {
+  if (!Array.isArray(sites) || sites.some((s) => typeof s !== 'string' || !s.trim())) {
+    return { error: 'sites must be an array of site slugs (or ["*"] for every site)' };
+  }
+  const clean = Array.from(new Set(sites.map((s) => s.trim())));
+  if (clean.includes(ALL_SITES)) {
+    return clean.length === 1 ? { sites: clean } : { error: '"*" cannot be combined with other sites' };
+  }
+  const found = await Site.find({ slug: { $in: clean } }, { slug: 1 }).lean();
+  const unknown = clean.filter((s) => !found.some((f) => f.slug === s));
+  if (unknown.length) return { error: 'Unknown sites', unknown };
+  return { sites: clean };
+};
+
+const loadApiKey = async (req, res) => {
+  const { id } = req.params || {};
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ error: 'Invalid API key id' });
+    return null;
+  }
+  const apiKey = await ApiKey.findById(id);
+  if (!apiKey) {
+    res.status(404).json({ error: 'API key not found' });
+    return null;
+  }
+  return apiKey;
+};
+
+// GET /api/admin/api-keys?status=active|revoked|all
+export const listApiKeys = async (req, res) => {
+  try {
+    const wanted = req.query?.status || 'active';
+    const filter = {};
+    if (wanted !== 'all') {
+      if (!['active', 'revoked'].includes(wanted)) {
+        return res.status(400).json({ error: '`status` must be one of: active, revoked, all' });
+      }
+      filter.status = wanted;
+    }
+
+    const keys = await ApiKey.find(filter).sort({ created_at: -1 }).lean();
+    return res.json({ count: keys.length, apiKeys: keys.map(toPublicApiKey) });
+  } catch (err) {
+    console.error('list api keys error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// POST /api/admin/api-keys
+// body: { name, scopes?, sites? }   (scopes default to all service scopes,
+// sites to none; ["*"] = every site)
+export const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, sites = [] } = req.body || {};
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    const cleanScopes = parseScopes(scopes);
+    if (!cleanScopes) {
+      return res.status(400).json({ error: 'scopes is invalid', allowed: SERVICE_SCOPE_VALUES });
+    }
+    const parsedSites = await parseSites(sites);
+    if (parsedSites.error) return res.status(400).json(parsedSites);
+
+    const secret = generateKeySecret();
+    const apiKey = await ApiKey.create({
+      key_id: generateKeyId(),
+      name: name.trim(),
+      scopes: cleanScopes,
+      sites: parsedSites.sites,
+      secrets: [newSecretEntry(secret)],
+      created_by: { userId: req.user?.userId || null, username: req.user?.username || null }
+    });
+
+    await recordAudit(req, {
+      action: 'api_key.create',
+      changes: { keyId: apiKey.key_id, name: apiKey.name, scopes: apiKey.scopes, sites: apiKey.sites }
+    });
+
+    return res.status(201).json({
+      message: 'API key created; store the secret now, it will not be shown again',
+      apiKey: toPublicApiKey(apiKey),
+      secret
+    });
+  } catch (err) {
+    console.error('create api key error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// PUT /api/admin/api-keys/:id/sites
+// body: { sites }   replaces the sites the key may act for
+export const updateApiKeySites = async (req, res) => {
+  try {
+    const apiKey = await loadApiKey(req, res);
+    if (!apiKey) return;
+    if (apiKey.status !== 'active') {
+      return res.status(409).json({ error: `API key is ${apiKey.status}` });
+    }
+
+    const parsedSites = await parseSites(req.body?.sites);
+    if (parsedSites.error) return res.status(400).json(parsedSites);
+
+    const prev = [...(apiKey.sites || [])];
+    apiKey.sites = parsedSites.sites;
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'api_key.sites',
+      changes: { keyId: apiKey.key_id, sites: { from: prev, to: [...apiKey.sites] } }
+    });
+
+    return res.json({ message: 'API key sites updated', apiKey: toPublicApiKey(apiKey) });
+  } catch (err) {
+    console.error('update api key sites error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// POST /api/admin/api-keys/:id/rotate
+// body: { graceHours? }   how long the previous secret keeps working (default 24, 0 = immediately invalid)
+export const rotateApiKey = async (req, res) => {
+  try {
+    const apiKey = await loadApiKey(req, res);
+    if (!apiKey) return;
+    if (apiKey.status !== 'active') {
+      return res.status(409).json({ error: `API key is ${apiKey.status}` });
+    }
+
+    const graceRaw = req.body?.graceHours ?? DEFAULT_GRACE_HOURS;
+    const graceHours = Number(graceRaw);
+    if (!Number.isFinite(graceHours) || graceHours < 0 || graceHours > MAX_GRACE_HOURS) {
+      return res.status(400).json({ error: `graceHours must be between 0 and ${MAX_GRACE_HOURS}` });
+    }
+
+    const now = new Date();
+    const graceUntil = new Date(now.getTime() + graceHours * 60 * 60 * 1000);
+    const secret = generateKeySecret();
+
+    // Retire the current secret(s) and drop anything already past its grace
+    apiKey.secrets = [
+      ...apiKey.secrets
+        .filter((s) => !s.expires_at || s.expires_at > now)
+        .map((s) => ({
+          secret_enc: s.secret_enc,
+          fingerprint: s.fingerprint,
+          created_at: s.created_at,
+          expires_at: s.expires_at && s.expires_at < graceUntil ? s.expires_at : graceUntil
+        }))
+        .filter((s) => s.expires_at > now),
+      newSecretEntry(secret)
+    ];
+    apiKey.rotated_at = now;
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'api_key.rotate',
+      changes: { keyId: apiKey.key_id, graceHours }
+    });
+
+    return res.json({
+      message: 'API key rotated; store the new secret now, it will not be shown again',
+      apiKey: toPublicApiKey(apiKey),
+      secret
+    });
+  } catch (err) {
+    console.error('rotate api key error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// DELETE /api/admin/api-keys/:id
+// Revocation takes effect immediately for every secret of the key.
+export const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await loadApiKey(req, res);
+    if (!apiKey) return;
+    if (apiKey.status === 'revoked') {
+      return res.status(409).json({ error: 'API key is already revoked' });
+    }
+
+    apiKey.status = 'revoked';
+    apiKey.revoked_at = new Date();
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'api_key.revoke',
+      changes: { keyId: apiKey.key_id, name: apiKey.name }
+    });
+
+    return res.json({ message: 'API key revoked', apiKey: toPublicApiKey(apiKey) });
+  } catch (err) {
+    console.error('revoke api key error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
@@ -0,0 +1,131 @@
+// src/controllers/appVersion.controller.js
+// Mobile app version policy: the public manifest the apps poll, and the
+// platform admin API that edits it (global rows and per-site overrides).
+import AppVersion from '../models/AppVersion.js';
+import { recordAudit } from '../services/audit.service.js';
+import {
+  APP_PLATFORMS,
+  appVersionManifest,
+  clearAppVersionCache,
+  compareVersions,
+  parseAppVersionUpdate,
+  resolveAppVersionPolicy
+} from '../services/appVersion.service.js';
+
+const toPublicAppVersion = (row) => ({
+  platform: row.platform,
+  site: row.site,
+  latest: row.latest,
+  minimum: row.minimum,
+  storeUrl: row.store_url,
+  updated_by: row.updated_by,
+  updated_at: row.updated_at
+});
+
+const siteFrom = (v) => (typeof v === 'string' && v.trim() ? v.trim() : null);
+
+// GET /app-versions.json?site=   (public; same shape as the old static file)
+export const getAppVersionManifest = async (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=60');
+    return res.json(await appVersionManifest(siteFrom(req.query?.site)));
+  } catch (err) {
+    console.error('app version manifest error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// GET /api/admin/app-versions
+export const listAppVersions = async (req, res) => {
+  try {
+    const rows = await AppVersion.find({}).sort({ platform: 1, site: 1 }).lean();
+    const effective = {};
+    for (const platform of APP_PLATFORMS) {
+      effective[platform] = await resolveAppVersionPolicy(platform);
+    }
+    return res.json({ effective, rows: rows.map(toPublicAppVersion) });
+  } catch (err) {
+    console.error('list app versions error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// PUT /api/admin/app-versions/:platform
+// body: { latest?, minimum?, storeUrl?, site? }   (site = per-site override)
+export const updateAppVersion = async (req, res) => {
+  try {
+    const { platform } = req.params;
+    if (!APP_PLATFORMS.includes(platform)) {
+      return res.status(400).json({ error: 'platform is invalid', allowed: APP_PLATFORMS });
+    }
+    const site = siteFrom(req.body?.site);
+
+    const parsed = parseAppVersionUpdate(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const prev = await AppVersion.findOne({ platform, site }).lean();
+    const next = { ...(prev ? { latest: prev.latest, minimum: prev.minimum } : {}), ...parsed.set };
+    if (next.latest && next.minimum && compareVersions(next.minimum, next.latest) > 0) {
+      return res.status(400).json({ error: 'minimum cannot be above latest' });
+    }
+
+    const row = await AppVersion.findOneAndUpdate(
+      { platform, site },
+      {
+        $set: {
+          ...parsed.set,
+          updated_by: { userId: req.user?.userId || null, username: req.user?.username || null }
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+    clearAppVersionCache();
+
+    await recordAudit(req, {
+      action: 'app_version.update',
+      site,
+      changes: {
+        platform,
+        ...Object.fromEntries(Object.keys(parsed.set).map((k) => [k, { from: prev?.[k] ?? null, to: row[k] }]))
+      }
+    });
+
+    return res.json({
+      message: 'App version policy updated',
+      row: toPublicAppVersion(row),
+      effective: await resolveAppVersionPolicy(platform, site)
+    });
+  } catch (err) {
+    console.error('update app version error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// DELETE /api/admin/app-versions/:platform/sites/:site
+// Ends a per-site rollout; the site follows the global policy again.
+export const deleteSiteAppVersion = async (req, res) => {
+  try {
+    const { platform, site } = req.params;
+    if (!APP_PLATFORMS.includes(platform)) {
+      return res.status(400).json({ error: 'platform is invalid', allowed: APP_PLATFORMS });
+    }
+
+    const removed = await AppVersion.findOneAndDelete({ platform, site }).lean();
+    if (!removed) return res.status(404).json({ error: 'No override for this site' });
+    clearAppVersionCache();
+
+    await recordAudit(req, {
+      action: 'app_version.site_reset',
+      site,
+      changes: { platform, removed: toPublicAppVersion(removed) }
+    });
+
+    return res.json({
+      message: 'Site override removed',
+      effective: await resolveAppVersionPolicy(platform, site)
+    });
+  } catch (err) {
+    console.error('delete site app version error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
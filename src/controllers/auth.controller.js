@@ -1,6 +1,20 @@
-import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import User from '../models/User.js';
+import Device from '../models/Device.js';
+import {
+  issueSession,
+  rotateSession,
+  signMfaChallenge,
+  switchSessionSite
+} from '../services/session.service.js';
+import { membershipFor, membershipsOf, roleForSite } from '../services/membership.service.js';
+import { isValidDeviceId, toPublicDevice, upsertDevice } from '../services/device.service.js';
+import { verifyTempPassword } from '../services/password.service.js';
+import {
+  clearFailedLogins,
+  lockoutRemainingSeconds,
+  recordFailedLogin
+} from '../services/lockout.service.js';
 
 const INVALID_MSG = 'Invalid credentials';
 
@@ -31,15 +45,19 @@ export const login = async (req, res) => {
     if (!user) {
       return res.status(401).json({ error: INVALID_MSG });
     }
+    // Locked accounts are refused before the password is even checked. They
+    // get the same answer as unknown usernames so a lockout does not confirm
+    // that the account exists; the owner learns of it by email.
+    if (lockoutRemainingSeconds(user) > 0) {
+      return res.status(401).json({ error: INVALID_MSG });
+    }
 
     let ok = false;
     let isTempFlow = false;
 
-    // If no permanent password set → temp password check
+    // If no permanent password set → temp password check (hashed only)
     if (user.password === null) {
-      if (typeof user.temp_password === 'string' && user.temp_password.length > 0) {
-        ok = password === user.temp_password;
-      }
+      ok = (await verifyTempPassword(password, user.temp_password)).ok;
       isTempFlow = ok;
     } else {
       // Check bcrypt hash first
@@ -67,37 +85,117 @@ export const login = async (req, res) => {
     }
 
     if (!ok) {
+      await recordFailedLogin(user);
       return res.status(401).json({ error: INVALID_MSG });
     }
 
-    // Build JWT with extra fields
-    const userId = String(user._id);
-    const payload = {
-      sub: userId,
-      userId,                             // explicit for consumers expecting userId
-      username: user.username,
-      name: user.name || user.username,   // include name; fallback to username if not present
-      recovery_email: user.recovery_email || null,
-      site: user.site ? String(user.site) : null, // ensure string if ObjectId
-      premium: !!user.premium
-    };
+    // Only told after the right password, so it does not confirm the username
+    if (user.disabled) {
+      return res.status(403).json({ error: 'Account disabled' });
+    }
+
+    // 2FA accounts finish signing in at POST /api/user/login/2fa
+    if (user.totp_enabled) {
+      return res.status(200).json({
+        message: 'Two-factor code required',
+        twoFactorRequired: true,
+        challengeToken: signMfaChallenge(user)
+      });
+    }
 
-    const options = {
-      algorithm: 'HS256',
-      expiresIn: '30d',
-      issuer: 'blue-boxx'
-    };
+    await clearFailedLogins(user);
 
-    const token = jwt.sign(payload, process.env.JWT_SECRET, options);
+    // Short-lived JWT + rotating refresh token bound to a new session
+    const { token, refreshToken, expiresIn } = await issueSession(user, req);
 
     return res.status(200).json({
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresIn,
       premium: !!user.premium,
-      tempPassword: isTempFlow
+      tempPassword: isTempFlow,
+      sites: membershipsOf(user)
     });
   } catch (error) {
     console.error('login error:', error?.message || error);
     return res.status(500).json({ error: 'Something went wrong' });
   }
 };
+
+// POST /api/user/token/refresh
+// body: { refreshToken }
+export const refreshSession = async (req, res) => {
+  try {
+    if (!process.env.JWT_SECRET) {
+      console.error('JWT_SECRET is not set');
+      return res.status(500).json({ error: 'Server misconfiguration' });
+    }
+
+    const { refreshToken: presented } = req.body || {};
+    if (typeof presented !== 'string' || presented.length === 0) {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    const rotated = await rotateSession(presented, (id) => User.findOne({ _id: id, disabled: { $ne: true } }), req);
+    if (!rotated) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    return res.status(200).json({
+      message: 'Token refreshed',
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      expiresIn: rotated.expiresIn,
+      premium: !!rotated.user.premium
+    });
+  } catch (error) {
+    console.error('token refresh error:', error?.message || error);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// POST /api/user/site/switch   (requireAuth)
+// body: { site, deviceId? }   — slug of one of the caller's sites
+// Re-issues the access token for the chosen site on the same session and,
+// with deviceId, moves the device (and its FCM topics) to that site.
+export const switchSite = async (req, res) => {
+  try {
+    const { site, deviceId } = req.body || {};
+    if (typeof site !== 'string' || site.trim().length === 0) {
+      return res.status(400).json({ error: 'site is required' });
+    }
+
+    const user = await User.findOne({ _id: req.user?.userId, disabled: { $ne: true } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = membershipFor(user, site.trim());
+    if (!membership) {
+      return res.status(403).json({ error: 'You are not a member of this site' });
+    }
+
+    const token = await switchSessionSite(req.user.sid, user, membership.site);
+    if (!token) {
+      return res.status(401).json({ error: 'Session revoked' });
+    }
+
+    let device = null;
+    if (isValidDeviceId(deviceId) && (await Device.exists({ device_id: deviceId, user: user._id }))) {
+      device = await upsertDevice({ deviceId, userId: user._id, site: membership.site });
+    }
+
+    return res.status(200).json({
+      message: 'Site switched',
+      token,
+      site: membership.site,
+      role: roleForSite(user, membership.site),
+      sites: membershipsOf(user),
+      ...(device ? { device: toPublicDevice(device) } : {})
+    });
+  } catch (error) {
+    console.error('site switch error:', error?.message || error);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
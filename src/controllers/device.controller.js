@@ -0,0 +1,153 @@
+// src/controllers/device.controller.js
+import Device from '../models/Device.js';
+import User from '../models/User.js';
+import {
+  PLATFORMS,
+  isValidDeviceId,
+  legacyDeviceId,
+  removeDevice,
+  toPublicDevice,
+  upsertDevice
+} from '../services/device.service.js';
+
+const cleanToken = (t) => (typeof t === 'string' ? t.trim() : '');
+
+const cleanAppVersion = (v) =>
+  typeof v === 'string' && v.trim().length > 0 ? v.trim().slice(0, 32) : undefined;
+
+// GET /api/user/devices   (requireAuth)
+export const listDevices = async (req, res) => {
+  try {
+    const devices = await Device.find({ user: req.user.userId }).sort({ last_seen_at: -1 }).lean();
+    return res.json({ count: devices.length, devices: devices.map(toPublicDevice) });
+  } catch (err) {
+    console.error('list devices error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// POST /api/user/devices   (requireAuth)
+// body: { deviceId, platform, fcmToken, appVersion? }
+export const registerDevice = async (req, res) => {
+  try {
+    const { deviceId, platform, fcmToken, appVersion } = req.body || {};
+
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: 'deviceId must be 8-128 characters of [A-Za-z0-9._:-]' });
+    }
+    if (!PLATFORMS.includes(platform)) {
+      return res.status(400).json({ error: 'platform is invalid', allowed: PLATFORMS });
+    }
+    if (!cleanToken(fcmToken)) {
+      return res.status(400).json({ error: 'fcmToken is required' });
+    }
+
+    const device = await upsertDevice({
+      deviceId,
+      userId: req.user.userId,
+      site: req.user.site,
+      platform,
+      appVersion: cleanAppVersion(appVersion) ?? null,
+      fcmToken: cleanToken(fcmToken)
+    });
+    if (!device) {
+      return res.status(409).json({ error: 'Device is registered to another account' });
+    }
+
+    return res.status(200).json({ message: 'Device registered', device: toPublicDevice(device) });
+  } catch (err) {
+    console.error('register device error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// POST /api/user/devices/:deviceId/heartbeat   (requireAuth)
+// body: { fcmToken?, appVersion? }   (send fcmToken when FCM rotated it)
+export const heartbeatDevice = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { fcmToken, appVersion } = req.body || {};
+
+    const existing = await Device.findOne({ device_id: deviceId, user: req.user.userId }).lean();
+    if (!existing) {
+      // unknown or re-assigned: the app should register again
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+
+    const device = await upsertDevice({
+      deviceId,
+      userId: req.user.userId,
+      site: req.user.site,
+      appVersion: cleanAppVersion(appVersion),
+      fcmToken: cleanToken(fcmToken) || undefined
+    });
+    if (!device) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+
+    return res.json({ message: 'OK', device: toPublicDevice(device) });
+  } catch (err) {
+    console.error('device heartbeat error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// DELETE /api/user/devices/:deviceId   (requireAuth)
+export const unregisterDevice = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    if (!(await removeDevice(deviceId, req.user.userId))) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    return res.json({ message: 'Device unregistered' });
+  } catch (err) {
+    console.error('unregister device error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// POST /api/user/addToken
+// body: { token, username, index? }
+// Deprecated: kept for app builds that predate the device endpoints. The
+// index becomes a synthetic device id so logout by index keeps working.
+export const addToken = async (req, res) => {
+  try {
+    const { token, username, index } = req.body || {};
+
+    if (!token || !username) {
+      return res.status(400).json({ error: 'Token and Username are required' });
+    }
+
+    const user = await User.findOne({ username });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    let keyIndex = Number.parseInt(index, 10);
+    if (!Number.isFinite(keyIndex) || keyIndex < 0) {
+      // first free slot, like the old array-based API
+      const used = new Set(
+        (await Device.find({ device_id: new RegExp(`^legacy:${user._id}:`) }, { device_id: 1 }).lean())
+          .map((d) => Number(d.device_id.split(':')[2]))
+      );
+      keyIndex = 0;
+      while (used.has(keyIndex)) keyIndex++;
+    }
+
+    const deviceId = legacyDeviceId(user._id, keyIndex);
+    const existing = await Device.findOne({ device_id: deviceId, user: user._id }).lean();
+    if (existing?.fcm_token === token) {
+      await Device.updateOne({ _id: existing._id }, { $set: { last_seen_at: new Date() } });
+      return res.status(200).json({ message: 'Token up-to-date' });
+    }
+
+    await upsertDevice({ deviceId, userId: user._id, site: user.site, fcmToken: String(token).trim() });
+
+    return res
+      .status(200)
+      .json({ message: 'Token updated successfully', key: keyIndex });
+  } catch (error) {
+    console.error('Error updating FCM token:', error);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
@@ -0,0 +1,262 @@
+// src/controllers/invitation.controller.js
+// Staff invitations: owners invite by email, the invitee redeems the link
+// through POST /api/user/account/setup with { inviteToken, password }.
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Site from '../models/Site.js';
+import Invitation from '../models/Invitation.js';
+import { ROLES, ROLE_VALUES } from '../middleware/permissions.js';
+import { allowedSitesFor, canAccessSite, logScopeDenied } from '../middleware/siteScope.js';
+import { recordAudit } from '../services/audit.service.js';
+import { maskEmail } from '../services/mail.service.js';
+import {
+  findRedeemableInvitation,
+  newInviteToken,
+  sendInvitationEmail
+} from '../services/invitation.service.js';
+
+const isEmail = (s) => typeof s === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s.trim());
+
+const toPublicInvitation = (inv) => ({
+  id: String(inv._id),
+  site: inv.site,
+  role: inv.role,
+  email: inv.email,
+  username: inv.username,
+  name: inv.name,
+  status: inv.status === 'pending' && new Date(inv.expires_at) <= new Date() ? 'expired' : inv.status,
+  expires_at: inv.expires_at,
+  invited_by: inv.invited_by,
+  send_count: inv.send_count,
+  last_sent_at: inv.last_sent_at,
+  accepted_at: inv.accepted_at,
+  revoked_at: inv.revoked_at,
+  created_at: inv.created_at
+});
+
+const siteDisplayName = async (slug) => {
+  try {
+    const siteDoc = await Site.findOne({ slug }).lean();
+    return siteDoc?.name || slug;
+  } catch {
+    return slug;
+  }
+};
+
+/**
+ * Loads the :id invitation if it belongs to one of the caller's sites.
+ */
+const loadInvitation = async (req, res) => {
+  const { id } = req.params || {};
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ error: 'Invalid invitation id' });
+    return null;
+  }
+  const inv = await Invitation.findById(id);
+  if (!inv || !canAccessSite(req.user, inv.site)) {
+    if (inv) logScopeDenied(req, { invitation: id, targetSite: inv.site });
+    res.status(404).json({ error: 'Invitation not found' });
+    return null;
+  }
+  return inv;
+};
+
+// POST /api/admin/invitations
+// body: { email, username, name, site, role? }
+export const createInvitation = async (req, res) => {
+  try {
+    const { email, username, name, site, role } = req.body || {};
+
+    if (!isEmail(email)) return res.status(400).json({ error: 'Valid email is required' });
+    if (typeof username !== 'string' || username.trim().length === 0) {
+      return res.status(400).json({ error: 'username is required' });
+    }
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (typeof site !== 'string' || site.trim().length === 0) {
+      return res.status(400).json({ error: 'site is required' });
+    }
+    const inviteRole = role || ROLES.STAFF;
+    if (!ROLE_VALUES.includes(inviteRole) || inviteRole === ROLES.ADMIN) {
+      return res.status(400).json({
+        error: 'role is invalid',
+        allowed: ROLE_VALUES.filter((r) => r !== ROLES.ADMIN)
+      });
+    }
+    if (!canAccessSite(req.user, site.trim())) {
+      logScopeDenied(req, { requestedSite: site });
+      return res.status(403).json({ error: 'Site access denied' });
+    }
+
+    const cleanUsername = username.trim();
+    const [userTaken, pendingInvite] = await Promise.all([
+      User.exists({ $or: [{ username: cleanUsername }, { name: name.trim() }] }),
+      Invitation.exists({
+        username: cleanUsername,
+        status: 'pending',
+        expires_at: { $gt: new Date() }
+      })
+    ]);
+    if (userTaken) return res.status(409).json({ error: 'Username or name already exists' });
+    if (pendingInvite) {
+      return res.status(409).json({ error: 'A pending invitation already exists for this username' });
+    }
+
+    const { token, tokenHash, expiresAt } = newInviteToken();
+    const invitation = await Invitation.create({
+      site: site.trim(),
+      role: inviteRole,
+      email: email.trim(),
+      username: cleanUsername,
+      name: name.trim(),
+      token_hash: tokenHash,
+      expires_at: expiresAt,
+      invited_by: { userId: req.user?.userId || null, username: req.user?.username || null }
+    });
+
+    let emailed = false;
+    try {
+      await sendInvitationEmail(invitation, token, { siteName: await siteDisplayName(invitation.site) });
+      emailed = true;
+      await Invitation.updateOne(
+        { _id: invitation._id },
+        { $inc: { send_count: 1 }, $set: { last_sent_at: new Date() } }
+      );
+    } catch (e) {
+      console.error('invitation email failed:', e?.message || e);
+    }
+
+    await recordAudit(req, {
+      action: 'invitation.create',
+      site: invitation.site,
+      changes: { username: invitation.username, role: invitation.role, email: maskEmail(invitation.email) }
+    });
+
+    return res.status(201).json({
+      message: emailed ? 'Invitation sent' : 'Invitation created but the email could not be sent; resend it',
+      emailed,
+      invitation: toPublicInvitation(invitation)
+    });
+  } catch (err) {
+    console.error('create invitation error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// GET /api/admin/invitations?site=&status=pending|accepted|revoked|all
+export const listInvitations = async (req, res) => {
+  try {
+    const { site, status } = req.query || {};
+    const filter = {};
+
+    const allowed = allowedSitesFor(req.user);
+    if (site) {
+      if (!canAccessSite(req.user, String(site))) {
+        logScopeDenied(req, { requestedSite: site });
+        return res.status(403).json({ error: 'Site access denied' });
+      }
+      filter.site = String(site);
+    } else if (allowed !== null) {
+      filter.site = { $in: allowed };
+    }
+
+    const wanted = status || 'pending';
+    if (wanted !== 'all') {
+      if (!['pending', 'accepted', 'revoked'].includes(wanted)) {
+        return res.status(400).json({ error: '`status` must be one of: pending, accepted, revoked, all' });
+      }
+      filter.status = wanted;
+    }
+
+    const invitations = await Invitation.find(filter).sort({ created_at: -1 }).limit(200).lean();
+    return res.json({ count: invitations.length, invitations: invitations.map(toPublicInvitation) });
+  } catch (err) {
+    console.error('list invitations error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// POST /api/admin/invitations/:id/resend
+// Issues a new link (the previous one stops working) and extends the expiry.
+export const resendInvitation = async (req, res) => {
+  try {
+    const inv = await loadInvitation(req, res);
+    if (!inv) return;
+    if (inv.status !== 'pending') {
+      return res.status(409).json({ error: `Invitation is ${inv.status}` });
+    }
+
+    const { token, tokenHash, expiresAt } = newInviteToken();
+    inv.token_hash = tokenHash;
+    inv.expires_at = expiresAt;
+    await inv.save();
+
+    await sendInvitationEmail(inv, token, { siteName: await siteDisplayName(inv.site) });
+    inv.send_count = (inv.send_count || 0) + 1;
+    inv.last_sent_at = new Date();
+    await inv.save();
+
+    await recordAudit(req, {
+      action: 'invitation.resend',
+      site: inv.site,
+      changes: { username: inv.username }
+    });
+
+    return res.json({ message: 'Invitation resent', invitation: toPublicInvitation(inv) });
+  } catch (err) {
+    console.error('resend invitation error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// DELETE /api/admin/invitations/:id
+export const revokeInvitation = async (req, res) => {
+  try {
+    const inv = await loadInvitation(req, res);
+    if (!inv) return;
+    if (inv.status !== 'pending') {
+      return res.status(409).json({ error: `Invitation is ${inv.status}` });
+    }
+
+    inv.status = 'revoked';
+    inv.revoked_at = new Date();
+    await inv.save();
+
+    await recordAudit(req, {
+      action: 'invitation.revoke',
+      site: inv.site,
+      changes: { username: inv.username }
+    });
+
+    return res.json({ message: 'Invitation revoked', invitation: toPublicInvitation(inv) });
+  } catch (err) {
+    console.error('revoke invitation error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// POST /api/user/invite/lookup
+// body: { inviteToken }
+// Lets the app show who/where the invite is for before asking for a password.
+export const lookupInvitation = async (req, res) => {
+  try {
+    const invitation = await findRedeemableInvitation(req.body?.inviteToken);
+    if (!invitation) {
+      return res.status(410).json({ error: 'Invite is invalid, used or expired' });
+    }
+
+    return res.json({
+      username: invitation.username,
+      name: invitation.name,
+      site: invitation.site,
+      siteName: await siteDisplayName(invitation.site),
+      role: invitation.role,
+      email: maskEmail(invitation.email),
+      expires_at: invitation.expires_at
+    });
+  } catch (err) {
+    console.error('lookup invitation error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
@@ -1,9 +1,32 @@
 // src/controllers/logout.controller.js
+import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import {
+  ISSUER,
+  revokeSession,
+  revokeSessionByRefreshToken
+} from '../services/session.service.js';
+import { isValidDeviceId, legacyDeviceId, removeDevice } from '../services/device.service.js';
+
+// Session id from the caller's bearer token, if it is still verifiable
+const sessionIdFromRequest = (req) => {
+  const auth = req.headers.authorization || '';
+  if (!auth.startsWith('Bearer ')) return null;
+  try {
+    return jwt.verify(auth.slice(7), process.env.JWT_SECRET, { issuer: ISSUER })?.sid || null;
+  } catch {
+    return null;
+  }
+};
 
 /**
  * POST /api/user/logout
- * Body: { username, index }
+ * Body: { username, deviceId?, index?, refreshToken? }
+ * Header (optional): Authorization: Bearer <access token>
+ *
+ * The session behind the bearer token and/or refreshToken is revoked, then
+ * the device is unregistered: by `deviceId`, or by the legacy `index` used
+ * with POST /addToken.
  *
  * Responses (kept identical to previous API):
  * - 400 { message: "User not found" }
@@ -13,65 +36,33 @@ import User from '../models/User.js';
  */
 export const logoutController = async (req, res) => {
   try {
-    const { username, index } = req.body || {};
+    const { username, deviceId, index, refreshToken } = req.body || {};
     // keep behavior: if user not found -> 400 "User not found"
     const user = await User.findOne({ username });
-    console.log(user, username);
-    
     if (!user) {
       return res.status(400).json({ message: 'User not found' });
     }
 
-    // read fcm_tokens as-is (array | object | JSON string | null/undefined)
-    let fcm_tokens = user.fcm_tokens ?? {};
+    // revoke the server-side session so the refresh token stops working
+    await revokeSession(sessionIdFromRequest(req), 'logout');
+    await revokeSessionByRefreshToken(refreshToken, 'logout');
 
-    // normalize string → parsed JSON
-    if (typeof fcm_tokens === 'string') {
-      try {
-        fcm_tokens = JSON.parse(fcm_tokens);
-      } catch {
-        // if it's a bad string, treat as empty object to avoid crashes
-        fcm_tokens = {};
-      }
+    if (isValidDeviceId(deviceId)) {
+      await removeDevice(deviceId, user._id);
+      return res.status(200).json({ message: 'Logout Successful' });
     }
 
-    // handle Array vs Object the same way the old API did
-    let updated = false;
+    const idxNum = Number.parseInt(index, 10);
+    const removed =
+      Number.isFinite(idxNum) && idxNum >= 0 && (await removeDevice(legacyDeviceId(user._id, idxNum), user._id));
 
-    if (Array.isArray(fcm_tokens)) {
-      // array uses numeric index
-      const idxNum = Number.parseInt(index, 10);
-      if (Number.isFinite(idxNum) && idxNum >= 0 && idxNum < fcm_tokens.length) {
-        fcm_tokens[idxNum] = null;
-        updated = true;
-      }
-    } else if (fcm_tokens && typeof fcm_tokens === 'object') {
-      // object uses key existence like the old code
-      const key = String(index);
-      if (Object.prototype.hasOwnProperty.call(fcm_tokens, key)) {
-        fcm_tokens[key] = null;
-        updated = true;
-      }
-    } else {
-      // unexpected shape → act like "invalid index"
-      updated = false;
-    }
-
-    if (!updated) {
+    if (!removed) {
       // keep previous behavior: 200 + "Invalid token index"
       return res
         .status(200)
         .json({ message: 'Invalid token index' });
     }
 
-    // persist without changing the underlying type
-    user.fcm_tokens = fcm_tokens;
-    // If fcm_tokens is an object (non-schema), ensure mongoose marks it modified.
-    if (!Array.isArray(fcm_tokens)) {
-      user.markModified('fcm_tokens');
-    }
-    await user.save();
-
     return res
       .status(200)
       .json({ message: 'Logout Successful' });
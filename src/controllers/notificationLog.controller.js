@@ -0,0 +1,154 @@
+// src/controllers/notificationLog.controller.js
+// Notification history: "did the restaurant get the ping for order X?"
+import mongoose from 'mongoose';
+import NotificationLog from '../models/NotificationLog.js';
+import { allowedSitesFor, canAccessSite, logScopeDenied } from '../middleware/siteScope.js';
+
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 25;
+
+const OUTCOMES = ['sent', 'partial', 'failed', 'suppressed', 'no_recipients', 'error'];
+
+// Clamp integer safely
+const clampInt = (val, min, max, fallback) => {
+  const n = Number.parseInt(val, 10);
+  if (Number.isNaN(n)) return fallback;
+  return Math.min(Math.max(n, min), max);
+};
+
+const parseDate = (v) => {
+  if (!v) return null;
+  const d = new Date(String(v));
+  return Number.isNaN(d.getTime()) ? undefined : d;
+};
+
+const toPublicLog = (l, { detail = false } = {}) => ({
+  id: String(l._id),
+  orderId: l.order_ref,
+  site: l.site,
+  kind: l.kind,
+  event: l.event,
+  source: l.source,
+  escalationAttempt: l.escalation_attempt,
+  outcome: l.outcome,
+  error: l.error,
+  title: l.title,
+  body: l.body,
+  counts: {
+    users: l.user_count,
+    success: l.success_count,
+    failure: l.failure_count,
+    suppressed: l.suppressed_count,
+    pruned: l.pruned_count
+  },
+  smsFallback: l.sms_fallback || null,
+  created_at: l.created_at,
+  ...(detail ? { data: l.data, recipients: l.recipients } : {})
+});
+
+/** Restricts `filter` to the caller's sites; returns false (and responds) when denied */
+const applySiteScope = (req, res, filter, site) => {
+  const allowed = allowedSitesFor(req.user);
+  if (site) {
+    if (!canAccessSite(req.user, String(site))) {
+      logScopeDenied(req, { requestedSite: site });
+      res.status(403).json({ ok: false, message: 'Site access denied' });
+      return false;
+    }
+    filter.site = String(site);
+  } else if (allowed !== null) {
+    filter.site = { $in: allowed };
+  }
+  return true;
+};
+
+// GET /api/order/notifications?site=&orderId=&outcome=&kind=&from=&to=&page=&limit=&detail=1
+export const listNotificationLogs = async (req, res) => {
+  try {
+    const { site, orderId, outcome, kind, from, to, detail } = req.query || {};
+    const page = clampInt(req.query?.page, 1, 10_000, 1);
+    const limit = clampInt(req.query?.limit, 1, MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE);
+
+    const filter = {};
+    if (!applySiteScope(req, res, filter, site)) return;
+
+    if (orderId) filter.order_ref = String(orderId);
+    if (outcome) {
+      if (!OUTCOMES.includes(outcome)) {
+        return res.status(400).json({ ok: false, message: 'Invalid outcome', allowed: OUTCOMES });
+      }
+      filter.outcome = outcome;
+    }
+    if (kind) {
+      if (!['order', 'test'].includes(kind)) {
+        return res.status(400).json({ ok: false, message: '`kind` must be order or test' });
+      }
+      filter.kind = kind;
+    }
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ ok: false, message: '`from`/`to` must be ISO dates' });
+    }
+    if (fromDate || toDate) {
+      filter.created_at = {};
+      if (fromDate) filter.created_at.$gte = fromDate;
+      if (toDate) filter.created_at.$lt = toDate;
+    }
+
+    const wantDetail = String(detail || '') === '1';
+    const projection = wantDetail ? {} : { recipients: 0, data: 0 };
+
+    const [total, logs] = await Promise.all([
+      NotificationLog.countDocuments(filter),
+      NotificationLog.find(filter, projection)
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+
+    return res.json({
+      ok: true,
+      page,
+      limit,
+      total,
+      logs: logs.map((l) => toPublicLog(l, { detail: wantDetail }))
+    });
+  } catch (err) {
+    console.error('list notification logs error:', err?.stack || err?.message || err);
+    return res.status(500).json({ ok: false, message: 'Server error' });
+  }
+};
+
+// GET /api/order/:orderId/notifications
+// Every attempt for one order, oldest first, with per-device outcomes.
+export const getOrderNotificationLogs = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!orderId || String(orderId).length > 64) {
+      return res.status(400).json({ ok: false, message: 'Invalid order id' });
+    }
+
+    const filter = mongoose.Types.ObjectId.isValid(orderId)
+      ? { $or: [{ order: orderId }, { order_ref: String(orderId) }] }
+      : { order_ref: String(orderId) };
+    if (!applySiteScope(req, res, filter, null)) return;
+
+    const logs = await NotificationLog.find(filter).sort({ created_at: 1 }).limit(200).lean();
+
+    const delivered = logs.some((l) => l.success_count > 0);
+    return res.json({
+      ok: true,
+      orderId: String(orderId),
+      attempts: logs.length,
+      delivered,
+      firstDeliveredAt: logs.find((l) => l.success_count > 0)?.created_at || null,
+      logs: logs.map((l) => toPublicLog(l, { detail: true }))
+    });
+  } catch (err) {
+    console.error('order notification logs error:', err?.stack || err?.message || err);
+    return res.status(500).json({ ok: false, message: 'Server error' });
+  }
+};
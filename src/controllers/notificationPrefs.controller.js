@@ -0,0 +1,131 @@
+// src/controllers/notificationPrefs.controller.js
+// Notification preferences for the signed-in user, and per-device overrides.
+import User from '../models/User.js';
+import Device from '../models/Device.js';
+import {
+  NOTIFICATION_EVENT_VALUES,
+  NOTIFICATION_SOUNDS,
+  effectivePrefs,
+  parsePrefsUpdate,
+  siteTimezone,
+  toPublicPrefs
+} from '../services/notificationPrefs.service.js';
+import { syncDeviceTopics, syncUserDeviceTopics } from '../services/topic.service.js';
+
+const options = { events: NOTIFICATION_EVENT_VALUES, sounds: NOTIFICATION_SOUNDS };
+
+const loadOwnDevice = async (req, res) => {
+  const device = await Device.findOne({ device_id: req.params.deviceId, user: req.user.userId }).lean();
+  if (!device) res.status(404).json({ error: 'Device not registered' });
+  return device;
+};
+
+// GET /api/user/notification-preferences   (requireAuth)
+export const getMyNotificationPrefs = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId, { notification_prefs: 1 }).lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    return res.json({
+      preferences: toPublicPrefs(effectivePrefs(user.notification_prefs)),
+      timeZone: await siteTimezone(req.user.site),
+      options
+    });
+  } catch (err) {
+    console.error('get notification prefs error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// PUT /api/user/notification-preferences   (requireAuth)
+// body: { events?: { new_order: bool, ... }, quietHours?: { enabled, start, end }, sounds?: { pickup, delivery } }
+export const updateMyNotificationPrefs = async (req, res) => {
+  try {
+    const parsed = parsePrefsUpdate(req.body, 'notification_prefs');
+    if (parsed.error) return res.status(400).json({ error: parsed.error, options });
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { $set: parsed.set },
+      { new: true, projection: { notification_prefs: 1 } }
+    ).lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    // customised devices leave the site topics (see topic.service)
+    await syncUserDeviceTopics(user._id);
+
+    return res.json({
+      message: 'Notification preferences updated',
+      preferences: toPublicPrefs(effectivePrefs(user.notification_prefs))
+    });
+  } catch (err) {
+    console.error('update notification prefs error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// GET /api/user/devices/:deviceId/notification-preferences   (requireAuth)
+// `preferences` is what the device actually gets; `overrides` is what it sets itself.
+export const getDeviceNotificationPrefs = async (req, res) => {
+  try {
+    const device = await loadOwnDevice(req, res);
+    if (!device) return;
+    const user = await User.findById(req.user.userId, { notification_prefs: 1 }).lean();
+
+    return res.json({
+      deviceId: device.device_id,
+      preferences: toPublicPrefs(effectivePrefs(user?.notification_prefs, device.notification_prefs)),
+      overrides: device.notification_prefs ? toPublicPrefs(device.notification_prefs) : null,
+      options
+    });
+  } catch (err) {
+    console.error('get device notification prefs error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// PUT /api/user/devices/:deviceId/notification-preferences   (requireAuth)
+// body: same shape as the user-level endpoint; only the given fields are overridden
+export const updateDeviceNotificationPrefs = async (req, res) => {
+  try {
+    const parsed = parsePrefsUpdate(req.body, 'notification_prefs');
+    if (parsed.error) return res.status(400).json({ error: parsed.error, options });
+
+    const device = await loadOwnDevice(req, res);
+    if (!device) return;
+
+    // a null subdocument cannot take dotted $set paths
+    if (!device.notification_prefs) {
+      await Device.updateOne({ _id: device._id }, { $set: { notification_prefs: {} } });
+    }
+    const updated = await Device.findByIdAndUpdate(device._id, { $set: parsed.set }, { new: true }).lean();
+    await syncDeviceTopics(updated);
+    const user = await User.findById(req.user.userId, { notification_prefs: 1 }).lean();
+
+    return res.json({
+      message: 'Device notification preferences updated',
+      deviceId: updated.device_id,
+      preferences: toPublicPrefs(effectivePrefs(user?.notification_prefs, updated.notification_prefs)),
+      overrides: toPublicPrefs(updated.notification_prefs)
+    });
+  } catch (err) {
+    console.error('update device notification prefs error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// DELETE /api/user/devices/:deviceId/notification-preferences   (requireAuth)
+// Drops the overrides; the device follows the user's preferences again.
+export const resetDeviceNotificationPrefs = async (req, res) => {
+  try {
+    const device = await loadOwnDevice(req, res);
+    if (!device) return;
+
+    await Device.updateOne({ _id: device._id }, { $set: { notification_prefs: null } });
+    await syncDeviceTopics({ ...device, notification_prefs: null });
+    return res.json({ message: 'Device notification preferences reset', deviceId: device.device_id });
+  } catch (err) {
+    console.error('reset device notification prefs error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
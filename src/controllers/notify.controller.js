@@ -1,33 +1,43 @@
 // src/api/notifyOrder.js
-import admin from '../config/firebase.js';
 import User from '../models/User.js';
 import Site from '../models/Site.js';
+import { allowedSitesFor } from '../middleware/siteScope.js';
+import { anySiteMemberFilter, roleForSite, siteMemberFilter } from '../services/membership.service.js';
+import { ROLE_VALUES } from '../middleware/permissions.js';
+import { pushTokensForUsers } from '../services/device.service.js';
+import { sendPushToTokens, sendPushToTopic } from '../services/push.service.js';
+import { fanoutMode, roleCondition, siteTopic } from '../services/topic.service.js';
+import { isWebPushEnabled, sendWebPush, webPushTargetsForUsers } from '../services/webpush.service.js';
+import {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_EVENT_VALUES,
+  planPushDelivery,
+  siteTimezone
+} from '../services/notificationPrefs.service.js';
+import { isEscalatingStatus, startEscalation } from '../services/escalation.service.js';
+import { needsSmsFallback, sendSmsFallback } from '../services/smsFallback.service.js';
+import { orderVariables, renderTemplate, siteLocaleAndName } from '../services/template.service.js';
+import { getConfig } from '../services/remoteConfig.service.js';
+import {
+  buildRecipients,
+  outcomeFor,
+  recordNotification
+} from '../services/notificationLog.service.js';
 
 // Helpers
-const normalizeTokens = (raw) => {
-  let fcmTokens = raw || [];
-  if (typeof fcmTokens === 'string') {
-    try {
-      const parsed = JSON.parse(fcmTokens);
-      fcmTokens = Array.isArray(parsed) ? parsed : Object.values(parsed || {});
-    } catch {
-      fcmTokens = [];
-    }
-  } else if (!Array.isArray(fcmTokens) && typeof fcmTokens === 'object' && fcmTokens) {
-    fcmTokens = Object.values(fcmTokens);
+/**
+ * SMS to the site's alert phones when the push reached nobody. Escalation
+ * re-pushes skip it (owners get their own alert from the escalation job).
+ * Never throws.
+ */
+const trySmsFallback = async (siteSlug, message, escalationAttempt) => {
+  if (escalationAttempt) return null;
+  try {
+    return await sendSmsFallback(siteSlug, message);
+  } catch (e) {
+    console.error('sms fallback failed:', e?.message || e);
+    return { status: 'error', recipients: [] };
   }
-  return (fcmTokens || [])
-    .filter((t) => typeof t === 'string')
-    .map((t) => t.trim())
-    .filter(Boolean);
-};
-
-const uniq = (arr) => Array.from(new Set(arr));
-
-const chunk = (arr, size) => {
-  const out = [];
-  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
-  return out;
 };
 
 // quick check for a 24-char hex string (Mongo ObjectId-like)
@@ -46,10 +56,38 @@ const resolveSiteSlug = async (incoming) => {
  * Core logic that sends notifications for an order.
  * Can be used both by the HTTP controller and by the Stripe webhook.
  *
+ * Devices are filtered by their users' notification preferences (event
+ * opt-outs, quiet hours in the site's timezone) and grouped by the sound
+ * chosen for the order's fulfillment type.
+ *
+ * New orders that are still new/paid also start an escalation (re-alerts
+ * until someone accepts, see services/escalation.service.js); the
+ * escalation job calls back in with `escalationAttempt`.
+ *
+ * Every attempt that got as far as a site is written to the notification
+ * log (services/notificationLog.service.js).
+ *
+ * When no device gets the push (no users, no tokens, every send failed)
+ * the site's alert phones are texted instead, rate limited per site
+ * (services/smsFallback.service.js).
+ *
+ * With NOTIFY_FANOUT_MODE=topic (default, needs FCM_TOPIC_SECRET) one
+ * message goes to the site's FCM topic and only devices that are not on it (customised preferences,
+ * not yet subscribed) are reached by token; NOTIFY_FANOUT_MODE=tokens
+ * multicasts to every device.
+ *
  * @param {Object} order - Order object (Mongoose doc or plain object)
+ * @param {{ event?: string, escalationAttempt?: number, source?: string, roles?: string[] }} [opts]
+ *   event: one of NOTIFICATION_EVENT_VALUES (default new_order)
+ *   source: who triggered it, for the log (api | stripe_webhook | escalation | status_change | order_api | order_import)
+ *   roles: only notify members with these roles on the site
  * @returns {Promise<{ statusCode: number, body: any }>}
  */
-export const sendOrderNotification = async (order) => {
+export const sendOrderNotification = async (
+  order,
+  { event = NOTIFICATION_EVENTS.NEW_ORDER, escalationAttempt = null, source = 'api', roles = null } = {}
+) => {
+  const log = { kind: 'order', event, source, escalationAttempt, orderId: null, site: null };
   try {
     // If it's a Mongoose document, convert to plain object first
     const plainOrder =
@@ -62,6 +100,7 @@ export const sendOrderNotification = async (order) => {
       totalCents,
       _id: orderId
     } = plainOrder;
+    log.orderId = orderId || null;
 
     if (!site) {
       return {
@@ -73,8 +112,8 @@ export const sendOrderNotification = async (order) => {
     // --- Step 1: resolve site input into a slug, and fetch users ---
     let { slug: siteSlug } = await resolveSiteSlug(site);
 
-    // Attempt #1: treat incoming "site" as slug directly
-    let users = await User.find({ site: siteSlug });
+    // Attempt #1: treat incoming "site" as slug directly (every member of the site)
+    let users = await User.find(siteMemberFilter(siteSlug));
 
     // Attempt #2: if no users, check if "site" was actually an ObjectId and resolve to slug via Sites collection
     let resolvedFromId = null;
@@ -95,117 +134,273 @@ export const sendOrderNotification = async (order) => {
         }
         siteSlug = String(siteDoc.slug);
         resolvedFromId = String(site);
-        users = await User.find({ site: siteSlug });
+        users = await User.find(siteMemberFilter(siteSlug));
       }
     }
 
+    log.site = siteSlug;
+    if (roles) users = (users || []).filter((u) => roles.includes(roleForSite(u, siteSlug)));
+
+    // --- Step 2: Build notification content (site template, site locale) ---
+    const totalDollars =
+      typeof totalCents === 'number' ? (totalCents / 100).toFixed(2) : '0.00';
+    const orderType = fulfillmentType || 'order';
+    const timeZone = await siteTimezone(siteSlug);
+    const { locale, siteName } = await siteLocaleAndName(siteSlug);
+    const variables = orderVariables(plainOrder, { locale, timeZone, siteName });
+    const { title, body } = await renderTemplate(`push.${event}`, { site: siteSlug, locale, variables });
+    const smsMessage = { locale, variables: { ...variables, pushTitle: title, pushBody: body } };
+
+    // same payload for every group; only `sound` differs
+    const outgoingData = {
+      title,
+      body,
+      event,
+      orderId: String(orderId || ''),
+      fulfillmentType: String(orderType),
+      totalDollars: String(totalDollars),
+      status: String(status || ''),
+      ...(escalationAttempt ? { escalation: String(escalationAttempt) } : {})
+    };
+    const pushOptions = {
+      android: { priority: 'high' },
+      apns: { headers: { 'apns-priority': '10' } },
+      content_available: true,
+      priority: 'high'
+    };
+
     if (!users || users.length === 0) {
+      const smsFallback = await trySmsFallback(siteSlug, smsMessage, escalationAttempt);
+      await recordNotification({
+        ...log,
+        outcome: 'no_recipients',
+        error: 'No users found for this site',
+        title,
+        body,
+        smsFallback
+      });
       return {
         statusCode: 404,
         body: {
           error: 'No users found for this site',
           siteTried: siteSlug,
-          resolvedFromId
+          resolvedFromId,
+          smsFallback
         }
       };
     }
 
-    // --- Step 2: Collect and normalize tokens from every user ---
-    let allTokens = [];
-    const tokenOwners = {}; // optional: map token -> userId for debugging
-    for (const u of users) {
-      const tokens = normalizeTokens(u.fcm_tokens);
-      for (const t of tokens) {
-        allTokens.push(t);
-        if (!tokenOwners[t]) tokenOwners[t] = [];
-        tokenOwners[t].push(String(u._id));
+    // --- Step 2b: keep alerting until the order is accepted ---
+    let escalation = escalationAttempt ? 'attempt' : null;
+    if (!escalationAttempt && event === NOTIFICATION_EVENTS.NEW_ORDER && isEscalatingStatus(status)) {
+      try {
+        escalation = (await startEscalation(orderId, siteSlug)) ? 'started' : 'existing';
+      } catch (e) {
+        console.error('escalation start failed:', e?.message || e);
       }
     }
 
-    allTokens = uniq(allTokens);
-    if (allTokens.length === 0) {
+    // --- Step 3: Collect tokens from every registered device of those users ---
+    const { tokens: allTokens, tokenOwners, devices } = await pushTokensForUsers(users.map((u) => u._id));
+    // ...and browser dashboards subscribed for this site
+    const webTargets = isWebPushEnabled()
+      ? await webPushTargetsForUsers(users.map((u) => u._id), siteSlug)
+      : [];
+    if (allTokens.length === 0 && webTargets.length === 0) {
+      const smsFallback = await trySmsFallback(siteSlug, smsMessage, escalationAttempt);
+      await recordNotification({
+        ...log,
+        outcome: 'no_recipients',
+        error: 'No valid FCM tokens found for users on this site',
+        title,
+        body,
+        userCount: users.length,
+        smsFallback
+      });
       return {
         statusCode: 404,
         body: {
           error: 'No valid FCM tokens found for users on this site',
-          site: siteSlug
+          site: siteSlug,
+          smsFallback
         }
       };
     }
 
-    // --- Step 3: Build notification content ---
-    const totalDollars =
-      typeof totalCents === 'number' ? (totalCents / 100).toFixed(2) : '0.00';
-    const orderType = fulfillmentType || 'order';
-    const title = '🛒 New Order';
-    const body = `${orderType === 'pickup' ? 'Pickup' : orderType} • $${totalDollars}`;
-
-    // >>> sound requirement (for now always "order")
-    const soundName = 'order';
+    // --- Step 4: Topic fan-out (devices on the site topic have default prefs) ---
+    // devices that did not pick a sound (all topic devices) get the site default
+    const defaultSound = await getConfig('notifications.default_sound', { site: siteSlug });
+    const mode = fanoutMode();
+    const topicName = siteTopic(siteSlug);
+    let topic = null;
+    let tokenDevices = devices;
+    if (mode === 'topic') {
+      const topicDevices = devices.filter((d) => d.topics.includes(topicName));
+      tokenDevices = devices.filter((d) => !d.topics.includes(topicName));
+      if (topicDevices.length) {
+        const target = roles ? { condition: roleCondition(siteSlug, roles) } : { topic: topicName };
+        const sent = await sendPushToTopic(target, {
+          data: { ...outgoingData, sound: defaultSound },
+          ...pushOptions
+        });
+        topic = { ...target, sound: defaultSound, devices: topicDevices.length, ...sent };
+      }
+    }
 
-    // FCM multicast supports up to 500 tokens per call
-    const batches = chunk(allTokens, 500);
+    // --- Step 5: Token fan-out (prefs: opt-outs, quiet hours, sound per fulfillment type) ---
+    const { bySound, suppressed, skipped } = planPushDelivery({
+      users,
+      devices: tokenDevices,
+      event,
+      fulfillmentType: orderType,
+      timeZone,
+      defaultSound
+    });
 
+    // a topic send only means FCM took the message, not that a device got
+    // it: topic devices are reported apart from confirmed deliveries
+    const topicSent = topic?.ok ? topic.devices : 0;
     let totalSuccess = 0;
-    let totalFailure = 0;
+    let totalFailure = topic && !topic.ok ? topic.devices : 0;
     const failed = [];
+    const pruned = { count: 0, tokens: [] };
+    const sounds = topic ? { [topic.sound]: topic.devices } : {};
+    const results = [];
 
-    for (const tokens of batches) {
-      const message = {
+    for (const [soundName, tokens] of Object.entries(bySound)) {
+      const result = await sendPushToTokens(
         tokens,
-        data: {
-          title,
-          body,
-          orderId: String(orderId || ''),
-          fulfillmentType: String(orderType),
-          totalDollars: String(totalDollars),
-          status: String(status || ''),
-          sound: soundName
-        },
-        android: { priority: 'high' },
-        apns: { headers: { 'apns-priority': '10' } },
-        content_available: true,
-        priority: 'high'
-      };
+        { data: { ...outgoingData, sound: soundName }, ...pushOptions },
+        { tokenOwners }
+      );
+      totalSuccess += result.successCount;
+      totalFailure += result.failureCount;
+      failed.push(...result.failed);
+      pruned.count += result.pruned.count;
+      pruned.tokens.push(...result.pruned.tokens);
+      results.push(...result.results.map((r) => ({ ...r, sound: soundName })));
+      sounds[soundName] = (sounds[soundName] || 0) + tokens.length;
+    }
 
-      const response = await admin.messaging().sendEachForMulticast(message);
+    // --- Step 6: Web Push (same data payload, same preference rules) ---
+    let webPush = null;
+    const webResults = [];
+    const webPlan = planPushDelivery({
+      users,
+      devices: webTargets,
+      event,
+      fulfillmentType: orderType,
+      timeZone,
+      defaultSound
+    });
+    if (webTargets.length) {
+      const subByEndpoint = new Map(webTargets.map((t) => [t.token, t.sub]));
+      webPush = { subscriptions: webTargets.length, successCount: 0, failureCount: 0, removed: 0 };
+      for (const [soundName, endpoints] of Object.entries(webPlan.bySound)) {
+        const result = await sendWebPush(
+          endpoints.map((e) => subByEndpoint.get(e)),
+          { title, body, data: { ...outgoingData, sound: soundName } }
+        );
+        webPush.successCount += result.successCount;
+        webPush.failureCount += result.failureCount;
+        webPush.removed += result.removed.length;
+        webResults.push(
+          ...result.results.map((r) => ({ ...r, sound: soundName, removed: result.removed.includes(r.token) }))
+        );
+      }
+      webPush.suppressed = webPlan.suppressed;
+      totalSuccess += webPush.successCount;
+      totalFailure += webPush.failureCount;
+    }
 
-      totalSuccess += response.successCount || 0;
-      totalFailure += response.failureCount || 0;
+    // --- Step 7: nothing reached a device (and not by choice): text the site's alert phones ---
+    const outcome = outcomeFor({
+      successCount: totalSuccess,
+      failureCount: totalFailure,
+      suppressedCount: skipped.length + webPlan.skipped.length,
+      recipientCount: devices.length + webTargets.length,
+      unconfirmedCount: topicSent
+    });
+    const smsFallback = needsSmsFallback({ outcome, topicSent })
+      ? await trySmsFallback(siteSlug, smsMessage, escalationAttempt)
+      : null;
 
-      // Collect failed tokens and reasons
-      response.responses.forEach((r, i) => {
-        if (!r.success) {
-          failed.push({
-            token: tokens[i],
-            error: r.error?.message || 'Unknown error',
-            owners: tokenOwners[tokens[i]] || []
-          });
-        }
-      });
-    }
+    await recordNotification({
+      ...log,
+      outcome,
+      title,
+      body,
+      data: outgoingData,
+      userCount: users.length,
+      successCount: totalSuccess,
+      failureCount: totalFailure,
+      suppressedCount: skipped.length + webPlan.skipped.length,
+      prunedCount: pruned.count + (webPush?.removed || 0),
+      smsFallback,
+      recipients: [
+        ...(topic
+          ? [{
+              channel: 'topic',
+              topic: topic.condition || topic.topic,
+              sound: topic.sound,
+              status: topic.ok ? 'sent' : 'failed',
+              error_code: topic.code,
+              error: topic.error
+            }]
+          : []),
+        ...buildRecipients({
+          devices: tokenDevices,
+          results,
+          skipped,
+          prunedTokens: pruned.tokens.map((t) => t.token)
+        }),
+        ...buildRecipients({
+          devices: webTargets,
+          results: webResults,
+          skipped: webPlan.skipped,
+          prunedTokens: webResults.filter((r) => r.removed).map((r) => r.token),
+          channel: 'webpush'
+        })
+      ]
+    });
 
     return {
       statusCode: 200,
       body: {
-        message: `Notifications sent to ${totalSuccess} devices. ${totalFailure} failures.`,
+        message:
+          `Notifications sent to ${totalSuccess} devices` +
+          (topicSent ? ` (and ${topicSent} by topic, delivery unconfirmed)` : '') +
+          `. ${totalFailure} failures.`,
         siteInput: String(site),
         siteResolvedSlug: siteSlug,
         resolvedFromId,
         userCount: users.length,
         tokenCount: allTokens.length,
+        roles,
+        mode,
+        topic,
+        webPush,
+        smsFallback,
+        suppressed,
+        timeZone,
+        escalation,
+        escalationAttempt,
         failedTokens: failed,
+        prunedTokens: pruned,
         outgoing: {
           title,
           body,
+          locale,
+          event,
           fulfillmentType: orderType,
           totalDollars,
-          sound: soundName
+          sounds
         }
       }
     };
   } catch (err) {
     console.error('❌ notify error:', err?.message || err);
+    if (log.site) await recordNotification({ ...log, outcome: 'error', error: err?.message || String(err) });
     return {
       statusCode: 500,
       body: {
@@ -217,9 +412,22 @@ export const sendOrderNotification = async (order) => {
 };
 
 // POST /api/order/notify
-// body: the new order payload (from your other Express backend)
+// body: the new order payload (from your other Express backend),
+//       optionally with `event` (new_order | order_cancelled | payment_failed | store_auto_closed)
+//       and `roles` (e.g. ["owner", "manager"]) to notify only those members
 export const notifyOrder = async (req, res) => {
-  const result = await sendOrderNotification(req.body || {});
+  const event = req.body?.event ?? NOTIFICATION_EVENTS.NEW_ORDER;
+  if (!NOTIFICATION_EVENT_VALUES.includes(event)) {
+    return res.status(400).json({ error: 'event is invalid', allowed: NOTIFICATION_EVENT_VALUES });
+  }
+  const roles = req.body?.roles ?? null;
+  if (
+    roles !== null &&
+    (!Array.isArray(roles) || roles.length === 0 || roles.length > 5 || !roles.every((r) => ROLE_VALUES.includes(r)))
+  ) {
+    return res.status(400).json({ error: 'roles must be 1-5 of the allowed roles', allowed: ROLE_VALUES });
+  }
+  const result = await sendOrderNotification(req.body || {}, { event, roles });
   return res.status(result.statusCode).json(result.body);
 };
 
@@ -234,13 +442,23 @@ export const notifyTestUser = async (req, res) => {
     }
 
     // Find user by username OR email OR name (pick what matches your schema)
-    const user = await User.findOne({
-      $or: [
-        { username: usernameRaw },
-        { email: usernameRaw },
-        { name: usernameRaw },
+    const query = {
+      $and: [
+        {
+          $or: [
+            { username: usernameRaw },
+            { email: usernameRaw },
+            { name: usernameRaw },
+          ],
+        },
       ],
-    });
+    };
+
+    // Only members of the caller's own site(s) can be targeted
+    const allowedSites = allowedSitesFor(req.user);
+    if (allowedSites !== null) query.$and.push(anySiteMemberFilter(allowedSites));
+
+    const user = await User.findOne(query);
 
     if (!user) {
       return res.status(404).json({
@@ -249,11 +467,21 @@ export const notifyTestUser = async (req, res) => {
       });
     }
 
-    // Only this user's tokens
-    let tokens = normalizeTokens(user.fcm_tokens);
-    tokens = uniq(tokens);
+    // Only this user's devices
+    const { tokens, devices } = await pushTokensForUsers([user._id]);
+    const testLog = {
+      kind: 'test',
+      source: 'test',
+      site: req.user?.site || user.site || null,
+      userCount: 1
+    };
 
     if (!tokens.length) {
+      await recordNotification({
+        ...testLog,
+        outcome: 'no_recipients',
+        error: 'No valid FCM tokens found for this user'
+      });
       return res.status(404).json({
         error: 'No valid FCM tokens found for this user',
         userId: String(user._id),
@@ -277,36 +505,39 @@ export const notifyTestUser = async (req, res) => {
       sound: 'order',                // per your requirement
     };
 
-    const batches = chunk(tokens, 500);
-
-    let totalSuccess = 0;
-    let totalFailure = 0;
-    const failed = [];
-
-    for (const batchTokens of batches) {
-      const message = {
-        tokens: batchTokens,
-        data: hardcodedData,
-        android: { priority: 'high' },
-        apns: { headers: { 'apns-priority': '10' } },
-        content_available: true,
-        priority: 'high',
-      };
-
-      const response = await admin.messaging().sendEachForMulticast(message);
-
-      totalSuccess += response.successCount || 0;
-      totalFailure += response.failureCount || 0;
+    const {
+      successCount: totalSuccess,
+      failureCount: totalFailure,
+      failed,
+      results,
+      pruned
+    } = await sendPushToTokens(tokens, {
+      data: hardcodedData,
+      android: { priority: 'high' },
+      apns: { headers: { 'apns-priority': '10' } },
+      content_available: true,
+      priority: 'high',
+    });
 
-      response.responses.forEach((r, i) => {
-        if (!r.success) {
-          failed.push({
-            token: batchTokens[i],
-            error: r.error?.message || 'Unknown error',
-          });
-        }
-      });
-    }
+    await recordNotification({
+      ...testLog,
+      outcome: outcomeFor({
+        successCount: totalSuccess,
+        failureCount: totalFailure,
+        recipientCount: tokens.length
+      }),
+      title,
+      body,
+      data: hardcodedData,
+      successCount: totalSuccess,
+      failureCount: totalFailure,
+      prunedCount: pruned.count,
+      recipients: buildRecipients({
+        devices,
+        results: results.map((r) => ({ ...r, sound: hardcodedData.sound })),
+        prunedTokens: pruned.tokens.map((t) => t.token)
+      })
+    });
 
     return res.status(200).json({
       message: `Test notification sent. ${totalSuccess} success, ${totalFailure} failure.`,
@@ -319,6 +550,7 @@ export const notifyTestUser = async (req, res) => {
       tokenCount: tokens.length,
       outgoing: hardcodedData,
       failedTokens: failed,
+      prunedTokens: pruned,
     });
   } catch (err) {
     console.error('❌ notifyTestUser error:', err?.message || err);
@@ -2,6 +2,9 @@
 import mongoose from 'mongoose';
 import Site from '../models/Site.js';
 import Order from '../models/Order.js'; // shared orders model (strict:false)
+import { canAccessSite, logScopeDenied } from '../middleware/siteScope.js';
+import { getConfig } from '../services/remoteConfig.service.js';
+import { pickDisplayEmail, pickDisplayName, pickDisplayPhone } from '../services/orderDisplay.service.js';
 import { UserDefinedMessageSubscriptionListInstance } from 'twilio/lib/rest/api/v2010/account/call/userDefinedMessageSubscription.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -11,8 +14,7 @@ import { UserDefinedMessageSubscriptionListInstance } from 'twilio/lib/rest/api/
 const DEFAULT_TZ = 'America/Edmonton';
 // Max allowed extra days to avoid accidental huge scans.
 const MAX_EXTRA_DAYS = 14;
-// Default extra future days (your current failsafe).
-const DEFAULT_EXTRA_DAYS = 7;
+// Default extra future days: remote config "orders.default_extra_days" (7)
 
 const ONE_DAY_MS = 24 * 60 * 60 * 1000;
 
@@ -36,52 +38,8 @@ const clampInt = (val, min, max, fallback) => {
 };
 
 // ─────────────────────────────────────────────────────────────────────────────
-// HELPERS (backward compatible fallbacks)
+// HELPERS (display-field fallbacks: services/orderDisplay.service.js)
 // ─────────────────────────────────────────────────────────────────────────────
-const pickDisplayName = (item) => {
-  // New desired precedence:
-  // 1) customerName
-  // 2) guestName
-  // Backward-compatible fallbacks (if they ever existed in older data):
-  // 3) userName / name
-  return (
-    item?.customerName ||
-    item?.guestName ||
-    item?.userName ||
-    item?.name ||
-    ''
-  );
-};
-
-const pickDisplayPhone = (item) => {
-  // New desired precedence:
-  // 1) customerNumber
-  // 2) guestNumber
-  // Backward-compatible fallbacks (your existing list + common legacy fields)
-  return (
-    item?.customerNumber ||
-    item?.guestNumber ||
-    item?.customerPhone ||
-    item?.userPhone ||
-    item?.userNumber ||
-    item?.userContact ||
-    item?.phone ||
-    item?.mobile ||
-    ''
-  );
-};
-
-const pickDisplayEmail = (item) => {
-  // Keep userEmail (as you mentioned), plus backward-compatible fallbacks
-  return (
-    item?.userEmail ||
-    item?.customerEmail ||
-    item?.guestEmail ||
-    item?.email ||
-    ''
-  );
-};
-
 // Safely set nested fields without breaking if the structure is missing
 const setIfPathExists = (obj, path, value) => {
   // path like: ['pickup','location','name']
@@ -130,14 +88,22 @@ export const getOrdersBySiteDay = async (req, res) => {
     // 1) Resolve the site (kept same as your code)
     const siteDoc = await Site.findOne({ slug: siteSlug }).lean();
     if (!siteDoc) return res.status(404).json({ ok: false, error: 'Site not found' });
+    if (!canAccessSite(req.user, siteDoc)) {
+      logScopeDenied(req, { requestedSite: siteSlug });
+      return res.status(403).json({ ok: false, error: 'Site access denied' });
+    }
 
     // 2) Pick the timezone to use:
     //    - prefer client tz if valid IANA
     //    - else fallback to DEFAULT_TZ (Edmonton) for backward compatibility
     const usedTz = isValidIana(tz) ? tz : DEFAULT_TZ;
 
-    // 3) Determine extra future days failsafe (0..14; default 7)
-    const FUTURE_DAYS = clampInt(extraDays, 0, MAX_EXTRA_DAYS, DEFAULT_EXTRA_DAYS);
+    // 3) Determine extra future days failsafe (0..14; default from remote config)
+    const defaultExtraDays = await getConfig('orders.default_extra_days', {
+      site: siteDoc.slug,
+      userId: req.user?.userId
+    });
+    const FUTURE_DAYS = clampInt(extraDays, 0, MAX_EXTRA_DAYS, defaultExtraDays);
 
     // 4) Build timezone-aware start/end expressions (DST-safe via Mongo's timezone support)
     const [y, m, d] = date.split('-').map(Number);
@@ -0,0 +1,130 @@
+// src/controllers/order.create.controller.js
+// Orders created through this backend: one at a time (partner backend or
+// staff entering a phone order) and bulk imports.
+import { canAccessSite, logScopeDenied } from '../middleware/siteScope.js';
+import { sendOrderNotification } from './notify.controller.js';
+import { serviceCanAccessSite } from '../services/apiKey.service.js';
+import { ORDER_STATUSES } from '../services/orderStatus.service.js';
+import {
+  MAX_IMPORT_ORDERS,
+  createOrder,
+  findOrderSite,
+  parseOrderInput
+} from '../services/orderIngest.service.js';
+
+const actorOf = (req) => req.user?.username || req.service?.name || null;
+
+/** Site for the payload, or null when missing / not the caller's */
+const resolveSiteFor = async (req, site, logCtx) => {
+  const siteDoc = await findOrderSite(site);
+  if (!siteDoc) return null;
+  // signed service calls are limited to the sites granted to their API key
+  const allowed = req.service ? serviceCanAccessSite(req.service, siteDoc) : canAccessSite(req.user, siteDoc);
+  if (!allowed) {
+    logScopeDenied(req, { requestedSite: site, apiKey: req.service?.keyId, ...logCtx });
+    return null;
+  }
+  return siteDoc;
+};
+
+/**
+ * Same pipeline as POST /api/order/notify. Orders still awaiting payment
+ * are announced by the Stripe webhook instead.
+ */
+const notifyCreated = async (order, source) => {
+  if (order.status === ORDER_STATUSES.AWAITING_PAYMENT) return { skipped: 'awaiting_payment' };
+  const { statusCode, body } = await sendOrderNotification(order, { source });
+  return { statusCode, ...body };
+};
+
+/**
+ * POST /api/order
+ * body: the order (see orderInputSchema in services/orderIngest.service.js)
+ * Assigns orderNumber, stores the order and notifies the site. Sending the
+ * same externalId again returns the stored order (200) without notifying.
+ */
+export const createOrderHandler = async (req, res) => {
+  try {
+    const parsed = parseOrderInput(req.body);
+    if (!parsed.ok) {
+      const { code, error, issues } = parsed;
+      return res.status(code === 'totals' ? 422 : 400).json({ ok: false, code, error, issues });
+    }
+
+    const siteDoc = await resolveSiteFor(req, parsed.data.site, { action: 'order.create' });
+    if (!siteDoc) return res.status(404).json({ ok: false, error: 'Site not found' });
+
+    const { order, created } = await createOrder(siteDoc, parsed.data, { source: 'api', actor: actorOf(req) });
+    if (!created) return res.json({ ok: true, created: false, order });
+
+    const notification = await notifyCreated(order, 'order_api');
+    return res.status(201).json({ ok: true, created: true, order, notification });
+  } catch (err) {
+    console.error('create order error:', err?.stack || err?.message || err);
+    return res.status(500).json({ ok: false, error: 'Something went wrong' });
+  }
+};
+
+/**
+ * POST /api/order/import
+ * body: { orders: [ ...up to MAX_IMPORT_ORDERS ], notify?: boolean (default false) }
+ * Every order is validated and stored on its own; the response lists what
+ * was created, what already existed (externalId) and what was rejected.
+ */
+export const importOrders = async (req, res) => {
+  try {
+    const { orders, notify = false } = req.body || {};
+    if (!Array.isArray(orders) || orders.length === 0 || orders.length > MAX_IMPORT_ORDERS) {
+      return res.status(400).json({ ok: false, error: `orders must be an array of 1-${MAX_IMPORT_ORDERS} orders` });
+    }
+    if (typeof notify !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'notify must be true or false' });
+    }
+
+    const created = [];
+    const existing = [];
+    const rejected = [];
+    const sites = new Map(); // payload site -> doc | null
+
+    for (const [index, body] of orders.entries()) {
+      const parsed = parseOrderInput(body);
+      if (!parsed.ok) {
+        rejected.push({ index, code: parsed.code, error: parsed.error, issues: parsed.issues });
+        continue;
+      }
+
+      const key = parsed.data.site;
+      if (!sites.has(key)) sites.set(key, await resolveSiteFor(req, key, { action: 'order.import' }));
+      const siteDoc = sites.get(key);
+      if (!siteDoc) {
+        rejected.push({ index, code: 'site', error: 'Site not found', issues: [] });
+        continue;
+      }
+
+      try {
+        const result = await createOrder(siteDoc, parsed.data, { source: 'import', actor: actorOf(req) });
+        const row = { index, id: result.order._id, orderNumber: result.order.orderNumber, site: siteDoc.slug };
+        if (!result.created) {
+          existing.push(row);
+          continue;
+        }
+        if (notify) row.notification = await notifyCreated(result.order, 'order_import');
+        created.push(row);
+      } catch (e) {
+        console.error(`import order #${index} failed:`, e?.message || e);
+        rejected.push({ index, code: 'store', error: 'Could not store the order', issues: [] });
+      }
+    }
+
+    return res.json({
+      ok: rejected.length === 0,
+      counts: { received: orders.length, created: created.length, existing: existing.length, rejected: rejected.length },
+      created,
+      existing,
+      rejected
+    });
+  } catch (err) {
+    console.error('import orders error:', err?.stack || err?.message || err);
+    return res.status(500).json({ ok: false, error: 'Something went wrong' });
+  }
+};
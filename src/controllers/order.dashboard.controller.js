@@ -2,9 +2,11 @@
 import mongoose from 'mongoose';
 import Site from '../models/Site.js';
 import Order from '../models/Order.js'; // shared orders model (strict:false)
+import { canAccessSite, logScopeDenied } from '../middleware/siteScope.js';
+import { getConfig } from '../services/remoteConfig.service.js';
 
 const CANADA_TZ = 'America/Edmonton';
-const MAX_CUSTOM_DAYS = 62; // ~2 months
+// longest custom window: remote config "orders.max_custom_days" (62, ~2 months)
 
 function isValidObjectIdString(s) {
   if (typeof s !== 'string' || s.length !== 24) return false;
@@ -110,6 +112,11 @@ export const getDashboardSeries = async (req, res) => {
       siteId = siteDoc._id;
     }
 
+    if (!canAccessSite(req.user, siteDoc)) {
+      logScopeDenied(req, { requestedSite: siteParam });
+      return res.status(403).json({ error: 'Site access denied' });
+    }
+
     // ---- Build timezone-aware start/end as MongoDB expressions (DST-safe) ----
     // Includes today: [start, end) where end = tomorrow@00:00 Edmonton.
     let startExpr, endExpr, forWeekLabels = false;
@@ -141,12 +148,16 @@ export const getDashboardSeries = async (req, res) => {
         return res.status(400).json({ error: '`start` and `end` (YYYY-MM-DD) are required for custom mode' });
       }
 
-      // Clamp to ~2 months (app-side, simple day count)
+      // Clamp to orders.max_custom_days (app-side, simple day count)
       const startUtcClamp = new Date(`${startStr}T00:00:00.000Z`);
       const endUtcClamp   = new Date(`${endStr}T00:00:00.000Z`);
       const diffDays = Math.floor((endUtcClamp - startUtcClamp) / 86400000) + 1;
-      if (diffDays > MAX_CUSTOM_DAYS) {
-        const clampedEnd = new Date(startUtcClamp.getTime() + (MAX_CUSTOM_DAYS - 1) * 86400000);
+      const maxCustomDays = await getConfig('orders.max_custom_days', {
+        site: siteDoc.slug,
+        userId: req.user?.userId
+      });
+      if (diffDays > maxCustomDays) {
+        const clampedEnd = new Date(startUtcClamp.getTime() + (maxCustomDays - 1) * 86400000);
         endStr = clampedEnd.toISOString().slice(0, 10);
       }
 
@@ -2,36 +2,12 @@
 import mongoose from 'mongoose';
 import Site from '../models/Site.js';
 import Order from '../models/Order.js'; // shared orders model (strict:false)
+import { canAccessSite, logScopeDenied } from '../middleware/siteScope.js';
+import { pickDisplayEmail, pickDisplayName, pickDisplayPhone } from '../services/orderDisplay.service.js';
 
 // -----------------------------
-// helpers (same spirit as your by-site controller)
+// helpers (display-field fallbacks: services/orderDisplay.service.js)
 // -----------------------------
-const pickDisplayName = (item) =>
-  item?.customerName ||
-  item?.guestName ||
-  item?.userName ||
-  item?.name ||
-  item?.customer ||
-  '';
-
-const pickDisplayPhone = (item) =>
-  item?.customerNumber ||
-  item?.guestNumber ||
-  item?.customerPhone ||
-  item?.userPhone ||
-  item?.userNumber ||
-  item?.userContact ||
-  item?.phone ||
-  item?.mobile ||
-  '';
-
-const pickDisplayEmail = (item) =>
-  item?.userEmail ||
-  item?.customerEmail ||
-  item?.guestEmail ||
-  item?.email ||
-  '';
-
 const setIfPathExists = (obj, path, value) => {
   let cur = obj;
   for (let i = 0; i < path.length - 1; i++) {
@@ -145,8 +121,10 @@ const normalizeOrderForPrint = (orderDoc, siteDoc) => {
 };
 
 /**
- * GET /api/order/:orderId/print
+ * GET /api/order/:orderId/print[?site=<slug>]
  * - orderId can be Mongo ObjectId (_id) OR an orderNumber like "BB-1146"
+ * - order numbers repeat across sites: they are looked up in `site`
+ *   (default: the caller's active site)
  *
  * Returns:
  * { ok: true, order: { ...normalizedOrder } }
@@ -156,14 +134,28 @@ export const getOrderForPrint = async (req, res) => {
     const { orderId } = req.params || {};
     if (!orderId) return res.status(400).json({ ok: false, error: '`orderId` is required' });
 
-    const query = mongoose.isValidObjectId(orderId)
-      ? { _id: new mongoose.Types.ObjectId(orderId) }
-      : { orderNumber: String(orderId) };
-
-    const orderDoc = await Order.findOne(query).lean();
-    if (!orderDoc) return res.status(404).json({ ok: false, error: 'Order not found' });
+    let orderDoc;
+    let siteDoc;
+    if (/^[a-f0-9]{24}$/i.test(orderId)) {
+      orderDoc = await Order.findOne({ _id: new mongoose.Types.ObjectId(orderId) }).lean();
+      if (!orderDoc) return res.status(404).json({ ok: false, error: 'Order not found' });
+      siteDoc = orderDoc?.site ? await Site.findById(orderDoc.site).lean() : null;
+    } else {
+      // order numbers are per site: look in ?site= or the caller's active site
+      const siteSlug = typeof req.query?.site === 'string' && req.query.site ? req.query.site : req.user?.site;
+      if (!siteSlug) return res.status(400).json({ ok: false, error: '`site` is required to look up an order number' });
+      siteDoc = await Site.findOne({ slug: siteSlug }).lean();
+    }
 
-    const siteDoc = orderDoc?.site ? await Site.findById(orderDoc.site).lean() : null;
+    // Orders of other sites look the same as missing ones
+    if ((!orderDoc && !siteDoc) || !canAccessSite(req.user, siteDoc)) {
+      if (siteDoc || orderDoc) logScopeDenied(req, { orderId, orderSite: orderDoc?.site ?? siteDoc?._id });
+      return res.status(404).json({ ok: false, error: 'Order not found' });
+    }
+    if (!orderDoc) {
+      orderDoc = await Order.findOne({ site: siteDoc._id, orderNumber: String(orderId) }).lean();
+      if (!orderDoc) return res.status(404).json({ ok: false, error: 'Order not found' });
+    }
 
     const order = normalizeOrderForPrint(orderDoc, siteDoc);
     return res.json({ ok: true, order });
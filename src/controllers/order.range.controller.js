@@ -2,57 +2,16 @@
 import mongoose from 'mongoose';
 import Site from '../models/Site.js';
 import Order from '../models/Order.js'; // shared orders model, strict:false
+import { canAccessSite, logScopeDenied } from '../middleware/siteScope.js';
+import { getConfig } from '../services/remoteConfig.service.js';
+import { pickDisplayEmail, pickDisplayName, pickDisplayPhone } from '../services/orderDisplay.service.js';
 
 const CANADA_TZ = 'America/Edmonton';
-const MAX_CUSTOM_DAYS = 62; // ~2 months
+// longest custom window: remote config "orders.max_custom_days" (62, ~2 months)
 
 // ─────────────────────────────────────────────────────────────────────────────
-// HELPERS (backward compatible fallbacks)
+// HELPERS (display-field fallbacks: services/orderDisplay.service.js)
 // ─────────────────────────────────────────────────────────────────────────────
-const pickDisplayName = (item) => {
-  // New desired precedence:
-  // 1) customerName
-  // 2) guestName
-  // Backward-compatible fallbacks:
-  // 3) userName / name
-  return (
-    item?.customerName ||
-    item?.guestName ||
-    item?.userName ||
-    item?.name ||
-    ''
-  );
-};
-
-const pickDisplayPhone = (item) => {
-  // New desired precedence:
-  // 1) customerNumber
-  // 2) guestNumber
-  // Backward-compatible fallbacks (existing + common legacy fields)
-  return (
-    item?.customerNumber ||
-    item?.guestNumber ||
-    item?.customerPhone ||
-    item?.userPhone ||
-    item?.userNumber ||
-    item?.userContact ||
-    item?.phone ||
-    item?.mobile ||
-    ''
-  );
-};
-
-const pickDisplayEmail = (item) => {
-  // Keep userEmail first (as requested), plus backward-compatible fallbacks
-  return (
-    item?.userEmail ||
-    item?.customerEmail ||
-    item?.guestEmail ||
-    item?.email ||
-    ''
-  );
-};
-
 // Safely set nested fields without breaking if the structure is missing
 const setIfPathExists = (obj, path, value) => {
   let cur = obj;
@@ -96,6 +55,10 @@ export const getOrdersBySiteRange = async (req, res) => {
     // 1) Find site by slug
     const siteDoc = await Site.findOne({ slug: siteSlug }).lean();
     if (!siteDoc) return res.status(404).json({ error: 'Site not found' });
+    if (!canAccessSite(req.user, siteDoc)) {
+      logScopeDenied(req, { requestedSite: siteSlug });
+      return res.status(403).json({ error: 'Site access denied' });
+    }
 
     // 2) Build timezone-aware start/end window EXPRESSIONS (evaluated by MongoDB)
     let startExpr, endExpr;
@@ -126,12 +89,16 @@ export const getOrdersBySiteRange = async (req, res) => {
         return res.status(400).json({ error: '`start` and `end` (YYYY-MM-DD) are required for custom mode' });
       }
 
-      // Clamp to ~2 months on app side (calendar-day diff; UTC math is fine here)
+      // Clamp to orders.max_custom_days on app side (calendar-day diff; UTC math is fine here)
       const startUtcClamp = new Date(`${startStr}T00:00:00.000Z`);
       const endUtcClamp   = new Date(`${endStr}T00:00:00.000Z`);
       const diffDays = Math.floor((endUtcClamp.getTime() - startUtcClamp.getTime()) / (24 * 60 * 60 * 1000)) + 1;
-      if (diffDays > MAX_CUSTOM_DAYS) {
-        const clampedEnd = new Date(startUtcClamp.getTime() + (MAX_CUSTOM_DAYS - 1) * 24 * 60 * 60 * 1000);
+      const maxCustomDays = await getConfig('orders.max_custom_days', {
+        site: siteDoc.slug,
+        userId: req.user?.userId
+      });
+      if (diffDays > maxCustomDays) {
+        const clampedEnd = new Date(startUtcClamp.getTime() + (maxCustomDays - 1) * 24 * 60 * 60 * 1000);
         endStr = clampedEnd.toISOString().slice(0, 10);
       }
 
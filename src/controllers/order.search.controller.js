@@ -0,0 +1,141 @@
+// src/controllers/order.search.controller.js
+import mongoose from 'mongoose';
+import Site from '../models/Site.js';
+import Order from '../models/Order.js'; // shared orders model, strict:false
+import { canAccessSite, logScopeDenied } from '../middleware/siteScope.js';
+import { canonicalStatus, statusSpellings } from '../services/orderStatus.service.js';
+import {
+  EMAIL_FIELDS,
+  NAME_FIELDS,
+  PHONE_FIELDS,
+  pickDisplayEmail,
+  pickDisplayName,
+  pickDisplayPhone
+} from '../services/orderDisplay.service.js';
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 50;
+const MAX_STATUSES = 9;
+const QUERY_TIMEOUT_MS = 5000;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS (the display-field lists drive both the query and the response)
+// ─────────────────────────────────────────────────────────────────────────────
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Mongo filter for the free-text part. Phone numbers match whatever
+ * formatting was stored ("780 555-1234" finds "(780) 555 1234").
+ */
+export const textFilter = (q) => {
+  const anywhere = new RegExp(escapeRegex(q), 'i');
+  const or = [
+    { orderNumber: anywhere },
+    { externalId: anywhere },
+    { 'items.name': anywhere },
+    ...NAME_FIELDS.map((f) => ({ [f]: anywhere })),
+    ...EMAIL_FIELDS.map((f) => ({ [f]: anywhere }))
+  ];
+
+  const digits = q.replace(/\D/g, '');
+  if (digits.length >= 3 && /^[\d\s()+.-]+$/.test(q)) {
+    const phone = new RegExp(digits.split('').join('\\D*'));
+    or.push(...PHONE_FIELDS.map((f) => ({ [f]: phone })));
+  }
+  if (/^[a-f0-9]{24}$/i.test(q)) {
+    or.push({ _id: new mongoose.Types.ObjectId(q) });
+  }
+  return { $or: or };
+};
+
+/**
+ * GET /api/order/search?site=<slug>&q=<text>[&status=new,accepted][&page=1][&limit=25]
+ *
+ * - q: order number, customer name / phone / email, item name (2-100 chars) [optional when status is set]
+ * - status: comma-separated canonical statuses; legacy spellings are matched too
+ * - newest first; page is 1-based, limit max 50
+ *
+ * Returns: { ok, site:{_id,slug,name}, q, status[], page, limit, total, pages, orders[] }
+ *
+ * Index hints: { site: 1, createdAt: 1 } (Order model), { site: 1, status: 1, createdAt: -1 }
+ * and { site: 1, orderNumber: 1 } (npm run orders:indexes)
+ */
+export const searchOrders = async (req, res) => {
+  try {
+    const { site: siteSlug, q: rawQ, status: rawStatus, page: rawPage, limit: rawLimit } = req.query || {};
+
+    if (!siteSlug || typeof siteSlug !== 'string') {
+      return res.status(400).json({ ok: false, error: '`site` (slug) is required' });
+    }
+    const q = typeof rawQ === 'string' ? rawQ.trim() : '';
+    if (q && (q.length < 2 || q.length > 100)) {
+      return res.status(400).json({ ok: false, error: '`q` must be 2-100 characters' });
+    }
+
+    const statuses = typeof rawStatus === 'string' && rawStatus.trim()
+      ? [...new Set(rawStatus.split(',').map((s) => s.trim()).filter(Boolean))]
+      : [];
+    const canonical = statuses.map(canonicalStatus);
+    if (statuses.length > MAX_STATUSES || canonical.some((s) => !s)) {
+      return res.status(400).json({ ok: false, error: '`status` must be a comma-separated list of order statuses' });
+    }
+    if (!q && !canonical.length) {
+      return res.status(400).json({ ok: false, error: '`q` or `status` is required' });
+    }
+
+    const page = Number.parseInt(rawPage ?? '1', 10);
+    const limit = Number.parseInt(rawLimit ?? String(DEFAULT_LIMIT), 10);
+    if (!Number.isInteger(page) || page < 1 || page > 1000) {
+      return res.status(400).json({ ok: false, error: '`page` must be 1-1000' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({ ok: false, error: `\`limit\` must be 1-${MAX_LIMIT}` });
+    }
+
+    const siteDoc = await Site.findOne({ slug: siteSlug }).lean();
+    if (!siteDoc) return res.status(404).json({ ok: false, error: 'Site not found' });
+    if (!canAccessSite(req.user, siteDoc)) {
+      logScopeDenied(req, { requestedSite: siteSlug });
+      return res.status(403).json({ ok: false, error: 'Site access denied' });
+    }
+
+    const filter = { site: new mongoose.Types.ObjectId(siteDoc._id) };
+    if (canonical.length) filter.status = { $in: [...new Set(canonical)].flatMap(statusSpellings) };
+    if (q) Object.assign(filter, textFilter(q));
+
+    const [total, orders] = await Promise.all([
+      Order.countDocuments(filter).maxTimeMS(QUERY_TIMEOUT_MS),
+      Order.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .maxTimeMS(QUERY_TIMEOUT_MS)
+        .lean()
+    ]);
+
+    return res.json({
+      ok: true,
+      site: { _id: siteDoc._id, slug: siteDoc.slug, name: siteDoc.name || siteDoc.slug },
+      q,
+      status: [...new Set(canonical)],
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      orders: orders.map((item) => ({
+        ...item,
+        customerName: pickDisplayName(item),
+        phone: pickDisplayPhone(item),
+        email: pickDisplayEmail(item),
+        status: canonicalStatus(item.status) || item.status
+      }))
+    });
+  } catch (err) {
+    if (err?.code === 50) {
+      // MaxTimeMSExpired
+      return res.status(503).json({ ok: false, error: 'Search took too long; add a status or a longer query' });
+    }
+    console.error('searchOrders error:', err?.stack || err?.message || err);
+    return res.status(500).json({ ok: false, error: 'Failed to search orders' });
+  }
+};
@@ -1,17 +1,83 @@
 // src/controllers/orderController.js
 import mongoose from 'mongoose';
 import Order from '../models/Order.js'; // your existing Order model (strict:false)
+import Site from '../models/Site.js';
+import { canAccessSite, logScopeDenied } from '../middleware/siteScope.js';
+import { sendOrderNotification } from './notify.controller.js';
+import { isEscalatingStatus, stopEscalation } from '../services/escalation.service.js';
+import { isEmail, sendOrderEmail } from '../services/orderEmail.service.js';
+import { checkTransition, orderStatusModel, transitionEffects } from '../services/orderStatus.service.js';
+import { getConfig } from '../services/remoteConfig.service.js';
+import { normalizeLocale, orderVariables } from '../services/template.service.js';
 
-// Allowed statuses (union of your buckets + a few synonyms already used elsewhere)
-const ALLOWED_STATUSES = new Set([
-  'new', 'created', 'awaiting_payment',
-  'processing', 'accepted', 'preparing', 'prepared',
-  'fulfilled', 'dispatched', 'complete', 'completed',
-]);
+/**
+ * Runs the declared side effects of a move that has been saved. Each one
+ * is reported in the response; none of them fails the status change.
+ */
+const runTransitionEffects = async (order, siteDoc, { to, actor }) => {
+  const effect = transitionEffects(to);
+  const results = [];
 
+  // Someone picked the order up: stop re-alerting devices/owners
+  if (!isEscalatingStatus(to)) {
+    try {
+      await stopEscalation(order._id, `status:${to}`, actor);
+      results.push({ type: 'stop_escalation', ok: true });
+    } catch (e) {
+      console.error('stop escalation failed:', e?.message || e);
+      results.push({ type: 'stop_escalation', ok: false, error: e?.message || String(e) });
+    }
+  }
+
+  if (effect.email) {
+    const plain = order.toObject();
+    const enabled = await getConfig('orders.status_emails', { site: siteDoc?.slug || null });
+    if (!enabled) {
+      results.push({ type: 'email', template: effect.email, ok: true, skipped: 'disabled' });
+    } else if (!isEmail(plain.userEmail)) {
+      results.push({ type: 'email', template: effect.email, ok: true, skipped: 'no_customer_email' });
+    } else {
+      try {
+        const locale = normalizeLocale(plain.meta?.locale || plain.locale || siteDoc?.locale);
+        const vars = orderVariables(plain, { locale });
+        await sendOrderEmail({
+          templateKey: effect.email,
+          to: plain.userEmail,
+          siteName: siteDoc?.name || siteDoc?.slug || '',
+          customerName: vars.customerName,
+          orderNumber: vars.orderNumber,
+          site: siteDoc?.slug || null,
+          locale
+        });
+        results.push({ type: 'email', template: effect.email, ok: true });
+      } catch (e) {
+        console.error(`status email ${effect.email} failed:`, e?.message || e);
+        results.push({ type: 'email', template: effect.email, ok: false, error: e?.message || String(e) });
+      }
+    }
+  }
+
+  if (effect.push) {
+    try {
+      const { statusCode } = await sendOrderNotification(order, { event: effect.push, source: 'status_change' });
+      results.push({ type: 'push', event: effect.push, ok: statusCode < 400, statusCode });
+    } catch (e) {
+      console.error(`status push ${effect.push} failed:`, e?.message || e);
+      results.push({ type: 'push', event: effect.push, ok: false, error: e?.message || String(e) });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * PATCH /api/order/:id/status
+ * body: { status }
+ * Moves follow services/orderStatus.service.js; an illegal move is 409 with
+ * the statuses allowed from the current one.
+ */
 export async function updateOrderStatus(req, res) {
   try {
-    
     const { id } = req.params;
     const { status } = req.body || {};
 
@@ -22,46 +88,65 @@ export async function updateOrderStatus(req, res) {
       return res.status(400).json({ ok: false, message: 'Missing status' });
     }
 
-    const nextStatus = status.trim().toLowerCase();
-    if (!ALLOWED_STATUSES.has(nextStatus)) {
-      return res.status(400).json({
-        ok: false,
-        message: 'Invalid status',
-        allowed: Array.from(ALLOWED_STATUSES),
-      });
-    }
-
     // Fetch order
     const order = await Order.findById(id);
     if (!order) {
       return res.status(404).json({ ok: false, message: 'Order not found' });
     }
 
-    const prevStatus = (order.status || '').toLowerCase();
+    // Orders of other sites look the same as missing ones
+    const siteDoc = order.site ? await Site.findById(order.site).lean() : null;
+    if (!canAccessSite(req.user, siteDoc)) {
+      logScopeDenied(req, { orderId: id, orderSite: order.site, attemptedStatus: status });
+      return res.status(404).json({ ok: false, message: 'Order not found' });
+    }
+
+    const move = checkTransition(order, status);
+    if (!move.ok) {
+      const { code, message, from, to, allowed } = move;
+      return res.status(code === 'invalid_status' ? 400 : 409).json({ ok: false, code, message, from, to, allowed });
+    }
+    const { from, to } = move;
+    if (move.unchanged) {
+      return res.json({ ok: true, order, previous: from, current: to, unchanged: true, effects: [] });
+    }
 
-    // Optional: append to status history (since strict:false, it's safe)
     const now = new Date();
     const actor = req.user?.username || 'system';
-    const entry = { at: now, from: prevStatus || null, to: nextStatus, by: actor };
+    const entry = { at: now, from, to, by: actor };
+
+    const set = { status: to, updatedAt: now };
+    const { timestamp } = transitionEffects(to);
+    if (timestamp && !order.get(timestamp)) set[timestamp] = now;
 
-    // ensure meta.statusHistory exists
-    if (!order.meta || typeof order.meta !== 'object') order.meta = {};
-    if (!Array.isArray(order.meta.statusHistory)) order.meta.statusHistory = [];
-    order.meta.statusHistory.push(entry);
+    // status history lives in meta (strict:false); start it if it is missing
+    const update = { $set: set };
+    if (!order.meta || typeof order.meta !== 'object') set.meta = { statusHistory: [entry] };
+    else if (!Array.isArray(order.meta.statusHistory)) set['meta.statusHistory'] = [entry];
+    else update.$push = { 'meta.statusHistory': entry };
 
-    order.status = nextStatus;
-    order.updatedAt = now;
+    // Only applies if nobody changed the status since it was read
+    const updated = await Order.findOneAndUpdate({ _id: order._id, status: order.status ?? null }, update, { new: true });
+    if (!updated) {
+      return res.status(409).json({ ok: false, code: 'status_changed', message: 'Order status changed, reload and retry' });
+    }
 
-    await order.save();
+    const effects = await runTransitionEffects(updated, siteDoc, { to, actor });
 
     return res.json({
       ok: true,
-      order,
-      previous: prevStatus || null,
-      current: nextStatus,
+      order: updated,
+      previous: from,
+      current: to,
+      effects,
     });
   } catch (err) {
     console.error('updateOrderStatus error:', err);
     return res.status(500).json({ ok: false, message: 'Server error' });
   }
 }
+
+/** GET /api/order/status-model  -> statuses and allowed moves per fulfillment type */
+export async function getOrderStatusModel(req, res) {
+  return res.json({ ok: true, ...orderStatusModel() });
+}
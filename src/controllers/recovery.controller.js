@@ -1,58 +1,69 @@
+import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
 import nodemailer from 'nodemailer';
 import User from '../models/User.js';
-import jwt from 'jsonwebtoken';
 import RecoveryCode from '../models/RecoveryCode.js';
+import { issueSession, revokeAllSessions } from '../services/session.service.js';
+import { clearFailedLogins } from '../services/lockout.service.js';
+import { escapeHtml, maskEmail } from '../services/mail.service.js';
+import { passwordPolicyError } from '../services/password.service.js';
+import { maskPhone, normalizePhone, sendSms } from '../services/sms.service.js';
 
 const SALT_ROUNDS = 10;
+const CHANNELS = ['email', 'sms'];
+// Wrong guesses allowed per issued code before it is thrown away
+const MAX_CODE_ATTEMPTS = parseInt(process.env.MAX_CODE_ATTEMPTS || '5', 10);
 
 function ensureEnv(keys) {
   const missing = keys.filter((k) => !process.env[k]);
   if (missing.length) throw new Error(`Missing required env: ${missing.join(', ')}`);
 }
 
-function maskEmail(email) {
-  try {
-    const [local, domain] = String(email).split('@');
-    if (!local || !domain) return '***@***';
-    if (local.length <= 2) return `${local[0] || '*'}***@${domain}`;
-    return `${local[0]}***${local[local.length - 1]}@${domain}`;
-  } catch {
-    return '***@***';
-  }
-}
-
 function generateNumericCode(length = 6) {
   const min = 10 ** (length - 1);
   const max = 10 ** length - 1;
-  return String(Math.floor(Math.random() * (max - min + 1)) + min);
+  return String(crypto.randomInt(min, max + 1));
 }
 
-function escapeHtml(s) {
-  if (typeof s !== 'string') return '';
-  return s
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
+/**
+ * Counts a wrong guess against `rec`. Returns true when the code has now
+ * used up its attempts (and has been deleted).
+ */
+async function registerFailedCodeAttempt(rec) {
+  const updated = await RecoveryCode.findOneAndUpdate(
+    { _id: rec._id },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (updated && updated.attempts < MAX_CODE_ATTEMPTS) return false;
+
+  try {
+    await RecoveryCode.deleteOne({ _id: rec._id });
+  } catch (e) {
+    console.error('Failed to delete exhausted recovery code:', e?.message || e);
+  }
+  console.warn(`[LOCKOUT] recovery code exhausted for user=${rec.username}`);
+  return true;
 }
 
+// Password-reset codes; rows from before `purpose` existed count as such
+const recoveryCodeFilter = (username) => ({
+  username,
+  purpose: { $in: [null, 'recovery'] }
+});
+
 // POST /api/user/account/recovery/send-code
+// body: { username, channel?: 'email' | 'sms' }
+// Without `channel`, email is used when on file, else a verified recovery phone.
 export const sendRecoveryCode = async (req, res) => {
   try {
-    // ensure required env vars
-    ensureEnv([
-      'SMTP_HOST',
-      'SMTP_PORT',
-      'SMTP_USER',
-      'SMTP_PASS',
-      'SMTP_FROM'
-    ]);
-
-    const { username } = req.body || {};
+    const { username, channel } = req.body || {};
     if (typeof username !== 'string' || username.length === 0) {
       return res.status(400).json({ error: 'username is required' });
     }
+    if (channel !== undefined && !CHANNELS.includes(channel)) {
+      return res.status(400).json({ error: 'channel must be one of: email, sms' });
+    }
 
     // find user (case-sensitive)
     const user = await User.findOne({ username });
@@ -61,11 +72,35 @@ export const sendRecoveryCode = async (req, res) => {
     }
 
     const toEmail = user.recovery_email?.trim();
-    if (!toEmail) {
+    const toPhone = user.recovery_phone_verified_at ? user.recovery_phone : null;
+    const useChannel = channel || (toEmail ? 'email' : toPhone ? 'sms' : null);
+
+    if (!useChannel) {
+      return res
+        .status(409)
+        .json({ error: 'No recovery email or verified phone on file for this user' });
+    }
+    if (useChannel === 'email' && !toEmail) {
       return res
         .status(409)
         .json({ error: 'No recovery email on file for this user' });
     }
+    if (useChannel === 'sms' && !toPhone) {
+      return res
+        .status(409)
+        .json({ error: 'No verified recovery phone on file for this user' });
+    }
+
+    if (useChannel === 'email') {
+      // ensure required env vars
+      ensureEnv([
+        'SMTP_HOST',
+        'SMTP_PORT',
+        'SMTP_USER',
+        'SMTP_PASS',
+        'SMTP_FROM'
+      ]);
+    }
 
     // generate + hash code
     const code = generateNumericCode(6);
@@ -75,11 +110,26 @@ export const sendRecoveryCode = async (req, res) => {
 
     // upsert (replace existing or insert new)
     await RecoveryCode.findOneAndUpdate(
-      { username },
-      { code_hash: codeHash, expires_at: expiresAt },
+      recoveryCodeFilter(username),
+      { code_hash: codeHash, expires_at: expiresAt, attempts: 0, purpose: 'recovery' },
       { upsert: true, new: true }
     );
 
+    if (useChannel === 'sms') {
+      const sms = await sendSms(
+        toPhone,
+        `BlueBoxx recovery code: ${code}. It expires in ${Math.floor(ttlSeconds / 60)} minutes.`
+      );
+      return res.json({
+        message: 'Recovery code sent',
+        username: user.username,
+        channel: 'sms',
+        to: maskPhone(toPhone),
+        expiresInSeconds: ttlSeconds,
+        messageId: sms?.sid || null
+      });
+    }
+
     // --- SMTP (Hostinger) transport ---
     const transporter = nodemailer.createTransport({
       host: process.env.SMTP_HOST,
@@ -133,6 +183,7 @@ If you didn’t request this, ignore this email.`;
     return res.json({
       message: 'Recovery code sent',
       username: user.username,
+      channel: 'email',
       to: maskEmail(toEmail),
       expiresInSeconds: ttlSeconds,
       messageId: info?.messageId || null,
@@ -162,7 +213,7 @@ export const verifyRecoveryCode = async (req, res) => {
     }
 
     // load active code for username
-    const rec = await RecoveryCode.findOne({ username });
+    const rec = await RecoveryCode.findOne(recoveryCodeFilter(username));
     if (!rec) {
       return res.status(400).json({ error: 'No active code for this user' });
     }
@@ -173,6 +224,12 @@ export const verifyRecoveryCode = async (req, res) => {
       return res.status(401).json({ error: 'Code expired' });
     }
 
+    if ((rec.attempts || 0) >= MAX_CODE_ATTEMPTS) {
+      return res
+        .status(429)
+        .json({ error: 'Too many incorrect attempts; request a new code' });
+    }
+
     // compare submitted code vs stored hash
     let ok = false;
     try {
@@ -182,6 +239,11 @@ export const verifyRecoveryCode = async (req, res) => {
       return res.status(500).json({ error: 'Unable to verify code' });
     }
     if (!ok) {
+      if (await registerFailedCodeAttempt(rec)) {
+        return res
+          .status(429)
+          .json({ error: 'Too many incorrect attempts; request a new code' });
+      }
       return res.status(401).json({ error: 'Incorrect code' });
     }
 
@@ -212,10 +274,9 @@ export const resetPasswordAfterRecovery = async (req, res) => {
     if (typeof code !== 'string' || code.length === 0) {
       return res.status(400).json({ error: 'code is required' });
     }
-    if (!(typeof newPassword === 'string' && newPassword.length >= 8)) {
-      return res
-        .status(400)
-        .json({ error: 'newPassword must be at least 8 characters' });
+    const policyError = passwordPolicyError(newPassword, { username });
+    if (policyError) {
+      return res.status(400).json({ error: policyError.replace(/^password/, 'newPassword') });
     }
 
     // 1) load user (case-sensitive)
@@ -223,7 +284,7 @@ export const resetPasswordAfterRecovery = async (req, res) => {
     if (!user) return res.status(404).json({ error: 'User not found' });
 
     // 2) load recovery code for username
-    const rec = await RecoveryCode.findOne({ username });
+    const rec = await RecoveryCode.findOne(recoveryCodeFilter(username));
     if (!rec) return res.status(400).json({ error: 'No active code for this user' });
 
     // 3) expiry check
@@ -236,6 +297,12 @@ export const resetPasswordAfterRecovery = async (req, res) => {
       return res.status(401).json({ error: 'Code expired' });
     }
 
+    if ((rec.attempts || 0) >= MAX_CODE_ATTEMPTS) {
+      return res
+        .status(429)
+        .json({ error: 'Too many incorrect attempts; request a new code' });
+    }
+
     // 4) compare code
     let ok = false;
     try {
@@ -245,6 +312,11 @@ export const resetPasswordAfterRecovery = async (req, res) => {
       return res.status(500).json({ error: 'Unable to verify code' });
     }
     if (!ok) {
+      if (await registerFailedCodeAttempt(rec)) {
+        return res
+          .status(429)
+          .json({ error: 'Too many incorrect attempts; request a new code' });
+      }
       return res.status(401).json({ error: 'Incorrect code' });
     }
 
@@ -272,27 +344,16 @@ export const resetPasswordAfterRecovery = async (req, res) => {
       console.error('Failed to delete recovery code row:', e?.message || e);
     }
 
-    // 6) issue JWT (same extra fields as login)
-    const userId = String(user._id);
-    const jwtPayload = {
-      sub: userId,
-      userId,
-      username: user.username,
-      name: user.name || user.username,
-      recovery_email: user.recovery_email || null,
-      site: user.site ? String(user.site) : null,
-      premium: !!user.premium
-    };
-    const jwtOptions = {
-      algorithm: 'HS256',
-      expiresIn: '30d',
-      issuer: 'blue-boxx'
-    };
-    const token = jwt.sign(jwtPayload, process.env.JWT_SECRET, jwtOptions);
+    // 6) sign out every existing device, then issue a fresh token pair
+    await revokeAllSessions(user._id, 'password_reset');
+    await clearFailedLogins(user);
+    const { token, refreshToken, expiresIn } = await issueSession(user, req);
 
     return res.json({
       message: 'Password reset successful',
       token,
+      refreshToken,
+      expiresIn,
       premium: !!user.premium
     });
   } catch (error) {
@@ -300,3 +361,104 @@ export const resetPasswordAfterRecovery = async (req, res) => {
     return res.status(500).json({ error: 'Something went wrong' });
   }
 };
+
+// POST /api/user/account/recovery-phone   (requireAuth)
+// body: { phone }   (E.164, e.g. "+17805551234")
+// Texts a verification code; the number is only used once verified.
+export const registerRecoveryPhone = async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body?.phone);
+    if (!phone) {
+      return res
+        .status(400)
+        .json({ error: 'phone must be in international format, e.g. +17805551234' });
+    }
+
+    const user = await User.findById(req.user?.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const code = generateNumericCode(6);
+    const ttlSeconds = parseInt(process.env.CODE_TTL_SECONDS || '1800', 10);
+    const codeHash = await bcrypt.hash(code, SALT_ROUNDS);
+
+    await RecoveryCode.findOneAndUpdate(
+      { username: user.username, purpose: 'phone_verify' },
+      {
+        code_hash: codeHash,
+        expires_at: new Date(Date.now() + ttlSeconds * 1000),
+        attempts: 0,
+        target: phone
+      },
+      { upsert: true, new: true }
+    );
+
+    const sms = await sendSms(
+      phone,
+      `BlueBoxx verification code: ${code}. It expires in ${Math.floor(ttlSeconds / 60)} minutes.`
+    );
+
+    return res.json({
+      message: 'Verification code sent',
+      to: maskPhone(phone),
+      expiresInSeconds: ttlSeconds,
+      messageId: sms?.sid || null
+    });
+  } catch (err) {
+    console.error('recovery phone register error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// POST /api/user/account/recovery-phone/verify   (requireAuth)
+// body: { code }
+export const verifyRecoveryPhone = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (typeof code !== 'string' || code.length === 0) {
+      return res.status(400).json({ error: 'code is required' });
+    }
+
+    const username = req.user?.username;
+    const rec = await RecoveryCode.findOne({ username, purpose: 'phone_verify' });
+    if (!rec) {
+      return res.status(400).json({ error: 'No pending phone verification' });
+    }
+
+    const exp = new Date(rec.expires_at);
+    if (Number.isNaN(exp.getTime()) || new Date() > exp) {
+      return res.status(401).json({ error: 'Code expired' });
+    }
+    if ((rec.attempts || 0) >= MAX_CODE_ATTEMPTS) {
+      return res
+        .status(429)
+        .json({ error: 'Too many incorrect attempts; request a new code' });
+    }
+
+    let ok = false;
+    try {
+      ok = await bcrypt.compare(String(code), String(rec.code_hash));
+    } catch (e) {
+      console.error('bcrypt.compare error:', e?.message || e);
+      return res.status(500).json({ error: 'Unable to verify code' });
+    }
+    if (!ok) {
+      if (await registerFailedCodeAttempt(rec)) {
+        return res
+          .status(429)
+          .json({ error: 'Too many incorrect attempts; request a new code' });
+      }
+      return res.status(401).json({ error: 'Incorrect code' });
+    }
+
+    await User.updateOne(
+      { _id: req.user?.userId },
+      { $set: { recovery_phone: rec.target, recovery_phone_verified_at: new Date() } }
+    );
+    await RecoveryCode.deleteOne({ _id: rec._id });
+
+    return res.json({ ok: true, message: 'Recovery phone verified', phone: maskPhone(rec.target) });
+  } catch (err) {
+    console.error('recovery phone verify error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
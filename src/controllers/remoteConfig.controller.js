@@ -0,0 +1,236 @@
+// src/controllers/remoteConfig.controller.js
+// Remote config: the app's polling endpoint and the platform admin API
+// (definitions, rollouts, per-site / per-user overrides).
+import mongoose from 'mongoose';
+import ConfigEntry from '../models/ConfigEntry.js';
+import { recordAudit } from '../services/audit.service.js';
+import {
+  BUILTIN_CONFIG,
+  OVERRIDE_SCOPES,
+  clearConfigCache,
+  configSpec,
+  explainConfig,
+  getClientConfig,
+  isValidConfigKey,
+  listConfigEntries,
+  parseConfigUpdate,
+  validateConfigValue
+} from '../services/remoteConfig.service.js';
+
+const POLL_SECONDS = 300;
+
+const updatedBy = (req) => ({ userId: req.user?.userId || null, username: req.user?.username || null });
+
+/** Validates :key; responds and returns false when invalid */
+const checkKey = (res, key) => {
+  if (!isValidConfigKey(key)) {
+    res.status(400).json({ error: 'key must be lowercase dotted words, e.g. "orders.max_custom_days"' });
+    return false;
+  }
+  return true;
+};
+
+/** Validates :scope/:target; responds and returns false when invalid */
+const checkTarget = (res, scope, target) => {
+  if (!OVERRIDE_SCOPES.includes(scope)) {
+    res.status(400).json({ error: 'scope is invalid', allowed: OVERRIDE_SCOPES });
+    return false;
+  }
+  if (scope === 'user' && !mongoose.Types.ObjectId.isValid(target)) {
+    res.status(400).json({ error: 'Invalid user id' });
+    return false;
+  }
+  return true;
+};
+
+// GET /api/user/config   (requireAuth)
+// Settings and flags for this user on their active site. The app polls
+// this; the ETag lets it send If-None-Match and get 304 when nothing changed.
+export const getMyConfig = async (req, res) => {
+  try {
+    const config = await getClientConfig({ site: req.user?.site || null, userId: req.user?.userId || null });
+    res.set('Cache-Control', 'private, no-cache');
+    return res.json({ config, pollSeconds: POLL_SECONDS });
+  } catch (err) {
+    console.error('get config error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// GET /api/admin/config
+export const listConfig = async (req, res) => {
+  try {
+    const entries = await listConfigEntries();
+    return res.json({ count: entries.length, entries });
+  } catch (err) {
+    console.error('list config error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// PUT /api/admin/config/:key
+// body: { type?, description?, client?, defaultValue?, rollout?: { percentage, value, by? } | null }
+export const upsertConfig = async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!checkKey(res, key)) return;
+
+    const existing = await ConfigEntry.findOne({ key }).lean();
+    const parsed = parseConfigUpdate(key, req.body || {}, existing);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const builtin = BUILTIN_CONFIG[key];
+    const { set } = parsed;
+    const onInsert = {};
+    if (builtin && set.client === undefined) onInsert.client = !!builtin.client;
+    if (builtin && set.description === undefined) onInsert.description = builtin.description;
+
+    const row = await ConfigEntry.findOneAndUpdate(
+      { key },
+      {
+        $set: { ...set, updated_by: updatedBy(req) },
+        ...(Object.keys(onInsert).length ? { $setOnInsert: onInsert } : {})
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+    clearConfigCache();
+
+    await recordAudit(req, {
+      action: existing ? 'config.update' : 'config.create',
+      changes: {
+        key,
+        ...Object.fromEntries(
+          Object.keys(set)
+            .filter((k) => k !== 'type')
+            .map((k) => [k, { from: existing?.[k] ?? null, to: row[k] ?? null }])
+        )
+      }
+    });
+
+    const entry = (await listConfigEntries()).find((e) => e.key === key);
+    return res.json({ message: existing ? 'Setting updated' : 'Setting created', entry });
+  } catch (err) {
+    console.error('upsert config error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// DELETE /api/admin/config/:key
+// Removes a custom key; a built-in key goes back to its code default.
+export const deleteConfig = async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!checkKey(res, key)) return;
+
+    const removed = await ConfigEntry.findOneAndDelete({ key }).lean();
+    if (!removed) return res.status(404).json({ error: 'Setting not found' });
+    clearConfigCache();
+
+    await recordAudit(req, {
+      action: 'config.delete',
+      changes: {
+        key,
+        default_value: removed.default_value ?? null,
+        rollout: removed.rollout || null,
+        overrides: (removed.overrides || []).length
+      }
+    });
+
+    return res.json({ message: BUILTIN_CONFIG[key] ? 'Setting reset to its default' : 'Setting deleted' });
+  } catch (err) {
+    console.error('delete config error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// PUT /api/admin/config/:key/overrides/:scope/:target
+// body: { value }   scope = site (target = slug) | user (target = user id)
+export const putConfigOverride = async (req, res) => {
+  try {
+    const { key, scope, target } = req.params;
+    if (!checkKey(res, key) || !checkTarget(res, scope, target)) return;
+
+    const existing = await ConfigEntry.findOne({ key }).lean();
+    const spec = configSpec(key, existing);
+    if (!spec) return res.status(404).json({ error: 'Setting not found' });
+
+    const value = req.body?.value;
+    const error = validateConfigValue(spec, value);
+    if (error) return res.status(400).json({ error });
+
+    const prev = (existing?.overrides || []).find((o) => o.scope === scope && o.target === target);
+    if (!existing) {
+      await ConfigEntry.create({
+        key,
+        type: spec.type,
+        client: !!spec.client,
+        description: spec.description || null,
+        overrides: [{ scope, target, value }],
+        updated_by: updatedBy(req)
+      });
+    } else {
+      await ConfigEntry.updateOne({ key }, { $pull: { overrides: { scope, target } } });
+      await ConfigEntry.updateOne(
+        { key },
+        { $push: { overrides: { scope, target, value } }, $set: { updated_by: updatedBy(req) } }
+      );
+    }
+    clearConfigCache();
+
+    await recordAudit(req, {
+      action: 'config.override.set',
+      site: scope === 'site' ? target : null,
+      changes: { key, scope, target, value: { from: prev ? prev.value : null, to: value } }
+    });
+
+    return res.json({ message: 'Override saved', key, scope, target, value });
+  } catch (err) {
+    console.error('put config override error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// DELETE /api/admin/config/:key/overrides/:scope/:target
+export const deleteConfigOverride = async (req, res) => {
+  try {
+    const { key, scope, target } = req.params;
+    if (!checkKey(res, key) || !checkTarget(res, scope, target)) return;
+
+    const upd = await ConfigEntry.updateOne(
+      { key, overrides: { $elemMatch: { scope, target } } },
+      { $pull: { overrides: { scope, target } }, $set: { updated_by: updatedBy(req) } }
+    );
+    if (upd.modifiedCount !== 1) return res.status(404).json({ error: 'Override not found' });
+    clearConfigCache();
+
+    await recordAudit(req, {
+      action: 'config.override.remove',
+      site: scope === 'site' ? target : null,
+      changes: { key, scope, target }
+    });
+
+    return res.json({ message: 'Override removed', key, scope, target });
+  } catch (err) {
+    console.error('delete config override error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// GET /api/admin/config/:key/evaluate?site=&userId=
+// What a given site / user would get, and why.
+export const evaluateConfig = async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!checkKey(res, key)) return;
+    const { site, userId } = req.query || {};
+
+    const result = await explainConfig(key, {
+      site: typeof site === 'string' && site ? site : null,
+      userId: typeof userId === 'string' && userId ? userId : null
+    });
+    return res.json({ key, site: site || null, userId: userId || null, ...result });
+  } catch (err) {
+    console.error('evaluate config error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
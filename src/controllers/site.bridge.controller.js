@@ -1,3 +1,5 @@
+import { clientIp } from '../utils/clientIp.js';
+
 const SITE_PLATFORM_URL = process.env.SITE_PLATFORM_URL;
 const SITE_PLATFORM_ADMIN_TOKEN = process.env.SITE_PLATFORM_ADMIN_TOKEN;
 
@@ -9,12 +11,6 @@ const requireSitePlatformUrl = () => {
   }
 };
 
-const getClientIp = (req) => {
-  const fwd = req.headers['x-forwarded-for'];
-  if (typeof fwd === 'string' && fwd.length) return fwd.split(',')[0].trim();
-  return req.ip || req.connection?.remoteAddress || '';
-};
-
 const pickAuthHeaderForUpstream = (req) => {
   // Prefer service token if present, else forward caller Authorization header.
   if (SITE_PLATFORM_ADMIN_TOKEN && SITE_PLATFORM_ADMIN_TOKEN.trim()) {
@@ -129,7 +125,7 @@ export const patchStoreClosedOverrideBridge = async (req, res) => {
 
     // 3) Log basics in console (no DB)
     const action = next ? 'MANUAL_CLOSE' : 'MANUAL_OPEN';
-    const ip = getClientIp(req);
+    const ip = clientIp(req) || '';
     const ua = req.get('user-agent') || '';
 
     // If your auth middleware sets any of these, great; otherwise they'll be "-"
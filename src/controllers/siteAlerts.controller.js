@@ -0,0 +1,67 @@
+// src/controllers/siteAlerts.controller.js
+// Per-site alert phones for the SMS fallback (services/smsFallback.service.js).
+import Site from '../models/Site.js';
+import { recordAudit } from '../services/audit.service.js';
+import { maskPhone } from '../services/sms.service.js';
+import { MAX_ALERT_PHONES, parseAlertPhones, smsFallbackConfig } from '../services/smsFallback.service.js';
+
+const toPublicAlerts = (siteDoc) => {
+  const { enabled, windowSeconds, maxPerWindow } = smsFallbackConfig();
+  return {
+    site: siteDoc.slug,
+    phones: siteDoc.alert_phones || [],
+    maxPhones: MAX_ALERT_PHONES,
+    fallback: { enabled, windowSeconds, maxPerWindow }
+  };
+};
+
+/**
+ * GET /api/site/:slug/alert-phones
+ */
+export const getSiteAlertPhones = async (req, res) => {
+  try {
+    const siteDoc = await Site.findOne({ slug: req.params.slug }, { slug: 1, alert_phones: 1 }).lean();
+    if (!siteDoc) return res.status(404).json({ ok: false, error: 'Site not found' });
+
+    return res.json({ ok: true, ...toPublicAlerts(siteDoc) });
+  } catch (err) {
+    console.error('getSiteAlertPhones error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: 'Failed to load alert phones' });
+  }
+};
+
+/**
+ * PUT /api/site/:slug/alert-phones
+ * Body: { phones: ["+17805551234", ...] }   (empty array turns the SMS fallback off)
+ */
+export const putSiteAlertPhones = async (req, res) => {
+  try {
+    const parsed = parseAlertPhones(req.body?.phones);
+    if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+
+    const prev = await Site.findOne({ slug: req.params.slug }, { alert_phones: 1 }).lean();
+    if (!prev) return res.status(404).json({ ok: false, error: 'Site not found' });
+
+    const siteDoc = await Site.findOneAndUpdate(
+      { slug: req.params.slug },
+      { $set: { alert_phones: parsed.phones } },
+      { new: true, projection: { slug: 1, alert_phones: 1 } }
+    ).lean();
+
+    await recordAudit(req, {
+      action: 'site.alert_phones.update',
+      site: siteDoc.slug,
+      changes: {
+        alert_phones: {
+          from: (prev.alert_phones || []).map(maskPhone),
+          to: parsed.phones.map(maskPhone)
+        }
+      }
+    });
+
+    return res.json({ ok: true, ...toPublicAlerts(siteDoc) });
+  } catch (err) {
+    console.error('putSiteAlertPhones error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: 'Failed to update alert phones' });
+  }
+};
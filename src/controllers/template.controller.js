@@ -0,0 +1,190 @@
+// src/controllers/template.controller.js
+// Per-site message templates (push, SMS, email) and a preview that renders
+// one against a sample order.
+import NotificationTemplate from '../models/NotificationTemplate.js';
+import { recordAudit } from '../services/audit.service.js';
+import { siteTimezone } from '../services/notificationPrefs.service.js';
+import {
+  CHANNEL_FIELDS,
+  LOCALES,
+  TEMPLATES,
+  TEMPLATE_KEYS,
+  orderVariables,
+  parseTemplateFields,
+  renderTemplate,
+  resolveTemplate,
+  siteLocaleAndName,
+  variablesFor
+} from '../services/template.service.js';
+
+const SAMPLE_ORDER = {
+  _id: '665f1c2ab7e4d9a1c3f0b146',
+  orderNumber: 'BB-1146',
+  customerName: 'Alex Tremblay',
+  fulfillmentType: 'pickup',
+  totalCents: 1234,
+  status: 'new'
+};
+
+// sample values for the variables a template adds on top of the order ones
+const SAMPLE_EXTRAS = {
+  pushTitle: '🛒 New Order',
+  pushBody: 'Pickup • $12.34',
+  waitedMinutes: 12
+};
+
+/** Validates :key and :locale; responds and returns false when invalid */
+const checkKeyAndLocale = (res, key, locale) => {
+  if (!TEMPLATES[key]) {
+    res.status(404).json({ ok: false, error: 'Unknown template', allowed: TEMPLATE_KEYS });
+    return false;
+  }
+  if (!LOCALES.includes(locale)) {
+    res.status(400).json({ ok: false, error: 'locale is invalid', allowed: LOCALES });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * GET /api/site/:slug/templates
+ * Every template with its effective fields per locale and which of them
+ * the site overrides.
+ */
+export const listSiteTemplates = async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { locale: siteLocale } = await siteLocaleAndName(slug);
+
+    const templates = [];
+    for (const key of TEMPLATE_KEYS) {
+      const locales = {};
+      for (const locale of LOCALES) {
+        locales[locale] = await resolveTemplate(key, { site: slug, locale });
+      }
+      templates.push({
+        key,
+        channel: TEMPLATES[key].channel,
+        fields: Object.keys(CHANNEL_FIELDS[TEMPLATES[key].channel]),
+        variables: variablesFor(key),
+        locales
+      });
+    }
+
+    return res.json({ ok: true, site: slug, siteLocale, locales: LOCALES, templates });
+  } catch (err) {
+    console.error('listSiteTemplates error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: 'Failed to load templates' });
+  }
+};
+
+/**
+ * PUT /api/site/:slug/templates/:key/:locale
+ * Body: { fields: { title?, body?, subject?, ... } }
+ * Replaces the site's override; fields left out fall back to the default.
+ */
+export const putSiteTemplate = async (req, res) => {
+  try {
+    const { slug, key, locale } = req.params;
+    if (!checkKeyAndLocale(res, key, locale)) return;
+
+    const parsed = parseTemplateFields(key, req.body?.fields);
+    if (parsed.error) {
+      return res.status(400).json({ ok: false, error: parsed.error, allowed: parsed.allowed });
+    }
+
+    const prev = await NotificationTemplate.findOne({ site: slug, key, locale }).lean();
+    await NotificationTemplate.updateOne(
+      { site: slug, key, locale },
+      {
+        $set: {
+          fields: parsed.fields,
+          updated_by: { userId: req.user?.userId || null, username: req.user?.username || null }
+        }
+      },
+      { upsert: true }
+    );
+
+    await recordAudit(req, {
+      action: 'site.template.update',
+      site: slug,
+      changes: { key, locale, fields: { from: prev?.fields || {}, to: parsed.fields } }
+    });
+
+    return res.json({ ok: true, key, locale, ...(await resolveTemplate(key, { site: slug, locale })) });
+  } catch (err) {
+    console.error('putSiteTemplate error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: 'Failed to save template' });
+  }
+};
+
+/**
+ * DELETE /api/site/:slug/templates/:key/:locale
+ * Back to the built-in wording.
+ */
+export const deleteSiteTemplate = async (req, res) => {
+  try {
+    const { slug, key, locale } = req.params;
+    if (!checkKeyAndLocale(res, key, locale)) return;
+
+    const removed = await NotificationTemplate.findOneAndDelete({ site: slug, key, locale }).lean();
+    if (removed) {
+      await recordAudit(req, {
+        action: 'site.template.reset',
+        site: slug,
+        changes: { key, locale, fields: { from: removed.fields || {}, to: {} } }
+      });
+    }
+
+    return res.json({ ok: true, key, locale, ...(await resolveTemplate(key, { site: slug, locale })) });
+  } catch (err) {
+    console.error('deleteSiteTemplate error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: 'Failed to reset template' });
+  }
+};
+
+/**
+ * POST /api/site/:slug/templates/preview
+ * Body: {
+ *   key: string,                  [required] e.g. "push.new_order"
+ *   locale?: 'en' | 'fr',         defaults to the site's locale
+ *   fields?: { ... },             unsaved edits to render instead of the stored ones
+ *   order?: { ... }               values merged over the sample order
+ * }
+ */
+export const previewSiteTemplate = async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { key, locale: wanted, fields, order } = req.body || {};
+    const site = await siteLocaleAndName(slug);
+    const locale = wanted ?? site.locale;
+    if (!checkKeyAndLocale(res, key, locale)) return;
+
+    let draft = null;
+    if (fields !== undefined) {
+      const parsed = parseTemplateFields(key, fields);
+      if (parsed.error) {
+        return res.status(400).json({ ok: false, error: parsed.error, allowed: parsed.allowed });
+      }
+      draft = parsed.fields;
+    }
+
+    const sampleOrder = {
+      ...SAMPLE_ORDER,
+      scheduledFor: new Date(Date.now() + 30 * 60 * 1000),
+      ...(order && typeof order === 'object' && !Array.isArray(order) ? order : {})
+    };
+    const variables = {
+      ...orderVariables(sampleOrder, { locale, timeZone: await siteTimezone(slug), siteName: site.siteName }),
+      ...Object.fromEntries(
+        (TEMPLATES[key].extraVariables || []).map((v) => [v, sampleOrder[v] ?? SAMPLE_EXTRAS[v]])
+      )
+    };
+
+    const rendered = await renderTemplate(key, { site: slug, locale, variables, draft });
+    return res.json({ ok: true, key, locale, channel: TEMPLATES[key].channel, variables, rendered });
+  } catch (err) {
+    console.error('previewSiteTemplate error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: 'Failed to render preview' });
+  }
+};
@@ -0,0 +1,273 @@
+// src/controllers/twofactor.controller.js
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import { ROLES } from '../middleware/permissions.js';
+import { issueSession, verifyMfaChallenge } from '../services/session.service.js';
+import {
+  clearFailedLogins,
+  lockoutRemainingSeconds,
+  recordFailedLogin
+} from '../services/lockout.service.js';
+import {
+  buildOtpauthUri,
+  generateBackupCodes,
+  generateTotpSecret,
+  normalizeBackupCode,
+  verifyTotp
+} from '../services/totp.service.js';
+import { decryptAtRest, encryptAtRest } from '../services/crypto.service.js';
+import { membershipsOf } from '../services/membership.service.js';
+
+const SALT_ROUNDS = 10;
+const TWO_FACTOR_ROLES = [ROLES.OWNER, ROLES.ADMIN];
+
+/** Owners of any of their sites (not only the primary one) and platform admins */
+const mayUseTwoFactor = (user) =>
+  TWO_FACTOR_ROLES.includes(user.role) || membershipsOf(user).some((m) => TWO_FACTOR_ROLES.includes(m.role));
+
+const hashBackupCodes = (codes) =>
+  Promise.all(
+    codes.map(async (c) => ({
+      code_hash: await bcrypt.hash(normalizeBackupCode(c), SALT_ROUNDS),
+      used_at: null
+    }))
+  );
+
+/**
+ * Marks the matching unused backup code as used.
+ * Returns true when one matched.
+ */
+const consumeBackupCode = async (user, submitted) => {
+  const clean = normalizeBackupCode(submitted);
+  if (!clean) return false;
+
+  const codes = user.totp_backup_codes || [];
+  for (let i = 0; i < codes.length; i++) {
+    if (codes[i].used_at) continue;
+    let match = false;
+    try {
+      match = await bcrypt.compare(clean, String(codes[i].code_hash));
+    } catch {
+      match = false;
+    }
+    if (!match) continue;
+
+    // only succeed if nobody consumed it in the meantime
+    const upd = await User.updateOne(
+      { _id: user._id, [`totp_backup_codes.${i}.used_at`]: null },
+      { $set: { [`totp_backup_codes.${i}.used_at`]: new Date() } }
+    );
+    return upd.modifiedCount === 1;
+  }
+  return false;
+};
+
+/**
+ * Checks a TOTP code and records its time step so it cannot be replayed.
+ */
+const consumeTotp = async (user, code) => {
+  if (!user.totp_secret) return false;
+  const step = verifyTotp(decryptAtRest(user.totp_secret), code, {
+    lastUsedStep: user.totp_last_step ?? null
+  });
+  if (step === null) return false;
+
+  const upd = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ totp_last_step: null }, { totp_last_step: { $lt: step } }]
+    },
+    { $set: { totp_last_step: step } }
+  );
+  return upd.modifiedCount === 1;
+};
+
+// POST /api/user/account/2fa/setup   (requireAuth)
+// Returns a fresh secret + otpauth:// URI for the app to show as a QR code.
+export const startTotpEnrollment = async (req, res) => {
+  try {
+    const user = await User.findById(req.user?.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (!mayUseTwoFactor(user)) {
+      return res.status(403).json({ error: 'Two-factor authentication is available to owner accounts' });
+    }
+    if (user.totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    user.totp_pending_secret = encryptAtRest(secret);
+    await user.save();
+
+    return res.json({
+      message: 'Scan the QR code, then confirm with a code from your app',
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.username)
+    });
+  } catch (err) {
+    console.error('2fa setup error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// POST /api/user/account/2fa/confirm   (requireAuth)
+// body: { code }
+// Turns 2FA on and returns the backup codes (shown once).
+export const confirmTotpEnrollment = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (typeof code !== 'string' || code.length === 0) {
+      return res.status(400).json({ error: 'code is required' });
+    }
+
+    const user = await User.findById(req.user?.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.totp_pending_secret) {
+      return res.status(400).json({ error: 'Start setup before confirming' });
+    }
+
+    const secret = decryptAtRest(user.totp_pending_secret);
+    const step = verifyTotp(secret, code);
+    if (step === null) {
+      return res.status(401).json({ error: 'Incorrect code' });
+    }
+
+    const backupCodes = generateBackupCodes();
+    user.totp_secret = user.totp_pending_secret;
+    user.totp_pending_secret = null;
+    user.totp_enabled = true;
+    user.totp_last_step = step;
+    user.totp_backup_codes = await hashBackupCodes(backupCodes);
+    await user.save();
+
+    return res.json({
+      message: 'Two-factor authentication enabled',
+      backupCodes
+    });
+  } catch (err) {
+    console.error('2fa confirm error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// POST /api/user/account/2fa/disable   (requireAuth)
+// body: { password, code }   (code may be a TOTP or a backup code)
+export const disableTotp = async (req, res) => {
+  try {
+    const { password, code } = req.body || {};
+    if (typeof password !== 'string' || password.length === 0) {
+      return res.status(400).json({ error: 'password is required' });
+    }
+    if (typeof code !== 'string' || code.length === 0) {
+      return res.status(400).json({ error: 'code is required' });
+    }
+
+    const user = await User.findById(req.user?.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    // guesses count towards the login lockout; locked accounts get the same answer
+    if (lockoutRemainingSeconds(user) > 0) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    let passwordOk = false;
+    try {
+      passwordOk = typeof user.password === 'string' && (await bcrypt.compare(password, user.password));
+    } catch {
+      passwordOk = false;
+    }
+    const codeOk = passwordOk && ((await consumeTotp(user, code)) || (await consumeBackupCode(user, code)));
+    if (!passwordOk || !codeOk) {
+      await recordFailedLogin(user);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    await clearFailedLogins(user);
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          totp_enabled: false,
+          totp_secret: null,
+          totp_pending_secret: null,
+          totp_last_step: null,
+          totp_backup_codes: []
+        }
+      }
+    );
+
+    return res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error('2fa disable error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// POST /api/user/login/2fa
+// body: { challengeToken, code? , backupCode? }
+// Second login step for users with 2FA; issues the token pair on success.
+export const verifyLoginTwoFactor = async (req, res) => {
+  try {
+    if (!process.env.JWT_SECRET) {
+      console.error('JWT_SECRET is not set');
+      return res.status(500).json({ error: 'Server misconfiguration' });
+    }
+
+    const { challengeToken, code, backupCode } = req.body || {};
+    if (typeof challengeToken !== 'string' || challengeToken.length === 0) {
+      return res.status(400).json({ error: 'challengeToken is required' });
+    }
+    if (typeof code !== 'string' && typeof backupCode !== 'string') {
+      return res.status(400).json({ error: 'code or backupCode is required' });
+    }
+
+    const userId = verifyMfaChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ error: 'Challenge expired, please log in again' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.totp_enabled || user.disabled) {
+      return res.status(401).json({ error: 'Challenge expired, please log in again' });
+    }
+
+    // locked accounts get the same answer as a wrong code (like /login)
+    if (lockoutRemainingSeconds(user) > 0) {
+      return res.status(401).json({ error: 'Incorrect code' });
+    }
+
+    const ok =
+      typeof code === 'string'
+        ? await consumeTotp(user, code)
+        : await consumeBackupCode(user, backupCode);
+
+    if (!ok) {
+      await recordFailedLogin(user);
+      return res.status(401).json({ error: 'Incorrect code' });
+    }
+
+    await clearFailedLogins(user);
+    const { token, refreshToken, expiresIn } = await issueSession(user, req);
+
+    const remaining = (user.totp_backup_codes || []).filter((c) => !c.used_at).length;
+
+    return res.status(200).json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      expiresIn,
+      premium: !!user.premium,
+      tempPassword: false,
+      backupCodesRemaining: typeof code === 'string' ? remaining : Math.max(remaining - 1, 0)
+    });
+  } catch (err) {
+    console.error('2fa login error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
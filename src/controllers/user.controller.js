@@ -1,57 +1,195 @@
 // src/controllers/user.controller.js
-import crypto from 'crypto';
+// Authenticated user management (replaces the old shared-secret POST /api/user/create).
+// Owners manage the users of their own site; platform admins manage every site.
+// The first platform admin is created with `npm run create-admin`.
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import { ROLES, ROLE_VALUES } from '../middleware/permissions.js';
+import { allowedSitesFor, canAccessSite, logScopeDenied } from '../middleware/siteScope.js';
+import { recordAudit, diffFields } from '../services/audit.service.js';
+import { revokeAllSessions } from '../services/session.service.js';
+import { generateTempPassword, hashPassword } from '../services/password.service.js';
+import { removeAllDevices } from '../services/device.service.js';
+import { syncUserDeviceTopics } from '../services/topic.service.js';
+import {
+  removeAllWebPushSubscriptions,
+  removeWebPushSubscriptionsForSite
+} from '../services/webpush.service.js';
+import {
+  anySiteMemberFilter,
+  membershipsOf,
+  siteMemberFilter
+} from '../services/membership.service.js';
 
-// --- Config ---
-const USER_SECRET = process.env.CREATE_USER_SECRET || ''; // set in your env
-
-function ensureSecretPresent() {
-  if (!USER_SECRET) {
-    // Fail fast if you forgot to configure it
-    throw new Error('Missing env USER_SECRET');
-  }
-}
-
-/** constant-time comparison to avoid timing leaks */
-function secretsMatch(a, b) {
-  try {
-    const abuf = Buffer.from(String(a || ''), 'utf8');
-    const bbuf = Buffer.from(String(b || ''), 'utf8');
-    return (
-      abuf.length === bbuf.length &&
-      crypto.timingSafeEqual(abuf, bbuf)
-    );
-  } catch {
-    return false;
-  }
-}
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 25;
 
 // Helper to send consistent JSON responses
 function send(res, data, status = 200) {
   res.status(status).json(data);
 }
 
-// POST /api/user/create
-// body: { username, temp_Password, name, site, secret }
-export const createUser = async (req, res) => {
+// Clamp integer safely
+const clampInt = (val, min, max, fallback) => {
+  const n = Number.parseInt(val, 10);
+  if (Number.isNaN(n)) return fallback;
+  return Math.min(Math.max(n, min), max);
+};
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Never expose secrets (passwords, TOTP material) to the client */
+const toPublicUser = (u) => ({
+  id: String(u._id),
+  username: u.username,
+  name: u.name,
+  site: u.site,
+  role: u.role,
+  memberships: membershipsOf(u),
+  premium: !!u.premium,
+  recovery_email: u.recovery_email || null,
+  disabled: !!u.disabled,
+  disabled_at: u.disabled_at || null,
+  tempPassword: u.password === null,
+  totp_enabled: !!u.totp_enabled,
+  locked_until: u.lockout_until || null,
+  created_at: u.created_at,
+  updated_at: u.updated_at
+});
+
+const isAdmin = (req) => req.user?.role === ROLES.ADMIN;
+
+/** Platform admins manage everyone; others the members of any of their sites */
+const managesUser = (req, user) =>
+  isAdmin(req) || membershipsOf(user).some((m) => canAccessSite(req.user, m.site));
+
+/**
+ * Loads the :id user if the caller may manage them.
+ * Sends the error response itself and returns null otherwise.
+ */
+const loadManagedUser = async (req, res) => {
+  const { id } = req.params || {};
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    send(res, { error: 'Invalid user id' }, 400);
+    return null;
+  }
+
+  const user = await User.findById(id);
+  // users of other sites look the same as missing ones
+  if (!user || !managesUser(req, user)) {
+    if (user) logScopeDenied(req, { targetUser: id, targetSite: user.site });
+    send(res, { error: 'User not found' }, 404);
+    return null;
+  }
+
+  // only platform admins may touch platform admins
+  if (user.role === ROLES.ADMIN && !isAdmin(req)) {
+    send(res, { error: 'Forbidden' }, 403);
+    return null;
+  }
+
+  return user;
+};
+
+const isSelf = (req, user) => String(user._id) === String(req.user?.userId);
+
+// GET /api/admin/users?site=&q=&status=active|disabled|all&role=&page=&limit=
+export const listUsers = async (req, res) => {
   try {
-    ensureSecretPresent();
+    const { site, q, status, role } = req.query || {};
+    const page = clampInt(req.query?.page, 1, 10_000, 1);
+    const limit = clampInt(req.query?.limit, 1, MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE);
+
+    const filter = { $and: [] };
 
-    const { username, temp_Password, name, site, secret } = req.body || {};
+    // members of the site, whether it is their primary site or not
+    const allowed = allowedSitesFor(req.user);
+    if (site) {
+      if (!canAccessSite(req.user, String(site))) {
+        logScopeDenied(req, { requestedSite: site });
+        return send(res, { error: 'Site access denied' }, 403);
+      }
+      filter.$and.push(siteMemberFilter(String(site)));
+    } else if (allowed !== null) {
+      filter.$and.push(anySiteMemberFilter(allowed));
+    }
 
-    // Secret required
-    if (typeof secret !== 'string' || secret.length === 0) {
-      return send(res, { error: 'secret is required' }, 400);
+    if (typeof q === 'string' && q.trim()) {
+      const rx = new RegExp(escapeRegex(q.trim()), 'i');
+      filter.$and.push({ $or: [{ username: rx }, { name: rx }, { recovery_email: rx }] });
     }
-    if (!secretsMatch(secret, USER_SECRET)) {
-      // Don't reveal which side is wrong
-      return send(res, { error: 'invalid credentials' }, 403);
+
+    if (status === 'disabled') filter.disabled = true;
+    else if (status !== 'all') filter.disabled = { $ne: true };
+
+    if (role) {
+      if (!ROLE_VALUES.includes(role)) {
+        return send(res, { error: 'role is invalid', allowed: ROLE_VALUES }, 400);
+      }
+      filter.role = role;
     }
+    if (filter.$and.length === 0) delete filter.$and;
+
+    const [total, users] = await Promise.all([
+      User.countDocuments(filter),
+      User.find(filter)
+        .sort({ site: 1, username: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+    ]);
+
+    return send(res, {
+      page,
+      limit,
+      total,
+      users: users.map(toPublicUser)
+    });
+  } catch (err) {
+    console.error('list users error:', err?.stack || err?.message || err);
+    return send(res, { error: 'Something went wrong' }, 500);
+  }
+};
+
+// GET /api/admin/users/:id
+export const getUser = async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+    return send(res, { user: toPublicUser(user) });
+  } catch (err) {
+    console.error('get user error:', err?.stack || err?.message || err);
+    return send(res, { error: 'Something went wrong' }, 500);
+  }
+};
+
+// POST /api/admin/users
+// body: { username, name, site, role? }
+// Responds with a generated temp password, shown once.
+export const createUser = async (req, res) => {
+  try {
+    const { username, name, site, role } = req.body || {};
 
     // Validate input
     if (typeof username !== 'string' || username.trim().length === 0) {
       return send(res, { error: 'username is required' }, 400);
     }
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return send(res, { error: 'name is required' }, 400);
+    }
+    if (typeof site !== 'string' || site.trim().length === 0) {
+      return send(res, { error: 'site is required' }, 400);
+    }
+    if (role !== undefined && !ROLE_VALUES.includes(role)) {
+      return send(res, { error: 'role is invalid', allowed: ROLE_VALUES }, 400);
+    }
+    if (role === ROLES.ADMIN && !isAdmin(req)) {
+      return send(res, { error: 'Forbidden' }, 403);
+    }
+    if (!canAccessSite(req.user, site.trim())) {
+      logScopeDenied(req, { requestedSite: site });
+      return send(res, { error: 'Site access denied' }, 403);
+    }
 
     // Check if username exists (case-sensitive)
     const existing = await User.findOne({ username });
@@ -59,23 +197,32 @@ export const createUser = async (req, res) => {
       return send(res, { error: 'Username already exists' }, 409);
     }
 
-    // Create user (password = null)
+    const tempPassword = generateTempPassword();
+
+    // Create user (password = null → temp password flow on first login)
     const user = await User.create({
       username,
-      site,
+      site: site.trim(),
       name,
       password: null,
-      temp_password: temp_Password || 'BlueBoxxNewUser',
-      premium: false
+      temp_password: await hashPassword(tempPassword),
+      premium: false,
+      role: role || ROLES.STAFF
+    });
+
+    await recordAudit(req, {
+      action: 'user.create',
+      site: user.site,
+      targetUser: user,
+      changes: { role: user.role }
     });
 
     return send(
       res,
       {
         message: 'User created',
-        userId: user._id,
-        username,
-        tempPassword: false
+        user: toPublicUser(user),
+        tempPassword
       },
       201
     );
@@ -84,3 +231,388 @@ export const createUser = async (req, res) => {
     return send(res, { error: 'Something went wrong' }, 500);
   }
 };
+
+// PATCH /api/admin/users/:id
+// body: { name?, role?, recovery_email?, site? (admin only) }
+export const updateUser = async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    const { name, role, recovery_email: recoveryEmail, site } = req.body || {};
+    const next = {};
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || name.trim().length === 0) {
+        return send(res, { error: 'name must be a non-empty string' }, 400);
+      }
+      next.name = name.trim();
+    }
+
+    if (role !== undefined) {
+      if (!ROLE_VALUES.includes(role)) {
+        return send(res, { error: 'role is invalid', allowed: ROLE_VALUES }, 400);
+      }
+      if (role === ROLES.ADMIN && !isAdmin(req)) {
+        return send(res, { error: 'Forbidden' }, 403);
+      }
+      if (isSelf(req, user) && role !== user.role) {
+        return send(res, { error: 'You cannot change your own role' }, 409);
+      }
+      // `role` is the primary site's; other sites change theirs via memberships
+      if (role !== user.role && !canAccessSite(req.user, user.site)) {
+        logScopeDenied(req, { targetUser: user._id, targetSite: user.site });
+        return send(res, { error: 'Roles on other sites change through /memberships/:site' }, 403);
+      }
+      next.role = role;
+    }
+
+    if (recoveryEmail !== undefined) {
+      if (recoveryEmail !== null && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(recoveryEmail).trim())) {
+        return send(res, { error: 'recovery_email is invalid' }, 400);
+      }
+      next.recovery_email = recoveryEmail === null ? null : String(recoveryEmail).trim().toLowerCase();
+    }
+
+    if (site !== undefined) {
+      if (!isAdmin(req)) return send(res, { error: 'Forbidden' }, 403);
+      if (typeof site !== 'string' || site.trim().length === 0) {
+        return send(res, { error: 'site must be a non-empty string' }, 400);
+      }
+      next.site = site.trim();
+    }
+
+    const changes = diffFields(user.toObject(), next);
+    if (Object.keys(changes).length === 0) {
+      return send(res, { message: 'No changes', user: toPublicUser(user) });
+    }
+
+    Object.assign(user, next);
+    await user.save();
+
+    // role/site live in the JWT; make the user sign in again
+    if (changes.role || changes.site) {
+      await revokeAllSessions(user._id, 'user_updated');
+      await syncUserDeviceTopics(user._id);
+    }
+
+    await recordAudit(req, { action: 'user.update', site: user.site, targetUser: user, changes });
+
+    return send(res, { message: 'User updated', user: toPublicUser(user) });
+  } catch (err) {
+    console.error('update user error:', err?.stack || err?.message || err);
+    return send(res, { error: 'Something went wrong' }, 500);
+  }
+};
+
+// PATCH /api/admin/users/:id/premium   (platform admin only)
+// body: { premium: boolean }
+export const setUserPremium = async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    const { premium } = req.body || {};
+    if (typeof premium !== 'boolean') {
+      return send(res, { error: '`premium` must be boolean' }, 400);
+    }
+
+    const changes = diffFields({ premium: !!user.premium }, { premium });
+    user.premium = premium;
+    await user.save();
+
+    await recordAudit(req, { action: 'user.premium', site: user.site, targetUser: user, changes });
+
+    return send(res, { message: 'Premium updated', user: toPublicUser(user) });
+  } catch (err) {
+    console.error('set premium error:', err?.stack || err?.message || err);
+    return send(res, { error: 'Something went wrong' }, 500);
+  }
+};
+
+// POST /api/admin/users/:id/disable
+export const disableUser = async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+    if (isSelf(req, user)) {
+      return send(res, { error: 'You cannot disable your own account' }, 409);
+    }
+    if (user.disabled) {
+      return send(res, { message: 'User already disabled', user: toPublicUser(user) });
+    }
+
+    user.disabled = true;
+    user.disabled_at = new Date();
+    await user.save();
+
+    const revokedSessions = await revokeAllSessions(user._id, 'user_disabled');
+    const removedDevices = await removeAllDevices(user._id);
+    await removeAllWebPushSubscriptions(user._id);
+
+    await recordAudit(req, {
+      action: 'user.disable',
+      site: user.site,
+      targetUser: user,
+      changes: { revokedSessions, removedDevices }
+    });
+
+    return send(res, { message: 'User disabled', user: toPublicUser(user) });
+  } catch (err) {
+    console.error('disable user error:', err?.stack || err?.message || err);
+    return send(res, { error: 'Something went wrong' }, 500);
+  }
+};
+
+// POST /api/admin/users/:id/enable
+export const enableUser = async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+    if (!user.disabled) {
+      return send(res, { message: 'User already enabled', user: toPublicUser(user) });
+    }
+
+    user.disabled = false;
+    user.disabled_at = null;
+    await user.save();
+
+    await recordAudit(req, { action: 'user.enable', site: user.site, targetUser: user });
+
+    return send(res, { message: 'User enabled', user: toPublicUser(user) });
+  } catch (err) {
+    console.error('enable user error:', err?.stack || err?.message || err);
+    return send(res, { error: 'Something went wrong' }, 500);
+  }
+};
+
+// POST /api/admin/users/:id/reset-temp-password
+// Clears the password so the user goes through account setup again.
+export const resetUserToTempPassword = async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    const tempPassword = generateTempPassword();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          password: null,
+          temp_password: await hashPassword(tempPassword),
+          failed_login_count: 0,
+          lockout_count: 0,
+          lockout_until: null
+        }
+      }
+    );
+
+    const revokedSessions = await revokeAllSessions(user._id, 'temp_password_reset');
+
+    await recordAudit(req, {
+      action: 'user.reset_temp_password',
+      site: user.site,
+      targetUser: user,
+      changes: { revokedSessions }
+    });
+
+    return send(res, {
+      message: 'User reset to temporary password',
+      userId: String(user._id),
+      username: user.username,
+      tempPassword
+    });
+  } catch (err) {
+    console.error('reset temp password error:', err?.stack || err?.message || err);
+    return send(res, { error: 'Something went wrong' }, 500);
+  }
+};
+
+// DELETE /api/admin/users/:id
+export const deleteUser = async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+    if (isSelf(req, user)) {
+      return send(res, { error: 'You cannot delete your own account' }, 409);
+    }
+
+    await revokeAllSessions(user._id, 'user_deleted');
+    await removeAllDevices(user._id);
+    await removeAllWebPushSubscriptions(user._id);
+    await User.deleteOne({ _id: user._id });
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      site: user.site,
+      targetUser: user,
+      changes: { role: user.role }
+    });
+
+    return send(res, { message: 'User deleted', userId: String(user._id) });
+  } catch (err) {
+    console.error('delete user error:', err?.stack || err?.message || err);
+    return send(res, { error: 'Something went wrong' }, 500);
+  }
+};
+
+// GET /api/admin/audit?site=&userId=&action=&page=&limit=
+export const listAuditLog = async (req, res) => {
+  try {
+    const { site, userId, action } = req.query || {};
+    const page = clampInt(req.query?.page, 1, 10_000, 1);
+    const limit = clampInt(req.query?.limit, 1, MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE);
+
+    const filter = {};
+    const allowed = allowedSitesFor(req.user);
+    if (site) {
+      if (!canAccessSite(req.user, String(site))) {
+        logScopeDenied(req, { requestedSite: site });
+        return send(res, { error: 'Site access denied' }, 403);
+      }
+      filter.site = String(site);
+    } else if (allowed !== null) {
+      filter.site = { $in: allowed };
+    }
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return send(res, { error: 'Invalid userId' }, 400);
+      }
+      filter.target_user = userId;
+    }
+    if (typeof action === 'string' && action) filter.action = action;
+
+    const [total, entries] = await Promise.all([
+      AuditLog.countDocuments(filter),
+      AuditLog.find(filter)
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+
+    return send(res, { page, limit, total, entries });
+  } catch (err) {
+    console.error('list audit error:', err?.stack || err?.message || err);
+    return send(res, { error: 'Something went wrong' }, 500);
+  }
+};
+
+/**
+ * Loads the :id user for membership changes on `site`, which the caller
+ * must be able to access. Like loadManagedUser, unless the caller is a
+ * platform admin the user must already be a member of one of the caller's
+ * sites.
+ */
+const loadUserForMembership = async (req, res, site) => {
+  const { id } = req.params || {};
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    send(res, { error: 'Invalid user id' }, 400);
+    return null;
+  }
+  if (!canAccessSite(req.user, site)) {
+    logScopeDenied(req, { targetUser: id, requestedSite: site });
+    send(res, { error: 'Site access denied' }, 403);
+    return null;
+  }
+
+  const user = await User.findById(id);
+  // users the caller does not manage look the same as missing ones
+  if (!user || !managesUser(req, user)) {
+    if (user) logScopeDenied(req, { targetUser: id, requestedSite: site });
+    send(res, { error: 'User not found' }, 404);
+    return null;
+  }
+  if (user.role === ROLES.ADMIN && !isAdmin(req)) {
+    send(res, { error: 'Forbidden' }, 403);
+    return null;
+  }
+  return user;
+};
+
+// PUT /api/admin/users/:id/memberships/:site
+// body: { role }
+// Adds the user to a site, or changes their role there.
+export const upsertMembership = async (req, res) => {
+  try {
+    const site = String(req.params?.site || '').trim();
+    const { role } = req.body || {};
+    if (!site) return send(res, { error: 'site is required' }, 400);
+    if (!ROLE_VALUES.includes(role) || role === ROLES.ADMIN) {
+      return send(res, { error: 'role is invalid', allowed: ROLE_VALUES.filter((r) => r !== ROLES.ADMIN) }, 400);
+    }
+
+    const user = await loadUserForMembership(req, res, site);
+    if (!user) return;
+    if (isSelf(req, user)) {
+      return send(res, { error: 'You cannot change your own membership' }, 409);
+    }
+
+    const before = membershipsOf(user).find((m) => m.site === site) || null;
+
+    if (user.site === site) {
+      // primary membership lives on the top-level fields
+      user.role = role;
+    } else {
+      const existing = (user.memberships || []).find((m) => m.site === site);
+      if (existing) existing.role = role;
+      else user.memberships.push({ site, role });
+    }
+    await user.save();
+
+    await revokeAllSessions(user._id, 'membership_changed');
+    await syncUserDeviceTopics(user._id);
+    await recordAudit(req, {
+      action: before ? 'user.membership.update' : 'user.membership.add',
+      site,
+      targetUser: user,
+      changes: { role: { from: before?.role || null, to: role } }
+    });
+
+    return send(res, { message: 'Membership saved', user: toPublicUser(user) });
+  } catch (err) {
+    console.error('upsert membership error:', err?.stack || err?.message || err);
+    return send(res, { error: 'Something went wrong' }, 500);
+  }
+};
+
+// DELETE /api/admin/users/:id/memberships/:site
+// The primary site cannot be removed (delete or move the user instead).
+export const removeMembership = async (req, res) => {
+  try {
+    const site = String(req.params?.site || '').trim();
+    if (!site) return send(res, { error: 'site is required' }, 400);
+
+    const user = await loadUserForMembership(req, res, site);
+    if (!user) return;
+    if (isSelf(req, user)) {
+      return send(res, { error: 'You cannot change your own membership' }, 409);
+    }
+    if (user.site === site) {
+      return send(res, { error: 'Cannot remove the primary site membership' }, 409);
+    }
+
+    const before = (user.memberships || []).find((m) => m.site === site);
+    if (!before) {
+      return send(res, { error: 'User is not a member of this site' }, 404);
+    }
+
+    user.memberships = user.memberships.filter((m) => m.site !== site);
+    await user.save();
+    await removeWebPushSubscriptionsForSite(user._id, site);
+
+    await revokeAllSessions(user._id, 'membership_changed');
+    await syncUserDeviceTopics(user._id);
+    await recordAudit(req, {
+      action: 'user.membership.remove',
+      site,
+      targetUser: user,
+      changes: { role: { from: before.role, to: null } }
+    });
+
+    return send(res, { message: 'Membership removed', user: toPublicUser(user) });
+  } catch (err) {
+    console.error('remove membership error:', err?.stack || err?.message || err);
+    return send(res, { error: 'Something went wrong' }, 500);
+  }
+};
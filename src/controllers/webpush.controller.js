@@ -0,0 +1,68 @@
+// src/controllers/webpush.controller.js
+// Browser (VAPID) push subscriptions for the signed-in user's active site.
+import { vapidPublicKey } from '../config/webpush.js';
+import {
+  isWebPushEnabled,
+  parseSubscription,
+  removeSubscription,
+  saveSubscription
+} from '../services/webpush.service.js';
+
+// GET /api/user/webpush/vapid-public-key   (requireAuth)
+// The browser passes this to pushManager.subscribe({ applicationServerKey })
+export const getVapidPublicKey = (req, res) => {
+  if (!isWebPushEnabled()) {
+    return res.status(503).json({ error: 'Web Push is not configured' });
+  }
+  return res.json({ publicKey: vapidPublicKey });
+};
+
+// POST /api/user/webpush/subscriptions   (requireAuth)
+// body: { subscription: PushSubscription.toJSON() }
+export const subscribeWebPush = async (req, res) => {
+  try {
+    if (!isWebPushEnabled()) {
+      return res.status(503).json({ error: 'Web Push is not configured' });
+    }
+    const subscription = parseSubscription(req.body?.subscription);
+    if (!subscription) {
+      return res.status(400).json({ error: 'subscription must have a browser push service endpoint and p256dh/auth keys' });
+    }
+    if (!req.user?.site) {
+      return res.status(400).json({ error: 'No active site on this session' });
+    }
+
+    const saved = await saveSubscription({
+      userId: req.user.userId,
+      site: req.user.site,
+      subscription,
+      userAgent: req.get('user-agent') || null
+    });
+
+    return res.status(201).json({
+      message: 'Subscribed',
+      subscription: { id: String(saved._id), site: saved.site, created_at: saved.created_at }
+    });
+  } catch (err) {
+    console.error('web push subscribe error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
+
+// DELETE /api/user/webpush/subscriptions   (requireAuth)
+// body: { endpoint }
+export const unsubscribeWebPush = async (req, res) => {
+  try {
+    const { endpoint } = req.body || {};
+    if (typeof endpoint !== 'string' || endpoint.length === 0) {
+      return res.status(400).json({ error: 'endpoint is required' });
+    }
+    if (!(await removeSubscription(endpoint, req.user.userId))) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    return res.json({ message: 'Unsubscribed' });
+  } catch (err) {
+    console.error('web push unsubscribe error:', err?.stack || err?.message || err);
+    return res.status(500).json({ error: 'Something went wrong' });
+  }
+};
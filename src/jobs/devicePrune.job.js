@@ -0,0 +1,36 @@
+// src/jobs/devicePrune.job.js
+// Daily cleanup of dead device rows (services/device.service.js
+// pruneStaleDevices). Started from server.js.
+import { isDBConnected } from '../config/db.js';
+import { pruneStaleDevices } from '../services/device.service.js';
+
+const STALE_DAYS = Number(process.env.DEVICE_STALE_DAYS || 60);
+const INTERVAL_HOURS = 24;
+
+let running = false;
+
+export const runDevicePrune = async () => {
+  if (running || !isDBConnected()) return;
+  running = true;
+  try {
+    const removed = await pruneStaleDevices(STALE_DAYS);
+    if (removed) console.log(`[DEVICES] pruned ${removed} stale device(s) without a token`);
+  } catch (e) {
+    console.error('[DEVICES] prune failed:', e?.message || e);
+  } finally {
+    running = false;
+  }
+};
+
+/** Starts the daily prune unless DEVICE_PRUNE_ENABLED=false. Returns the timer. */
+export const startDevicePruneJob = () => {
+  if (String(process.env.DEVICE_PRUNE_ENABLED || 'true').toLowerCase() === 'false') {
+    console.log('[DEVICES] prune disabled');
+    return null;
+  }
+  // first run shortly after boot, once the DB is usually connected
+  setTimeout(runDevicePrune, 60 * 1000).unref();
+  const timer = setInterval(runDevicePrune, INTERVAL_HOURS * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
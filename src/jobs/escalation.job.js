@@ -0,0 +1,94 @@
+// src/jobs/escalation.job.js
+// In-process poller for services/escalation.service.js. Started from
+// server.js; safe to run on several instances (rows are leased).
+import Order from '../models/Order.js';
+import OrderEscalation from '../models/OrderEscalation.js';
+import { isDBConnected } from '../config/db.js';
+import { sendOrderNotification } from '../controllers/notify.controller.js';
+import {
+  alertSiteOwners,
+  claimDueEscalation,
+  escalationConfig,
+  isEscalatingStatus,
+  stopEscalation
+} from '../services/escalation.service.js';
+
+const TICK_SECONDS = Number(process.env.ESCALATION_TICK_SECONDS || 30);
+const MAX_PER_TICK = 20;
+
+const processEscalation = async (esc) => {
+  const order = await Order.findById(esc.order).lean();
+  if (!order) return stopEscalation(esc.order, 'order_missing', 'system');
+  if (!isEscalatingStatus(order.status)) {
+    return stopEscalation(esc.order, `status:${order.status}`, 'system');
+  }
+
+  const { intervalSeconds, ownerAlertAfterSeconds, maxRenotify } = escalationConfig();
+  const now = new Date();
+  const startedAt = new Date(esc.started_at).getTime();
+  const set = { locked_until: null };
+  const inc = {};
+
+  let ownerAlerted = !!esc.owner_alerted_at;
+  if (!ownerAlerted && now.getTime() - startedAt >= ownerAlertAfterSeconds * 1000) {
+    set.owner_alerts = await alertSiteOwners(esc, order);
+    set.owner_alerted_at = now;
+    ownerAlerted = true;
+  }
+
+  if (esc.renotify_count < maxRenotify) {
+    const attempt = esc.renotify_count + 1;
+    const result = await sendOrderNotification(order, { escalationAttempt: attempt, source: 'escalation' });
+    if (result.statusCode !== 200) {
+      console.warn(`[ESCALATION] re-notify ${esc.order} #${attempt}:`, result.body?.error || result.statusCode);
+    }
+    inc.renotify_count = 1;
+    set.last_renotify_at = now;
+    set.next_run_at = new Date(now.getTime() + intervalSeconds * 1000);
+  } else if (ownerAlerted) {
+    set.status = 'exhausted';
+  } else {
+    // out of re-notifications; wake up again when the owner alert is due
+    set.next_run_at = new Date(startedAt + ownerAlertAfterSeconds * 1000);
+  }
+
+  // conditional on `active` so a concurrent stopEscalation wins
+  await OrderEscalation.updateOne(
+    { _id: esc._id, status: 'active' },
+    { $set: set, ...(Object.keys(inc).length ? { $inc: inc } : {}) }
+  );
+};
+
+let running = false;
+
+export const runEscalationTick = async () => {
+  if (running || !isDBConnected()) return;
+  running = true;
+  try {
+    for (let i = 0; i < MAX_PER_TICK; i++) {
+      const esc = await claimDueEscalation();
+      if (!esc) break;
+      try {
+        await processEscalation(esc);
+      } catch (e) {
+        console.error(`[ESCALATION] ${esc.order} failed:`, e?.stack || e?.message || e);
+      }
+    }
+  } catch (e) {
+    console.error('[ESCALATION] tick failed:', e?.message || e);
+  } finally {
+    running = false;
+  }
+};
+
+/** Starts the poller unless ESCALATION_ENABLED=false. Returns the timer. */
+export const startEscalationJob = () => {
+  if (String(process.env.ESCALATION_ENABLED || 'true').toLowerCase() === 'false') {
+    console.log('[ESCALATION] disabled');
+    return null;
+  }
+  const timer = setInterval(runEscalationTick, TICK_SECONDS * 1000);
+  timer.unref();
+  console.log(`[ESCALATION] polling every ${TICK_SECONDS}s`);
+  return timer;
+};
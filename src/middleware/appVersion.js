@@ -0,0 +1,56 @@
+// src/middleware/appVersion.js
+import jwt from 'jsonwebtoken';
+import { ISSUER } from '../services/session.service.js';
+import {
+  APP_PLATFORMS,
+  compareVersions,
+  isValidVersion,
+  resolveAppVersionPolicy
+} from '../services/appVersion.service.js';
+
+/**
+ * Site of the bearer token, if any, so per-site minimums apply. The token
+ * is only read here; requireAuth still decides whether it is valid.
+ */
+const tokenSite = (req) => {
+  const auth = req.headers.authorization || '';
+  if (!auth.startsWith('Bearer ') || !process.env.JWT_SECRET) return null;
+  try {
+    return jwt.verify(auth.slice(7), process.env.JWT_SECRET, { issuer: ISSUER }).site || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Rejects mobile clients below the minimum version with 426 and the store
+ * URL. Clients identify themselves with X-App-Platform (ios | android) and
+ * X-App-Version; requests without them (dashboards, other backends) pass.
+ * APP_VERSION_ENFORCE=false turns the check off.
+ */
+export async function enforceMinimumAppVersion(req, res, next) {
+  if (process.env.APP_VERSION_ENFORCE === 'false') return next();
+
+  const platform = String(req.get('x-app-platform') || '').trim().toLowerCase();
+  const version = String(req.get('x-app-version') || '').trim();
+  if (!APP_PLATFORMS.includes(platform) || !isValidVersion(version)) return next();
+
+  try {
+    const policy = await resolveAppVersionPolicy(platform, tokenSite(req));
+    if (!policy.minimum || compareVersions(version, policy.minimum) >= 0) return next();
+
+    return res.status(426).json({
+      ok: false,
+      message: 'Upgrade required',
+      platform,
+      currentVersion: version,
+      minimum: policy.minimum,
+      latest: policy.latest,
+      storeUrl: policy.storeUrl
+    });
+  } catch (err) {
+    // never lock clients out because the policy could not be read
+    console.error('app version check error:', err?.message || err);
+    return next();
+  }
+}
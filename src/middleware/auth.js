@@ -1,19 +1,29 @@
 // src/middleware/auth.js
 import jwt from 'jsonwebtoken';
+import { ISSUER, isSessionActive } from '../services/session.service.js';
 
-const { JWT_SECRET } = process.env;
-const ISSUER = 'blue-boxx';
-
-export function requireAuth(req, res, next) {
+export async function requireAuth(req, res, next) {
+  let payload;
   try {
     const auth = req.headers.authorization || '';
     const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
     if (!token) return res.status(401).json({ ok: false, message: 'Missing token' });
 
-    const payload = jwt.verify(token, JWT_SECRET, { issuer: ISSUER });
-    req.user = payload; // { sub, userId, username, site, ... }
-    next();
+    payload = jwt.verify(token, process.env.JWT_SECRET, { issuer: ISSUER });
   } catch (err) {
     return res.status(401).json({ ok: false, message: 'Invalid token' });
   }
+
+  try {
+    // Access tokens are tied to a server-side session so they can be revoked
+    if (!payload.sid || !(await isSessionActive(payload.sid))) {
+      return res.status(401).json({ ok: false, message: 'Session revoked' });
+    }
+  } catch (err) {
+    console.error('requireAuth session check error:', err?.message || err);
+    return res.status(500).json({ ok: false, message: 'Server error' });
+  }
+
+  req.user = payload; // { sub, userId, username, site, sid, ... }
+  next();
 }
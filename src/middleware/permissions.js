@@ -0,0 +1,66 @@
+// src/middleware/permissions.js
+
+export const ROLES = Object.freeze({
+  OWNER: 'owner',
+  MANAGER: 'manager',
+  STAFF: 'staff',
+  ADMIN: 'admin' // platform admin (BlueBoxx), not tied to one restaurant
+});
+
+export const PERMISSIONS = Object.freeze({
+  ORDERS_READ: 'orders:read',
+  ORDERS_STATUS: 'orders:status',
+  ORDERS_EMAIL: 'orders:email',
+  ORDERS_CREATE: 'orders:create',
+  ORDERS_IMPORT: 'orders:import',
+  DASHBOARD_READ: 'dashboard:read',
+  SITE_READ: 'site:read',
+  SITE_OVERRIDE: 'site:override',
+  SITE_ALERTS: 'site:alerts',
+  SITE_TEMPLATES: 'site:templates',
+  NOTIFY_TEST: 'notify:test',
+  NOTIFICATIONS_READ: 'notifications:read',
+  USERS_MANAGE: 'users:manage',
+  USERS_PREMIUM: 'users:premium',
+  AUDIT_READ: 'audit:read',
+  PLATFORM_UTIL: 'platform:util',
+  API_KEYS_MANAGE: 'api_keys:manage',
+  APP_VERSIONS_MANAGE: 'app_versions:manage',
+  CONFIG_MANAGE: 'config:manage'
+});
+
+const P = PERMISSIONS;
+
+const ROLE_PERMISSIONS = {
+  [ROLES.STAFF]: [P.ORDERS_READ, P.ORDERS_STATUS, P.ORDERS_EMAIL, P.SITE_READ],
+  [ROLES.MANAGER]: [
+    P.ORDERS_READ, P.ORDERS_STATUS, P.ORDERS_EMAIL, P.ORDERS_CREATE, P.SITE_READ,
+    P.DASHBOARD_READ, P.SITE_OVERRIDE, P.NOTIFICATIONS_READ
+  ],
+  [ROLES.OWNER]: [
+    P.ORDERS_READ, P.ORDERS_STATUS, P.ORDERS_EMAIL, P.ORDERS_CREATE, P.SITE_READ,
+    P.DASHBOARD_READ, P.SITE_OVERRIDE, P.SITE_ALERTS, P.SITE_TEMPLATES,
+    P.NOTIFY_TEST, P.NOTIFICATIONS_READ, P.USERS_MANAGE, P.AUDIT_READ
+  ],
+  [ROLES.ADMIN]: Object.values(P)
+};
+
+export const ROLE_VALUES = Object.values(ROLES);
+
+export const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+/**
+ * Must run after requireAuth. Passes when the caller's role grants
+ * every listed permission.
+ */
+export function requirePermission(...permissions) {
+  return (req, res, next) => {
+    const role = req.user?.role;
+    const missing = permissions.filter((p) => !hasPermission(role, p));
+    if (missing.length) {
+      return res.status(403).json({ ok: false, message: 'Forbidden', missing });
+    }
+    next();
+  };
+}
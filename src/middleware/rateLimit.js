@@ -0,0 +1,52 @@
+// src/middleware/rateLimit.js
+import { rateLimit, ipKeyGenerator } from 'express-rate-limit';
+
+const MINUTE = 60 * 1000;
+
+const tooMany = (message) => (req, res, next, options) =>
+  res.status(options.statusCode).json({ error: message });
+
+const usernameKey = (prefix) => (req) => {
+  const username = req.body?.username;
+  if (typeof username === 'string' && username.length > 0) return `${prefix}:${username}`;
+  return `${prefix}:ip:${ipKeyGenerator(req.ip)}`;
+};
+
+// Per-IP ceiling on all auth endpoints
+export const authIpLimiter = rateLimit({
+  windowMs: 15 * MINUTE,
+  limit: 50,
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  handler: tooMany('Too many requests, please try again later')
+});
+
+// Per-username ceiling on password logins
+export const loginUserLimiter = rateLimit({
+  windowMs: 15 * MINUTE,
+  limit: 10,
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  keyGenerator: usernameKey('login'),
+  handler: tooMany('Too many login attempts for this account, please try again later')
+});
+
+// Per-username ceiling on recovery code requests (each one sends an email)
+export const recoverySendLimiter = rateLimit({
+  windowMs: 60 * MINUTE,
+  limit: 5,
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  keyGenerator: usernameKey('recovery-send'),
+  handler: tooMany('Too many recovery codes requested, please try again later')
+});
+
+// Per-username ceiling on code verification / reset
+export const recoveryVerifyLimiter = rateLimit({
+  windowMs: 15 * MINUTE,
+  limit: 10,
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  keyGenerator: usernameKey('recovery-verify'),
+  handler: tooMany('Too many code attempts, please try again later')
+});
@@ -0,0 +1,51 @@
+// src/middleware/serviceAuth.js
+import { verifyServiceRequest } from '../services/apiKey.service.js';
+import { requireAuth } from './auth.js';
+import { requirePermission } from './permissions.js';
+
+/**
+ * Guards machine-to-machine routes. The request must be signed with an
+ * active API key (see apiKey.service) that holds every listed scope.
+ * Sets req.service = { keyId, name, scopes, sites }.
+ */
+export function requireServiceSignature(...scopes) {
+  return async (req, res, next) => {
+    try {
+      const result = await verifyServiceRequest(req);
+      if (!result.ok) {
+        return res.status(result.status).json({ ok: false, message: result.message });
+      }
+
+      const { apiKey } = result;
+      const missing = scopes.filter((s) => !(apiKey.scopes || []).includes(s));
+      if (missing.length) {
+        return res.status(403).json({ ok: false, message: 'Forbidden', missing });
+      }
+
+      req.service = {
+        keyId: apiKey.key_id,
+        name: apiKey.name,
+        scopes: apiKey.scopes || [],
+        sites: apiKey.sites || []
+      };
+      next();
+    } catch (err) {
+      console.error('service signature error:', err?.stack || err?.message || err);
+      return res.status(500).json({ ok: false, message: 'Something went wrong' });
+    }
+  };
+}
+
+/**
+ * For routes used both by a calling backend and by signed-in users:
+ * requests carrying X-BB-Key-Id go through signature checks, anything
+ * else needs a bearer token with `permission`.
+ */
+export function requireServiceOrUser(scope, permission) {
+  const service = requireServiceSignature(scope);
+  const user = requirePermission(permission);
+  return (req, res, next) => {
+    if (req.get('x-bb-key-id')) return service(req, res, next);
+    return requireAuth(req, res, (err) => (err ? next(err) : user(req, res, next)));
+  };
+}
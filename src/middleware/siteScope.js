@@ -0,0 +1,55 @@
+// src/middleware/siteScope.js
+import { ROLES } from './permissions.js';
+import { clientIp } from '../utils/clientIp.js';
+
+/**
+ * Site identifiers (slug or id) the token holder may touch.
+ * Returns null for platform admins, meaning "any site".
+ */
+export const allowedSitesFor = (user) => {
+  if (!user) return [];
+  if (user.role === ROLES.ADMIN) return null;
+  return user.site ? [String(user.site)] : [];
+};
+
+/**
+ * @param {object} user - decoded JWT (req.user)
+ * @param {{ _id?: any, slug?: string } | string} site - site doc, slug or id
+ */
+export const canAccessSite = (user, site) => {
+  const allowed = allowedSitesFor(user);
+  if (allowed === null) return true;
+  if (!site) return false;
+
+  const candidates =
+    typeof site === 'string'
+      ? [site]
+      : [site.slug, site._id ? String(site._id) : null].filter(Boolean);
+
+  return candidates.some((c) => allowed.includes(String(c)));
+};
+
+export const logScopeDenied = (req, details = {}) => {
+  const fields = Object.entries(details)
+    .map(([k, v]) => `${k}=${v ?? '-'}`)
+    .join(' ');
+  console.warn(
+    `[SITE_SCOPE] DENY ${req.method} ${req.originalUrl} user=${req.user?.username || '-'} ` +
+    `tokenSite=${req.user?.site || '-'} ${fields} ip=${clientIp(req) || '-'}`
+  );
+};
+
+/**
+ * Route guard for endpoints that name the site in a path param.
+ * Must run after requireAuth.
+ */
+export function requireSiteParam(param = 'slug') {
+  return (req, res, next) => {
+    const requested = req.params?.[param];
+    if (!canAccessSite(req.user, requested)) {
+      logScopeDenied(req, { requestedSite: requested });
+      return res.status(403).json({ ok: false, message: 'Site access denied' });
+    }
+    next();
+  };
+}
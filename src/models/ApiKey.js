@@ -0,0 +1,49 @@
+// src/models/ApiKey.js
+import mongoose from 'mongoose';
+
+/**
+ * Credential for a calling backend (e.g. the partner ordering site).
+ *
+ * HMAC verification needs the signing secret itself, so secrets are kept
+ * AES-GCM encrypted (crypto.service) rather than hashed; only a short
+ * sha256 fingerprint is ever shown back. Rotating keeps the previous secret
+ * valid until `expires_at` so the caller can roll over without downtime.
+ */
+const ApiKeySecretSchema = new mongoose.Schema(
+  {
+    secret_enc: { type: String, required: true },
+    fingerprint: { type: String, required: true },
+    created_at: { type: Date, default: Date.now },
+    expires_at: { type: Date, default: null } // null = current secret
+  },
+  { _id: false }
+);
+
+const ApiKeySchema = new mongoose.Schema(
+  {
+    key_id: { type: String, required: true, unique: true },
+    name: { type: String, required: true, trim: true },
+    scopes: { type: [String], default: [] },
+    // site slugs the key may act for; "*" = every site. Empty = none, so a
+    // key must be granted its sites explicitly before it can write orders.
+    sites: { type: [String], default: [] },
+
+    secrets: { type: [ApiKeySecretSchema], default: [] },
+
+    status: { type: String, enum: ['active', 'revoked'], default: 'active', index: true },
+    revoked_at: { type: Date, default: null },
+    rotated_at: { type: Date, default: null },
+    last_used_at: { type: Date, default: null },
+
+    created_by: {
+      userId: { type: String, default: null },
+      username: { type: String, default: null }
+    }
+  },
+  {
+    collection: 'api_keys',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+export default mongoose.models.ApiKey || mongoose.model('ApiKey', ApiKeySchema);
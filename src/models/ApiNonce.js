@@ -0,0 +1,21 @@
+// src/models/ApiNonce.js
+import mongoose from 'mongoose';
+
+/**
+ * Nonces seen on signed service requests. The unique index turns a replayed
+ * request into a duplicate-key error; rows expire once their timestamp would
+ * be rejected anyway.
+ */
+const ApiNonceSchema = new mongoose.Schema(
+  {
+    key_id: { type: String, required: true },
+    nonce: { type: String, required: true },
+    expires_at: { type: Date, required: true }
+  },
+  { collection: 'api_nonces' }
+);
+
+ApiNonceSchema.index({ key_id: 1, nonce: 1 }, { unique: true });
+ApiNonceSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.ApiNonce || mongoose.model('ApiNonce', ApiNonceSchema);
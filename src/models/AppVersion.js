@@ -0,0 +1,31 @@
+// src/models/AppVersion.js
+import mongoose from 'mongoose';
+
+/**
+ * Version policy for one mobile platform. The row with `site: null` is the
+ * global policy; a row with a site slug overrides it for that site only
+ * (staged rollouts), field by field.
+ */
+const AppVersionSchema = new mongoose.Schema(
+  {
+    platform: { type: String, enum: ['ios', 'android'], required: true },
+    site: { type: String, default: null },
+
+    latest: { type: String, default: null }, // e.g. "1.2.12"
+    minimum: { type: String, default: null }, // clients below get 426
+    store_url: { type: String, default: null },
+
+    updated_by: {
+      userId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      username: { type: String, default: null }
+    }
+  },
+  {
+    collection: 'app_versions',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+AppVersionSchema.index({ platform: 1, site: 1 }, { unique: true });
+
+export default mongoose.models.AppVersion || mongoose.model('AppVersion', AppVersionSchema);
@@ -0,0 +1,36 @@
+// src/models/AuditLog.js
+import mongoose from 'mongoose';
+
+/**
+ * Append-only record of administrative actions (user management etc.).
+ */
+const AuditLogSchema = new mongoose.Schema(
+  {
+    action: { type: String, required: true, index: true }, // e.g. 'user.disable'
+
+    actor: {
+      userId: { type: String, default: null },
+      username: { type: String, default: null },
+      role: { type: String, default: null }
+    },
+
+    site: { type: String, default: null, index: true, trim: true },
+
+    target_user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    target_username: { type: String, default: null },
+
+    // { field: { from, to } } for updates, free-form for other actions
+    changes: { type: Object, default: null },
+
+    ip: { type: String, default: null },
+    user_agent: { type: String, default: null }
+  },
+  {
+    collection: 'audit_logs',
+    timestamps: { createdAt: 'created_at', updatedAt: false }
+  }
+);
+
+AuditLogSchema.index({ site: 1, created_at: -1 });
+
+export default mongoose.models.AuditLog || mongoose.model('AuditLog', AuditLogSchema);
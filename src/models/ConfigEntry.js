@@ -0,0 +1,56 @@
+// src/models/ConfigEntry.js
+import mongoose from 'mongoose';
+
+/**
+ * One remote-config setting or feature flag. Built-in keys
+ * (services/remoteConfig.service.js) only need a row once something is
+ * changed; other keys are created by platform admins for the app.
+ *
+ * Resolution: user override > site override > rollout > default_value.
+ */
+const ConfigEntrySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true },
+    type: { type: String, enum: ['boolean', 'number', 'string', 'json'], required: true },
+    description: { type: String, default: null },
+    // exposed to the app through GET /api/user/config
+    client: { type: Boolean, default: false },
+
+    default_value: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    // `value` for `percentage`% of users (or sites), bucketed by a stable hash
+    rollout: {
+      type: {
+        _id: false,
+        percentage: { type: Number, min: 0, max: 100 },
+        value: mongoose.Schema.Types.Mixed,
+        by: { type: String, enum: ['user', 'site'], default: 'user' }
+      },
+      default: null
+    },
+
+    overrides: {
+      type: [
+        {
+          _id: false,
+          scope: { type: String, enum: ['site', 'user'], required: true },
+          target: { type: String, required: true }, // site slug or user id
+          value: mongoose.Schema.Types.Mixed
+        }
+      ],
+      default: []
+    },
+
+    updated_by: {
+      userId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      username: { type: String, default: null }
+    }
+  },
+  {
+    collection: 'remote_config',
+    minimize: false,
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+export default mongoose.models.ConfigEntry || mongoose.model('ConfigEntry', ConfigEntrySchema);
@@ -0,0 +1,63 @@
+// src/models/Device.js
+import mongoose from 'mongoose';
+import { NotificationPrefsSchema } from './NotificationPrefs.js';
+
+/**
+ * One row per app install. Replaces the old index-based User.fcm_tokens:
+ * the client picks a stable `device_id` and keeps it across launches.
+ * A device belongs to the user who registered it until they log out on it.
+ */
+const DeviceSchema = new mongoose.Schema(
+  {
+    device_id: { type: String, required: true, unique: true, trim: true },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    // site the device was last used for (the session's active site)
+    site: { type: String, default: null, index: true },
+
+    platform: {
+      type: String,
+      enum: ['ios', 'android', 'web', 'unknown'],
+      default: 'unknown'
+    },
+
+    app_version: { type: String, default: null, trim: true },
+
+    fcm_token: { type: String, default: null },
+
+    // consecutive transient FCM failures; reset on the next successful send
+    push_failure_count: { type: Number, default: 0 },
+    push_last_error: { type: String, default: null },
+
+    // FCM topics `topic_token` is currently subscribed to (services/topic.service.js)
+    topics: { type: [String], default: [] },
+    topic_token: { type: String, default: null },
+
+    // overrides the owner's User.notification_prefs for this device only
+    notification_prefs: { type: NotificationPrefsSchema, default: null },
+
+    last_seen_at: { type: Date, default: Date.now }
+  },
+  {
+    collection: 'devices',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+// A token identifies a single install, so it may only sit on one device row
+DeviceSchema.index(
+  { fcm_token: 1 },
+  { unique: true, partialFilterExpression: { fcm_token: { $type: 'string' } } }
+);
+
+// Stale rows are pruned by jobs/devicePrune.job.js, never by a TTL: devices
+// that do not heartbeat (legacy tokens, counter tablets) still get pushes
+DeviceSchema.index({ last_seen_at: 1 });
+
+export default mongoose.models.Device || mongoose.model('Device', DeviceSchema);
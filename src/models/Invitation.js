@@ -0,0 +1,46 @@
+// src/models/Invitation.js
+import mongoose from 'mongoose';
+import { ROLE_VALUES } from '../middleware/permissions.js';
+
+/**
+ * Pending staff invite. The account itself is created when the invite is
+ * redeemed through account setup; only a sha256 of the invite token is kept.
+ */
+const InvitationSchema = new mongoose.Schema(
+  {
+    site: { type: String, required: true, trim: true, index: true },
+    role: { type: String, enum: ROLE_VALUES, required: true },
+
+    email: { type: String, required: true, trim: true, lowercase: true },
+    username: { type: String, required: true, trim: true, index: true },
+    name: { type: String, required: true, trim: true },
+
+    token_hash: { type: String, required: true, unique: true },
+    expires_at: { type: Date, required: true },
+
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'revoked'],
+      default: 'pending',
+      index: true
+    },
+
+    invited_by: {
+      userId: { type: String, default: null },
+      username: { type: String, default: null }
+    },
+
+    send_count: { type: Number, default: 0 },
+    last_sent_at: { type: Date, default: null },
+
+    accepted_at: { type: Date, default: null },
+    accepted_user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    revoked_at: { type: Date, default: null }
+  },
+  {
+    collection: 'invitations',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+export default mongoose.models.Invitation || mongoose.model('Invitation', InvitationSchema);
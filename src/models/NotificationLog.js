@@ -0,0 +1,85 @@
+// src/models/NotificationLog.js
+import mongoose from 'mongoose';
+
+const RETENTION_DAYS = Number(process.env.NOTIFICATION_LOG_RETENTION_DAYS || 90);
+
+/**
+ * One row per notification attempt (order push, escalation re-push, test
+ * push). Tokens are never stored whole; `token_tail` is enough to match a
+ * device's registration in support conversations.
+ */
+const NotificationLogSchema = new mongoose.Schema(
+  {
+    order: { type: mongoose.Schema.Types.ObjectId, default: null },
+    // raw order id as received, for payloads whose id is not an ObjectId
+    order_ref: { type: String, default: null },
+    site: { type: String, default: null },
+
+    kind: { type: String, enum: ['order', 'test'], default: 'order' },
+    event: { type: String, default: null },
+    source: { type: String, default: null }, // api | stripe_webhook | escalation | status_change | order_api | order_import | test
+    escalation_attempt: { type: Number, default: null },
+
+    outcome: {
+      type: String,
+      enum: ['sent', 'partial', 'failed', 'suppressed', 'no_recipients', 'error'],
+      required: true
+    },
+    error: { type: String, default: null },
+
+    title: { type: String, default: null },
+    body: { type: String, default: null },
+    data: { type: Object, default: null },
+
+    user_count: { type: Number, default: 0 },
+    success_count: { type: Number, default: 0 },
+    failure_count: { type: Number, default: 0 },
+    suppressed_count: { type: Number, default: 0 },
+    pruned_count: { type: Number, default: 0 },
+
+    // SMS to the site's alert phones when the push reached nobody
+    sms_fallback: {
+      type: {
+        _id: false,
+        status: String, // sent | failed | rate_limited | no_phones | disabled | error
+        recipients: [{ _id: false, to: String, ok: Boolean, error: String }]
+      },
+      default: null
+    },
+
+    recipients: {
+      type: [
+        {
+          _id: false,
+          user: { type: mongoose.Schema.Types.ObjectId, default: null },
+          device_id: { type: String, default: null },
+          token_tail: { type: String, default: null },
+          channel: { type: String, default: 'fcm' }, // fcm (token) | topic | webpush
+          topic: { type: String, default: null }, // topic or condition
+          sound: { type: String, default: null },
+          // sent: handed to FCM for a topic, delivery unknown
+          status: {
+            type: String,
+            enum: ['delivered', 'sent', 'failed', 'opted_out', 'quiet_hours']
+          },
+          error_code: { type: String, default: null },
+          error: { type: String, default: null },
+          pruned: { type: Boolean, default: false }
+        }
+      ],
+      default: []
+    }
+  },
+  {
+    collection: 'notification_logs',
+    timestamps: { createdAt: 'created_at', updatedAt: false }
+  }
+);
+
+NotificationLogSchema.index({ site: 1, created_at: -1 });
+NotificationLogSchema.index({ order: 1, created_at: -1 });
+NotificationLogSchema.index({ order_ref: 1, created_at: -1 });
+NotificationLogSchema.index({ created_at: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.models.NotificationLog ||
+  mongoose.model('NotificationLog', NotificationLogSchema);
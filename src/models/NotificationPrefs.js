@@ -0,0 +1,32 @@
+// src/models/NotificationPrefs.js
+import mongoose from 'mongoose';
+
+/**
+ * Notification preferences, embedded in User (defaults for all of the
+ * user's devices) and Device (per-device overrides). Unset fields inherit,
+ * see services/notificationPrefs.service.js.
+ */
+export const NotificationPrefsSchema = new mongoose.Schema(
+  {
+    events: {
+      new_order: { type: Boolean },
+      order_cancelled: { type: Boolean },
+      payment_failed: { type: Boolean },
+      store_auto_closed: { type: Boolean }
+    },
+
+    // "HH:MM" in the site's timezone; start > end wraps past midnight
+    quiet_hours: {
+      enabled: { type: Boolean },
+      start: { type: String },
+      end: { type: String }
+    },
+
+    // sound name per fulfillment type
+    sounds: {
+      pickup: { type: String },
+      delivery: { type: String }
+    }
+  },
+  { _id: false }
+);
@@ -0,0 +1,29 @@
+// src/models/NotificationTemplate.js
+import mongoose from 'mongoose';
+
+/**
+ * A site's override of one built-in message template in one locale
+ * (see services/template.service.js for the keys and their defaults).
+ * Only the fields that differ from the default are stored.
+ */
+const NotificationTemplateSchema = new mongoose.Schema(
+  {
+    site: { type: String, required: true },
+    key: { type: String, required: true }, // e.g. "push.new_order"
+    locale: { type: String, required: true }, // en | fr
+    fields: { type: Object, default: {} }, // { title?, body?, subject?, heading?, ... }
+    updated_by: {
+      userId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      username: { type: String, default: null }
+    }
+  },
+  {
+    collection: 'notification_templates',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+NotificationTemplateSchema.index({ site: 1, key: 1, locale: 1 }, { unique: true });
+
+export default mongoose.models.NotificationTemplate ||
+  mongoose.model('NotificationTemplate', NotificationTemplateSchema);
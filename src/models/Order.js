@@ -39,13 +39,19 @@ const orderSchema = new mongoose.Schema({
   notes: String,
 
   externalId: String,
+  orderNumber: String, // e.g. "BB-1146", per-site sequence
 
   // aggregator/partner fields (keep optional)
   uberDeliveryId: String,
   uberTrackingUrl: String,
   uberStatus: String,
 
-  status: { type: String, index: true, enum: ['new', 'processing', 'fulfilled', 'cancelled', 'accepted', 'prepared', 'dispatched', 'preparing'] }, // e.g. 'created', 'pending', etc.
+  // canonical statuses, see services/orderStatus.service.js (ORDER_STATUS_VALUES)
+  status: {
+    type: String,
+    index: true,
+    enum: ['awaiting_payment', 'new', 'paid', 'accepted', 'preparing', 'prepared', 'dispatched', 'fulfilled', 'cancelled']
+  },
 
   pickup: { location: locationSchema },
   dropoff: {
@@ -64,5 +70,7 @@ const orderSchema = new mongoose.Schema({
 
 // Suggested index for date-range dashboards (confirm with getIndexes())
 orderSchema.index({ site: 1, createdAt: 1 });
+// The collection is shared with the ordering app: further indexes are built
+// by `npm run orders:indexes` (scripts/create-order-indexes.js) after review
 
 export default mongoose.models.Order || mongoose.model('Order', orderSchema);
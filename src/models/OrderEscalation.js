@@ -0,0 +1,54 @@
+// src/models/OrderEscalation.js
+import mongoose from 'mongoose';
+
+/**
+ * Tracks re-alerting for an order nobody has accepted yet
+ * (see services/escalation.service.js and jobs/escalation.job.js).
+ */
+const OrderEscalationSchema = new mongoose.Schema(
+  {
+    order: { type: mongoose.Schema.Types.ObjectId, required: true, unique: true },
+    site: { type: String, required: true, index: true },
+
+    status: {
+      type: String,
+      enum: ['active', 'stopped', 'exhausted'],
+      default: 'active'
+    },
+
+    started_at: { type: Date, default: Date.now },
+    next_run_at: { type: Date, required: true },
+    // claim lease so two instances never process the same row at once
+    locked_until: { type: Date, default: null },
+
+    renotify_count: { type: Number, default: 0 },
+    last_renotify_at: { type: Date, default: null },
+
+    owner_alerted_at: { type: Date, default: null },
+    owner_alerts: {
+      type: [
+        {
+          _id: false,
+          channel: { type: String, enum: ['sms', 'email'] },
+          to: String, // masked
+          ok: Boolean,
+          error: { type: String, default: null }
+        }
+      ],
+      default: []
+    },
+
+    stopped_at: { type: Date, default: null },
+    stop_reason: { type: String, default: null },
+    stopped_by: { type: String, default: null }
+  },
+  {
+    collection: 'order_escalations',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+OrderEscalationSchema.index({ status: 1, next_run_at: 1 });
+
+export default mongoose.models.OrderEscalation ||
+  mongoose.model('OrderEscalation', OrderEscalationSchema);
@@ -0,0 +1,20 @@
+// src/models/OrderSequence.js
+import mongoose from 'mongoose';
+
+/**
+ * Last order number handed out per site (see services/orderIngest.service.js).
+ * Seeded from the site's existing orders the first time it is used.
+ */
+const OrderSequenceSchema = new mongoose.Schema(
+  {
+    site: { type: mongoose.Schema.Types.ObjectId, required: true, unique: true },
+    prefix: { type: String, required: true },
+    seq: { type: Number, required: true, default: 0 }
+  },
+  {
+    collection: 'order_sequences',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+export default mongoose.models.OrderSequence || mongoose.model('OrderSequence', OrderSequenceSchema);
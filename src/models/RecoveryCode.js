@@ -18,6 +18,26 @@ const RecoveryCodeSchema = new mongoose.Schema(
       type: Date,
       required: true,
       index: true
+    },
+
+    // 'recovery' (password reset) or 'phone_verify' (recovery phone enrollment);
+    // rows written before this field existed are recovery codes
+    purpose: {
+      type: String,
+      enum: ['recovery', 'phone_verify'],
+      default: 'recovery'
+    },
+
+    // phone number a 'phone_verify' code was sent to
+    target: {
+      type: String,
+      default: null
+    },
+
+    // wrong guesses against this code; it is discarded at the cap
+    attempts: {
+      type: Number,
+      default: 0
     }
   },
   {
@@ -0,0 +1,61 @@
+// src/models/Session.js
+import mongoose from 'mongoose';
+
+/**
+ * One row per signed-in device. The refresh token itself is never stored,
+ * only its sha256 digest; it is rotated on every refresh.
+ */
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    refresh_hash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+
+    expires_at: {
+      type: Date,
+      required: true
+    },
+
+    // site the session currently acts for (users can belong to several)
+    active_site: {
+      type: String,
+      default: null
+    },
+
+    revoked_at: {
+      type: Date,
+      default: null
+    },
+
+    revoked_reason: {
+      type: String,
+      default: null
+    },
+
+    last_used_at: {
+      type: Date,
+      default: null
+    },
+
+    ip: { type: String, default: null },
+    user_agent: { type: String, default: null }
+  },
+  {
+    collection: 'sessions',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+// Let Mongo drop rows once the refresh token can no longer be used
+SessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.Session || mongoose.model('Session', SessionSchema);
@@ -4,7 +4,16 @@ import mongoose from 'mongoose';
 const siteSchema = new mongoose.Schema(
   {
     slug: { type: String, required: true, unique: true, index: true },
-    name: String
+    name: String,
+    timezone: String, // IANA, e.g. "America/Edmonton"
+    locale: String, // message language: en | fr (services/template.service.js)
+    // E.164 numbers texted when an order push reaches no device
+    alert_phones: { type: [String], default: undefined },
+    // rate-limit window for those texts (services/smsFallback.service.js)
+    sms_fallback_window: {
+      started_at: Date,
+      count: Number
+    }
   },
   {
     collection: 'sites',
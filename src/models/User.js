@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { ROLES, ROLE_VALUES } from '../middleware/permissions.js';
+import { NotificationPrefsSchema } from './NotificationPrefs.js';
 
 const UserSchema = new mongoose.Schema(
   {
@@ -22,28 +24,122 @@ const UserSchema = new mongoose.Schema(
       default: null
     },
 
-    fcm_tokens: {
-      type: [String], // stores array of device tokens
-      default: []
-    },
-
     premium: {
       type: Boolean,
       default: false
     },
 
+    notification_prefs: {
+      type: NotificationPrefsSchema,
+      default: () => ({})
+    },
+
     recovery_email: {
       type: String,
       default: null,
       trim: true
     },
 
+    // E.164; only used for SMS recovery once verified
+    recovery_phone: {
+      type: String,
+      default: null,
+      trim: true
+    },
+
+    recovery_phone_verified_at: {
+      type: Date,
+      default: null
+    },
+
+    // bcrypt hash of the one-time password (never plaintext; legacy rows are
+    // cleared by `npm run temp-passwords:expire`)
     temp_password: {
       type: String,
-      default: 'BlueBoxxNewUser'
+      default: null
+    },
+
+    // set by the admin API; disabled users cannot log in or refresh
+    disabled: {
+      type: Boolean,
+      default: false,
+      index: true
+    },
+
+    disabled_at: {
+      type: Date,
+      default: null
     },
 
-    site: { type: String, index: true, trim: true, required: true }
+    // TOTP two-factor (see services/totp.service.js); secrets are AES-GCM encrypted
+    totp_enabled: {
+      type: Boolean,
+      default: false
+    },
+
+    totp_secret: {
+      type: String,
+      default: null
+    },
+
+    totp_pending_secret: {
+      type: String,
+      default: null
+    },
+
+    totp_last_step: {
+      type: Number,
+      default: null
+    },
+
+    totp_backup_codes: {
+      type: [
+        {
+          _id: false,
+          code_hash: { type: String, required: true }, // bcrypt, like RecoveryCode.code_hash
+          used_at: { type: Date, default: null }
+        }
+      ],
+      default: []
+    },
+
+    // brute-force protection (see services/lockout.service.js)
+    failed_login_count: {
+      type: Number,
+      default: 0
+    },
+
+    lockout_count: {
+      type: Number,
+      default: 0
+    },
+
+    lockout_until: {
+      type: Date,
+      default: null
+    },
+
+    // existing accounts are one-per-restaurant, so they default to owner
+    role: {
+      type: String,
+      enum: ROLE_VALUES,
+      default: ROLES.OWNER
+    },
+
+    site: { type: String, index: true, trim: true, required: true },
+
+    // additional sites this user works for (see services/membership.service.js);
+    // `site` + `role` above remain the primary membership
+    memberships: {
+      type: [
+        {
+          _id: false,
+          site: { type: String, required: true, trim: true },
+          role: { type: String, enum: ROLE_VALUES, required: true }
+        }
+      ],
+      default: []
+    }
   },
   {
     timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
@@ -51,4 +147,6 @@ const UserSchema = new mongoose.Schema(
   
 );
 
+UserSchema.index({ 'memberships.site': 1 });
+
 export default mongoose.model('User', UserSchema, 'app_users');
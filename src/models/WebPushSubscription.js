@@ -0,0 +1,39 @@
+// src/models/WebPushSubscription.js
+import mongoose from 'mongoose';
+
+/**
+ * Browser Web Push (VAPID) subscription, e.g. a counter dashboard. Scoped
+ * to the site the user was acting for when the browser subscribed.
+ */
+const WebPushSubscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    site: { type: String, required: true, index: true },
+
+    endpoint: { type: String, required: true, unique: true },
+    keys: {
+      p256dh: { type: String, required: true },
+      auth: { type: String, required: true }
+    },
+    expiration_time: { type: Date, default: null },
+
+    user_agent: { type: String, default: null },
+
+    // consecutive non-permanent failures, reset on success
+    failure_count: { type: Number, default: 0 },
+    last_error: { type: String, default: null },
+    last_success_at: { type: Date, default: null }
+  },
+  {
+    collection: 'webpush_subscriptions',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+export default mongoose.models.WebPushSubscription ||
+  mongoose.model('WebPushSubscription', WebPushSubscriptionSchema);
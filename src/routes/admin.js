@@ -0,0 +1,59 @@
+// src/routes/admin.js
+import { Router } from 'express';
+import * as userController from '../controllers/user.controller.js';
+import * as invitationController from '../controllers/invitation.controller.js';
+import * as apiKeyController from '../controllers/apiKey.controller.js';
+import * as appVersionController from '../controllers/appVersion.controller.js';
+import * as remoteConfigController from '../controllers/remoteConfig.controller.js';
+import { requireAuth } from '../middleware/auth.js';
+import { PERMISSIONS, requirePermission } from '../middleware/permissions.js';
+
+const router = Router();
+
+router.use(requireAuth);
+
+const manage = requirePermission(PERMISSIONS.USERS_MANAGE);
+
+router.get('/users', manage, userController.listUsers);
+router.post('/users', manage, userController.createUser);
+router.get('/users/:id', manage, userController.getUser);
+router.patch('/users/:id', manage, userController.updateUser);
+router.patch('/users/:id/premium', requirePermission(PERMISSIONS.USERS_PREMIUM), userController.setUserPremium);
+router.post('/users/:id/disable', manage, userController.disableUser);
+router.post('/users/:id/enable', manage, userController.enableUser);
+router.post('/users/:id/reset-temp-password', manage, userController.resetUserToTempPassword);
+router.delete('/users/:id', manage, userController.deleteUser);
+router.put('/users/:id/memberships/:site', manage, userController.upsertMembership);
+router.delete('/users/:id/memberships/:site', manage, userController.removeMembership);
+
+router.get('/invitations', manage, invitationController.listInvitations);
+router.post('/invitations', manage, invitationController.createInvitation);
+router.post('/invitations/:id/resend', manage, invitationController.resendInvitation);
+router.delete('/invitations/:id', manage, invitationController.revokeInvitation);
+
+const apiKeys = requirePermission(PERMISSIONS.API_KEYS_MANAGE);
+
+router.get('/api-keys', apiKeys, apiKeyController.listApiKeys);
+router.post('/api-keys', apiKeys, apiKeyController.createApiKey);
+router.put('/api-keys/:id/sites', apiKeys, apiKeyController.updateApiKeySites);
+router.post('/api-keys/:id/rotate', apiKeys, apiKeyController.rotateApiKey);
+router.delete('/api-keys/:id', apiKeys, apiKeyController.revokeApiKey);
+
+const appVersions = requirePermission(PERMISSIONS.APP_VERSIONS_MANAGE);
+
+router.get('/app-versions', appVersions, appVersionController.listAppVersions);
+router.put('/app-versions/:platform', appVersions, appVersionController.updateAppVersion);
+router.delete('/app-versions/:platform/sites/:site', appVersions, appVersionController.deleteSiteAppVersion);
+
+const config = requirePermission(PERMISSIONS.CONFIG_MANAGE);
+
+router.get('/config', config, remoteConfigController.listConfig);
+router.put('/config/:key', config, remoteConfigController.upsertConfig);
+router.delete('/config/:key', config, remoteConfigController.deleteConfig);
+router.get('/config/:key/evaluate', config, remoteConfigController.evaluateConfig);
+router.put('/config/:key/overrides/:scope/:target', config, remoteConfigController.putConfigOverride);
+router.delete('/config/:key/overrides/:scope/:target', config, remoteConfigController.deleteConfigOverride);
+
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_READ), userController.listAuditLog);
+
+export default router;
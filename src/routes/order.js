@@ -6,24 +6,43 @@ import { notifyOrder, notifyTestUser } from '../controllers/notify.controller.js
 import { getOrdersBySiteRange } from '../controllers/order.range.controller.js';
 import { getDashboardSeries } from '../controllers/order.dashboard.controller.js';
 import { getOrdersBySiteDay } from "../controllers/order.bySite.controller.js";
-// import { requireAuth } from '../middleware/auth.js';
-import { updateOrderStatus } from '../controllers/order.status.controller.js';
+import { searchOrders } from '../controllers/order.search.controller.js';
+import { requireAuth } from '../middleware/auth.js';
+import { enforceMinimumAppVersion } from '../middleware/appVersion.js';
+import { PERMISSIONS, requirePermission } from '../middleware/permissions.js';
+import { requireServiceOrUser, requireServiceSignature } from '../middleware/serviceAuth.js';
+import { SERVICE_SCOPES } from '../services/apiKey.service.js';
+import { getOrderStatusModel, updateOrderStatus } from '../controllers/order.status.controller.js';
+import { createOrderHandler, importOrders } from '../controllers/order.create.controller.js';
 import { sendOrderAcceptedEmail, sendOrderPreparedEmail } from '../controllers/email.controller.js';
 import { getOrderForPrint } from '../controllers/order.print.controller.js';
+import { getOrderNotificationLogs, listNotificationLogs } from '../controllers/notificationLog.controller.js';
 
 const router = Router();
+// signed-in (app) routes; service-signed ones below skip the app version check
+const can = (...perms) => [enforceMinimumAppVersion, requireAuth, requirePermission(...perms)];
 
 router.get('/', (req, res) => res.json({ message: 'Order API root' }));
+// Creating orders: the partner backend (signed) or staff / platform admins
+router.post('/', requireServiceOrUser(SERVICE_SCOPES.ORDERS_WRITE, PERMISSIONS.ORDERS_CREATE), createOrderHandler);
+router.post('/import', requireServiceOrUser(SERVICE_SCOPES.ORDERS_WRITE, PERMISSIONS.ORDERS_IMPORT), importOrders);
 
-router.get('/dashboard', getDashboardSeries)
-router.get('/by-site/range', getOrdersBySiteRange);
-router.get('/by-site/day', getOrdersBySiteDay);
-router.post('/notify', notifyOrder);
-router.post('/notify-test', notifyTestUser);
-router.post('/accepted-email', sendOrderAcceptedEmail);
-router.post('/prepared-email', sendOrderPreparedEmail);
-router.get('/:orderId/print', getOrderForPrint);
-router.patch('/:id/status', express.json(), updateOrderStatus);
+router.get('/dashboard', ...can(PERMISSIONS.DASHBOARD_READ), getDashboardSeries)
+router.get('/by-site/range', ...can(PERMISSIONS.ORDERS_READ), getOrdersBySiteRange);
+router.get('/by-site/day', ...can(PERMISSIONS.ORDERS_READ), getOrdersBySiteDay);
+router.get('/search', ...can(PERMISSIONS.ORDERS_READ), searchOrders);
+router.get('/status-model', ...can(PERMISSIONS.ORDERS_READ), getOrderStatusModel);
+// Called by the partner ordering backend (HMAC-signed), not by signed-in users
+router.post('/notify', requireServiceSignature(SERVICE_SCOPES.ORDERS_NOTIFY), notifyOrder);
+router.post('/notify-test', ...can(PERMISSIONS.NOTIFY_TEST), notifyTestUser);
+// Customer emails: sent by the partner backend (signed) or from the app
+const emailAuth = requireServiceOrUser(SERVICE_SCOPES.ORDERS_EMAIL, PERMISSIONS.ORDERS_EMAIL);
+router.post('/accepted-email', emailAuth, sendOrderAcceptedEmail);
+router.post('/prepared-email', emailAuth, sendOrderPreparedEmail);
+router.get('/notifications', ...can(PERMISSIONS.NOTIFICATIONS_READ), listNotificationLogs);
+router.get('/:orderId/notifications', ...can(PERMISSIONS.NOTIFICATIONS_READ), getOrderNotificationLogs);
+router.get('/:orderId/print', ...can(PERMISSIONS.ORDERS_READ), getOrderForPrint);
+router.patch('/:id/status', express.json(), ...can(PERMISSIONS.ORDERS_STATUS), updateOrderStatus);
 
 
 export default router;
@@ -1,14 +1,54 @@
 import express from 'express';
 import { getSiteBySlugBridge, patchStoreClosedOverrideBridge } from '../controllers/site.bridge.controller.js';
+import { getSiteAlertPhones, putSiteAlertPhones } from '../controllers/siteAlerts.controller.js';
+import {
+  deleteSiteTemplate,
+  listSiteTemplates,
+  previewSiteTemplate,
+  putSiteTemplate
+} from '../controllers/template.controller.js';
+import { requireAuth } from '../middleware/auth.js';
+import { PERMISSIONS, requirePermission } from '../middleware/permissions.js';
+import { requireSiteParam } from '../middleware/siteScope.js';
 
 const router = express.Router();
 
-router.get('/:slug', getSiteBySlugBridge);
+router.use(requireAuth);
+
+router.get(
+  '/:slug',
+  requirePermission(PERMISSIONS.SITE_READ),
+  requireSiteParam('slug'),
+  getSiteBySlugBridge
+);
 
 router.patch(
   '/:slug/store-closed-override',
   express.json(),
+  requirePermission(PERMISSIONS.SITE_OVERRIDE),
+  requireSiteParam('slug'),
   patchStoreClosedOverrideBridge
 );
 
+router.get(
+  '/:slug/alert-phones',
+  requirePermission(PERMISSIONS.SITE_ALERTS),
+  requireSiteParam('slug'),
+  getSiteAlertPhones
+);
+
+router.put(
+  '/:slug/alert-phones',
+  requirePermission(PERMISSIONS.SITE_ALERTS),
+  requireSiteParam('slug'),
+  putSiteAlertPhones
+);
+
+const templates = [requirePermission(PERMISSIONS.SITE_TEMPLATES), requireSiteParam('slug')];
+
+router.get('/:slug/templates', ...templates, listSiteTemplates);
+router.post('/:slug/templates/preview', ...templates, previewSiteTemplate);
+router.put('/:slug/templates/:key/:locale', ...templates, putSiteTemplate);
+router.delete('/:slug/templates/:key/:locale', ...templates, deleteSiteTemplate);
+
 export default router;
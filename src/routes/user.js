@@ -1,24 +1,89 @@
 import { Router } from 'express';
-import * as userController from '../controllers/user.controller.js';
-import { createUser } from '../controllers/user.controller.js';
-import { login } from '../controllers/auth.controller.js';
-import { accountSetup } from '../controllers/account.controller.js';
-import { addToken } from '../controllers/fcm.controller.js';
-import { resetPasswordAfterRecovery, sendRecoveryCode, verifyRecoveryCode } from '../controllers/recovery.controller.js';
+import { login, refreshSession, switchSite } from '../controllers/auth.controller.js';
+import { accountSetup, changePassword } from '../controllers/account.controller.js';
+import {
+  addToken,
+  heartbeatDevice,
+  listDevices,
+  registerDevice,
+  unregisterDevice
+} from '../controllers/device.controller.js';
+import {
+  registerRecoveryPhone,
+  resetPasswordAfterRecovery,
+  sendRecoveryCode,
+  verifyRecoveryCode,
+  verifyRecoveryPhone
+} from '../controllers/recovery.controller.js';
 import { logoutController } from '../controllers/logout.controller.js';
+import {
+  getDeviceNotificationPrefs,
+  getMyNotificationPrefs,
+  resetDeviceNotificationPrefs,
+  updateDeviceNotificationPrefs,
+  updateMyNotificationPrefs
+} from '../controllers/notificationPrefs.controller.js';
+import { lookupInvitation } from '../controllers/invitation.controller.js';
+import { getMyConfig } from '../controllers/remoteConfig.controller.js';
+import {
+  getVapidPublicKey,
+  subscribeWebPush,
+  unsubscribeWebPush
+} from '../controllers/webpush.controller.js';
+import {
+  confirmTotpEnrollment,
+  disableTotp,
+  startTotpEnrollment,
+  verifyLoginTwoFactor
+} from '../controllers/twofactor.controller.js';
+import { requireAuth } from '../middleware/auth.js';
+import {
+  authIpLimiter,
+  loginUserLimiter,
+  recoverySendLimiter,
+  recoveryVerifyLimiter
+} from '../middleware/rateLimit.js';
 
 const router = Router();
 
 router.get('/', (req, res) => res.json({ message: 'User API root' }));
-router.post('/create', createUser);
-router.post('/login', login);
-router.post('/addToken', addToken)
+router.post('/login', authIpLimiter, loginUserLimiter, login);
+router.post('/login/2fa', authIpLimiter, verifyLoginTwoFactor);
+router.post('/token/refresh', authIpLimiter, refreshSession);
+router.post('/site/switch', requireAuth, switchSite);
+router.post('/addToken', addToken) // deprecated, use /devices
 router.post('/logout', logoutController);
 
-router.post('/account/setup', accountSetup);
-router.post('/account/recovery/send-code', sendRecoveryCode);
-router.post('/account/recovery/verify', verifyRecoveryCode);
-router.post('/account/recovery/reset', resetPasswordAfterRecovery);
+router.get('/devices', requireAuth, listDevices);
+router.post('/devices', requireAuth, registerDevice);
+router.post('/devices/:deviceId/heartbeat', requireAuth, heartbeatDevice);
+router.delete('/devices/:deviceId', requireAuth, unregisterDevice);
+
+router.get('/notification-preferences', requireAuth, getMyNotificationPrefs);
+router.put('/notification-preferences', requireAuth, updateMyNotificationPrefs);
+router.get('/devices/:deviceId/notification-preferences', requireAuth, getDeviceNotificationPrefs);
+router.put('/devices/:deviceId/notification-preferences', requireAuth, updateDeviceNotificationPrefs);
+router.delete('/devices/:deviceId/notification-preferences', requireAuth, resetDeviceNotificationPrefs);
+
+router.get('/config', requireAuth, getMyConfig);
+
+router.get('/webpush/vapid-public-key', requireAuth, getVapidPublicKey);
+router.post('/webpush/subscriptions', requireAuth, subscribeWebPush);
+router.delete('/webpush/subscriptions', requireAuth, unsubscribeWebPush);
+
+router.post('/account/setup', authIpLimiter, accountSetup);
+router.post('/invite/lookup', authIpLimiter, lookupInvitation);
+router.post('/account/password', authIpLimiter, requireAuth, changePassword);
+router.post('/account/recovery/send-code', authIpLimiter, recoverySendLimiter, sendRecoveryCode);
+router.post('/account/recovery/verify', authIpLimiter, recoveryVerifyLimiter, verifyRecoveryCode);
+router.post('/account/recovery/reset', authIpLimiter, recoveryVerifyLimiter, resetPasswordAfterRecovery);
+
+router.post('/account/recovery-phone', authIpLimiter, recoverySendLimiter, requireAuth, registerRecoveryPhone);
+router.post('/account/recovery-phone/verify', authIpLimiter, recoveryVerifyLimiter, requireAuth, verifyRecoveryPhone);
+
+router.post('/account/2fa/setup', requireAuth, startTotpEnrollment);
+router.post('/account/2fa/confirm', authIpLimiter, requireAuth, confirmTotpEnrollment);
+router.post('/account/2fa/disable', authIpLimiter, requireAuth, disableTotp);
 
 
 
@@ -1,9 +1,13 @@
 // src/routes/util.js
 import { Router } from 'express';
 import { testEmail } from '../controllers/util.controller.js';
+import { requireAuth } from '../middleware/auth.js';
+import { PERMISSIONS, requirePermission } from '../middleware/permissions.js';
 
 const router = Router();
 
+router.use(requireAuth, requirePermission(PERMISSIONS.PLATFORM_UTIL));
+
 // POST /api/util/test-email
 router.post('/test-email', testEmail);
 
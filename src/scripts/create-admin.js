@@ -0,0 +1,65 @@
+// src/scripts/create-admin.js
+// Creates the first platform admin (or a site owner), now that users are
+// only created through the authenticated admin API. Prints a one-time temp
+// password; the user sets a real password on first login (account setup).
+//
+//   npm run create-admin -- --username=jane --name="Jane Doe" --site=blueboxx [--role=admin|owner]
+import mongoose from 'mongoose';
+import { connectDB, isDBConnected } from '../config/db.js';
+import User from '../models/User.js';
+import { ROLES } from '../middleware/permissions.js';
+import { recordAudit } from '../services/audit.service.js';
+import { generateTempPassword, hashPassword } from '../services/password.service.js';
+
+const ALLOWED_ROLES = [ROLES.ADMIN, ROLES.OWNER];
+
+const parseArgs = (argv) =>
+  Object.fromEntries(
+    argv
+      .filter((a) => a.startsWith('--') && a.includes('='))
+      .map((a) => {
+        const i = a.indexOf('=');
+        return [a.slice(2, i), a.slice(i + 1).trim()];
+      })
+  );
+
+const run = async () => {
+  const { username, name, site, role = ROLES.ADMIN } = parseArgs(process.argv.slice(2));
+  if (!username || !name || !site) {
+    throw new Error('usage: npm run create-admin -- --username=<u> --name=<display name> --site=<slug> [--role=admin|owner]');
+  }
+  if (!ALLOWED_ROLES.includes(role)) {
+    throw new Error(`role must be one of: ${ALLOWED_ROLES.join(', ')}`);
+  }
+
+  await connectDB();
+  if (!isDBConnected()) throw new Error('Database not connected (check MONGO_URI)');
+
+  if (await User.exists({ username })) throw new Error(`Username already exists: ${username}`);
+
+  const tempPassword = generateTempPassword();
+  const user = await User.create({
+    username,
+    name,
+    site,
+    password: null,
+    temp_password: await hashPassword(tempPassword),
+    premium: false,
+    role
+  });
+
+  await recordAudit(
+    { user: { username: 'script:create-admin' } },
+    { action: 'user.create', site: user.site, targetUser: user, changes: { role: user.role } }
+  );
+
+  console.log(`[create-admin] created ${user.role} ${user.username} (site ${user.site})`);
+  console.log(`[create-admin] temp password (shown once): ${tempPassword}`);
+};
+
+run()
+  .catch((err) => {
+    console.error('[create-admin] failed:', err?.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
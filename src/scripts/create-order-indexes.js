@@ -0,0 +1,89 @@
+// src/scripts/create-order-indexes.js
+// Builds the indexes this backend relies on in the orders collection. The
+// collection is shared with the ordering app, so they are not declared on
+// the schema (mongoose would build them on boot) but created here once
+// reviewed. A unique index is skipped while the data has duplicates for
+// it; those are listed so they can be resolved first. Safe to re-run.
+//
+//   npm run orders:indexes               # check, then create
+//   npm run orders:indexes -- --dry-run  # report only
+import mongoose from 'mongoose';
+import { connectDB, isDBConnected } from '../config/db.js';
+import Order from '../models/Order.js';
+
+const DRY_RUN = process.argv.slice(2).includes('--dry-run');
+const DUPLICATES_SHOWN = 20;
+
+const INDEXES = [
+  // print lookup by order number and the seed for new numbers (services/orderIngest.service.js)
+  { key: { site: 1, orderNumber: 1 } },
+  // idempotent creates by externalId (services/orderIngest.service.js createOrder)
+  {
+    key: { site: 1, externalId: 1 },
+    options: { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+  },
+  // status-filtered search, newest first (GET /api/order/search)
+  { key: { site: 1, status: 1, createdAt: -1 } }
+];
+
+const sameKey = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** Groups of documents sharing the index key among those the index covers */
+const duplicatesFor = ({ key, options }) =>
+  Order.aggregate([
+    { $match: options.partialFilterExpression || {} },
+    {
+      $group: {
+        _id: Object.fromEntries(Object.keys(key).map((f) => [f, `$${f}`])),
+        count: { $sum: 1 },
+        ids: { $push: '$_id' }
+      }
+    },
+    { $match: { count: { $gt: 1 } } },
+    { $limit: DUPLICATES_SHOWN }
+  ]).allowDiskUse(true);
+
+const run = async () => {
+  await connectDB();
+  if (!isDBConnected()) throw new Error('Database not connected (check MONGO_URI)');
+
+  const existing = await Order.collection.indexes();
+  const stats = { present: 0, created: 0, skipped: 0 };
+
+  for (const index of INDEXES) {
+    const options = index.options || {};
+    const label = JSON.stringify(index.key);
+    if (existing.some((i) => sameKey(i.key, index.key))) {
+      stats.present++;
+      continue;
+    }
+
+    if (options.unique) {
+      const duplicates = await duplicatesFor({ key: index.key, options });
+      if (duplicates.length) {
+        stats.skipped++;
+        console.error(`[create-order-indexes] ${label}: duplicates found, not creating the unique index`);
+        for (const d of duplicates) console.error('  ', JSON.stringify(d._id), d.ids.map(String).join(', '));
+        continue;
+      }
+    }
+
+    if (DRY_RUN) {
+      console.log(`[create-order-indexes] would create ${label}`);
+      continue;
+    }
+    await Order.collection.createIndex(index.key, options);
+    stats.created++;
+    console.log(`[create-order-indexes] created ${label}`);
+  }
+
+  console.log(`[create-order-indexes]${DRY_RUN ? ' (dry run)' : ''} done`, stats);
+  if (stats.skipped) process.exitCode = 1;
+};
+
+run()
+  .catch((err) => {
+    console.error('[create-order-indexes] failed:', err?.stack || err?.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,48 @@
+// src/scripts/expire-temp-passwords.js
+// Clears temp passwords still stored in plaintext. They date from before
+// temp passwords were generated per user and hashed, so many are the old
+// shared default and must not keep working. Those accounts can no longer
+// sign in until an admin issues a new temp password
+// (POST /api/admin/users/:id/reset-temp-password); they are listed below.
+// Safe to run again.
+//
+//   npm run temp-passwords:expire               # clear them
+//   npm run temp-passwords:expire -- --dry-run  # list only
+import mongoose from 'mongoose';
+import { connectDB, isDBConnected } from '../config/db.js';
+import User from '../models/User.js';
+import { isBcryptHash } from '../services/password.service.js';
+
+const DRY_RUN = process.argv.slice(2).includes('--dry-run');
+
+const run = async () => {
+  await connectDB();
+  if (!isDBConnected()) throw new Error('Database not connected (check MONGO_URI)');
+
+  const stats = { checked: 0, expired: 0 };
+  const filter = { temp_password: { $type: 'string', $ne: '' } };
+  for await (const u of User.find(filter, { username: 1, site: 1, temp_password: 1 }).lean().cursor()) {
+    stats.checked++;
+    if (isBcryptHash(u.temp_password)) continue;
+
+    if (!DRY_RUN) {
+      // only if it was not changed (e.g. reset by an admin) since it was read
+      const { modifiedCount } = await User.updateOne(
+        { _id: u._id, temp_password: u.temp_password },
+        { $set: { temp_password: null } }
+      );
+      if (!modifiedCount) continue;
+    }
+    stats.expired++;
+    console.log(`[expire-temp-passwords] ${u.username} (site ${u.site || '-'}) needs a new temp password`);
+  }
+
+  console.log(`[expire-temp-passwords]${DRY_RUN ? ' (dry run)' : ''} done`, stats);
+};
+
+run()
+  .catch((err) => {
+    console.error('[expire-temp-passwords] failed:', err?.stack || err?.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
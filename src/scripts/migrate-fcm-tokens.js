@@ -0,0 +1,73 @@
+// src/scripts/migrate-fcm-tokens.js
+// One-off: copies legacy User.fcm_tokens (array | object | JSON string) into
+// the devices collection. Safe to re-run; each slot maps to the synthetic
+// device id "legacy:<userId>:<index>" that POST /addToken and logout use.
+//
+//   npm run migrate:devices               # copy only
+//   npm run migrate:devices -- --dry-run  # report what would be copied
+//   npm run migrate:devices -- --unset    # copy, then remove fcm_tokens
+import mongoose from 'mongoose';
+import { connectDB, isDBConnected } from '../config/db.js';
+import User from '../models/User.js';
+import { legacyDeviceId, upsertDevice } from '../services/device.service.js';
+
+const args = new Set(process.argv.slice(2));
+const DRY_RUN = args.has('--dry-run');
+const UNSET = args.has('--unset');
+
+/** [[slotKey, token], ...] for every non-empty slot */
+const legacySlots = (raw) => {
+  let value = raw;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return [];
+    }
+  }
+  let entries = [];
+  if (Array.isArray(value)) entries = value.map((t, i) => [String(i), t]);
+  else if (value && typeof value === 'object') entries = Object.entries(value);
+
+  return entries
+    .filter(([, t]) => typeof t === 'string' && t.trim().length > 0)
+    .map(([k, t]) => [k.replace(/[^A-Za-z0-9._-]/g, '_'), t.trim()]);
+};
+
+const run = async () => {
+  await connectDB();
+  if (!isDBConnected()) throw new Error('Database not connected (check MONGO_URI)');
+
+  const cursor = User.collection.find(
+    { fcm_tokens: { $exists: true } },
+    { projection: { fcm_tokens: 1, site: 1 } }
+  );
+
+  const stats = { users: 0, devices: 0, unset: 0 };
+  for await (const u of cursor) {
+    stats.users++;
+    for (const [key, token] of legacySlots(u.fcm_tokens)) {
+      stats.devices++;
+      if (DRY_RUN) continue;
+      await upsertDevice({
+        deviceId: legacyDeviceId(u._id, key),
+        userId: u._id,
+        site: u.site || null,
+        fcmToken: token
+      });
+    }
+    if (UNSET && !DRY_RUN) {
+      await User.collection.updateOne({ _id: u._id }, { $unset: { fcm_tokens: '' } });
+      stats.unset++;
+    }
+  }
+
+  console.log(`[migrate-fcm-tokens]${DRY_RUN ? ' (dry run)' : ''}`, stats);
+};
+
+run()
+  .catch((err) => {
+    console.error('[migrate-fcm-tokens] failed:', err?.stack || err?.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
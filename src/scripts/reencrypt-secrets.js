@@ -0,0 +1,70 @@
+// src/scripts/reencrypt-secrets.js
+// Rewrites every encrypted secret (TOTP seeds, API signing secrets) under
+// the current DATA_ENCRYPTION_KEY. Run after a key rotation; values already
+// on the current key are skipped.
+//
+//   npm run secrets:reencrypt
+import mongoose from 'mongoose';
+import { connectDB, isDBConnected } from '../config/db.js';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import { decryptAtRest, encryptAtRest, needsReencrypt } from '../services/crypto.service.js';
+
+const rewrap = (stored) => encryptAtRest(decryptAtRest(stored));
+
+const run = async () => {
+  await connectDB();
+  if (!isDBConnected()) throw new Error('Database not connected (check MONGO_URI)');
+
+  const stats = { users: 0, apiKeys: 0, failed: 0 };
+
+  const totpFilter = {
+    $or: [{ totp_secret: { $type: 'string' } }, { totp_pending_secret: { $type: 'string' } }]
+  };
+  for await (const u of User.find(totpFilter, { totp_secret: 1, totp_pending_secret: 1 }).lean().cursor()) {
+    const set = {};
+    try {
+      for (const field of ['totp_secret', 'totp_pending_secret']) {
+        if (u[field] && needsReencrypt(u[field])) set[field] = rewrap(u[field]);
+      }
+    } catch (e) {
+      stats.failed++;
+      console.error(`[reencrypt-secrets] user ${u._id}:`, e?.message || e);
+      continue;
+    }
+    if (Object.keys(set).length) {
+      await User.updateOne({ _id: u._id }, { $set: set });
+      stats.users++;
+    }
+  }
+
+  for await (const k of ApiKey.find({ 'secrets.0': { $exists: true } }).cursor()) {
+    let changed = false;
+    try {
+      for (const s of k.secrets) {
+        if (needsReencrypt(s.secret_enc)) {
+          s.secret_enc = rewrap(s.secret_enc);
+          changed = true;
+        }
+      }
+    } catch (e) {
+      stats.failed++;
+      console.error(`[reencrypt-secrets] api key ${k.key_id}:`, e?.message || e);
+      continue;
+    }
+    if (changed) {
+      await k.save();
+      stats.apiKeys++;
+    }
+  }
+
+  console.log('[reencrypt-secrets] done', stats);
+  if (stats.failed) process.exitCode = 1;
+};
+
+run()
+  .catch((err) => {
+    console.error('[reencrypt-secrets] failed:', err?.stack || err?.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,39 @@
+// src/scripts/resync-fcm-topics.js
+// Subscribes every registered device to its site/role FCM topics (or drops
+// the subscriptions when NOTIFY_FANOUT_MODE=tokens or FCM_TOPIC_SECRET is
+// unset). Run once after switching to topic fan-out, after setting or
+// changing FCM_TOPIC_SECRET, after the device migration, or after deploying
+// a change to which devices stay on topics (desiredTopics / hasDefaultPrefs
+// in services/topic.service.js): devices only re-sync on their own when
+// they register or their preferences change.
+//
+//   npm run topics:resync
+import mongoose from 'mongoose';
+import { connectDB, isDBConnected } from '../config/db.js';
+import Device from '../models/Device.js';
+import User from '../models/User.js';
+import { fanoutMode, syncDeviceTopics } from '../services/topic.service.js';
+
+const run = async () => {
+  await connectDB();
+  if (!isDBConnected()) throw new Error('Database not connected (check MONGO_URI)');
+
+  const users = new Map();
+  const stats = { devices: 0, subscribed: 0 };
+  for await (const d of Device.find({ fcm_token: { $type: 'string' } }).lean().cursor()) {
+    const key = String(d.user);
+    if (!users.has(key)) users.set(key, await User.findById(d.user).lean());
+    const topics = await syncDeviceTopics(d, users.get(key));
+    stats.devices++;
+    if (topics.length) stats.subscribed++;
+  }
+
+  console.log(`[resync-fcm-topics] mode=${fanoutMode()}`, stats);
+};
+
+run()
+  .catch((err) => {
+    console.error('[resync-fcm-topics] failed:', err?.stack || err?.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
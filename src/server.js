@@ -5,6 +5,8 @@ dotenv.config();
 import http from 'http';
 import app from './app.js';
 import { connectDB } from './config/db.js';
+import { startEscalationJob } from './jobs/escalation.job.js';
+import { startDevicePruneJob } from './jobs/devicePrune.job.js';
 
 // Log unhandled errors instead of dying silently
 process.on('unhandledRejection', (err) => {
@@ -23,3 +25,7 @@ const server = http.createServer(app);
 server.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
 });
+
+// Background jobs (no-ops while the DB is unavailable)
+startEscalationJob();
+startDevicePruneJob();
@@ -0,0 +1,142 @@
+// src/services/apiKey.service.js
+// HMAC request signing for backend-to-backend calls.
+//
+// The caller sends:
+//   X-BB-Key-Id:    bbk_...
+//   X-BB-Timestamp: unix seconds
+//   X-BB-Nonce:     random string, unique per request
+//   X-BB-Signature: v1=<hex hmac-sha256(secret, signing string)>
+//
+// signing string = "v1\n<timestamp>\n<nonce>\n<METHOD>\n<path?query>\n<sha256 hex of raw body>"
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import ApiNonce from '../models/ApiNonce.js';
+import { decryptAtRest, encryptAtRest, sha256Hex } from './crypto.service.js';
+
+export const SERVICE_SCOPES = Object.freeze({
+  ORDERS_NOTIFY: 'orders:notify',
+  ORDERS_EMAIL: 'orders:email',
+  ORDERS_WRITE: 'orders:write'
+});
+
+export const SERVICE_SCOPE_VALUES = Object.values(SERVICE_SCOPES);
+
+/** ApiKey.sites entry granting every site */
+export const ALL_SITES = '*';
+
+/**
+ * True when the signed caller (req.service) may act for `site` (site doc).
+ */
+export const serviceCanAccessSite = (service, site) => {
+  const allowed = service?.sites || [];
+  if (allowed.includes(ALL_SITES)) return true;
+  if (!site?.slug) return false;
+  return allowed.includes(String(site.slug));
+};
+
+const SIGNATURE_VERSION = 'v1';
+const TOLERANCE_SECONDS = Number(process.env.API_SIGNATURE_TOLERANCE_SECONDS || 300);
+const LAST_USED_WRITE_MS = 60 * 1000;
+
+export const generateKeyId = () => `bbk_${crypto.randomBytes(12).toString('hex')}`;
+
+export const generateKeySecret = () => `bbs_${crypto.randomBytes(32).toString('base64url')}`;
+
+/** Subdocument for ApiKey.secrets; the plain secret is returned to the admin once */
+export const newSecretEntry = (secret) => ({
+  secret_enc: encryptAtRest(secret),
+  fingerprint: sha256Hex(secret).slice(0, 12),
+  created_at: new Date(),
+  expires_at: null
+});
+
+export const buildSigningString = ({ timestamp, nonce, method, path, body }) =>
+  [
+    SIGNATURE_VERSION,
+    String(timestamp),
+    String(nonce),
+    String(method).toUpperCase(),
+    String(path),
+    sha256Hex(body ?? '')
+  ].join('\n');
+
+/** Used by callers (and scripts) to produce X-BB-Signature */
+export const signRequest = (secret, parts) =>
+  `${SIGNATURE_VERSION}=${crypto
+    .createHmac('sha256', secret)
+    .update(buildSigningString(parts))
+    .digest('hex')}`;
+
+const safeEqual = (a, b) => {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+};
+
+/** Secrets that still verify: the current one plus any within their rotation grace */
+const usableSecrets = (apiKey, now = new Date()) =>
+  (apiKey.secrets || []).filter((s) => !s.expires_at || new Date(s.expires_at) > now);
+
+const reject = (status, message) => ({ ok: false, status, message });
+
+/**
+ * Checks the signature headers on `req` (which must carry `rawBody`).
+ *
+ * @returns {Promise<{ok:true, apiKey:object} | {ok:false, status:number, message:string}>}
+ */
+export const verifyServiceRequest = async (req) => {
+  const keyId = req.get('x-bb-key-id');
+  const timestamp = req.get('x-bb-timestamp');
+  const nonce = req.get('x-bb-nonce');
+  const signature = req.get('x-bb-signature');
+
+  if (!keyId || !timestamp || !nonce || !signature) {
+    return reject(401, 'Missing request signature');
+  }
+  if (!/^\d{9,11}$/.test(timestamp)) return reject(401, 'Invalid timestamp');
+  if (nonce.length < 16 || nonce.length > 128) return reject(401, 'Invalid nonce');
+
+  const skew = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (skew > TOLERANCE_SECONDS) return reject(401, 'Request timestamp outside allowed window');
+
+  const apiKey = await ApiKey.findOne({ key_id: keyId, status: 'active' }).lean();
+  if (!apiKey) return reject(401, 'Unknown API key');
+
+  const parts = {
+    timestamp,
+    nonce,
+    method: req.method,
+    path: req.originalUrl,
+    body: req.rawBody
+  };
+  const matched = usableSecrets(apiKey).some((s) => {
+    try {
+      return safeEqual(signRequest(decryptAtRest(s.secret_enc), parts), signature);
+    } catch {
+      return false;
+    }
+  });
+  if (!matched) return reject(401, 'Invalid signature');
+
+  // Only record the nonce once the signature is known good, so junk
+  // requests cannot fill the collection.
+  try {
+    await ApiNonce.create({
+      key_id: keyId,
+      nonce,
+      expires_at: new Date((Number(timestamp) + TOLERANCE_SECONDS) * 1000)
+    });
+  } catch (e) {
+    if (e?.code === 11000) return reject(401, 'Replayed request');
+    throw e;
+  }
+
+  const now = Date.now();
+  if (!apiKey.last_used_at || now - new Date(apiKey.last_used_at).getTime() > LAST_USED_WRITE_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { last_used_at: new Date(now) } }).catch((e) =>
+      console.warn('api key last_used_at update failed:', e?.message || e)
+    );
+  }
+
+  return { ok: true, apiKey };
+};
@@ -0,0 +1,137 @@
+// src/services/appVersion.service.js
+// Mobile app version policy (latest / minimum / store URL per platform).
+// Stored in app_versions; public/app-versions.json is only the fallback
+// for platforms that have no global row yet.
+import fs from 'fs';
+import path from 'path';
+import AppVersion from '../models/AppVersion.js';
+
+export const APP_PLATFORMS = ['ios', 'android'];
+
+const CACHE_SECONDS = 60;
+const MANIFEST_PATH = path.resolve(process.cwd(), 'public', 'app-versions.json');
+
+const cache = new Map(); // `${platform}:${site}` -> { policy, expiresAt }
+let overrideSites = { sites: new Set(), expiresAt: 0 };
+
+export const isValidVersion = (v) => typeof v === 'string' && /^\d{1,5}(\.\d{1,5}){0,3}$/.test(v.trim());
+
+const versionParts = (v) =>
+  String(v || '')
+    .trim()
+    .split(/[-+]/)[0]
+    .split('.')
+    .map((n) => Number.parseInt(n, 10) || 0);
+
+/** -1, 0 or 1, comparing dotted numeric versions ("1.2" == "1.2.0") */
+export const compareVersions = (a, b) => {
+  const pa = versionParts(a);
+  const pb = versionParts(b);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d) return d > 0 ? 1 : -1;
+  }
+  return 0;
+};
+
+const fileManifest = () => {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+  } catch (e) {
+    console.error('app-versions.json unreadable:', e?.message || e);
+    return {};
+  }
+};
+
+const pick = (row) => ({
+  latest: row?.latest || null,
+  minimum: row?.minimum || null,
+  storeUrl: row?.store_url || row?.storeUrl || null
+});
+
+/**
+ * Sites that have their own rows. The public manifest takes any `?site=`,
+ * so only these are looked up and cached per site; every other value gets
+ * the global policy and the cache stays bounded by the rows in the DB.
+ */
+const sitesWithOverrides = async () => {
+  if (overrideSites.expiresAt > Date.now()) return overrideSites.sites;
+  const sites = await AppVersion.distinct('site', { site: { $ne: null } });
+  overrideSites = { sites: new Set(sites), expiresAt: Date.now() + CACHE_SECONDS * 1000 };
+  return overrideSites.sites;
+};
+
+/**
+ * Effective policy for a platform, optionally for one site.
+ *
+ * @returns {Promise<{ platform, site, latest, minimum, storeUrl, source: 'db'|'file'|'site' }>}
+ */
+export const resolveAppVersionPolicy = async (platform, requestedSite = null) => {
+  const site = requestedSite && (await sitesWithOverrides()).has(requestedSite) ? requestedSite : null;
+  const cacheKey = `${platform}:${site || ''}`;
+  const hit = cache.get(cacheKey);
+  if (hit && hit.expiresAt > Date.now()) return hit.policy;
+
+  const rows = await AppVersion.find({ platform, site: { $in: site ? [null, site] : [null] } }).lean();
+  const globalRow = rows.find((r) => r.site === null);
+  const siteRow = site ? rows.find((r) => r.site === site) : null;
+
+  const base = globalRow ? pick(globalRow) : pick(fileManifest()[platform]);
+  const override = Object.fromEntries(Object.entries(pick(siteRow)).filter(([, v]) => v !== null));
+
+  const policy = {
+    platform,
+    site: siteRow ? site : null,
+    ...base,
+    ...override,
+    source: siteRow ? 'site' : globalRow ? 'db' : 'file'
+  };
+  cache.set(cacheKey, { policy, expiresAt: Date.now() + CACHE_SECONDS * 1000 });
+  return policy;
+};
+
+/** Drops cached policies after an admin change (other instances catch up within CACHE_SECONDS) */
+export const clearAppVersionCache = () => {
+  cache.clear();
+  overrideSites = { sites: new Set(), expiresAt: 0 };
+};
+
+/** Same shape as the old public/app-versions.json */
+export const appVersionManifest = async (site = null) => {
+  const out = {};
+  for (const platform of APP_PLATFORMS) {
+    const { latest, minimum, storeUrl } = await resolveAppVersionPolicy(platform, site);
+    out[platform] = { latest, minimum, storeUrl };
+  }
+  return out;
+};
+
+/**
+ * Validates an admin update. Missing fields are left as they are.
+ *
+ * @returns {{ error: string } | { set: object }}
+ */
+export const parseAppVersionUpdate = (body = {}) => {
+  const set = {};
+  for (const field of ['latest', 'minimum']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null) {
+      set[field] = null;
+    } else if (!isValidVersion(body[field])) {
+      return { error: `${field} must look like 1.2.3` };
+    } else {
+      set[field] = body[field].trim();
+    }
+  }
+  if (body.storeUrl !== undefined) {
+    if (body.storeUrl === null) {
+      set.store_url = null;
+    } else if (typeof body.storeUrl !== 'string' || !/^(https|itms-apps|market):\/\/\S{3,500}$/.test(body.storeUrl.trim())) {
+      return { error: 'storeUrl must be an https://, itms-apps:// or market:// URL' };
+    } else {
+      set.store_url = body.storeUrl.trim();
+    }
+  }
+  if (!Object.keys(set).length) return { error: 'Nothing to update (latest, minimum, storeUrl)' };
+  return { set };
+};
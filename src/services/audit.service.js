@@ -0,0 +1,40 @@
+// src/services/audit.service.js
+import AuditLog from '../models/AuditLog.js';
+import { clientIp } from '../utils/clientIp.js';
+
+/**
+ * Writes one audit entry for the authenticated caller of `req`.
+ * Never throws: a failed audit write is logged, not surfaced.
+ */
+export const recordAudit = async (req, { action, site = null, targetUser = null, changes = null }) => {
+  try {
+    await AuditLog.create({
+      action,
+      actor: {
+        userId: req?.user?.userId || null,
+        username: req?.user?.username || null,
+        role: req?.user?.role || null
+      },
+      site: site ? String(site) : null,
+      target_user: targetUser?._id || null,
+      target_username: targetUser?.username || null,
+      changes,
+      ip: clientIp(req),
+      user_agent: req?.get?.('user-agent') || null
+    });
+  } catch (e) {
+    console.error(`[AUDIT] failed to record ${action}:`, e?.message || e);
+  }
+};
+
+/**
+ * Builds a { field: { from, to } } diff for the keys present in `next`.
+ */
+export const diffFields = (prev, next) => {
+  const out = {};
+  for (const [k, to] of Object.entries(next)) {
+    const from = prev?.[k] ?? null;
+    if (String(from) !== String(to ?? null)) out[k] = { from, to: to ?? null };
+  }
+  return out;
+};
@@ -0,0 +1,64 @@
+// src/services/crypto.service.js
+// Symmetric encryption for secrets the server must be able to read back
+// (TOTP seeds, API signing secrets). AES-256-GCM with a dedicated key:
+//   DATA_ENCRYPTION_KEY      current key (required to encrypt)
+//   DATA_ENCRYPTION_KEY_ID   its id, stored with every ciphertext (default "k1")
+//   DATA_ENCRYPTION_OLD_KEYS "id:key,id:key" still accepted for decryption
+// To rotate: move the current key into OLD_KEYS, set a new key and id, run
+// `npm run secrets:reencrypt`, then drop the old key.
+import crypto from 'crypto';
+
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+const derive = (raw) => crypto.createHash('sha256').update(raw).digest();
+
+const currentKeyId = () => process.env.DATA_ENCRYPTION_KEY_ID || 'k1';
+
+const currentKey = () => {
+  if (!process.env.DATA_ENCRYPTION_KEY) throw new Error('Missing required env: DATA_ENCRYPTION_KEY');
+  if (!KEY_ID_PATTERN.test(currentKeyId())) throw new Error('DATA_ENCRYPTION_KEY_ID must be 1-32 of [A-Za-z0-9_-]');
+  return derive(process.env.DATA_ENCRYPTION_KEY);
+};
+
+/** id -> derived key, current key included */
+const keyring = () => {
+  const keys = new Map();
+  for (const entry of String(process.env.DATA_ENCRYPTION_OLD_KEYS || '').split(',')) {
+    const i = entry.indexOf(':');
+    if (i > 0) keys.set(entry.slice(0, i).trim(), derive(entry.slice(i + 1).trim()));
+  }
+  if (process.env.DATA_ENCRYPTION_KEY) keys.set(currentKeyId(), derive(process.env.DATA_ENCRYPTION_KEY));
+  return keys;
+};
+
+const open = (key, [iv, tag, enc]) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString('utf8');
+};
+
+/** "<keyId>.<iv>.<tag>.<ciphertext>" (base64url parts) */
+export const encryptAtRest = (plain) => {
+  const key = currentKey();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const enc = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [currentKeyId(), ...[iv, tag, enc].map((b) => b.toString('base64url'))].join('.');
+};
+
+export const decryptAtRest = (stored) => {
+  const parts = String(stored).split('.');
+  if (parts.length !== 4) throw new Error('Could not decrypt: unsupported format');
+  const key = keyring().get(parts[0]);
+  if (!key) throw new Error(`Unknown encryption key id: ${parts[0]}`);
+  return open(key, parts.slice(1).map((p) => Buffer.from(p, 'base64url')));
+};
+
+/** True when `stored` was not written with the current key (re-encrypt it) */
+export const needsReencrypt = (stored) => {
+  const parts = String(stored).split('.');
+  return parts.length !== 4 || parts[0] !== currentKeyId();
+};
+
+export const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
@@ -0,0 +1,136 @@
+// src/services/device.service.js
+import Device from '../models/Device.js';
+import { syncDeviceTopics, unsubscribeDeviceTopics } from './topic.service.js';
+
+export const PLATFORMS = ['ios', 'android', 'web', 'unknown'];
+
+/** Client-chosen ids: 8–128 chars of [A-Za-z0-9._:-] */
+export const isValidDeviceId = (id) =>
+  typeof id === 'string' && /^[A-Za-z0-9._:-]{8,128}$/.test(id);
+
+/** Device id used for registrations made through the legacy index API */
+export const legacyDeviceId = (userId, index) => `legacy:${userId}:${index}`;
+
+/**
+ * Registers or refreshes a device for `userId`. Passing `fcmToken: null`
+ * clears the token; leaving it undefined keeps the stored one. FCM topic
+ * subscriptions follow the device's site, role and token.
+ *
+ * @returns {Promise<object|null>} the device, or null when `deviceId` is
+ *   registered to another user (they must log out on it first)
+ */
+export const upsertDevice = async ({ deviceId, userId, site, platform, appVersion, fcmToken }) => {
+  const current = await Device.findOne({ device_id: deviceId }, { user: 1 }).lean();
+  if (current && String(current.user) !== String(userId)) return null;
+
+  const set = { user: userId, last_seen_at: new Date() };
+  if (site !== undefined) set.site = site || null;
+  if (platform !== undefined) set.platform = platform;
+  if (appVersion !== undefined) set.app_version = appVersion || null;
+
+  if (fcmToken !== undefined) {
+    set.fcm_token = fcmToken || null;
+    set.push_failure_count = 0;
+    set.push_last_error = null;
+    if (fcmToken) {
+      // the install re-registered under a new device id (e.g. reinstall):
+      // the old rows give up the token and their topic subscriptions. They
+      // are cleared first so they don't count as still using the token.
+      const stale = await Device.find({ fcm_token: fcmToken, device_id: { $ne: deviceId } }).lean();
+      if (stale.length) {
+        await Device.updateMany(
+          { _id: { $in: stale.map((d) => d._id) } },
+          { $set: { fcm_token: null, topics: [], topic_token: null } }
+        );
+        for (const d of stale) await unsubscribeDeviceTopics(d);
+      }
+    }
+  }
+
+  const device = await Device.findOneAndUpdate(
+    { device_id: deviceId, user: userId },
+    { $set: set },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  device.topics = await syncDeviceTopics(device);
+  return device;
+};
+
+/** Removes a device if it belongs to `userId`. Returns true when one was removed. */
+export const removeDevice = async (deviceId, userId) => {
+  const device = await Device.findOne({ device_id: deviceId, user: userId }).lean();
+  if (!device) return false;
+  await unsubscribeDeviceTopics(device);
+  const res = await Device.deleteOne({ _id: device._id });
+  return res.deletedCount === 1;
+};
+
+/**
+ * Deletes devices not seen for `staleDays` that no longer hold an FCM token
+ * (cleared as dead or by logout). Rows with a token are kept however old,
+ * since push still reaches them.
+ */
+export const pruneStaleDevices = async (staleDays) => {
+  const cutoff = new Date(Date.now() - staleDays * 24 * 60 * 60 * 1000);
+  const filter = { fcm_token: null, last_seen_at: { $lt: cutoff } };
+  for (const d of await Device.find({ ...filter, topic_token: { $type: 'string' } }).lean()) {
+    await unsubscribeDeviceTopics(d);
+  }
+  const res = await Device.deleteMany(filter);
+  return res.deletedCount || 0;
+};
+
+/** Drops every device of a user (account deleted or disabled) */
+export const removeAllDevices = async (userId) => {
+  for (const d of await Device.find({ user: userId, 'topics.0': { $exists: true } }).lean()) {
+    await unsubscribeDeviceTopics(d);
+  }
+  const res = await Device.deleteMany({ user: userId });
+  return res.deletedCount || 0;
+};
+
+/**
+ * FCM tokens of every device owned by `userIds`. `devices` carries the
+ * per-device notification prefs for notificationPrefs.planPushDelivery.
+ *
+ * @returns {Promise<{
+ *   tokens: string[],
+ *   tokenOwners: Record<string, string[]>,
+ *   devices: Array<{ token: string, user: string, deviceId: string, topics: string[], notification_prefs: object|null }>
+ * }>}
+ */
+export const pushTokensForUsers = async (userIds) => {
+  const rows = await Device.find(
+    { user: { $in: userIds }, fcm_token: { $type: 'string' } },
+    { fcm_token: 1, user: 1, device_id: 1, topics: 1, notification_prefs: 1 }
+  ).lean();
+
+  const tokenOwners = {};
+  const devices = [];
+  for (const d of rows) {
+    const t = d.fcm_token.trim();
+    if (!t) continue;
+    if (!tokenOwners[t]) tokenOwners[t] = [];
+    tokenOwners[t].push(String(d.user));
+    devices.push({
+      token: t,
+      user: String(d.user),
+      deviceId: d.device_id,
+      topics: d.topics || [],
+      notification_prefs: d.notification_prefs || null
+    });
+  }
+  return { tokens: Object.keys(tokenOwners), tokenOwners, devices };
+};
+
+export const toPublicDevice = (d) => ({
+  deviceId: d.device_id,
+  platform: d.platform,
+  appVersion: d.app_version,
+  site: d.site,
+  hasPushToken: !!d.fcm_token,
+  hasNotificationOverrides: !!d.notification_prefs,
+  topics: d.topics || [],
+  last_seen_at: d.last_seen_at,
+  created_at: d.created_at
+});
@@ -0,0 +1,128 @@
+// src/services/escalation.service.js
+// Unaccepted-order escalation: devices are re-notified every
+// ESCALATION_INTERVAL_SECONDS while the order stays new/paid, and the site
+// owners are alerted by SMS (verified recovery phone) or email once
+// ESCALATION_OWNER_ALERT_AFTER_SECONDS have passed.
+import mongoose from 'mongoose';
+import OrderEscalation from '../models/OrderEscalation.js';
+import User from '../models/User.js';
+import { ROLES } from '../middleware/permissions.js';
+import { roleForSite, siteMemberFilter } from './membership.service.js';
+import { maskPhone, sendSms } from './sms.service.js';
+import { maskEmail, sendMail, simpleNoticeHtml } from './mail.service.js';
+import { siteTimezone } from './notificationPrefs.service.js';
+import { orderVariables, renderTemplate, siteLocaleAndName } from './template.service.js';
+
+export const ESCALATING_STATUSES = ['new', 'paid'];
+
+const seconds = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+export const escalationConfig = () => ({
+  intervalSeconds: seconds('ESCALATION_INTERVAL_SECONDS', 120),
+  ownerAlertAfterSeconds: seconds('ESCALATION_OWNER_ALERT_AFTER_SECONDS', 600),
+  maxRenotify: seconds('ESCALATION_MAX_RENOTIFY', 10),
+  leaseSeconds: 60
+});
+
+export const isEscalatingStatus = (status) =>
+  ESCALATING_STATUSES.includes(String(status || '').toLowerCase());
+
+/**
+ * Starts escalation for a freshly notified order. A second call for the
+ * same order is a no-op.
+ */
+export const startEscalation = async (orderId, siteSlug) => {
+  if (!mongoose.Types.ObjectId.isValid(String(orderId || '')) || !siteSlug) return false;
+  const { intervalSeconds } = escalationConfig();
+  const now = new Date();
+  const res = await OrderEscalation.updateOne(
+    { order: orderId },
+    {
+      $setOnInsert: {
+        order: orderId,
+        site: siteSlug,
+        status: 'active',
+        started_at: now,
+        next_run_at: new Date(now.getTime() + intervalSeconds * 1000)
+      }
+    },
+    { upsert: true }
+  );
+  return res.upsertedCount === 1;
+};
+
+/** Stops an active escalation (order accepted, cancelled, ...) */
+export const stopEscalation = async (orderId, reason, by = null) => {
+  const res = await OrderEscalation.updateOne(
+    { order: orderId, status: 'active' },
+    { $set: { status: 'stopped', stopped_at: new Date(), stop_reason: reason, stopped_by: by } }
+  );
+  return res.modifiedCount === 1;
+};
+
+/** Leases the next due escalation, or returns null when none is due */
+export const claimDueEscalation = (now = new Date()) => {
+  const { leaseSeconds } = escalationConfig();
+  return OrderEscalation.findOneAndUpdate(
+    {
+      status: 'active',
+      next_run_at: { $lte: now },
+      $or: [{ locked_until: null }, { locked_until: { $lte: now } }]
+    },
+    { $set: { locked_until: new Date(now.getTime() + leaseSeconds * 1000) } },
+    { sort: { next_run_at: 1 }, new: true }
+  );
+};
+
+const siteOwners = async (siteSlug) => {
+  const members = await User.find({ ...siteMemberFilter(siteSlug), disabled: { $ne: true } }).lean();
+  return members.filter((u) => roleForSite(u, siteSlug) === ROLES.OWNER);
+};
+
+/**
+ * Texts each owner of the site (verified recovery phone), falling back to
+ * their recovery email. Wording comes from the site's "sms.owner_escalation"
+ * and "email.owner_escalation" templates.
+ *
+ * @returns {Promise<Array<{ channel: 'sms'|'email', to: string, ok: boolean, error: string|null }>>}
+ */
+export const alertSiteOwners = async (escalation, order) => {
+  const site = escalation.site;
+  const { locale, siteName } = await siteLocaleAndName(site);
+  const variables = {
+    ...orderVariables(order, { locale, timeZone: await siteTimezone(site), siteName }),
+    waitedMinutes: Math.max(1, Math.round((Date.now() - new Date(escalation.started_at)) / 60000))
+  };
+  const { body: text } = await renderTemplate('sms.owner_escalation', { site, locale, variables });
+  const email = await renderTemplate('email.owner_escalation', { site, locale, variables });
+
+  const results = [];
+  for (const owner of await siteOwners(escalation.site)) {
+    if (owner.recovery_phone && owner.recovery_phone_verified_at) {
+      try {
+        await sendSms(owner.recovery_phone, text);
+        results.push({ channel: 'sms', to: maskPhone(owner.recovery_phone), ok: true, error: null });
+        continue;
+      } catch (e) {
+        results.push({ channel: 'sms', to: maskPhone(owner.recovery_phone), ok: false, error: e?.message || String(e) });
+      }
+    }
+    if (owner.recovery_email) {
+      try {
+        await sendMail({
+          to: owner.recovery_email,
+          subject: email.subject,
+          text: email.body,
+          html: simpleNoticeHtml(email.heading, [email.body])
+        });
+        results.push({ channel: 'email', to: maskEmail(owner.recovery_email), ok: true, error: null });
+      } catch (e) {
+        results.push({ channel: 'email', to: maskEmail(owner.recovery_email), ok: false, error: e?.message || String(e) });
+      }
+    }
+  }
+  return results;
+};
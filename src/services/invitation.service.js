@@ -0,0 +1,86 @@
+// src/services/invitation.service.js
+import crypto from 'crypto';
+import Invitation from '../models/Invitation.js';
+import { escapeHtml, sendMail } from './mail.service.js';
+
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS || '72', 10);
+
+export const hashInviteToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/** Fresh token + expiry; store only the hash */
+export const newInviteToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    tokenHash: hashInviteToken(token),
+    expiresAt: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000)
+  };
+};
+
+/**
+ * The pending, unexpired invitation for `token`, or null.
+ */
+export const findRedeemableInvitation = async (token) => {
+  if (typeof token !== 'string' || token.length === 0) return null;
+  return Invitation.findOne({
+    token_hash: hashInviteToken(token),
+    status: 'pending',
+    expires_at: { $gt: new Date() }
+  });
+};
+
+const inviteLink = (token) => {
+  const base = process.env.INVITE_URL_BASE;
+  if (!base) return null;
+  return `${base}${base.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Emails the invite link (or the raw code when INVITE_URL_BASE is unset).
+ */
+export const sendInvitationEmail = async (invitation, token, { siteName } = {}) => {
+  const link = inviteLink(token);
+  const where = siteName || invitation.site;
+  const hours = Math.max(1, Math.round((new Date(invitation.expires_at) - Date.now()) / 3600000));
+
+  const text = [
+    `Hi ${invitation.name},`,
+    '',
+    `You have been invited to join ${where} on BlueBoxx as ${invitation.role}.`,
+    `Your username: ${invitation.username}`,
+    '',
+    link ? `Finish setting up your account: ${link}` : `Your invite code: ${token}`,
+    '',
+    `This invite can be used once and expires in ${hours} hours.`,
+    'If you were not expecting this, you can ignore this email.'
+  ].join('\n');
+
+  const action = link
+    ? `<p style="margin:20px 0;"><a href="${escapeHtml(link)}" style="background:#111827;color:#fff;padding:12px 18px;border-radius:10px;text-decoration:none;display:inline-block;">Set up your account</a></p>`
+    : `<div style="font-size:14px;word-break:break-all;padding:16px 12px;margin:12px 0;border:1px dashed #d1d5db;border-radius:10px;background:#fafafa;"><strong>${escapeHtml(token)}</strong></div>`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+  <body style="font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; background:#f6f7f9; padding:24px; color:#111;">
+    <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:600px;margin:0 auto;background:#fff;border-radius:12px;overflow:hidden;border:1px solid #e5e7eb;">
+      <tr><td style="padding:24px;">
+        <h1 style="margin:0 0 8px;font-size:20px;">You're invited to ${escapeHtml(where)}</h1>
+        <p style="margin:0 0 16px;color:#444;">Hi <strong>${escapeHtml(invitation.name)}</strong>, you have been invited to BlueBoxx as <strong>${escapeHtml(invitation.role)}</strong>.</p>
+        <p style="margin:0 0 16px;color:#444;">Your username: <strong>${escapeHtml(invitation.username)}</strong></p>
+        ${action}
+        <p style="margin:16px 0;color:#444;">This invite can be used once and expires in <strong>${hours} hours</strong>.</p>
+        <p style="margin-top:24px;color:#888;font-size:12px;">If you were not expecting this, you can ignore this email.</p>
+      </td></tr>
+    </table>
+  </body>
+</html>`.trim();
+
+  return sendMail({
+    to: invitation.email,
+    subject: `You're invited to ${where} on BlueBoxx`,
+    text,
+    html
+  });
+};
@@ -0,0 +1,87 @@
+// src/services/lockout.service.js
+import User from '../models/User.js';
+import { sendMail, simpleNoticeHtml } from './mail.service.js';
+
+// After this many consecutive bad passwords the account is locked
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS || '5', 10);
+// First lockout lasts this long; each further lockout doubles it
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES || '15', 10);
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+
+/**
+ * Seconds left on the user's lockout, or 0 when not locked.
+ */
+export const lockoutRemainingSeconds = (user) => {
+  const until = user?.lockout_until ? new Date(user.lockout_until).getTime() : 0;
+  const left = Math.ceil((until - Date.now()) / 1000);
+  return left > 0 ? left : 0;
+};
+
+const sendLockoutNotice = async (user, until) => {
+  const to = user.recovery_email?.trim();
+  if (!to) return;
+
+  const minutes = Math.ceil((until.getTime() - Date.now()) / 60000);
+  const lines = [
+    `Hi ${user.username},`,
+    `We locked your BlueBoxx account for ${minutes} minutes after several failed sign-in attempts.`,
+    'If this was you, wait and try again, or reset your password with a recovery code.',
+    'If it was not you, reset your password as soon as the lock expires.'
+  ];
+
+  await sendMail({
+    to,
+    subject: 'Your BlueBoxx account was temporarily locked',
+    text: lines.join('\n\n'),
+    html: simpleNoticeHtml('Account temporarily locked', lines)
+  });
+};
+
+/**
+ * Counts one failed login. Locks the account (progressively longer each
+ * time) once MAX_FAILED_LOGINS is reached and emails the recovery address.
+ *
+ * @returns {Promise<{ locked: boolean, retryAfterSeconds: number }>}
+ */
+export const recordFailedLogin = async (user) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failed_login_count: 1 } },
+    { new: true }
+  );
+  if (!updated || (updated.failed_login_count || 0) < MAX_FAILED_LOGINS) {
+    return { locked: false, retryAfterSeconds: 0 };
+  }
+
+  const level = updated.lockout_count || 0;
+  const minutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** level, LOCKOUT_MAX_MINUTES);
+  const until = new Date(Date.now() + minutes * 60 * 1000);
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { lockout_until: until, failed_login_count: 0 },
+      $inc: { lockout_count: 1 }
+    }
+  );
+
+  console.warn(`[LOCKOUT] user=${updated.username} minutes=${minutes} level=${level + 1}`);
+
+  // not awaited: a slow mail server must not make lockouts visible by timing
+  sendLockoutNotice(updated, until).catch((e) => {
+    console.error('Lockout notice failed for user', updated.username, e?.message || e);
+  });
+
+  return { locked: true, retryAfterSeconds: minutes * 60 };
+};
+
+/**
+ * Resets failure counters after a successful login or password reset.
+ */
+export const clearFailedLogins = async (user) => {
+  if (!user?.failed_login_count && !user?.lockout_count && !user?.lockout_until) return;
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failed_login_count: 0, lockout_count: 0, lockout_until: null } }
+  );
+};
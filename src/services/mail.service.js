@@ -0,0 +1,74 @@
+// src/services/mail.service.js
+import nodemailer from 'nodemailer';
+
+const SMTP_KEYS = ['SMTP_HOST', 'SMTP_PORT', 'SMTP_USER', 'SMTP_PASS'];
+
+export function ensureSmtpEnv() {
+  const missing = SMTP_KEYS.filter((k) => !process.env[k]);
+  if (missing.length) throw new Error(`Missing required env: ${missing.join(', ')}`);
+}
+
+export function escapeHtml(s) {
+  if (typeof s !== 'string') return '';
+  return s
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function maskEmail(email) {
+  try {
+    const [local, domain] = String(email).split('@');
+    if (!local || !domain) return '***@***';
+    if (local.length <= 2) return `${local[0] || '*'}***@${domain}`;
+    return `${local[0]}***${local[local.length - 1]}@${domain}`;
+  } catch {
+    return '***@***';
+  }
+}
+
+/**
+ * Sends one email through the shared SMTP (Hostinger) account.
+ * Throws when SMTP is not configured or the send fails.
+ */
+export async function sendMail({ to, subject, text, html }) {
+  ensureSmtpEnv();
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT),
+    secure: Number(process.env.SMTP_PORT) === 465, // true for 465, false for 587
+    auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+  });
+
+  return transporter.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to,
+    subject,
+    text,
+    html
+  });
+}
+
+/**
+ * Minimal branded wrapper used by account notices (lockouts, password changes...).
+ */
+export function simpleNoticeHtml(heading, paragraphs = []) {
+  const body = paragraphs
+    .map((p) => `<p style="margin:12px 0;color:#444;">${escapeHtml(p)}</p>`)
+    .join('\n        ');
+
+  return `
+<!DOCTYPE html>
+<html>
+  <body style="font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; background:#f6f7f9; padding:24px; color:#111;">
+    <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:600px;margin:0 auto;background:#fff;border-radius:12px;overflow:hidden;border:1px solid #e5e7eb;">
+      <tr><td style="padding:24px;">
+        <h1 style="margin:0 0 8px;font-size:20px;">${escapeHtml(heading)}</h1>
+        ${body}
+      </td></tr>
+    </table>
+  </body>
+</html>`.trim();
+}
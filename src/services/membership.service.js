@@ -0,0 +1,49 @@
+// src/services/membership.service.js
+// A user can belong to several sites with a role per site. `User.site` /
+// `User.role` stay as the primary membership so single-site accounts
+// (and code that only reads those fields) keep working.
+import { ROLES } from '../middleware/permissions.js';
+
+/**
+ * Every { site, role } the user belongs to, primary site first.
+ */
+export const membershipsOf = (user) => {
+  const out = [];
+  const seen = new Set();
+  const add = (site, role) => {
+    const key = site ? String(site) : null;
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    out.push({ site: key, role: role || user.role });
+  };
+
+  add(user?.site, user?.role);
+  for (const m of user?.memberships || []) add(m?.site, m?.role);
+  return out;
+};
+
+export const membershipFor = (user, site) =>
+  site ? membershipsOf(user).find((m) => m.site === String(site)) || null : null;
+
+/**
+ * The role to put in the token when acting for `site`.
+ * Platform admins stay admins everywhere.
+ */
+export const roleForSite = (user, site) => {
+  if (user?.role === ROLES.ADMIN) return ROLES.ADMIN;
+  return membershipFor(user, site)?.role || null;
+};
+
+/**
+ * Mongo filter matching every user who belongs to `siteSlug`.
+ */
+export const siteMemberFilter = (siteSlug) => ({
+  $or: [{ site: siteSlug }, { 'memberships.site': siteSlug }]
+});
+
+/**
+ * Same as siteMemberFilter but for a list of slugs.
+ */
+export const anySiteMemberFilter = (siteSlugs) => ({
+  $or: [{ site: { $in: siteSlugs } }, { 'memberships.site': { $in: siteSlugs } }]
+});
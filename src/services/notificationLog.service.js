@@ -0,0 +1,88 @@
+// src/services/notificationLog.service.js
+import mongoose from 'mongoose';
+import NotificationLog from '../models/NotificationLog.js';
+
+export const tokenTail = (token) => (token ? `…${String(token).slice(-8)}` : null);
+
+/**
+ * sent | partial | failed | suppressed | no_recipients from the counts.
+ * unconfirmedCount: devices reached through a topic send FCM accepted,
+ * which say nothing about delivery but are not failures either.
+ */
+export const outcomeFor = ({ successCount, failureCount, suppressedCount, recipientCount, unconfirmedCount = 0 }) => {
+  if (!recipientCount) return 'no_recipients';
+  const reached = successCount + unconfirmedCount;
+  if (reached && failureCount) return 'partial';
+  if (reached) return 'sent';
+  if (failureCount) return 'failed';
+  return suppressedCount ? 'suppressed' : 'no_recipients';
+};
+
+/**
+ * Per-device recipient rows from the push results and preference skips.
+ *
+ * @param {object} args
+ * @param {Array<{ token, user, deviceId }>} args.devices
+ * @param {Array<{ token, success, code, error, sound }>} args.results
+ * @param {Array<{ token, reason }>} [args.skipped]
+ * @param {string[]} [args.prunedTokens]
+ * @param {'fcm'|'webpush'} [args.channel]
+ */
+export const buildRecipients = ({ devices, results, skipped = [], prunedTokens = [], channel = 'fcm' }) => {
+  const byToken = new Map(devices.map((d) => [d.token, d]));
+  const pruned = new Set(prunedTokens);
+  const row = (token) => {
+    const d = byToken.get(token);
+    return {
+      user: d?.user || null,
+      device_id: d?.deviceId || null,
+      token_tail: tokenTail(token),
+      channel
+    };
+  };
+
+  return [
+    ...results.map((r) => ({
+      ...row(r.token),
+      sound: r.sound || null,
+      status: r.success ? 'delivered' : 'failed',
+      error_code: r.code || null,
+      error: r.error || null,
+      pruned: pruned.has(r.token)
+    })),
+    ...skipped.map((s) => ({ ...row(s.token), status: s.reason }))
+  ];
+};
+
+/**
+ * Stores one notification attempt. Never throws: a failed write is logged
+ * and the send result is still returned to the caller.
+ */
+export const recordNotification = async (entry) => {
+  try {
+    const orderRef = entry.orderId ? String(entry.orderId) : null;
+    await NotificationLog.create({
+      order: orderRef && mongoose.Types.ObjectId.isValid(orderRef) ? orderRef : null,
+      order_ref: orderRef,
+      site: entry.site || null,
+      kind: entry.kind || 'order',
+      event: entry.event || null,
+      source: entry.source || null,
+      escalation_attempt: entry.escalationAttempt || null,
+      outcome: entry.outcome,
+      error: entry.error || null,
+      title: entry.title || null,
+      body: entry.body || null,
+      data: entry.data || null,
+      user_count: entry.userCount || 0,
+      success_count: entry.successCount || 0,
+      failure_count: entry.failureCount || 0,
+      suppressed_count: entry.suppressedCount || 0,
+      pruned_count: entry.prunedCount || 0,
+      sms_fallback: entry.smsFallback || null,
+      recipients: entry.recipients || []
+    });
+  } catch (e) {
+    console.error('[NOTIFY_LOG] failed to record attempt:', e?.message || e);
+  }
+};
@@ -0,0 +1,208 @@
+// src/services/notificationPrefs.service.js
+// Resolves who gets which push: defaults <- user prefs <- device prefs.
+import Site from '../models/Site.js';
+
+export const NOTIFICATION_EVENTS = Object.freeze({
+  NEW_ORDER: 'new_order',
+  ORDER_CANCELLED: 'order_cancelled',
+  PAYMENT_FAILED: 'payment_failed',
+  STORE_AUTO_CLOSED: 'store_auto_closed'
+});
+
+export const NOTIFICATION_EVENT_VALUES = Object.values(NOTIFICATION_EVENTS);
+
+// Sound files shipped with the app; "silent" delivers without sound
+export const NOTIFICATION_SOUNDS = ['order', 'chime', 'bell', 'alert', 'silent'];
+
+const FULFILLMENT_TYPES = ['pickup', 'delivery'];
+
+export const DEFAULT_SITE_TZ = 'America/Edmonton';
+
+export const DEFAULT_PREFS = Object.freeze({
+  events: Object.fromEntries(NOTIFICATION_EVENT_VALUES.map((e) => [e, true])),
+  quiet_hours: { enabled: false, start: '22:00', end: '07:00' },
+  sounds: { pickup: 'order', delivery: 'order' }
+});
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const plain = (p) => (p && typeof p.toObject === 'function' ? p.toObject() : p) || {};
+
+const pick = (...vals) => vals.find((v) => v !== undefined && v !== null);
+
+/** Field-by-field merge: later layers win where they set a value */
+export const effectivePrefs = (...layers) => {
+  const ls = layers.map(plain);
+  return {
+    events: Object.fromEntries(
+      NOTIFICATION_EVENT_VALUES.map((e) => [
+        e,
+        pick(...ls.map((l) => l.events?.[e]).reverse(), DEFAULT_PREFS.events[e])
+      ])
+    ),
+    quiet_hours: Object.fromEntries(
+      ['enabled', 'start', 'end'].map((k) => [
+        k,
+        pick(...ls.map((l) => l.quiet_hours?.[k]).reverse(), DEFAULT_PREFS.quiet_hours[k])
+      ])
+    ),
+    sounds: Object.fromEntries(
+      FULFILLMENT_TYPES.map((f) => [
+        f,
+        pick(...ls.map((l) => l.sounds?.[f]).reverse(), DEFAULT_PREFS.sounds[f])
+      ])
+    )
+  };
+};
+
+/** API shape (camelCase) of a prefs object */
+export const toPublicPrefs = (p) => ({
+  events: p.events,
+  quietHours: p.quiet_hours,
+  sounds: p.sounds
+});
+
+/**
+ * Validates a partial update body { events?, quietHours?, sounds? } and
+ * returns the $set paths under `prefix` (e.g. "notification_prefs").
+ *
+ * @returns {{ error: string } | { set: Record<string, any> }}
+ */
+export const parsePrefsUpdate = (body, prefix) => {
+  const { events, quietHours, sounds } = body || {};
+  const set = {};
+
+  if (events !== undefined) {
+    if (!events || typeof events !== 'object') return { error: 'events must be an object' };
+    for (const [k, v] of Object.entries(events)) {
+      if (!NOTIFICATION_EVENT_VALUES.includes(k)) return { error: `Unknown event: ${k}` };
+      if (typeof v !== 'boolean') return { error: `events.${k} must be a boolean` };
+      set[`${prefix}.events.${k}`] = v;
+    }
+  }
+
+  if (quietHours !== undefined) {
+    if (!quietHours || typeof quietHours !== 'object') return { error: 'quietHours must be an object' };
+    const { enabled, start, end } = quietHours;
+    if (enabled !== undefined) {
+      if (typeof enabled !== 'boolean') return { error: 'quietHours.enabled must be a boolean' };
+      set[`${prefix}.quiet_hours.enabled`] = enabled;
+    }
+    for (const [k, v] of Object.entries({ start, end })) {
+      if (v === undefined) continue;
+      if (typeof v !== 'string' || !HHMM.test(v)) return { error: `quietHours.${k} must be HH:MM` };
+      set[`${prefix}.quiet_hours.${k}`] = v;
+    }
+  }
+
+  if (sounds !== undefined) {
+    if (!sounds || typeof sounds !== 'object') return { error: 'sounds must be an object' };
+    for (const [k, v] of Object.entries(sounds)) {
+      if (!FULFILLMENT_TYPES.includes(k)) return { error: `Unknown fulfillment type: ${k}` };
+      if (!NOTIFICATION_SOUNDS.includes(v)) {
+        return { error: `sounds.${k} must be one of: ${NOTIFICATION_SOUNDS.join(', ')}` };
+      }
+      set[`${prefix}.sounds.${k}`] = v;
+    }
+  }
+
+  if (Object.keys(set).length === 0) return { error: 'Nothing to update' };
+  return { set };
+};
+
+const minutesOf = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+/** Whether `now` falls inside the quiet window, evaluated in `timeZone` */
+export const isWithinQuietHours = (quietHours, timeZone, now = new Date()) => {
+  if (!quietHours?.enabled) return false;
+  const { start, end } = quietHours;
+  if (!HHMM.test(start || '') || !HHMM.test(end || '') || start === end) return false;
+
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  const local =
+    Number(parts.find((p) => p.type === 'hour').value) * 60 +
+    Number(parts.find((p) => p.type === 'minute').value);
+
+  const s = minutesOf(start);
+  const e = minutesOf(end);
+  return s < e ? local >= s && local < e : local >= s || local < e;
+};
+
+const isValidTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/** IANA timezone configured on the site, falling back to DEFAULT_SITE_TZ */
+export const siteTimezone = async (slug) => {
+  try {
+    const siteDoc = slug ? await Site.findOne({ slug }, { timezone: 1 }).lean() : null;
+    const tz = siteDoc?.timezone;
+    return typeof tz === 'string' && isValidTimeZone(tz) ? tz : DEFAULT_SITE_TZ;
+  } catch {
+    return DEFAULT_SITE_TZ;
+  }
+};
+
+/**
+ * Filters push devices by preference and groups the remaining tokens by sound.
+ *
+ * @param {object} args
+ * @param {Array<{ _id: any, notification_prefs?: object }>} args.users
+ * @param {Array<{ token: string, user: string, notification_prefs?: object }>} args.devices
+ * @param {string} args.event         one of NOTIFICATION_EVENT_VALUES
+ * @param {string} [args.fulfillmentType]
+ * @param {string} args.timeZone
+ * @param {string} [args.defaultSound] site default (remote config) for devices that did not pick one
+ * @returns {{
+ *   bySound: Record<string, string[]>,
+ *   suppressed: { optedOut: number, quietHours: number },
+ *   skipped: Array<{ token: string, user: string, reason: 'opted_out'|'quiet_hours' }>
+ * }}
+ */
+export const planPushDelivery = ({
+  users,
+  devices,
+  event,
+  fulfillmentType,
+  timeZone,
+  defaultSound = null,
+  now = new Date()
+}) => {
+  const userPrefs = new Map(users.map((u) => [String(u._id), u.notification_prefs]));
+  const siteLayer = defaultSound ? { sounds: { pickup: defaultSound, delivery: defaultSound } } : null;
+  const bySound = {};
+  const suppressed = { optedOut: 0, quietHours: 0 };
+  const skipped = [];
+
+  for (const d of devices) {
+    const prefs = effectivePrefs(siteLayer, userPrefs.get(String(d.user)), d.notification_prefs);
+    if (!prefs.events[event]) {
+      suppressed.optedOut++;
+      skipped.push({ token: d.token, user: d.user, reason: 'opted_out' });
+      continue;
+    }
+    if (isWithinQuietHours(prefs.quiet_hours, timeZone, now)) {
+      suppressed.quietHours++;
+      skipped.push({ token: d.token, user: d.user, reason: 'quiet_hours' });
+      continue;
+    }
+    const sound = prefs.sounds[fulfillmentType] || DEFAULT_PREFS.sounds.pickup;
+    if (!bySound[sound]) bySound[sound] = [];
+    if (!bySound[sound].includes(d.token)) bySound[sound].push(d.token);
+  }
+
+  return { bySound, suppressed, skipped };
+};
@@ -0,0 +1,28 @@
+// src/services/orderDisplay.service.js
+// Customer fields as shown on screens, tickets and messages. Orders come
+// from several writers (the ordering app, older builds, this backend), so
+// each value is the first of its field list that is set. Search queries
+// the same lists.
+
+// 1) customerName  2) guestName  3) older userName / name
+export const NAME_FIELDS = ['customerName', 'guestName', 'userName', 'name'];
+
+// 1) customerNumber  2) guestNumber  3) older phone fields
+export const PHONE_FIELDS = [
+  'customerNumber', 'guestNumber', 'customerPhone', 'userPhone',
+  'userNumber', 'userContact', 'phone', 'mobile'
+];
+
+export const EMAIL_FIELDS = ['userEmail', 'customerEmail', 'guestEmail', 'email'];
+
+const firstOf = (item, fields) => fields.map((f) => item?.[f]).find(Boolean) || '';
+
+/** Customer name; very old orders only carry `customer` (a name or { name }) */
+export const pickDisplayName = (item) => {
+  const customer = typeof item?.customer === 'string' ? item.customer : item?.customer?.name;
+  return firstOf(item, NAME_FIELDS) || customer || '';
+};
+
+export const pickDisplayPhone = (item) => firstOf(item, PHONE_FIELDS);
+
+export const pickDisplayEmail = (item) => firstOf(item, EMAIL_FIELDS);
@@ -0,0 +1,94 @@
+// src/services/orderEmail.service.js
+// Customer emails about an order (accepted, prepared...). Wording comes from
+// the site's templates (services/template.service.js); used by the email
+// endpoints and by order status transitions.
+import { escapeHtml, sendMail } from './mail.service.js';
+import { normalizeLocale, orderVariables, renderTemplate } from './template.service.js';
+
+export function isEmail(s) {
+  return typeof s === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s);
+}
+
+/**
+ * Customer-facing layout; every text in it comes from the rendered template
+ * (escaped here).
+ */
+function orderEmailHtml(t, { siteName, orderNumber, locale }) {
+  const safeRestaurant = escapeHtml(siteName);
+  const safeOrderId = escapeHtml(orderNumber);
+  return `
+<!doctype html>
+<html lang="${locale}">
+<head>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta http-equiv="Content-Type" content="text/html; charset=UTF-8" />
+  <title>${escapeHtml(t.heading)}</title>
+</head>
+<body style="margin:0;padding:24px;background:#f6f7f9;font-family:system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Arial,sans-serif;color:#111;">
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:640px;margin:0 auto;background:#fff;border:1px solid #e5e7eb;border-radius:14px;overflow:hidden;">
+    <tr>
+      <td style="padding:0;">
+        <div style="background:linear-gradient(135deg,#111827,#1f2937);padding:20px 24px;color:#fff;">
+          <h1 style="margin:0;font-size:20px;line-height:1.3;">${escapeHtml(t.heading)}</h1>
+          <p style="margin:6px 0 0;font-size:13px;opacity:.9;">${safeRestaurant}</p>
+        </div>
+        <div style="padding:24px;">
+          <p style="margin:0 0 12px;font-size:16px;">${escapeHtml(t.greeting)}</p>
+          <p style="margin:0 0 16px;color:#374151;font-size:15px;line-height:1.6;">${escapeHtml(t.body)}</p>
+          ${
+            safeOrderId
+              ? `<div style="margin:18px 0;padding:14px 16px;border:1px solid #e5e7eb;border-radius:12px;background:#fafafa;">
+                   <div style="font-size:12px;color:#6b7280;margin-bottom:6px;">${escapeHtml(t.orderLabel)}</div>
+                   <div style="font-size:16px;font-weight:600;letter-spacing:.3px;">${safeOrderId}</div>
+                 </div>`
+              : ''
+          }
+          <p style="margin:16px 0 0;color:#4b5563;font-size:14px;line-height:1.6;">${escapeHtml(t.closing)}</p>
+          <p style="margin:22px 0 0;color:#6b7280;font-size:13px;">— ${safeRestaurant}</p>
+        </div>
+        <div style="padding:14px 24px;border-top:1px solid #e5e7eb;background:#fcfcfd;color:#6b7280;font-size:12px;">
+          ${escapeHtml(t.footer)}
+        </div>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`.trim();
+}
+
+/**
+ * Renders `templateKey` for one order and sends it. Throws when SMTP is not
+ * configured or the send fails.
+ *
+ * @param {{ templateKey: string, to: string, siteName: string, customerName?: string,
+ *           orderNumber?: string, site?: string|null, locale?: string }} opts
+ *   site: slug whose template overrides apply (null = built-in wording)
+ * @returns {Promise<{ info: object, locale: string }>}
+ */
+export async function sendOrderEmail({ templateKey, to, siteName, customerName = '', orderNumber = '', site = null, locale }) {
+  const lang = normalizeLocale(locale);
+  const variables = orderVariables({ orderNumber, customerName }, { locale: lang, siteName });
+  const t = await renderTemplate(templateKey, { site, locale: lang, variables });
+
+  const text = [
+    t.greeting,
+    '',
+    t.body,
+    orderNumber ? `${t.orderLabel}: ${orderNumber}` : '',
+    '',
+    t.closing,
+    '',
+    `— ${siteName}`
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  const info = await sendMail({
+    to,
+    subject: t.subject,
+    text,
+    html: orderEmailHtml(t, { siteName, orderNumber, locale: lang })
+  });
+  return { info, locale: lang };
+}
@@ -0,0 +1,263 @@
+// src/services/orderIngest.service.js
+// Orders created through this backend (POST /api/order and /api/order/import)
+// rather than written by the ordering app: zod schema for the full order
+// shape, the totals check, and per-site order numbers ("BB-1146").
+import mongoose from 'mongoose';
+import { z } from 'zod';
+import Order from '../models/Order.js';
+import OrderSequence from '../models/OrderSequence.js';
+import Site from '../models/Site.js';
+import { ORDER_STATUSES, transitionEffects } from './orderStatus.service.js';
+
+export const ORDER_NUMBER_PREFIX = process.env.ORDER_NUMBER_PREFIX || 'BB';
+export const MAX_IMPORT_ORDERS = 100;
+
+/** Statuses an order may be created in; the rest are reached by transitions */
+export const INITIAL_STATUSES = [ORDER_STATUSES.NEW, ORDER_STATUSES.AWAITING_PAYMENT, ORDER_STATUSES.PAID];
+
+const MAX_CENTS = 10_000_000;
+
+const cents = z.number().int().min(0).max(MAX_CENTS);
+const text = (max) => z.string().trim().min(1).max(max);
+
+/** One option choice; priceDelta is per unit of the choice, children nest */
+const selectionSchema = z.lazy(() =>
+  z.object({
+    groupLabel: text(120),
+    optionLabel: text(120),
+    priceDelta: z.number().int().min(-MAX_CENTS).max(MAX_CENTS).default(0),
+    quantity: z.number().int().min(1).max(99).default(1),
+    basePrice: cents.optional(),
+    childSelections: z.array(selectionSchema).max(50).default([])
+  })
+);
+
+const comboUnitSchema = z.object({
+  name: text(120).optional(),
+  selectedOptions: z.array(selectionSchema).max(50).default([])
+});
+
+const itemSchema = z.object({
+  name: text(200),
+  quantity: z.number().int().min(1).max(999),
+  priceCents: cents, // unit price before options
+  size: text(60).optional(),
+  notes: z.string().trim().max(500).optional(),
+  selectedOptions: z.array(selectionSchema).max(50).default([]),
+  comboUnits: z.array(comboUnitSchema).max(20).default([]),
+  lineTotalCents: cents.optional() // checked when sent
+});
+
+const addressSchema = z.object({
+  streetAddress: z.array(text(200)).min(1).max(3),
+  city: text(100),
+  province: z.string().trim().max(100).optional(),
+  postalCode: z.string().trim().max(20).optional(),
+  country: z.string().trim().max(100).optional()
+});
+
+const locationSchema = z.object({
+  name: z.string().trim().max(120).optional(),
+  phone: z.string().trim().max(30).optional(),
+  address: addressSchema.optional()
+});
+
+export const orderInputSchema = z
+  .object({
+    site: text(100), // slug or id
+    externalId: text(120).optional(),
+    fulfillmentType: z.enum(['pickup', 'delivery']),
+    status: z.enum(INITIAL_STATUSES).default(ORDER_STATUSES.NEW),
+
+    customerName: text(120),
+    customerPhone: z.string().trim().max(30).optional(),
+    userEmail: z.email().optional(),
+    locale: z.enum(['en', 'fr']).optional(),
+
+    items: z.array(itemSchema).min(1).max(100),
+
+    subtotalCents: cents.optional(), // checked when sent
+    discountCents: cents.default(0),
+    taxCents: cents.default(0),
+    tipCents: cents.default(0),
+    deliveryFeeCents: cents.default(0),
+    deliveryFeeRestaurantCents: cents.optional(),
+    totalCents: cents,
+
+    paymentMethod: z.enum(['online', 'pay_at_store']).optional(),
+    scheduledFor: z.coerce.date().optional(),
+    notes: z.string().trim().max(1000).optional(),
+
+    pickup: z.object({ location: locationSchema }).optional(),
+    dropoff: locationSchema.optional(),
+
+    meta: z.record(z.string(), z.unknown()).optional()
+  })
+  .superRefine((o, ctx) => {
+    if (o.fulfillmentType === 'delivery' && !o.dropoff?.address) {
+      ctx.addIssue({ code: 'custom', path: ['dropoff', 'address'], message: 'Delivery orders need a dropoff address' });
+    }
+    if (o.fulfillmentType === 'pickup' && o.deliveryFeeCents > 0) {
+      ctx.addIssue({ code: 'custom', path: ['deliveryFeeCents'], message: 'Pickup orders have no delivery fee' });
+    }
+  });
+
+const selectionCents = (sel) =>
+  sel.priceDelta * sel.quantity + sel.childSelections.reduce((sum, c) => sum + selectionCents(c), 0);
+
+/** Unit price with options and combo choices, times quantity */
+export const lineTotalCents = (item) => {
+  const options = item.selectedOptions.reduce((sum, s) => sum + selectionCents(s), 0);
+  const combo = item.comboUnits.reduce(
+    (sum, u) => sum + u.selectedOptions.reduce((s2, s) => s2 + selectionCents(s), 0),
+    0
+  );
+  return (item.priceCents + options + combo) * item.quantity;
+};
+
+/**
+ * Recomputes the amounts. total = subtotal - discount + tax + tip + delivery fee;
+ * subtotal and per-line totals are compared only when the caller sent them.
+ *
+ * @returns {Array<{ path: string, message: string }>} mismatches (empty = ok)
+ */
+export const checkOrderTotals = (o) => {
+  const issues = [];
+  let subtotal = 0;
+  o.items.forEach((item, i) => {
+    const line = lineTotalCents(item);
+    if (line < 0) issues.push({ path: `items.${i}`, message: 'Line total is negative' });
+    if (item.lineTotalCents !== undefined && item.lineTotalCents !== line) {
+      issues.push({ path: `items.${i}.lineTotalCents`, message: `Expected ${line}, got ${item.lineTotalCents}` });
+    }
+    subtotal += line;
+  });
+  if (o.subtotalCents !== undefined && o.subtotalCents !== subtotal) {
+    issues.push({ path: 'subtotalCents', message: `Expected ${subtotal}, got ${o.subtotalCents}` });
+  }
+  if (o.discountCents > subtotal) {
+    issues.push({ path: 'discountCents', message: 'Discount is larger than the subtotal' });
+  }
+  const total = subtotal - o.discountCents + o.taxCents + o.tipCents + o.deliveryFeeCents;
+  if (o.totalCents !== total) {
+    issues.push({ path: 'totalCents', message: `Expected ${total}, got ${o.totalCents}` });
+  }
+  return issues;
+};
+
+const zodIssues = (error) =>
+  error.issues.map((i) => ({ path: i.path.join('.'), message: i.message }));
+
+/**
+ * Validates one order payload: shape first, then the arithmetic.
+ *
+ * @returns {{ ok: true, data: object }
+ *   | { ok: false, code: 'invalid'|'totals', error: string, issues: Array<{ path, message }> }}
+ */
+export const parseOrderInput = (body) => {
+  const parsed = orderInputSchema.safeParse(body);
+  if (!parsed.success) return { ok: false, code: 'invalid', error: 'Invalid order', issues: zodIssues(parsed.error) };
+  const issues = checkOrderTotals(parsed.data);
+  if (issues.length) return { ok: false, code: 'totals', error: 'Order totals do not add up', issues };
+  return { ok: true, data: parsed.data };
+};
+
+/** Site doc for a slug or id (lean), or null */
+export const findOrderSite = async (site) => {
+  if (/^[a-f0-9]{24}$/i.test(site)) {
+    const byId = await Site.findById(site).lean();
+    if (byId) return byId;
+  }
+  return Site.findOne({ slug: site }).lean();
+};
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Highest number any writer (the ordering app included) has used for the
+ * site, compared as numbers. Only runs when a site's counter is seeded.
+ */
+const highestExistingNumber = async (siteId, prefix) => {
+  const [top] = await Order.aggregate([
+    {
+      $match: {
+        site: new mongoose.Types.ObjectId(String(siteId)),
+        orderNumber: { $regex: `^${escapeRegex(prefix)}-\\d{1,15}$` }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        max: { $max: { $toLong: { $substrCP: ['$orderNumber', prefix.length + 1, 15] } } }
+      }
+    }
+  ]);
+  return top ? Number(top.max) : 0;
+};
+
+/** Next "PREFIX-n" for a site; atomic across instances */
+export const nextOrderNumber = async (siteId, prefix = ORDER_NUMBER_PREFIX) => {
+  let row = await OrderSequence.findOneAndUpdate({ site: siteId }, { $inc: { seq: 1 } }, { new: true }).lean();
+  if (!row) {
+    const seed = await highestExistingNumber(siteId, prefix);
+    try {
+      await OrderSequence.create({ site: siteId, prefix, seq: seed });
+    } catch (e) {
+      if (e?.code !== 11000) throw e; // another instance seeded it first
+    }
+    row = await OrderSequence.findOneAndUpdate({ site: siteId }, { $inc: { seq: 1 } }, { new: true }).lean();
+  }
+  return `${row.prefix}-${row.seq}`;
+};
+
+const findByExternalId = (siteDoc, externalId) =>
+  Order.findOne({ site: siteDoc._id, externalId }).lean();
+
+/**
+ * Stores a validated order for `siteDoc`. An order with the same
+ * externalId on that site is returned instead of a duplicate; the unique
+ * { site, externalId } index (npm run orders:indexes) settles concurrent
+ * retries.
+ *
+ * @param {object} data   parseOrderInput(...).data
+ * @param {{ source: string, actor: string|null }} ctx
+ * @returns {Promise<{ order: object, created: boolean }>}
+ */
+export const createOrder = async (siteDoc, data, { source, actor }) => {
+  if (data.externalId) {
+    const existing = await findByExternalId(siteDoc, data.externalId);
+    if (existing) return { order: existing, created: false };
+  }
+
+  const { site, paymentMethod, locale, meta, status, ...fields } = data;
+  const now = new Date();
+  const orderNumber = await nextOrderNumber(siteDoc._id);
+
+  const { timestamp } = transitionEffects(status);
+
+  let order;
+  try {
+    order = await Order.create({
+      ...fields,
+      site: siteDoc._id,
+      orderNumber,
+      status,
+      ...(timestamp ? { [timestamp]: now } : {}),
+      meta: {
+        ...(meta || {}),
+        ...(paymentMethod ? { paymentMethod } : {}),
+        ...(locale ? { locale } : {}),
+        source,
+        statusHistory: [{ at: now, from: null, to: status, by: actor || source }]
+      }
+    });
+  } catch (e) {
+    // a concurrent retry of the same order won the insert
+    if (e?.code === 11000 && data.externalId) {
+      const existing = await findByExternalId(siteDoc, data.externalId);
+      if (existing) return { order: existing, created: false };
+    }
+    throw e;
+  }
+  return { order: order.toObject(), created: true };
+};
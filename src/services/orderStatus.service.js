@@ -0,0 +1,158 @@
+// src/services/orderStatus.service.js
+// The one order status model: canonical statuses, the moves allowed from
+// each per fulfillment type, and what every move does besides changing the
+// status. Callers (PATCH /api/order/:id/status, the Stripe webhook) check a
+// move with checkTransition() and run transitionEffects() after saving.
+import { NOTIFICATION_EVENTS } from './notificationPrefs.service.js';
+
+export const ORDER_STATUSES = Object.freeze({
+  AWAITING_PAYMENT: 'awaiting_payment',
+  NEW: 'new',
+  PAID: 'paid',
+  ACCEPTED: 'accepted',
+  PREPARING: 'preparing',
+  PREPARED: 'prepared',
+  DISPATCHED: 'dispatched',
+  FULFILLED: 'fulfilled',
+  CANCELLED: 'cancelled'
+});
+
+export const ORDER_STATUS_VALUES = Object.values(ORDER_STATUSES);
+
+export const FULFILLMENT_TYPES = ['pickup', 'delivery'];
+
+const S = ORDER_STATUSES;
+
+/**
+ * Older spellings still found in stored orders and sent by older apps /
+ * Stripe (payment_status). Read as their canonical status; never written.
+ */
+const STATUS_ALIASES = {
+  created: S.NEW,
+  pending: S.NEW,
+  unpaid: S.AWAITING_PAYMENT,
+  confirmed: S.PAID,
+  no_payment_required: S.PAID,
+  processing: S.PREPARING,
+  ready: S.PREPARED,
+  complete: S.FULFILLED,
+  completed: S.FULFILLED,
+  canceled: S.CANCELLED
+};
+
+const COMMON_TRANSITIONS = {
+  [S.AWAITING_PAYMENT]: [S.NEW, S.PAID, S.CANCELLED],
+  [S.NEW]: [S.PAID, S.ACCEPTED, S.CANCELLED],
+  [S.PAID]: [S.ACCEPTED, S.CANCELLED],
+  [S.ACCEPTED]: [S.PREPARING, S.PREPARED, S.CANCELLED],
+  [S.PREPARING]: [S.PREPARED, S.CANCELLED],
+  [S.FULFILLED]: [],
+  [S.CANCELLED]: []
+};
+
+/** Allowed next statuses, per fulfillment type */
+export const ORDER_TRANSITIONS = Object.freeze({
+  pickup: {
+    ...COMMON_TRANSITIONS,
+    [S.PREPARED]: [S.FULFILLED, S.CANCELLED]
+  },
+  delivery: {
+    ...COMMON_TRANSITIONS,
+    [S.PREPARED]: [S.DISPATCHED, S.CANCELLED],
+    [S.DISPATCHED]: [S.FULFILLED, S.CANCELLED]
+  }
+});
+
+/**
+ * What a move does besides the status change, keyed by target status.
+ * - timestamp: order field set to the time of the move (first time only)
+ * - email: customer email template, when the site has status emails on
+ *   (remote config orders.status_emails)
+ * - push: notification event sent to the site's staff
+ * Escalation stops on every move to a status that does not escalate.
+ */
+export const TRANSITION_EFFECTS = Object.freeze({
+  [S.PAID]: { timestamp: 'paidAt' },
+  [S.ACCEPTED]: { timestamp: 'acceptedAt', email: 'email.order_accepted' },
+  [S.PREPARING]: { timestamp: 'preparingAt' },
+  [S.PREPARED]: { timestamp: 'readyAt', email: 'email.order_prepared' },
+  [S.DISPATCHED]: { timestamp: 'dispatchedAt' },
+  [S.FULFILLED]: { timestamp: 'fulfilledAt' },
+  [S.CANCELLED]: { timestamp: 'cancelledAt', push: NOTIFICATION_EVENTS.ORDER_CANCELLED }
+});
+
+/** Canonical status for a stored or requested value, or null when unknown */
+export const canonicalStatus = (status) => {
+  const v = String(status || '').trim().toLowerCase();
+  if (ORDER_STATUS_VALUES.includes(v)) return v;
+  return STATUS_ALIASES[v] || null;
+};
+
+/** Every stored spelling of a canonical status (itself and its aliases), for queries */
+export const statusSpellings = (status) => [
+  status,
+  ...Object.entries(STATUS_ALIASES)
+    .filter(([, canonical]) => canonical === status)
+    .map(([alias]) => alias)
+];
+
+/**
+ * Transition table for an order. Orders without a known fulfillment type
+ * get the union of both tables.
+ */
+const transitionsFor = (fulfillmentType) => {
+  if (ORDER_TRANSITIONS[fulfillmentType]) return ORDER_TRANSITIONS[fulfillmentType];
+  const merged = {};
+  for (const table of Object.values(ORDER_TRANSITIONS)) {
+    for (const [from, to] of Object.entries(table)) {
+      merged[from] = [...new Set([...(merged[from] || []), ...to])];
+    }
+  }
+  return merged;
+};
+
+/** Statuses an order in `from` may move to */
+export const allowedNextStatuses = (from, fulfillmentType) => transitionsFor(fulfillmentType)[from] || [];
+
+/**
+ * Checks moving `order` to `requested`. A stored status that is missing or
+ * unknown is read as `new`, so legacy orders are not stuck.
+ *
+ * @returns {{ ok: true, from: string, to: string, unchanged: boolean }
+ *   | { ok: false, code: 'invalid_status'|'illegal_transition', message: string,
+ *       from?: string, to?: string, allowed: string[] }}
+ */
+export const checkTransition = (order, requested) => {
+  const to = canonicalStatus(requested);
+  if (!to) {
+    return { ok: false, code: 'invalid_status', message: 'Invalid status', allowed: ORDER_STATUS_VALUES };
+  }
+  const from = canonicalStatus(order?.status) || S.NEW;
+  if (from === to) return { ok: true, from, to, unchanged: true };
+
+  const allowed = allowedNextStatuses(from, order?.fulfillmentType);
+  if (!allowed.includes(to)) {
+    const subject = FULFILLMENT_TYPES.includes(order?.fulfillmentType) ? `A ${order.fulfillmentType} order` : 'An order';
+    return {
+      ok: false,
+      code: 'illegal_transition',
+      message: allowed.length
+        ? `${subject} cannot go from ${from} to ${to}`
+        : `${subject} that is ${from} cannot change status`,
+      from,
+      to,
+      allowed
+    };
+  }
+  return { ok: true, from, to, unchanged: false };
+};
+
+/** Side effects of moving to `to` (see TRANSITION_EFFECTS) */
+export const transitionEffects = (to) => TRANSITION_EFFECTS[to] || {};
+
+/** The whole model, for clients that draw status buttons */
+export const orderStatusModel = () => ({
+  statuses: ORDER_STATUS_VALUES,
+  aliases: STATUS_ALIASES,
+  transitions: ORDER_TRANSITIONS
+});
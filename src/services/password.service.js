@@ -0,0 +1,60 @@
+// src/services/password.service.js
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+
+export const SALT_ROUNDS = 10;
+
+const MIN_LENGTH = 8;
+const MAX_LENGTH = 72; // bcrypt ignores anything past 72 bytes
+
+/**
+ * Password policy shared by account setup, recovery reset and change-password.
+ *
+ * @returns {string|null} the first violated rule, or null when acceptable
+ */
+export const passwordPolicyError = (password, { username } = {}) => {
+  if (typeof password !== 'string' || password.length < MIN_LENGTH) {
+    return `password must be a string of at least ${MIN_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password, 'utf8') > MAX_LENGTH) {
+    return `password must be at most ${MAX_LENGTH} bytes`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'password must contain at least one letter and one number';
+  }
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    return 'password must not contain the username';
+  }
+  return null;
+};
+
+export const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+/** Random one-time password handed to the admin, e.g. "bb-Xk3v9QmZtP"; store only its hash */
+export const generateTempPassword = () => `bb-${crypto.randomBytes(8).toString('base64url').slice(0, 10)}`;
+
+/**
+ * Compares against a bcrypt hash; false on malformed hashes instead of throwing.
+ */
+export const verifyPassword = async (password, hash) => {
+  if (typeof hash !== 'string' || hash.length === 0) return false;
+  try {
+    return await bcrypt.compare(password, hash);
+  } catch {
+    return false;
+  }
+};
+
+export const isBcryptHash = (s) => typeof s === 'string' && /^\$2[aby]\$\d{2}\$/.test(s);
+
+/**
+ * Checks a temp password against `user.temp_password` (a bcrypt hash).
+ * Legacy plaintext values never match: they were often the old shared
+ * default (`npm run temp-passwords:expire` clears them).
+ *
+ * @returns {Promise<{ ok: boolean }>}
+ */
+export const verifyTempPassword = async (candidate, stored) => {
+  if (typeof candidate !== 'string' || !isBcryptHash(stored)) return { ok: false };
+  return { ok: await verifyPassword(candidate, stored) };
+};
@@ -0,0 +1,164 @@
+// src/services/push.service.js
+// FCM multicast with dead-token pruning. Permanent failures drop the token
+// from its device right away; transient errors about the token itself are
+// counted and the token is retired after PUSH_MAX_TRANSIENT_FAILURES
+// consecutive ones. Outages and credential problems on our or FCM's side
+// (internal-error, server-unavailable, quota-exceeded, ...) never count.
+import admin from '../config/firebase.js';
+import Device from '../models/Device.js';
+
+const BATCH_SIZE = 500; // FCM multicast limit
+const MAX_TRANSIENT_FAILURES = Number(process.env.PUSH_MAX_TRANSIENT_FAILURES || 5);
+
+// The token itself is dead; retrying can never succeed
+const PERMANENT_ERROR_CODES = new Set([
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+]);
+
+// Failures specific to the token that may still clear up
+const TOKEN_ERROR_CODES = new Set([
+  'messaging/mismatched-credential', // token registered to another sender
+  'messaging/message-rate-exceeded' // too many messages to this device
+]);
+
+const chunk = (arr, size) => {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+};
+
+const clearTokens = (tokens, reason) =>
+  Device.updateMany(
+    { fcm_token: { $in: tokens } },
+    { $set: { fcm_token: null, push_failure_count: 0, push_last_error: reason } }
+  );
+
+/**
+ * Updates device failure counters after a send and removes dead tokens.
+ *
+ * @returns {Promise<{ permanent: string[], transient: string[] }>} retired tokens
+ */
+const pruneAfterSend = async (succeeded, failed) => {
+  const retired = { permanent: [], transient: [] };
+
+  if (succeeded.length) {
+    await Device.updateMany(
+      { fcm_token: { $in: succeeded }, push_failure_count: { $gt: 0 } },
+      { $set: { push_failure_count: 0, push_last_error: null } }
+    );
+  }
+
+  const permanent = failed.filter((f) => PERMANENT_ERROR_CODES.has(f.code));
+  if (permanent.length) {
+    retired.permanent = permanent.map((f) => f.token);
+    await clearTokens(retired.permanent, permanent[0].code);
+  }
+
+  for (const f of failed.filter((x) => TOKEN_ERROR_CODES.has(x.code))) {
+    const device = await Device.findOneAndUpdate(
+      { fcm_token: f.token },
+      { $inc: { push_failure_count: 1 }, $set: { push_last_error: f.code || f.error } },
+      { new: true, projection: { push_failure_count: 1 } }
+    ).lean();
+    if (device && device.push_failure_count >= MAX_TRANSIENT_FAILURES) {
+      retired.transient.push(f.token);
+    }
+  }
+  if (retired.transient.length) {
+    await clearTokens(retired.transient, `retired after ${MAX_TRANSIENT_FAILURES} failures`);
+  }
+
+  return retired;
+};
+
+/**
+ * Sends `message` (an FCM multicast message without `tokens`) to every token.
+ *
+ * @param {string[]} tokens
+ * @param {object} message
+ * @param {{ tokenOwners?: Record<string, string[]> }} [opts]
+ * @returns {Promise<{
+ *   successCount: number,
+ *   failureCount: number,
+ *   failed: Array<{ token: string, error: string, code: string|null, owners?: string[] }>,
+ *   results: Array<{ token: string, success: boolean, code: string|null, error: string|null }>,
+ *   pruned: { count: number, tokens: Array<{ token: string, reason: 'permanent'|'transient', owners?: string[] }> }
+ * }>}
+ */
+export const sendPushToTokens = async (tokens, message, { tokenOwners = null } = {}) => {
+  let successCount = 0;
+  let failureCount = 0;
+  const succeeded = [];
+  const failed = [];
+  const results = [];
+
+  for (const batch of chunk(tokens, BATCH_SIZE)) {
+    const response = await admin.messaging().sendEachForMulticast({ ...message, tokens: batch });
+
+    successCount += response.successCount || 0;
+    failureCount += response.failureCount || 0;
+
+    response.responses.forEach((r, i) => {
+      results.push({
+        token: batch[i],
+        success: !!r.success,
+        code: r.success ? null : r.error?.code || null,
+        error: r.success ? null : r.error?.message || 'Unknown error'
+      });
+      if (r.success) {
+        succeeded.push(batch[i]);
+        return;
+      }
+      failed.push({
+        token: batch[i],
+        error: r.error?.message || 'Unknown error',
+        code: r.error?.code || null,
+        ...(tokenOwners ? { owners: tokenOwners[batch[i]] || [] } : {})
+      });
+    });
+  }
+
+  let retired = { permanent: [], transient: [] };
+  try {
+    retired = await pruneAfterSend(succeeded, failed);
+  } catch (e) {
+    // never fail the send because bookkeeping failed
+    console.error('push token pruning failed:', e?.message || e);
+  }
+
+  const withOwners = (token, reason) => ({
+    token,
+    reason,
+    ...(tokenOwners ? { owners: tokenOwners[token] || [] } : {})
+  });
+  const prunedTokens = [
+    ...retired.permanent.map((t) => withOwners(t, 'permanent')),
+    ...retired.transient.map((t) => withOwners(t, 'transient'))
+  ];
+
+  return {
+    successCount,
+    failureCount,
+    failed,
+    results,
+    pruned: { count: prunedTokens.length, tokens: prunedTokens }
+  };
+};
+
+/**
+ * Publishes `message` to an FCM topic or condition (exactly one of them).
+ *
+ * @returns {Promise<{ ok: boolean, messageId: string|null, error: string|null, code: string|null }>}
+ */
+export const sendPushToTopic = async ({ topic = null, condition = null }, message) => {
+  try {
+    const messageId = await admin.messaging().send({
+      ...message,
+      ...(condition ? { condition } : { topic })
+    });
+    return { ok: true, messageId, error: null, code: null };
+  } catch (e) {
+    return { ok: false, messageId: null, error: e?.message || String(e), code: e?.code || null };
+  }
+};
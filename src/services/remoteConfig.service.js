@@ -0,0 +1,220 @@
+// src/services/remoteConfig.service.js
+// Remote config and feature flags. Controllers read their settings with
+// getConfig(key, { site, userId }); the app polls the `client` keys through
+// GET /api/user/config. All rows are cached in memory for CACHE_SECONDS.
+import crypto from 'crypto';
+import ConfigEntry from '../models/ConfigEntry.js';
+import { NOTIFICATION_SOUNDS } from './notificationPrefs.service.js';
+
+export const CONFIG_TYPES = ['boolean', 'number', 'string', 'json'];
+export const OVERRIDE_SCOPES = ['site', 'user'];
+
+const CACHE_SECONDS = 30;
+const MAX_JSON_BYTES = 4096;
+const KEY_PATTERN = /^[a-z][a-z0-9_]*(\.[a-z0-9_]+){0,4}$/;
+
+/**
+ * Settings the server itself reads. Their type and bounds are fixed here;
+ * the default and overrides can be changed through the admin API.
+ */
+export const BUILTIN_CONFIG = {
+  'orders.default_extra_days': {
+    type: 'number',
+    default: 7,
+    integer: true,
+    min: 0,
+    max: 14,
+    description: 'Future days GET /api/order/by-site/day includes when the app does not ask'
+  },
+  'orders.max_custom_days': {
+    type: 'number',
+    default: 62,
+    integer: true,
+    min: 1,
+    max: 366,
+    description: 'Longest custom range for order lists and the dashboard'
+  },
+  'orders.status_emails': {
+    type: 'boolean',
+    default: false,
+    client: true,
+    description: 'Email the customer when an order is accepted / prepared through PATCH /api/order/:id/status'
+  },
+  'notifications.default_sound': {
+    type: 'string',
+    default: 'order',
+    values: NOTIFICATION_SOUNDS,
+    client: true,
+    description: 'Push sound for devices that have not picked one'
+  }
+};
+
+let cache = { rows: null, expiresAt: 0 };
+
+const loadRows = async () => {
+  if (cache.rows && cache.expiresAt > Date.now()) return cache.rows;
+  const rows = await ConfigEntry.find({}).lean();
+  cache = { rows: new Map(rows.map((r) => [r.key, r])), expiresAt: Date.now() + CACHE_SECONDS * 1000 };
+  return cache.rows;
+};
+
+/** Drops the cache after an admin change (other instances catch up within CACHE_SECONDS) */
+export const clearConfigCache = () => {
+  cache = { rows: null, expiresAt: 0 };
+};
+
+export const isValidConfigKey = (key) => typeof key === 'string' && key.length <= 64 && KEY_PATTERN.test(key);
+
+/** Type and bounds for `key`: built-in spec, else what the row declares */
+export const configSpec = (key, row) => BUILTIN_CONFIG[key] || (row ? { type: row.type } : null);
+
+/**
+ * Checks `value` against a spec.
+ *
+ * @returns {string|null} error message
+ */
+export const validateConfigValue = (spec, value) => {
+  switch (spec.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'value must be true or false';
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'value must be a number';
+      if (spec.integer && !Number.isInteger(value)) return 'value must be an integer';
+      if (spec.min !== undefined && value < spec.min) return `value must be at least ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `value must be at most ${spec.max}`;
+      return null;
+    case 'string':
+      if (typeof value !== 'string' || value.length > 500) return 'value must be a string (max 500 chars)';
+      if (spec.values && !spec.values.includes(value)) return `value must be one of: ${spec.values.join(', ')}`;
+      return null;
+    case 'json':
+      if (value === undefined) return 'value is required';
+      return JSON.stringify(value).length > MAX_JSON_BYTES ? `value must be under ${MAX_JSON_BYTES} bytes of JSON` : null;
+    default:
+      return 'Unknown type';
+  }
+};
+
+/** Stable 0-99 bucket for a rollout unit */
+export const rolloutBucket = (key, unit) =>
+  crypto.createHash('sha256').update(`${key}:${unit}`).digest().readUInt32BE(0) % 100;
+
+/**
+ * @returns {{ value: any, source: 'user'|'site'|'rollout'|'default' }}
+ */
+const evaluate = (key, row, { site = null, userId = null } = {}) => {
+  const builtin = BUILTIN_CONFIG[key];
+  const overrides = row?.overrides || [];
+
+  const userHit = userId && overrides.find((o) => o.scope === 'user' && o.target === String(userId));
+  if (userHit) return { value: userHit.value, source: 'user' };
+  const siteHit = site && overrides.find((o) => o.scope === 'site' && o.target === String(site));
+  if (siteHit) return { value: siteHit.value, source: 'site' };
+
+  const r = row?.rollout;
+  const unit = r?.by === 'site' ? site : userId;
+  if (r && unit && rolloutBucket(key, unit) < r.percentage) return { value: r.value, source: 'rollout' };
+
+  const value = row && row.default_value !== null && row.default_value !== undefined
+    ? row.default_value
+    : builtin?.default ?? null;
+  return { value, source: 'default' };
+};
+
+/**
+ * Value of one setting for a site / user. Falls back to the built-in
+ * default when the store cannot be read, so callers never fail on config.
+ */
+export const getConfig = async (key, ctx = {}) => {
+  try {
+    const rows = await loadRows();
+    return evaluate(key, rows.get(key), ctx).value;
+  } catch (e) {
+    console.error(`[CONFIG] read ${key} failed:`, e?.message || e);
+    return BUILTIN_CONFIG[key]?.default ?? null;
+  }
+};
+
+/** Same as getConfig, plus where the value came from (admin debugging) */
+export const explainConfig = async (key, ctx = {}) => evaluate(key, (await loadRows()).get(key), ctx);
+
+const isClientKey = (key, row) => (row ? !!row.client : !!BUILTIN_CONFIG[key]?.client);
+
+/** Every `client` setting for the app, as { key: value } */
+export const getClientConfig = async (ctx = {}) => {
+  const rows = await loadRows();
+  const keys = [...new Set([...Object.keys(BUILTIN_CONFIG), ...rows.keys()])]
+    .filter((k) => isClientKey(k, rows.get(k)))
+    .sort();
+  return Object.fromEntries(keys.map((k) => [k, evaluate(k, rows.get(k), ctx).value]));
+};
+
+/** Built-ins merged with stored rows, for the admin list */
+export const listConfigEntries = async () => {
+  const rows = await loadRows();
+  const keys = new Set([...Object.keys(BUILTIN_CONFIG), ...rows.keys()]);
+  return [...keys].sort().map((key) => {
+    const row = rows.get(key);
+    const builtin = BUILTIN_CONFIG[key];
+    return {
+      key,
+      builtin: !!builtin,
+      type: configSpec(key, row).type,
+      description: row?.description || builtin?.description || null,
+      client: isClientKey(key, row),
+      defaultValue: evaluate(key, row).value,
+      rollout: row?.rollout || null,
+      overrides: row?.overrides || [],
+      updated_by: row?.updated_by || null,
+      updated_at: row?.updated_at || null
+    };
+  });
+};
+
+/**
+ * Validates an admin PUT of a setting's definition.
+ *
+ * @returns {{ error: string } | { set: object, type: string }}
+ */
+export const parseConfigUpdate = (key, body = {}, existing = null) => {
+  const builtin = BUILTIN_CONFIG[key];
+  const type = builtin?.type || existing?.type || body.type;
+  if (!CONFIG_TYPES.includes(type)) return { error: `type must be one of: ${CONFIG_TYPES.join(', ')}` };
+  if (body.type !== undefined && body.type !== type) return { error: `type of ${key} is ${type} and cannot change` };
+  const spec = builtin || { type };
+
+  const set = { type };
+  if (body.description !== undefined) {
+    if (body.description !== null && (typeof body.description !== 'string' || body.description.length > 300)) {
+      return { error: 'description must be a string (max 300 chars)' };
+    }
+    set.description = body.description;
+  }
+  if (body.client !== undefined) {
+    if (typeof body.client !== 'boolean') return { error: 'client must be true or false' };
+    set.client = body.client;
+  }
+  if (body.defaultValue !== undefined) {
+    const err = validateConfigValue(spec, body.defaultValue);
+    if (err) return { error: `defaultValue: ${err}` };
+    set.default_value = body.defaultValue;
+  }
+  if (body.rollout !== undefined) {
+    if (body.rollout === null) {
+      set.rollout = null;
+    } else {
+      const { percentage, value, by = 'user' } = body.rollout || {};
+      if (typeof percentage !== 'number' || percentage < 0 || percentage > 100) {
+        return { error: 'rollout.percentage must be 0-100' };
+      }
+      if (!OVERRIDE_SCOPES.includes(by)) return { error: 'rollout.by must be user or site' };
+      const err = validateConfigValue(spec, value);
+      if (err) return { error: `rollout.${err}` };
+      set.rollout = { percentage, value, by };
+    }
+  }
+  if (!existing && !builtin && set.default_value === undefined) {
+    return { error: 'defaultValue is required for a new key' };
+  }
+  return { set, type };
+};
@@ -0,0 +1,204 @@
+// src/services/session.service.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import { membershipFor, membershipsOf, roleForSite } from './membership.service.js';
+import { clientIp } from '../utils/clientIp.js';
+
+export const ISSUER = 'blue-boxx';
+
+// Short-lived access token; long-lived, rotating refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+const hashRefreshToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const clientMeta = (req) => ({
+  ip: clientIp(req),
+  user_agent: req?.get?.('user-agent') || null
+});
+
+/**
+ * JWT claims shared by every endpoint that signs a user in.
+ * `activeSite` picks which of the user's sites the token acts for;
+ * it falls back to the primary site when missing or no longer a membership.
+ */
+export const buildTokenPayload = (user, activeSite = null) => {
+  const userId = String(user._id);
+  const site = membershipFor(user, activeSite)?.site || (user.site ? String(user.site) : null);
+  return {
+    sub: userId,
+    userId,                             // explicit for consumers expecting userId
+    username: user.username,
+    name: user.name || user.username,   // include name; fallback to username if not present
+    recovery_email: user.recovery_email || null,
+    site,                               // active site (string slug)
+    sites: membershipsOf(user).map((m) => m.site),
+    premium: !!user.premium,
+    role: roleForSite(user, site) || user.role
+  };
+};
+
+const signAccessToken = (user, sessionId, activeSite) =>
+  jwt.sign(
+    { ...buildTokenPayload(user, activeSite), sid: String(sessionId) },
+    process.env.JWT_SECRET,
+    { algorithm: 'HS256', expiresIn: ACCESS_TOKEN_TTL, issuer: ISSUER }
+  );
+
+// Second-step login: proves the password was correct, nothing more
+const MFA_CHALLENGE_TTL = '5m';
+const MFA_PURPOSE = 'mfa';
+
+export const signMfaChallenge = (user) =>
+  jwt.sign(
+    { sub: String(user._id), purpose: MFA_PURPOSE },
+    process.env.JWT_SECRET,
+    { algorithm: 'HS256', expiresIn: MFA_CHALLENGE_TTL, issuer: ISSUER }
+  );
+
+/**
+ * @returns {string|null} the user id the challenge was issued for
+ */
+export const verifyMfaChallenge = (challengeToken) => {
+  try {
+    const payload = jwt.verify(String(challengeToken), process.env.JWT_SECRET, { issuer: ISSUER });
+    return payload?.purpose === MFA_PURPOSE ? payload.sub : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Opens a new session for `user` and returns the token pair.
+ *
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: string, sessionId: string }>}
+ */
+export const issueSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refresh_hash: hashRefreshToken(refreshToken),
+    expires_at: refreshExpiry(),
+    active_site: user.site ? String(user.site) : null,
+    last_used_at: new Date(),
+    ...clientMeta(req)
+  });
+
+  return {
+    token: signAccessToken(user, session._id, session.active_site),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId: String(session._id)
+  };
+};
+
+/**
+ * Exchanges a refresh token for a new token pair. The presented refresh
+ * token is consumed atomically, so replaying it fails.
+ *
+ * @param {string} refreshToken
+ * @param {(userId: any) => Promise<any>} loadUser - resolves the session owner
+ * @returns {Promise<null | { user: any, token: string, refreshToken: string, expiresIn: string, sessionId: string }>}
+ */
+export const rotateSession = async (refreshToken, loadUser, req) => {
+  const nextToken = newRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    {
+      refresh_hash: hashRefreshToken(refreshToken),
+      revoked_at: null,
+      expires_at: { $gt: now }
+    },
+    {
+      $set: {
+        refresh_hash: hashRefreshToken(nextToken),
+        expires_at: refreshExpiry(),
+        last_used_at: now,
+        ...clientMeta(req)
+      }
+    },
+    { new: true }
+  );
+  if (!session) return null;
+
+  const user = await loadUser(session.user);
+  if (!user) {
+    await revokeSession(session._id, 'user_missing');
+    return null;
+  }
+
+  return {
+    user,
+    token: signAccessToken(user, session._id, session.active_site),
+    refreshToken: nextToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId: String(session._id)
+  };
+};
+
+/**
+ * Points a live session at another of the user's sites and returns a fresh
+ * access token for it. The refresh token is unchanged.
+ *
+ * @returns {Promise<string|null>} new access token, or null if the session is gone
+ */
+export const switchSessionSite = async (sessionId, user, site) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, user: user._id, revoked_at: null, expires_at: { $gt: new Date() } },
+    { $set: { active_site: String(site), last_used_at: new Date() } },
+    { new: true }
+  );
+  if (!session) return null;
+  return signAccessToken(user, session._id, session.active_site);
+};
+
+/**
+ * True when the session exists, is not revoked and has not expired.
+ */
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+  const found = await Session.exists({
+    _id: sessionId,
+    revoked_at: null,
+    expires_at: { $gt: new Date() }
+  });
+  return !!found;
+};
+
+export const revokeSession = async (sessionId, reason = 'logout') => {
+  if (!sessionId) return 0;
+  const res = await Session.updateOne(
+    { _id: sessionId, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+  return res?.modifiedCount || 0;
+};
+
+export const revokeSessionByRefreshToken = async (refreshToken, reason = 'logout') => {
+  if (typeof refreshToken !== 'string' || refreshToken.length === 0) return 0;
+  const res = await Session.updateOne(
+    { refresh_hash: hashRefreshToken(refreshToken), revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+  return res?.modifiedCount || 0;
+};
+
+/**
+ * Revokes every live session of a user, optionally keeping one (the caller's).
+ */
+export const revokeAllSessions = async (userId, reason, { exceptSessionId } = {}) => {
+  const filter = { user: userId, revoked_at: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const res = await Session.updateMany(filter, {
+    $set: { revoked_at: new Date(), revoked_reason: reason }
+  });
+  return res?.modifiedCount || 0;
+};
@@ -0,0 +1,71 @@
+// src/services/sms.service.js
+// SMS delivery through Twilio (config/twilio.js). SMS_TRANSPORT=fake keeps
+// messages in memory so flows can be exercised offline; it is never picked
+// implicitly, and sending fails when Twilio is not configured.
+
+const FAKE_OUTBOX_LIMIT = 100;
+const fakeOutbox = [];
+
+const transportName = () => (process.env.SMS_TRANSPORT || 'twilio').toLowerCase();
+
+/** E.164, e.g. "+17805551234"; returns null when not plausible */
+export const normalizePhone = (raw) => {
+  if (typeof raw !== 'string') return null;
+  const v = raw.trim().replace(/[\s\-().]/g, '');
+  return /^\+[1-9]\d{7,14}$/.test(v) ? v : null;
+};
+
+export const maskPhone = (phone) => {
+  const v = String(phone || '');
+  if (v.length < 4) return '***';
+  return `${v.slice(0, 2)}***${v.slice(-2)}`;
+};
+
+const fakeTransport = {
+  async send({ to, body }) {
+    const msg = { sid: `FAKE${Date.now()}${fakeOutbox.length}`, to, body, at: new Date() };
+    fakeOutbox.push(msg);
+    if (fakeOutbox.length > FAKE_OUTBOX_LIMIT) fakeOutbox.shift();
+    // never log the body: it carries recovery / verification codes
+    console.log(`[SMS:fake] to=${maskPhone(to)} sid=${msg.sid}`);
+    return { sid: msg.sid, status: 'queued' };
+  }
+};
+
+const twilioTransport = {
+  async send({ to, body }) {
+    if (!process.env.TWILIO_SID || !process.env.TWILIO_AUTH_TOKEN) {
+      throw new Error('Missing required env: TWILIO_SID, TWILIO_AUTH_TOKEN (or set SMS_TRANSPORT=fake)');
+    }
+    const { client } = await import('../config/twilio.js');
+    const params = { to, body };
+    if (process.env.TWILIO_MESSAGING_SERVICE_SID) {
+      params.messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID;
+    } else if (process.env.TWILIO_FROM_NUMBER) {
+      params.from = process.env.TWILIO_FROM_NUMBER;
+    } else {
+      throw new Error('Missing required env: TWILIO_FROM_NUMBER or TWILIO_MESSAGING_SERVICE_SID');
+    }
+    const msg = await client.messages.create(params);
+    return { sid: msg.sid, status: msg.status };
+  }
+};
+
+/**
+ * Sends one SMS through the configured transport.
+ *
+ * @returns {Promise<{ sid: string, status: string }>}
+ */
+export const sendSms = async (to, body) => {
+  const name = transportName();
+  if (name === 'fake') return fakeTransport.send({ to, body });
+  if (name !== 'twilio') throw new Error(`Unknown SMS_TRANSPORT: ${name}`);
+  return twilioTransport.send({ to, body });
+};
+
+/** Messages captured by the fake transport (newest last) */
+export const getFakeSmsOutbox = () => [...fakeOutbox];
+
+export const clearFakeSmsOutbox = () => {
+  fakeOutbox.length = 0;
+};
@@ -0,0 +1,117 @@
+// src/services/smsFallback.service.js
+// Last-resort SMS to a site's alert phones when an order push reached no
+// device (no users or tokens, or every send failed). Texts are
+// rate limited per site: at most SMS_FALLBACK_MAX_PER_WINDOW per
+// SMS_FALLBACK_WINDOW_SECONDS, so a burst of orders does not become a flood.
+import Site from '../models/Site.js';
+import { maskPhone, normalizePhone, sendSms } from './sms.service.js';
+import { renderTemplate } from './template.service.js';
+
+export const MAX_ALERT_PHONES = 5;
+
+const positive = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+export const smsFallbackConfig = () => ({
+  enabled: process.env.SMS_FALLBACK_ENABLED !== 'false',
+  windowSeconds: positive('SMS_FALLBACK_WINDOW_SECONDS', 15 * 60),
+  maxPerWindow: positive('SMS_FALLBACK_MAX_PER_WINDOW', 3)
+});
+
+/**
+ * Whether a push attempt calls for the SMS fallback: nothing was delivered
+ * (outcome from notificationLog.outcomeFor) and no topic send went out. A
+ * topic send cannot confirm delivery, but it is not a failure either, and
+ * in topic mode it carries most orders.
+ */
+export const needsSmsFallback = ({ outcome, topicSent = 0 }) =>
+  !topicSent && (outcome === 'failed' || outcome === 'no_recipients');
+
+/**
+ * Validates a list of alert phones.
+ *
+ * @returns {{ error: string } | { phones: string[] }}
+ */
+export const parseAlertPhones = (raw) => {
+  if (!Array.isArray(raw)) return { error: 'phones must be an array' };
+  if (raw.length > MAX_ALERT_PHONES) return { error: `At most ${MAX_ALERT_PHONES} phones` };
+  const phones = [];
+  for (const p of raw) {
+    const phone = normalizePhone(p);
+    if (!phone) return { error: `Invalid phone number: ${String(p).slice(0, 30)} (use E.164, e.g. +17805551234)` };
+    if (!phones.includes(phone)) phones.push(phone);
+  }
+  return { phones };
+};
+
+/**
+ * Takes one slot in the site's window. True when the text may be sent.
+ */
+const claimSlot = async (siteSlug, now = new Date()) => {
+  const { windowSeconds, maxPerWindow } = smsFallbackConfig();
+  const windowStart = new Date(now.getTime() - windowSeconds * 1000);
+
+  // still inside the current window and under the cap
+  const inWindow = await Site.updateOne(
+    {
+      slug: siteSlug,
+      'sms_fallback_window.started_at': { $gt: windowStart },
+      'sms_fallback_window.count': { $lt: maxPerWindow }
+    },
+    { $inc: { 'sms_fallback_window.count': 1 } }
+  );
+  if (inWindow.modifiedCount === 1) return true;
+
+  // no window yet, or the last one is over: open a new one
+  const fresh = await Site.updateOne(
+    {
+      slug: siteSlug,
+      $or: [
+        { 'sms_fallback_window.started_at': { $exists: false } },
+        { 'sms_fallback_window.started_at': null },
+        { 'sms_fallback_window.started_at': { $lte: windowStart } }
+      ]
+    },
+    { $set: { 'sms_fallback_window.started_at': now, 'sms_fallback_window.count': 1 } }
+  );
+  return fresh.modifiedCount === 1;
+};
+
+/**
+ * Texts the site's alert phones.
+ *
+ * @param {string} siteSlug
+ * @param {{ locale: string, variables: object }} message - rendered with the
+ *   site's "sms.order_fallback" template (variables include pushTitle/pushBody)
+ * @returns {Promise<{
+ *   status: 'sent'|'failed'|'rate_limited'|'no_phones'|'disabled',
+ *   recipients: Array<{ to: string, ok: boolean, error: string|null }>
+ * }>}
+ */
+export const sendSmsFallback = async (siteSlug, { locale, variables }) => {
+  if (!smsFallbackConfig().enabled) return { status: 'disabled', recipients: [] };
+
+  const siteDoc = await Site.findOne({ slug: siteSlug }, { alert_phones: 1 }).lean();
+  const phones = siteDoc?.alert_phones || [];
+  if (!phones.length) return { status: 'no_phones', recipients: [] };
+
+  if (!(await claimSlot(siteSlug))) {
+    console.warn(`[SMS_FALLBACK] rate limited site=${siteSlug}`);
+    return { status: 'rate_limited', recipients: [] };
+  }
+
+  const { body: text } = await renderTemplate('sms.order_fallback', { site: siteSlug, locale, variables });
+
+  const recipients = [];
+  for (const phone of phones) {
+    try {
+      await sendSms(phone, text);
+      recipients.push({ to: maskPhone(phone), ok: true, error: null });
+    } catch (e) {
+      recipients.push({ to: maskPhone(phone), ok: false, error: e?.message || String(e) });
+    }
+  }
+  return { status: recipients.some((r) => r.ok) ? 'sent' : 'failed', recipients };
+};
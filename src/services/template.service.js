@@ -0,0 +1,303 @@
+// src/services/template.service.js
+// Push, SMS and email wording. Every message has a built-in template per
+// locale; a site can override any field of it (models/NotificationTemplate.js).
+//
+// Syntax: {{name}} inserts a variable, {{#name}}...{{/name}} keeps the
+// inner text only when the variable is non-empty.
+import NotificationTemplate from '../models/NotificationTemplate.js';
+import Site from '../models/Site.js';
+import { NOTIFICATION_EVENTS } from './notificationPrefs.service.js';
+import { pickDisplayName } from './orderDisplay.service.js';
+
+export const LOCALES = ['en', 'fr'];
+export const DEFAULT_LOCALE = 'en';
+
+export const TEMPLATE_CHANNELS = Object.freeze({
+  PUSH: 'push',
+  SMS: 'sms',
+  EMAIL: 'email'
+});
+
+// editable fields per channel, with their max length
+export const CHANNEL_FIELDS = {
+  push: { title: 100, body: 240 },
+  sms: { body: 480 },
+  email: { subject: 150, heading: 100, greeting: 150, body: 2000, orderLabel: 60, closing: 500, footer: 500 }
+};
+
+// available in every template
+export const ORDER_VARIABLES = [
+  'orderNumber',
+  'customerName',
+  'fulfillmentType',
+  'total',
+  'scheduledTime',
+  'siteName',
+  'status'
+];
+
+const ORDER_EMAIL = {
+  en: {
+    greeting: 'Hi{{#customerName}} {{customerName}}{{/customerName}},',
+    orderLabel: 'Order number',
+    footer: 'You’re receiving this because you recently placed an order with {{siteName}}.'
+  },
+  fr: {
+    greeting: 'Bonjour{{#customerName}} {{customerName}}{{/customerName}},',
+    orderLabel: 'Numéro de commande',
+    footer: 'Vous recevez ce courriel parce que vous avez récemment passé une commande chez {{siteName}}.'
+  }
+};
+
+const pushTemplate = (en, fr) => ({
+  channel: TEMPLATE_CHANNELS.PUSH,
+  defaults: {
+    en: { title: en, body: '{{fulfillmentType}} • {{total}}' },
+    fr: { title: fr, body: '{{fulfillmentType}} • {{total}}' }
+  }
+});
+
+/**
+ * Built-in templates. `extraVariables` are supplied by the caller on top of
+ * ORDER_VARIABLES.
+ */
+export const TEMPLATES = {
+  [`push.${NOTIFICATION_EVENTS.NEW_ORDER}`]: pushTemplate('🛒 New Order', '🛒 Nouvelle commande'),
+  [`push.${NOTIFICATION_EVENTS.ORDER_CANCELLED}`]: pushTemplate('❌ Order Cancelled', '❌ Commande annulée'),
+  [`push.${NOTIFICATION_EVENTS.PAYMENT_FAILED}`]: pushTemplate('⚠️ Payment Failed', '⚠️ Échec du paiement'),
+  [`push.${NOTIFICATION_EVENTS.STORE_AUTO_CLOSED}`]: pushTemplate(
+    '🔒 Store Auto-Closed',
+    '🔒 Fermeture automatique du magasin'
+  ),
+
+  'sms.order_fallback': {
+    channel: TEMPLATE_CHANNELS.SMS,
+    extraVariables: ['pushTitle', 'pushBody'],
+    defaults: {
+      en: {
+        body:
+          'BlueBoxx {{siteName}}: {{pushTitle}} #{{orderNumber}} - {{pushBody}}. ' +
+          'No device received the push alert, please check the tablet.'
+      },
+      fr: {
+        body:
+          'BlueBoxx {{siteName}} : {{pushTitle}} no {{orderNumber}} - {{pushBody}}. ' +
+          'Aucun appareil n’a reçu l’alerte, veuillez vérifier la tablette.'
+      }
+    }
+  },
+
+  'sms.owner_escalation': {
+    channel: TEMPLATE_CHANNELS.SMS,
+    extraVariables: ['waitedMinutes'],
+    defaults: {
+      en: {
+        body:
+          'BlueBoxx: order #{{orderNumber}} at {{siteName}} has been waiting {{waitedMinutes}} min ' +
+          'and has not been accepted. Please check the tablet.'
+      },
+      fr: {
+        body:
+          'BlueBoxx : la commande no {{orderNumber}} chez {{siteName}} attend depuis {{waitedMinutes}} min ' +
+          'et n’a pas été acceptée. Veuillez vérifier la tablette.'
+      }
+    }
+  },
+
+  'email.owner_escalation': {
+    channel: TEMPLATE_CHANNELS.EMAIL,
+    extraVariables: ['waitedMinutes'],
+    defaults: {
+      en: {
+        subject: 'Order #{{orderNumber}} is waiting to be accepted',
+        heading: 'An order is waiting',
+        body:
+          'Order #{{orderNumber}} at {{siteName}} has been waiting {{waitedMinutes}} min ' +
+          'and has not been accepted. Please check the tablet.'
+      },
+      fr: {
+        subject: 'La commande no {{orderNumber}} attend d’être acceptée',
+        heading: 'Une commande attend',
+        body:
+          'La commande no {{orderNumber}} chez {{siteName}} attend depuis {{waitedMinutes}} min ' +
+          'et n’a pas été acceptée. Veuillez vérifier la tablette.'
+      }
+    }
+  },
+
+  'email.order_accepted': {
+    channel: TEMPLATE_CHANNELS.EMAIL,
+    defaults: {
+      en: {
+        ...ORDER_EMAIL.en,
+        subject: 'Your order has been accepted by {{siteName}}',
+        heading: 'Order accepted',
+        body: 'Good news! {{siteName}} has accepted your order.',
+        closing: 'We’ll let you know once it’s on its way!'
+      },
+      fr: {
+        ...ORDER_EMAIL.fr,
+        subject: 'Votre commande a été acceptée par {{siteName}}',
+        heading: 'Commande acceptée',
+        body: 'Bonne nouvelle! {{siteName}} a accepté votre commande.',
+        closing: 'Nous vous aviserons dès qu’elle sera en route!'
+      }
+    }
+  },
+
+  'email.order_prepared': {
+    channel: TEMPLATE_CHANNELS.EMAIL,
+    defaults: {
+      en: {
+        ...ORDER_EMAIL.en,
+        subject: 'Your order has been prepared by {{siteName}}',
+        heading: 'Order prepared',
+        body: 'Good news! {{siteName}} has prepared your order.',
+        closing: 'We’ll let you know once it’s on its way!'
+      },
+      fr: {
+        ...ORDER_EMAIL.fr,
+        subject: 'Votre commande a été préparée par {{siteName}}',
+        heading: 'Commande préparée',
+        body: 'Bonne nouvelle! {{siteName}} a préparé votre commande.',
+        closing: 'Nous vous aviserons dès qu’elle sera en route!'
+      }
+    }
+  }
+};
+
+export const TEMPLATE_KEYS = Object.keys(TEMPLATES);
+
+export const variablesFor = (key) => [...ORDER_VARIABLES, ...(TEMPLATES[key]?.extraVariables || [])];
+
+/** "fr-CA" -> "fr"; anything unsupported -> DEFAULT_LOCALE */
+export const normalizeLocale = (raw) => {
+  const base = String(raw || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES.includes(base) ? base : DEFAULT_LOCALE;
+};
+
+const FULFILLMENT_LABELS = {
+  en: { pickup: 'Pickup', delivery: 'Delivery' },
+  fr: { pickup: 'Cueillette', delivery: 'Livraison' }
+};
+
+const intlLocale = (locale) => `${locale}-CA`;
+
+const formatMoney = (cents, locale) =>
+  new Intl.NumberFormat(intlLocale(locale), { style: 'currency', currency: 'CAD' }).format(
+    (typeof cents === 'number' ? cents : 0) / 100
+  );
+
+const formatDateTime = (value, locale, timeZone) => {
+  if (!value) return '';
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return '';
+  try {
+    return new Intl.DateTimeFormat(intlLocale(locale), { timeZone, dateStyle: 'medium', timeStyle: 'short' }).format(d);
+  } catch {
+    return d.toISOString();
+  }
+};
+
+/** Short human reference when the order has no orderNumber */
+export const orderRef = (order) =>
+  order?.orderNumber ? String(order.orderNumber) : String(order?._id || '').slice(-6).toUpperCase();
+
+/**
+ * Template variables for an order (plain object or lean doc).
+ *
+ * @param {object} order
+ * @param {{ locale?: string, timeZone?: string, siteName?: string }} [opts]
+ */
+export const orderVariables = (order = {}, { locale = DEFAULT_LOCALE, timeZone, siteName = '' } = {}) => {
+  const type = order.fulfillmentType || '';
+  return {
+    orderNumber: orderRef(order),
+    customerName: String(pickDisplayName(order) || order.dropoff?.name || '').trim(),
+    fulfillmentType: FULFILLMENT_LABELS[locale]?.[type] || type || (locale === 'fr' ? 'Commande' : 'Order'),
+    total: formatMoney(order.totalCents, locale),
+    scheduledTime: formatDateTime(order.scheduledFor || order.scheduledAt || order.meta?.scheduledFor, locale, timeZone),
+    siteName,
+    status: String(order.status || '')
+  };
+};
+
+/** Renders one template string against `variables` */
+export const renderString = (tpl, variables = {}) => {
+  const value = (name) => {
+    const v = variables[name];
+    return v === null || v === undefined ? '' : String(v);
+  };
+  return String(tpl || '')
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, name, inner) => (value(name) ? inner : ''))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => value(name));
+};
+
+/** Names used in a template string (both {{x}} and {{#x}}) */
+export const placeholdersIn = (tpl) =>
+  [...String(tpl || '').matchAll(/\{\{\s*[#/]?\s*(\w+)\s*\}\}/g)].map((m) => m[1]);
+
+/**
+ * Validates a site override.
+ *
+ * @returns {{ error: string, allowed?: string[] } | { fields: object }}
+ */
+export const parseTemplateFields = (key, raw) => {
+  const spec = TEMPLATES[key];
+  if (!spec) return { error: 'Unknown template', allowed: TEMPLATE_KEYS };
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'fields must be an object' };
+
+  const limits = CHANNEL_FIELDS[spec.channel];
+  const allowedVars = variablesFor(key);
+  const fields = {};
+  for (const [name, value] of Object.entries(raw)) {
+    if (!(name in limits)) return { error: `Unknown field "${name}"`, allowed: Object.keys(limits) };
+    if (typeof value !== 'string') return { error: `${name} must be a string` };
+    if (value.length > limits[name]) return { error: `${name} must be at most ${limits[name]} characters` };
+    const unknown = placeholdersIn(value).filter((v) => !allowedVars.includes(v));
+    if (unknown.length) return { error: `Unknown placeholder {{${unknown[0]}}}`, allowed: allowedVars };
+    fields[name] = value;
+  }
+  return { fields };
+};
+
+const siteOverride = async (site, key, locale) =>
+  site ? NotificationTemplate.findOne({ site, key, locale }).lean() : null;
+
+/**
+ * Unrendered fields for `key`: built-in defaults for the locale, with the
+ * site's override for that locale on top.
+ *
+ * @returns {Promise<{ fields: object, overridden: string[] }>}
+ */
+export const resolveTemplate = async (key, { site = null, locale = DEFAULT_LOCALE } = {}) => {
+  const spec = TEMPLATES[key];
+  if (!spec) throw new Error(`Unknown template: ${key}`);
+  const loc = normalizeLocale(locale);
+  const override = await siteOverride(site, key, loc);
+  const custom = override?.fields || {};
+  return {
+    fields: { ...spec.defaults[DEFAULT_LOCALE], ...spec.defaults[loc], ...custom },
+    overridden: Object.keys(custom)
+  };
+};
+
+/**
+ * Renders `key` for a site and locale.
+ *
+ * @param {string} key - one of TEMPLATE_KEYS
+ * @param {{ site?: string, locale?: string, variables?: object, draft?: object }} [opts]
+ *   draft: unsaved field values to render instead of the stored ones (preview)
+ * @returns {Promise<object>} rendered fields, e.g. { title, body }
+ */
+export const renderTemplate = async (key, { site = null, locale = DEFAULT_LOCALE, variables = {}, draft = null } = {}) => {
+  const { fields } = await resolveTemplate(key, { site, locale });
+  const merged = { ...fields, ...(draft || {}) };
+  return Object.fromEntries(Object.entries(merged).map(([k, v]) => [k, renderString(v, variables)]));
+};
+
+/** Locale and display name configured on a site (falls back to the slug) */
+export const siteLocaleAndName = async (slug) => {
+  const siteDoc = slug ? await Site.findOne({ slug }, { locale: 1, name: 1 }).lean() : null;
+  return { locale: normalizeLocale(siteDoc?.locale), siteName: siteDoc?.name || slug || '' };
+};
@@ -0,0 +1,165 @@
+// src/services/topic.service.js
+// FCM topic fan-out. Devices are subscribed to a site topic and a
+// site+role topic. Any app install can subscribe itself to a topic it can
+// name, so the names are an HMAC of the site/role under FCM_TOPIC_SECRET
+// ("<prefix>.s.<hex>"); without the secret, fan-out falls back to tokens.
+// After setting or changing the secret, run `npm run topics:resync`.
+// A topic message cannot honor
+// per-device preferences, so devices whose effective preferences differ
+// from the defaults (or that picked a sound instead of following the site
+// default) stay off the site topics and are reached by token (see
+// sendOrderNotification).
+//
+// NOTIFY_FANOUT_MODE=topic (default) | tokens
+import crypto from 'crypto';
+import admin from '../config/firebase.js';
+import Device from '../models/Device.js';
+import User from '../models/User.js';
+import { roleForSite } from './membership.service.js';
+import { effectivePrefs } from './notificationPrefs.service.js';
+
+const TOPIC_PREFIX = process.env.FCM_TOPIC_PREFIX || 'bb';
+
+let warnedNoSecret = false;
+
+export const fanoutMode = () => {
+  if (String(process.env.NOTIFY_FANOUT_MODE || 'topic').toLowerCase() === 'tokens') return 'tokens';
+  if (!process.env.FCM_TOPIC_SECRET) {
+    if (!warnedNoSecret) console.warn('[FCM_TOPIC] FCM_TOPIC_SECRET is not set; sending by token');
+    warnedNoSecret = true;
+    return 'tokens';
+  }
+  return 'topic';
+};
+
+/** Unguessable topic name for `parts` (FCM allows [a-zA-Z0-9-_.~%]) */
+const topicName = (...parts) => {
+  if (!process.env.FCM_TOPIC_SECRET) throw new Error('Missing required env: FCM_TOPIC_SECRET');
+  const mac = crypto
+    .createHmac('sha256', process.env.FCM_TOPIC_SECRET)
+    .update(parts.map(String).join('\n'))
+    .digest('hex')
+    .slice(0, 40);
+  return `${TOPIC_PREFIX}.s.${mac}`;
+};
+
+export const siteTopic = (siteSlug) => topicName('site', siteSlug);
+
+export const roleTopic = (siteSlug, role) => topicName('site', siteSlug, 'role', role);
+
+/** FCM condition reaching the given roles of a site (max 5 topics per condition) */
+export const roleCondition = (siteSlug, roles) =>
+  roles.map((r) => `'${roleTopic(siteSlug, r)}' in topics`).join(' || ');
+
+const picksSound = (prefs) => {
+  const p = prefs && typeof prefs.toObject === 'function' ? prefs.toObject() : prefs;
+  return Object.values(p?.sounds || {}).some(Boolean);
+};
+
+/**
+ * True when the device would get exactly what a plain topic message sends.
+ * Devices already registered keep their subscriptions until they re-sync;
+ * run `npm run topics:resync` after deploying a change to this rule.
+ */
+export const hasDefaultPrefs = (userPrefs, devicePrefs) => {
+  const p = effectivePrefs(userPrefs, devicePrefs);
+  return (
+    Object.values(p.events).every(Boolean) &&
+    !p.quiet_hours.enabled &&
+    !picksSound(userPrefs) &&
+    !picksSound(devicePrefs)
+  );
+};
+
+/** Topics the device should be on right now */
+export const desiredTopics = (device, user) => {
+  if (!device?.fcm_token || !device.site || !user || user.disabled) return [];
+  if (!hasDefaultPrefs(user.notification_prefs, device.notification_prefs)) return [];
+  const role = roleForSite(user, device.site);
+  if (!role) return [];
+  return [siteTopic(device.site), roleTopic(device.site, role)];
+};
+
+const subscribe = async (token, topics, op) => {
+  const failed = [];
+  for (const topic of topics) {
+    try {
+      const res = await admin.messaging()[op](token, topic);
+      if (res?.failureCount) failed.push(topic);
+    } catch (e) {
+      console.warn(`[FCM_TOPIC] ${op} ${topic} failed:`, e?.message || e);
+      failed.push(topic);
+    }
+  }
+  return failed;
+};
+
+/** Another device now owns this token (reinstall): leave its subscriptions alone */
+const tokenStillInUse = async (token, deviceId) =>
+  !!(await Device.exists({ fcm_token: token, device_id: { $ne: deviceId } }));
+
+/**
+ * Brings the device's FCM subscriptions in line with desiredTopics().
+ * Never throws; failures are logged and retried on the next sync.
+ *
+ * @param {object} device - Device document or lean object
+ * @param {object} [user] - owning user (loaded when omitted)
+ * @returns {Promise<string[]>} topics the device is subscribed to afterwards
+ */
+export const syncDeviceTopics = async (device, user = null) => {
+  try {
+    if (fanoutMode() !== 'topic' && !(device.topics || []).length) return [];
+
+    const owner = user || (await User.findById(device.user).lean());
+    const want = fanoutMode() === 'topic' ? desiredTopics(device, owner) : [];
+    const have = device.topic_token ? device.topics || [] : [];
+
+    let unsubscribeFrom = have.filter((t) => !want.includes(t));
+    let subscribeTo = want.filter((t) => !have.includes(t));
+
+    // token rotated: the old token's subscriptions go, the new one starts fresh
+    if (device.topic_token && device.topic_token !== device.fcm_token) {
+      unsubscribeFrom = have;
+      subscribeTo = want;
+    }
+    if (!unsubscribeFrom.length && !subscribeTo.length) return have;
+
+    if (unsubscribeFrom.length && device.topic_token &&
+        !(await tokenStillInUse(device.topic_token, device.device_id))) {
+      await subscribe(device.topic_token, unsubscribeFrom, 'unsubscribeFromTopic');
+    }
+    const failed = subscribeTo.length && device.fcm_token
+      ? await subscribe(device.fcm_token, subscribeTo, 'subscribeToTopic')
+      : [];
+
+    const topics = want.filter((t) => !failed.includes(t));
+    await Device.updateOne(
+      { _id: device._id },
+      { $set: { topics, topic_token: topics.length ? device.fcm_token : null } }
+    );
+    return topics;
+  } catch (e) {
+    console.error('[FCM_TOPIC] sync failed:', e?.message || e);
+    return device.topics || [];
+  }
+};
+
+/** Re-syncs every device of a user (their preferences or memberships changed) */
+export const syncUserDeviceTopics = async (userId) => {
+  const [user, devices] = await Promise.all([
+    User.findById(userId).lean(),
+    Device.find({ user: userId }).lean()
+  ]);
+  for (const d of devices) await syncDeviceTopics(d, user);
+};
+
+/** Drops all subscriptions of a device that is about to be removed */
+export const unsubscribeDeviceTopics = async (device) => {
+  try {
+    if (!device?.topic_token || !(device.topics || []).length) return;
+    if (await tokenStillInUse(device.topic_token, device.device_id)) return;
+    await subscribe(device.topic_token, device.topics, 'unsubscribeFromTopic');
+  } catch (e) {
+    console.error('[FCM_TOPIC] unsubscribe failed:', e?.message || e);
+  }
+};
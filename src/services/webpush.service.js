@@ -0,0 +1,152 @@
+// src/services/webpush.service.js
+// VAPID Web Push for browser dashboards, delivered next to FCM by
+// sendOrderNotification. 404/410 from the push service means the browser
+// dropped the subscription, so it is deleted; other failures are counted
+// and the subscription is retired after PUSH_MAX_TRANSIENT_FAILURES.
+import webpush, { webPushConfigured } from '../config/webpush.js';
+import WebPushSubscription from '../models/WebPushSubscription.js';
+
+const MAX_TRANSIENT_FAILURES = Number(process.env.PUSH_MAX_TRANSIENT_FAILURES || 5);
+const TTL_SECONDS = 10 * 60; // an order alert is useless after a few minutes
+
+export const isWebPushEnabled = () => webPushConfigured;
+
+// The server POSTs to every stored endpoint, so only the browsers' own push
+// services are accepted (never an arbitrary, private or loopback host)
+const PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'updates.push.services.mozilla.com', 'web.push.apple.com'];
+const PUSH_SERVICE_SUFFIXES = ['.notify.windows.com'];
+
+/** True for an https URL on a known browser push service, default port */
+export const isPushServiceEndpoint = (endpoint) => {
+  if (typeof endpoint !== 'string' || !/^https:\/\/\S{10,2000}$/.test(endpoint)) return false;
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'https:' || url.port || url.username || url.password) return false;
+  const host = url.hostname.toLowerCase();
+  return PUSH_SERVICE_HOSTS.includes(host) || PUSH_SERVICE_SUFFIXES.some((s) => host.endsWith(s));
+};
+
+/** Validates the PushSubscription JSON a browser hands out */
+export const parseSubscription = (sub) => {
+  if (!sub || typeof sub !== 'object') return null;
+  const { endpoint, keys, expirationTime } = sub;
+  if (!isPushServiceEndpoint(endpoint)) return null;
+  if (typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string') return null;
+  if (!keys.p256dh || !keys.auth || keys.p256dh.length > 200 || keys.auth.length > 100) return null;
+  const exp = expirationTime ? new Date(expirationTime) : null;
+  return {
+    endpoint,
+    keys: { p256dh: keys.p256dh, auth: keys.auth },
+    expiration_time: exp && !Number.isNaN(exp.getTime()) ? exp : null
+  };
+};
+
+/** Stores (or moves) a subscription for `userId` on `site` */
+export const saveSubscription = ({ userId, site, subscription, userAgent = null }) =>
+  WebPushSubscription.findOneAndUpdate(
+    { endpoint: subscription.endpoint },
+    {
+      $set: {
+        user: userId,
+        site,
+        keys: subscription.keys,
+        expiration_time: subscription.expiration_time,
+        user_agent: userAgent,
+        failure_count: 0,
+        last_error: null
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+export const removeSubscription = async (endpoint, userId) => {
+  const res = await WebPushSubscription.deleteOne({ endpoint, user: userId });
+  return res.deletedCount === 1;
+};
+
+export const removeWebPushSubscriptionsForSite = async (userId, site) => {
+  const res = await WebPushSubscription.deleteMany({ user: userId, site });
+  return res.deletedCount || 0;
+};
+
+export const removeAllWebPushSubscriptions = async (userId) => {
+  const res = await WebPushSubscription.deleteMany({ user: userId });
+  return res.deletedCount || 0;
+};
+
+/**
+ * Subscriptions of `userIds` made for `site`, shaped like push devices so
+ * notificationPrefs.planPushDelivery can filter them (`token` = endpoint).
+ */
+export const webPushTargetsForUsers = async (userIds, site) => {
+  const subs = await WebPushSubscription.find({ user: { $in: userIds }, site }).lean();
+  // rows stored before endpoints were checked: drop instead of calling them
+  const foreign = subs.filter((s) => !isPushServiceEndpoint(s.endpoint));
+  if (foreign.length) {
+    await WebPushSubscription.deleteMany({ _id: { $in: foreign.map((s) => s._id) } });
+    console.warn(`[WEBPUSH] removed ${foreign.length} subscription(s) with a non push-service endpoint`);
+  }
+  return subs.filter((s) => isPushServiceEndpoint(s.endpoint)).map((s) => ({ token: s.endpoint, user: String(s.user), notification_prefs: null, sub: s }));
+};
+
+/**
+ * Sends `payload` (JSON-serialisable) to each subscription.
+ *
+ * @param {Array<{ endpoint: string, keys: object }>} subs
+ * @returns {Promise<{
+ *   successCount: number,
+ *   failureCount: number,
+ *   results: Array<{ token: string, success: boolean, code: string|null, error: string|null }>,
+ *   removed: string[]
+ * }>}
+ */
+export const sendWebPush = async (subs, payload) => {
+  const out = { successCount: 0, failureCount: 0, results: [], removed: [] };
+  if (!webPushConfigured || !subs.length) return out;
+
+  const body = JSON.stringify(payload);
+  for (const s of subs) {
+    try {
+      await webpush.sendNotification(
+        { endpoint: s.endpoint, keys: s.keys },
+        body,
+        { TTL: TTL_SECONDS, urgency: 'high' }
+      );
+      out.successCount++;
+      out.results.push({ token: s.endpoint, success: true, code: null, error: null });
+      await WebPushSubscription.updateOne(
+        { endpoint: s.endpoint },
+        { $set: { failure_count: 0, last_error: null, last_success_at: new Date() } }
+      );
+    } catch (e) {
+      const code = e?.statusCode ? `http-${e.statusCode}` : e?.code || null;
+      const error = e?.body || e?.message || 'Unknown error';
+      out.failureCount++;
+      out.results.push({ token: s.endpoint, success: false, code, error: String(error).slice(0, 300) });
+
+      try {
+        if (e?.statusCode === 404 || e?.statusCode === 410) {
+          await WebPushSubscription.deleteOne({ endpoint: s.endpoint });
+          out.removed.push(s.endpoint);
+          continue;
+        }
+        const updated = await WebPushSubscription.findOneAndUpdate(
+          { endpoint: s.endpoint },
+          { $inc: { failure_count: 1 }, $set: { last_error: code || String(error).slice(0, 100) } },
+          { new: true, projection: { failure_count: 1 } }
+        ).lean();
+        if (updated && updated.failure_count >= MAX_TRANSIENT_FAILURES) {
+          await WebPushSubscription.deleteOne({ endpoint: s.endpoint });
+          out.removed.push(s.endpoint);
+        }
+      } catch (bookkeepingErr) {
+        console.error('web push bookkeeping failed:', bookkeepingErr?.message || bookkeepingErr);
+      }
+    }
+  }
+  return out;
+};
@@ -0,0 +1,8 @@
+// src/utils/clientIp.js
+
+/**
+ * Caller's IP address. app.js sets `trust proxy` to the one load balancer
+ * in front of us, so req.ip is already the address it saw; the leftmost
+ * X-Forwarded-For entry is whatever the client chose to send.
+ */
+export const clientIp = (req) => req?.ip || req?.socket?.remoteAddress || null;
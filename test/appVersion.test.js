@@ -0,0 +1,67 @@
+// test/appVersion.test.js
+// Outdated app builds are stopped on the routes the app calls, and only
+// there. Runs the real app with the models stubbed (no DB).
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import app from '../src/app.js';
+import AppVersion from '../src/models/AppVersion.js';
+import { clearAppVersionCache } from '../src/services/appVersion.service.js';
+
+const IOS_POLICY = { platform: 'ios', site: null, latest: '2.1.0', minimum: '2.0.0', store_url: 'https://apps.example/bb' };
+
+let server;
+let baseUrl;
+
+const request = async (method, path, version) => {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'X-App-Platform': 'ios', 'X-App-Version': version, 'Content-Type': 'application/json' },
+    body: method === 'GET' ? undefined : '{}'
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+before(async () => {
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  mock.restoreAll();
+  clearAppVersionCache();
+  mock.method(AppVersion, 'distinct', async () => []);
+  mock.method(AppVersion, 'find', () => ({ lean: async () => [IOS_POLICY] }));
+});
+
+describe('minimum app version', () => {
+  it('sends outdated apps to the store from the user and order routes', async () => {
+    for (const [method, path] of [['GET', '/api/user/me'], ['GET', '/api/order/search?q=x']]) {
+      const { status, body } = await request(method, path, '1.9.9');
+      assert.equal(status, 426, path);
+      assert.equal(body.storeUrl, IOS_POLICY.store_url);
+      assert.equal(body.minimum, '2.0.0');
+    }
+  });
+
+  it('lets current apps through', async () => {
+    const { status } = await request('GET', '/api/order/search?q=x', '2.0.0');
+    assert.equal(status, 401);
+  });
+
+  it('does not gate admin, util, site or service routes', async () => {
+    for (const [method, path] of [
+      ['GET', '/api/admin/users'],
+      ['POST', '/api/util/test-email'],
+      ['GET', '/api/site/site-a/templates'],
+      ['POST', '/api/order/notify']
+    ]) {
+      const { status } = await request(method, path, '1.0.0');
+      assert.notEqual(status, 426, path);
+    }
+  });
+});
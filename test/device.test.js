@@ -0,0 +1,67 @@
+// test/device.test.js
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import Device from '../src/models/Device.js';
+import { registerDevice } from '../src/controllers/device.controller.js';
+
+const DEVICE_ID = 'install-0001';
+const OWNER = '64a000000000000000000001';
+const OTHER = '64a000000000000000000002';
+
+const fakeRes = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const register = async (userId) => {
+  const res = fakeRes();
+  await registerDevice(
+    {
+      body: { deviceId: DEVICE_ID, platform: 'android', fcmToken: 'token-1' },
+      user: { userId, site: 'site-a' }
+    },
+    res
+  );
+  return res;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('POST /api/user/devices', () => {
+  it('refuses a device id registered to another user', async () => {
+    mock.method(Device, 'findOne', () => ({ lean: async () => ({ _id: 'd1', user: OWNER }) }));
+    const find = mock.method(Device, 'find', () => ({ lean: async () => [] }));
+    const update = mock.method(Device, 'findOneAndUpdate', async () => null);
+
+    const res = await register(OTHER);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(find.mock.callCount(), 0);
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it('refreshes the caller\'s own device, scoped to the caller', async () => {
+    mock.method(Device, 'findOne', () => ({ lean: async () => ({ _id: 'd1', user: OWNER }) }));
+    mock.method(Device, 'find', () => ({ lean: async () => [] }));
+    const update = mock.method(Device, 'findOneAndUpdate', async (filter, change) => ({
+      device_id: filter.device_id,
+      ...change.$set
+    }));
+
+    const res = await register(OWNER);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.device.deviceId, DEVICE_ID);
+    const [filter] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { device_id: DEVICE_ID, user: OWNER });
+  });
+});
@@ -0,0 +1,10 @@
+// test/env.js
+// Placeholder config the app needs at import time. Import first.
+Object.assign(process.env, {
+  JWT_SECRET: 'test-secret',
+  DATA_ENCRYPTION_KEY: 'test-data-key',
+  FIREBASE_PRIVATE_KEY: process.env.FIREBASE_PRIVATE_KEY || 'x',
+  TWILIO_SID: process.env.TWILIO_SID || 'ACxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx',
+  TWILIO_AUTH_TOKEN: process.env.TWILIO_AUTH_TOKEN || 'x',
+  STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY || 'sk_test_x'
+});
@@ -0,0 +1,175 @@
+// test/lockout.test.js
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import './env.js';
+import User from '../src/models/User.js';
+import { lockoutRemainingSeconds, recordFailedLogin } from '../src/services/lockout.service.js';
+import { login } from '../src/controllers/auth.controller.js';
+import { verifyLoginTwoFactor } from '../src/controllers/twofactor.controller.js';
+import { signMfaChallenge } from '../src/services/session.service.js';
+
+const USER_ID = '64a000000000000000000001';
+const PASSWORD = 'correct horse battery';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+const inTenMinutes = () => new Date(Date.now() + 10 * 60 * 1000);
+
+const fakeRes = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const call = async (handler, body) => {
+  const res = fakeRes();
+  await handler({ body, headers: {}, ip: '127.0.0.1' }, res);
+  return res;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('lockoutRemainingSeconds', () => {
+  it('is 0 without a lockout or after it expired', () => {
+    assert.equal(lockoutRemainingSeconds({}), 0);
+    assert.equal(lockoutRemainingSeconds({ lockout_until: new Date(Date.now() - 1000) }), 0);
+  });
+
+  it('counts the seconds left', () => {
+    const left = lockoutRemainingSeconds({ lockout_until: inTenMinutes() });
+    assert.ok(left > 590 && left <= 600);
+  });
+});
+
+describe('recordFailedLogin', () => {
+  it('only counts while under the limit', async () => {
+    mock.method(User, 'findOneAndUpdate', async () => ({ _id: USER_ID, failed_login_count: 4 }));
+    const lock = mock.method(User, 'updateOne', async () => ({}));
+
+    assert.deepEqual(await recordFailedLogin({ _id: USER_ID }), { locked: false, retryAfterSeconds: 0 });
+    assert.equal(lock.mock.callCount(), 0);
+  });
+
+  it('locks at the limit, doubling with each earlier lockout', async () => {
+    mock.method(User, 'findOneAndUpdate', async () => ({
+      _id: USER_ID,
+      username: 'alice',
+      failed_login_count: 5,
+      lockout_count: 2
+    }));
+    const lock = mock.method(User, 'updateOne', async () => ({}));
+    mock.method(console, 'warn', () => {});
+
+    const result = await recordFailedLogin({ _id: USER_ID });
+
+    assert.deepEqual(result, { locked: true, retryAfterSeconds: 60 * 60 });
+    const [, change] = lock.mock.calls[0].arguments;
+    assert.equal(change.$set.failed_login_count, 0);
+    assert.deepEqual(change.$inc, { lockout_count: 1 });
+    const minutes = (change.$set.lockout_until.getTime() - Date.now()) / 60000;
+    assert.ok(minutes > 59 && minutes <= 60);
+  });
+});
+
+describe('POST /api/user/login on a locked account', () => {
+  it('answers a correct password like an unknown username', async () => {
+    mock.method(User, 'findOne', async () => null);
+    const unknown = await call(login, { username: 'nobody', password: PASSWORD });
+
+    mock.restoreAll();
+    mock.method(User, 'findOne', async () => ({
+      _id: USER_ID,
+      username: 'alice',
+      password: passwordHash,
+      lockout_until: inTenMinutes()
+    }));
+    const counted = mock.method(User, 'findOneAndUpdate', async () => null);
+    const locked = await call(login, { username: 'alice', password: PASSWORD });
+
+    assert.equal(locked.statusCode, 401);
+    assert.deepEqual(locked.body, unknown.body);
+    assert.deepEqual(locked.headers, {});
+    assert.equal(counted.mock.callCount(), 0);
+  });
+
+  it('counts a wrong password as a failed login', async () => {
+    mock.method(User, 'findOne', async () => ({ _id: USER_ID, username: 'alice', password: passwordHash }));
+    const counted = mock.method(User, 'findOneAndUpdate', async () => ({ failed_login_count: 1 }));
+
+    const res = await call(login, { username: 'alice', password: 'wrong' });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(counted.mock.callCount(), 1);
+  });
+});
+
+describe('POST /api/user/login/2fa on a locked account', () => {
+  const challengeToken = signMfaChallenge({ _id: USER_ID });
+
+  it('answers like a wrong code, without Retry-After', async () => {
+    mock.method(User, 'findById', async () => ({
+      _id: USER_ID,
+      username: 'alice',
+      totp_enabled: true,
+      lockout_until: inTenMinutes()
+    }));
+
+    const res = await call(verifyLoginTwoFactor, { challengeToken, code: '123456' });
+
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(res.body, { error: 'Incorrect code' });
+    assert.deepEqual(res.headers, {});
+  });
+
+  it('keeps the same answer when the failed code triggers the lockout', async () => {
+    mock.method(User, 'findById', async () => ({
+      _id: USER_ID,
+      username: 'alice',
+      totp_enabled: true,
+      totp_secret: null,
+      totp_backup_codes: []
+    }));
+    mock.method(User, 'findOneAndUpdate', async () => ({ _id: USER_ID, username: 'alice', failed_login_count: 5 }));
+    mock.method(User, 'updateOne', async () => ({}));
+    mock.method(console, 'warn', () => {});
+
+    const res = await call(verifyLoginTwoFactor, { challengeToken, code: '123456' });
+
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(res.body, { error: 'Incorrect code' });
+    assert.deepEqual(res.headers, {});
+  });
+});
+
+describe('POST /api/user/login on a disabled account', () => {
+  const disabled = { _id: USER_ID, username: 'alice', password: passwordHash, disabled: true };
+
+  it('answers a wrong password like an unknown username', async () => {
+    mock.method(User, 'findOne', async () => disabled);
+    mock.method(User, 'findOneAndUpdate', async () => ({ failed_login_count: 1 }));
+
+    const res = await call(login, { username: 'alice', password: 'wrong' });
+
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(res.body, { error: 'Invalid credentials' });
+  });
+
+  it('says the account is disabled only after the right password', async () => {
+    mock.method(User, 'findOne', async () => disabled);
+
+    const res = await call(login, { username: 'alice', password: PASSWORD });
+
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body, { error: 'Account disabled' });
+  });
+});
@@ -0,0 +1,128 @@
+// test/orderCreate.test.js
+// Signed partner backends may only create orders for the sites their API
+// key was granted. Runs the real app with the models stubbed (no DB).
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import './env.js';
+import app from '../src/app.js';
+import ApiKey from '../src/models/ApiKey.js';
+import ApiNonce from '../src/models/ApiNonce.js';
+import Order from '../src/models/Order.js';
+import OrderSequence from '../src/models/OrderSequence.js';
+import Site from '../src/models/Site.js';
+import { newSecretEntry, serviceCanAccessSite, signRequest } from '../src/services/apiKey.service.js';
+
+const SITES = [
+  { _id: '64b000000000000000000001', slug: 'site-a', name: 'Site A' },
+  { _id: '64b000000000000000000002', slug: 'site-b', name: 'Site B' }
+];
+const SECRET = 'bbs_test_secret';
+const KEY_ID = 'bbk_test';
+
+const lean = (value) => ({ lean: async () => value ?? null });
+
+let server;
+let baseUrl;
+let apiKey;
+
+const signedPost = async (path, body) => {
+  const raw = JSON.stringify(body);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const nonce = crypto.randomBytes(12).toString('hex');
+  const signature = signRequest(SECRET, { timestamp, nonce, method: 'POST', path, body: raw });
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-BB-Key-Id': KEY_ID,
+      'X-BB-Timestamp': String(timestamp),
+      'X-BB-Nonce': nonce,
+      'X-BB-Signature': signature
+    },
+    body: raw
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+// awaiting payment: stored without notifying the site
+const orderFor = (site) => ({
+  site,
+  fulfillmentType: 'pickup',
+  status: 'awaiting_payment',
+  customerName: 'Sam',
+  items: [{ name: 'Fries', quantity: 2, priceCents: 450 }],
+  totalCents: 900
+});
+
+before(async () => {
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  mock.restoreAll();
+  apiKey = {
+    _id: '64d000000000000000000001',
+    key_id: KEY_ID,
+    name: 'partner',
+    status: 'active',
+    scopes: ['orders:write'],
+    sites: ['site-a'],
+    secrets: [newSecretEntry(SECRET)],
+    last_used_at: new Date()
+  };
+  mock.method(ApiKey, 'findOne', () => lean(apiKey));
+  mock.method(ApiNonce, 'create', async () => ({}));
+  mock.method(Site, 'findOne', (filter) => lean(SITES.find((s) => s.slug === filter?.slug)));
+  mock.method(Order, 'findOne', () => lean(null));
+  mock.method(OrderSequence, 'findOneAndUpdate', () => lean({ prefix: 'BB', seq: 7 }));
+  mock.method(Order, 'create', async (doc) => ({ toObject: () => ({ _id: 'o1', ...doc }) }));
+});
+
+describe('POST /api/order with an API key', () => {
+  it('creates orders for a granted site', async () => {
+    const { status, body } = await signedPost('/api/order', orderFor('site-a'));
+    assert.equal(status, 201);
+    assert.equal(body.order.orderNumber, 'BB-7');
+  });
+
+  it('refuses a site the key was not granted', async () => {
+    const { status } = await signedPost('/api/order', orderFor('site-b'));
+    assert.equal(status, 404);
+    assert.equal(Order.create.mock.callCount(), 0);
+  });
+
+  it('refuses every site when the key has none', async () => {
+    apiKey.sites = [];
+    const { status } = await signedPost('/api/order', orderFor('site-a'));
+    assert.equal(status, 404);
+  });
+
+  it('rejects imported orders for sites outside the key', async () => {
+    const { status, body } = await signedPost('/api/order/import', {
+      orders: [orderFor('site-a'), orderFor('site-b')]
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.counts, { received: 2, created: 1, existing: 0, rejected: 1 });
+    assert.equal(body.rejected[0].index, 1);
+    assert.equal(body.rejected[0].code, 'site');
+  });
+});
+
+describe('serviceCanAccessSite', () => {
+  it('matches granted slugs only', () => {
+    assert.equal(serviceCanAccessSite({ sites: ['site-a'] }, SITES[0]), true);
+    assert.equal(serviceCanAccessSite({ sites: ['site-a'] }, SITES[1]), false);
+    assert.equal(serviceCanAccessSite({ sites: [] }, SITES[0]), false);
+    assert.equal(serviceCanAccessSite({}, SITES[0]), false);
+  });
+
+  it('"*" grants every site', () => {
+    assert.equal(serviceCanAccessSite({ sites: ['*'] }, SITES[1]), true);
+  });
+});
@@ -0,0 +1,187 @@
+// test/orderIngest.test.js
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import Order from '../src/models/Order.js';
+import OrderSequence from '../src/models/OrderSequence.js';
+import {
+  checkOrderTotals,
+  lineTotalCents,
+  nextOrderNumber,
+  parseOrderInput
+} from '../src/services/orderIngest.service.js';
+
+const SITE_ID = '64b000000000000000000001';
+
+const item = (fields = {}) => ({
+  name: 'Burger',
+  quantity: 1,
+  priceCents: 1000,
+  selectedOptions: [],
+  comboUnits: [],
+  ...fields
+});
+
+const selection = (fields = {}) => ({
+  groupLabel: 'Extras',
+  optionLabel: 'Cheese',
+  priceDelta: 0,
+  quantity: 1,
+  childSelections: [],
+  ...fields
+});
+
+const order = (fields = {}) => ({
+  items: [item()],
+  discountCents: 0,
+  taxCents: 0,
+  tipCents: 0,
+  deliveryFeeCents: 0,
+  totalCents: 1000,
+  ...fields
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('lineTotalCents', () => {
+  it('multiplies the unit price with options by the quantity', () => {
+    const line = item({
+      quantity: 3,
+      selectedOptions: [selection({ priceDelta: 150, quantity: 2 })]
+    });
+    assert.equal(lineTotalCents(line), (1000 + 300) * 3);
+  });
+
+  it('adds nested choices and combo units', () => {
+    const line = item({
+      quantity: 2,
+      selectedOptions: [selection({ priceDelta: 100, childSelections: [selection({ priceDelta: 25, quantity: 2 })] })],
+      comboUnits: [{ selectedOptions: [selection({ priceDelta: -200 })] }]
+    });
+    assert.equal(lineTotalCents(line), (1000 + 100 + 50 - 200) * 2);
+  });
+});
+
+describe('checkOrderTotals', () => {
+  it('accepts totals that add up', () => {
+    const o = order({
+      items: [item({ quantity: 2, lineTotalCents: 2000 })],
+      subtotalCents: 2000,
+      discountCents: 300,
+      taxCents: 221,
+      tipCents: 100,
+      deliveryFeeCents: 499,
+      totalCents: 2000 - 300 + 221 + 100 + 499
+    });
+    assert.deepEqual(checkOrderTotals(o), []);
+  });
+
+  it('reports a total that is off by one cent', () => {
+    assert.deepEqual(checkOrderTotals(order({ totalCents: 1001 })), [
+      { path: 'totalCents', message: 'Expected 1000, got 1001' }
+    ]);
+  });
+
+  it('reports mismatched line totals and subtotals', () => {
+    const issues = checkOrderTotals(order({ items: [item({ lineTotalCents: 900 })], subtotalCents: 900 }));
+    assert.deepEqual(
+      issues.map((i) => i.path),
+      ['items.0.lineTotalCents', 'subtotalCents']
+    );
+  });
+
+  it('rejects discounts above the subtotal and negative lines', () => {
+    const discounted = checkOrderTotals(order({ discountCents: 1500, totalCents: -500 }));
+    assert.ok(discounted.some((i) => i.path === 'discountCents'));
+
+    const negative = checkOrderTotals(
+      order({ items: [item({ selectedOptions: [selection({ priceDelta: -1200 })] })], totalCents: -200 })
+    );
+    assert.ok(negative.some((i) => i.path === 'items.0'));
+  });
+});
+
+describe('parseOrderInput', () => {
+  const body = (fields = {}) => ({
+    site: 'site-a',
+    fulfillmentType: 'pickup',
+    customerName: 'Sam',
+    items: [{ name: 'Fries', quantity: 2, priceCents: 450 }],
+    totalCents: 900,
+    ...fields
+  });
+
+  it('accepts whole cents only, so amounts are never rounded', () => {
+    assert.equal(parseOrderInput(body()).ok, true);
+
+    const fractional = parseOrderInput(body({ items: [{ name: 'Fries', quantity: 2, priceCents: 449.5 }] }));
+    assert.equal(fractional.code, 'invalid');
+    assert.equal(fractional.issues[0].path, 'items.0.priceCents');
+
+    assert.equal(parseOrderInput(body({ totalCents: 899.99 })).code, 'invalid');
+  });
+
+  it('rejects totals that do not add up', () => {
+    const result = parseOrderInput(body({ totalCents: 950 }));
+    assert.equal(result.code, 'totals');
+    assert.deepEqual(result.issues, [{ path: 'totalCents', message: 'Expected 900, got 950' }]);
+  });
+});
+
+describe('nextOrderNumber', () => {
+  it('increments the site counter', async () => {
+    mock.method(OrderSequence, 'findOneAndUpdate', () => ({ lean: async () => ({ prefix: 'BB', seq: 42 }) }));
+    const aggregate = mock.method(Order, 'aggregate', async () => []);
+
+    assert.equal(await nextOrderNumber(SITE_ID), 'BB-42');
+    assert.equal(aggregate.mock.callCount(), 0);
+  });
+
+  it('seeds a new counter above the highest existing number, compared as numbers', async () => {
+    let seq = null;
+    mock.method(OrderSequence, 'findOneAndUpdate', () => ({
+      lean: async () => (seq === null ? null : { prefix: 'BB', seq: ++seq })
+    }));
+    mock.method(OrderSequence, 'create', async (row) => {
+      seq = row.seq;
+      return row;
+    });
+    const aggregate = mock.method(Order, 'aggregate', async () => [{ _id: null, max: 1146 }]);
+
+    assert.equal(await nextOrderNumber(SITE_ID), 'BB-1147');
+
+    const [match, group] = aggregate.mock.calls[0].arguments[0];
+    assert.equal(String(match.$match.site), SITE_ID);
+    assert.ok(new RegExp(match.$match.orderNumber.$regex).test('BB-1146'));
+    assert.ok(!new RegExp(match.$match.orderNumber.$regex).test('BBX-1146'));
+    assert.ok(group.$group.max.$max.$toLong);
+  });
+
+  it('starts at 1 for a site without orders', async () => {
+    let seq = null;
+    mock.method(OrderSequence, 'findOneAndUpdate', () => ({
+      lean: async () => (seq === null ? null : { prefix: 'BB', seq: ++seq })
+    }));
+    mock.method(OrderSequence, 'create', async (row) => {
+      seq = row.seq;
+      return row;
+    });
+    mock.method(Order, 'aggregate', async () => []);
+
+    assert.equal(await nextOrderNumber(SITE_ID), 'BB-1');
+  });
+
+  it('uses the counter another instance seeded first', async () => {
+    let seq = null;
+    mock.method(OrderSequence, 'findOneAndUpdate', () => ({
+      lean: async () => (seq === null ? null : { prefix: 'BB', seq: ++seq })
+    }));
+    mock.method(OrderSequence, 'create', async () => {
+      seq = 2000;
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+    mock.method(Order, 'aggregate', async () => [{ _id: null, max: 1146 }]);
+
+    assert.equal(await nextOrderNumber(SITE_ID), 'BB-2001');
+  });
+});
@@ -0,0 +1,76 @@
+// test/orderSearch.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import { textFilter } from '../src/controllers/order.search.controller.js';
+import { canonicalStatus, statusSpellings } from '../src/services/orderStatus.service.js';
+import {
+  PHONE_FIELDS,
+  pickDisplayEmail,
+  pickDisplayName,
+  pickDisplayPhone
+} from '../src/services/orderDisplay.service.js';
+
+/** The regex textFilter uses for `field` (first clause on it) */
+const regexFor = (filter, field) => filter.$or.find((c) => field in c)?.[field];
+
+describe('textFilter', () => {
+  it('matches regex characters literally', () => {
+    const name = regexFor(textFilter('a.b (c)*'), 'customerName');
+    assert.ok(name.test('A.B (C)*'));
+    assert.ok(!name.test('axb (c)'));
+    assert.ok(!name.test('a.b c'));
+  });
+
+  it('finds phone numbers whatever the stored formatting', () => {
+    const filter = textFilter('780 555-1234');
+    const phone = regexFor(filter, 'customerNumber');
+    assert.ok(phone.test('(780) 555 1234'));
+    assert.ok(phone.test('+1 780.555.1234'));
+    assert.ok(!phone.test('780 555 1243'));
+    assert.equal(filter.$or.filter((c) => PHONE_FIELDS.some((f) => f in c)).length, PHONE_FIELDS.length);
+  });
+
+  it('leaves phone fields out for text and short numbers', () => {
+    for (const q of ['Sam 780', '78']) {
+      assert.equal(regexFor(textFilter(q), 'customerNumber'), undefined);
+    }
+  });
+
+  it('looks up 24-hex queries by _id as well', () => {
+    const id = '64c000000000000000000001';
+    const byId = textFilter(id).$or.find((c) => '_id' in c);
+    assert.equal(String(byId._id), id);
+    assert.equal(textFilter('BB-1146').$or.find((c) => '_id' in c), undefined);
+  });
+});
+
+describe('statusSpellings', () => {
+  it('lists the canonical status and every stored alias of it', () => {
+    assert.deepEqual(statusSpellings('fulfilled').sort(), ['complete', 'completed', 'fulfilled']);
+    assert.deepEqual(statusSpellings('cancelled').sort(), ['canceled', 'cancelled']);
+  });
+
+  it('lists only the status itself when it has no alias', () => {
+    assert.deepEqual(statusSpellings('accepted'), ['accepted']);
+  });
+
+  it('round-trips through canonicalStatus', () => {
+    for (const spelling of statusSpellings('new')) assert.equal(canonicalStatus(spelling), 'new');
+  });
+});
+
+describe('order display fields', () => {
+  it('takes the first field that is set', () => {
+    const order = { guestName: 'Guest', userName: 'User', guestNumber: '555', email: 'a@b.c' };
+    assert.equal(pickDisplayName(order), 'Guest');
+    assert.equal(pickDisplayPhone(order), '555');
+    assert.equal(pickDisplayEmail(order), 'a@b.c');
+  });
+
+  it('falls back to the legacy customer field', () => {
+    assert.equal(pickDisplayName({ customer: 'Old' }), 'Old');
+    assert.equal(pickDisplayName({ customer: { name: 'Older' } }), 'Older');
+    assert.equal(pickDisplayName({}), '');
+  });
+});
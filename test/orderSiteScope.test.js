@@ -0,0 +1,139 @@
+// test/orderSiteScope.test.js
+// A signed-in user of one site must not read another site's orders through
+// the order endpoints. Runs the real app with the models stubbed (no DB).
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import './env.js';
+import app from '../src/app.js';
+import Site from '../src/models/Site.js';
+import Order from '../src/models/Order.js';
+import Session from '../src/models/Session.js';
+import { ISSUER } from '../src/services/session.service.js';
+
+const SITES = [
+  { _id: '64b000000000000000000001', slug: 'site-a', name: 'Site A' },
+  { _id: '64b000000000000000000002', slug: 'site-b', name: 'Site B' }
+];
+const ORDER_OF_A = {
+  _id: '64c000000000000000000001',
+  site: SITES[0]._id,
+  orderNumber: 'BB-1001',
+  status: 'new',
+  items: []
+};
+// e.g. imported before orders carried a site
+const ORDER_WITHOUT_SITE = { ...ORDER_OF_A, _id: '64c000000000000000000002', site: null };
+
+const lean = (value) => ({ lean: async () => value ?? null });
+const sameId = (a, b) => String(a) === String(b);
+
+const tokenFor = ({ role, site }) =>
+  jwt.sign(
+    { sub: 'u1', userId: 'u1', username: `${role}-${site}`, site, sites: [site], role, sid: 'sess-1' },
+    process.env.JWT_SECRET,
+    { issuer: ISSUER, expiresIn: '5m' }
+  );
+
+const managerOfB = tokenFor({ role: 'manager', site: 'site-b' });
+const managerOfA = tokenFor({ role: 'manager', site: 'site-a' });
+
+let server;
+let baseUrl;
+
+const get = async (path, token) => {
+  const res = await fetch(`${baseUrl}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+  return { status: res.status, body: await res.json() };
+};
+
+before(async () => {
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(Session, 'exists', async () => ({ _id: 'sess-1' }));
+  mock.method(Site, 'findOne', (filter) => lean(SITES.find((s) => s.slug === filter?.slug)));
+  mock.method(Site, 'findById', (id) => lean(SITES.find((s) => sameId(s._id, id))));
+  mock.method(Order, 'findOne', (filter) => {
+    if (filter?._id) return lean([ORDER_OF_A, ORDER_WITHOUT_SITE].find((o) => sameId(o._id, filter._id)));
+    const match = sameId(filter?.site, ORDER_OF_A.site) && filter?.orderNumber === ORDER_OF_A.orderNumber;
+    return lean(match ? ORDER_OF_A : null);
+  });
+  // Denied requests must be refused before any order query runs
+  const noQuery = () => {
+    throw new Error('orders queried for a site the caller cannot access');
+  };
+  mock.method(Order, 'aggregate', noQuery);
+  mock.method(Order, 'find', noQuery);
+  mock.method(Order, 'countDocuments', noQuery);
+});
+
+describe('order endpoints with a user from another site', () => {
+  it('GET /api/order/dashboard is denied', async () => {
+    const { status } = await get('/api/order/dashboard?site=site-a&mode=week', managerOfB);
+    assert.equal(status, 403);
+  });
+
+  it('GET /api/order/dashboard by site id is denied', async () => {
+    const { status } = await get(`/api/order/dashboard?site=${SITES[0]._id}&mode=week`, managerOfB);
+    assert.equal(status, 403);
+  });
+
+  it('GET /api/order/by-site/range is denied', async () => {
+    const { status } = await get('/api/order/by-site/range?site=site-a&mode=week', managerOfB);
+    assert.equal(status, 403);
+  });
+
+  it('GET /api/order/by-site/day is denied', async () => {
+    const { status } = await get('/api/order/by-site/day?site=site-a&date=2025-01-15', managerOfB);
+    assert.equal(status, 403);
+  });
+
+  it('GET /api/order/search is denied', async () => {
+    const { status } = await get('/api/order/search?site=site-a&q=BB-1001', managerOfB);
+    assert.equal(status, 403);
+  });
+
+  it('GET /api/order/:id/print hides the order by id', async () => {
+    const { status, body } = await get(`/api/order/${ORDER_OF_A._id}/print`, managerOfB);
+    assert.equal(status, 404);
+    assert.equal(body.order, undefined);
+  });
+
+  it('GET /api/order/:orderNumber/print hides the order with ?site= of another site', async () => {
+    const { status, body } = await get('/api/order/BB-1001/print?site=site-a', managerOfB);
+    assert.equal(status, 404);
+    assert.equal(body.order, undefined);
+  });
+
+  it('GET /api/order/:id/print hides an order without a site', async () => {
+    const { status, body } = await get(`/api/order/${ORDER_WITHOUT_SITE._id}/print`, managerOfB);
+    assert.equal(status, 404);
+    assert.equal(body.order, undefined);
+  });
+
+  it('GET /api/order/:orderNumber/print looks only in the caller\'s own site', async () => {
+    const { status } = await get('/api/order/BB-1001/print', managerOfB);
+    assert.equal(status, 404);
+  });
+});
+
+describe('order endpoints with a user of the same site', () => {
+  it('GET /api/order/:id/print returns the order', async () => {
+    const { status, body } = await get(`/api/order/${ORDER_OF_A._id}/print`, managerOfA);
+    assert.equal(status, 200);
+    assert.equal(body.ok, true);
+  });
+
+  it('GET /api/order/:orderNumber/print finds it in the active site', async () => {
+    const { status, body } = await get('/api/order/BB-1001/print', managerOfA);
+    assert.equal(status, 200);
+    assert.equal(body.ok, true);
+  });
+});
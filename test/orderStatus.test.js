@@ -0,0 +1,71 @@
+// test/orderStatus.test.js
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import Order from '../src/models/Order.js';
+import Site from '../src/models/Site.js';
+import { updateOrderStatus } from '../src/controllers/order.status.controller.js';
+
+const SITE = { _id: '64b000000000000000000001', slug: 'site-a' };
+const ORDER_ID = '64c000000000000000000001';
+
+const fakeRes = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const patchStatus = async (status) => {
+  const res = fakeRes();
+  await updateOrderStatus(
+    {
+      method: 'PATCH',
+      originalUrl: `/api/order/${ORDER_ID}/status`,
+      headers: {},
+      params: { id: ORDER_ID },
+      body: { status },
+      user: { username: 'alice', role: 'manager', site: 'site-a' }
+    },
+    res
+  );
+  return res;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('PATCH /api/order/:id/status', () => {
+  it('updates only if the status is still the one that was read, else 409', async () => {
+    mock.method(Order, 'findById', async () => new Order({ _id: ORDER_ID, site: SITE._id, status: 'new' }));
+    mock.method(Site, 'findById', () => ({ lean: async () => SITE }));
+    // someone else moved the order in between
+    const update = mock.method(Order, 'findOneAndUpdate', async () => null);
+
+    const res = await patchStatus('accepted');
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'status_changed');
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.equal(String(filter._id), ORDER_ID);
+    assert.equal(filter.status, 'new');
+    assert.equal(change.$set.status, 'accepted');
+  });
+
+  it('rejects an illegal move before writing', async () => {
+    mock.method(Order, 'findById', async () => new Order({ _id: ORDER_ID, site: SITE._id, status: 'fulfilled' }));
+    mock.method(Site, 'findById', () => ({ lean: async () => SITE }));
+    const update = mock.method(Order, 'findOneAndUpdate', async () => null);
+
+    const res = await patchStatus('accepted');
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'illegal_transition');
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,73 @@
+// test/push.test.js
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import admin from '../src/config/firebase.js';
+import Device from '../src/models/Device.js';
+import { sendPushToTokens } from '../src/services/push.service.js';
+
+/** FCM answers each token with `codes[i]` (null = delivered) */
+const fcmAnswers = (codes) =>
+  // `messaging` is a getter returning the namespace function
+  mock.getter(admin, 'messaging', () => () => ({
+    sendEachForMulticast: async ({ tokens }) => ({
+      successCount: codes.filter((c) => !c).length,
+      failureCount: codes.filter(Boolean).length,
+      responses: tokens.map((t, i) =>
+        codes[i] ? { success: false, error: { code: codes[i], message: codes[i] } } : { success: true }
+      )
+    })
+  }));
+
+/** Every counted failure brings the device to the retirement threshold */
+const devicesAboutToRetire = () =>
+  mock.method(Device, 'findOneAndUpdate', (filter) => ({
+    lean: async () => ({ fcm_token: filter.fcm_token, push_failure_count: 5 })
+  }));
+
+afterEach(() => mock.restoreAll());
+
+describe('sendPushToTokens', () => {
+  it('does not count FCM-side or credential failures against the token', async () => {
+    const serviceErrors = [
+      'messaging/internal-error',
+      'messaging/server-unavailable',
+      'messaging/quota-exceeded',
+      'messaging/third-party-auth-error'
+    ];
+    fcmAnswers(serviceErrors);
+    const counted = devicesAboutToRetire();
+    const cleared = mock.method(Device, 'updateMany', async () => ({}));
+
+    const result = await sendPushToTokens(['t1', 't2', 't3', 't4'], { notification: { title: 'x' } });
+
+    assert.equal(result.failureCount, 4);
+    assert.equal(result.pruned.count, 0);
+    assert.equal(counted.mock.callCount(), 0);
+    assert.equal(cleared.mock.callCount(), 0);
+  });
+
+  it('retires a token after repeated token-specific failures', async () => {
+    fcmAnswers(['messaging/mismatched-credential', null]);
+    const counted = devicesAboutToRetire();
+    const cleared = mock.method(Device, 'updateMany', async () => ({}));
+
+    const result = await sendPushToTokens(['t1', 't2'], { notification: { title: 'x' } });
+
+    assert.equal(counted.mock.callCount(), 1);
+    assert.deepEqual(result.pruned.tokens, [{ token: 't1', reason: 'transient' }]);
+    const [filter] = cleared.mock.calls.at(-1).arguments;
+    assert.deepEqual(filter, { fcm_token: { $in: ['t1'] } });
+  });
+
+  it('drops unregistered tokens right away', async () => {
+    fcmAnswers(['messaging/registration-token-not-registered']);
+    const counted = devicesAboutToRetire();
+    mock.method(Device, 'updateMany', async () => ({}));
+
+    const result = await sendPushToTokens(['t1'], { notification: { title: 'x' } });
+
+    assert.deepEqual(result.pruned.tokens, [{ token: 't1', reason: 'permanent' }]);
+    assert.equal(counted.mock.callCount(), 0);
+  });
+});
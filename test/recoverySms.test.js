@@ -0,0 +1,151 @@
+// test/recoverySms.test.js
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import './env.js';
+import User from '../src/models/User.js';
+import RecoveryCode from '../src/models/RecoveryCode.js';
+import {
+  registerRecoveryPhone,
+  sendRecoveryCode,
+  verifyRecoveryCode,
+  verifyRecoveryPhone
+} from '../src/controllers/recovery.controller.js';
+import { clearFakeSmsOutbox, getFakeSmsOutbox } from '../src/services/sms.service.js';
+
+const USER_ID = '64a000000000000000000001';
+const PHONE = '+17805551234';
+
+const fakeRes = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const call = async (handler, body, user = null) => {
+  const res = fakeRes();
+  await handler({ body, user, headers: {} }, res);
+  return res;
+};
+
+const lastSmsCode = () => /code: (\d{6})\./.exec(getFakeSmsOutbox().at(-1).body)[1];
+
+/** RecoveryCode.findOneAndUpdate that keeps the stored row in `store` */
+const storeCodes = (store) =>
+  mock.method(RecoveryCode, 'findOneAndUpdate', async (filter, update) => {
+    store.row = { _id: 'rc1', ...filter, ...update };
+    return store.row;
+  });
+
+beforeEach(() => {
+  process.env.SMS_TRANSPORT = 'fake';
+  clearFakeSmsOutbox();
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  delete process.env.SMS_TRANSPORT;
+  mock.restoreAll();
+});
+
+describe('POST /api/user/account/recovery/send-code by SMS', () => {
+  it('texts a code to the verified phone when no email is on file', async () => {
+    mock.method(User, 'findOne', async () => ({
+      username: 'alice',
+      recovery_email: null,
+      recovery_phone: PHONE,
+      recovery_phone_verified_at: new Date()
+    }));
+    const store = {};
+    storeCodes(store);
+
+    const res = await call(sendRecoveryCode, { username: 'alice' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.channel, 'sms');
+    assert.equal(res.body.to, '+1***34');
+    assert.equal(getFakeSmsOutbox().at(-1).to, PHONE);
+    assert.equal(store.row.purpose, 'recovery');
+    assert.ok(await bcrypt.compare(lastSmsCode(), store.row.code_hash));
+  });
+
+  it('refuses an unverified phone', async () => {
+    mock.method(User, 'findOne', async () => ({
+      username: 'alice',
+      recovery_email: 'alice@example.com',
+      recovery_phone: PHONE,
+      recovery_phone_verified_at: null
+    }));
+    const store = {};
+    storeCodes(store);
+
+    const res = await call(sendRecoveryCode, { username: 'alice', channel: 'sms' });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(getFakeSmsOutbox().length, 0);
+    assert.equal(store.row, undefined);
+  });
+
+  it('rejects unknown channels', async () => {
+    const res = await call(sendRecoveryCode, { username: 'alice', channel: 'pigeon' });
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('accepts the texted code at /recovery/verify', async () => {
+    mock.method(User, 'findOne', async () => ({
+      username: 'alice',
+      recovery_phone: PHONE,
+      recovery_phone_verified_at: new Date()
+    }));
+    const store = {};
+    storeCodes(store);
+    await call(sendRecoveryCode, { username: 'alice', channel: 'sms' });
+    mock.method(RecoveryCode, 'findOne', async () => store.row);
+
+    const res = await call(verifyRecoveryCode, { username: 'alice', code: lastSmsCode() });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.ok, true);
+  });
+});
+
+describe('recovery phone registration', () => {
+  const alice = { userId: USER_ID, username: 'alice' };
+
+  it('rejects numbers that are not in international format', async () => {
+    const res = await call(registerRecoveryPhone, { phone: '780 555 1234' }, alice);
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('stores the number only once the texted code is confirmed', async () => {
+    mock.method(User, 'findById', async () => ({ _id: USER_ID, username: 'alice' }));
+    const store = {};
+    storeCodes(store);
+    const saved = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(RecoveryCode, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+    const sent = await call(registerRecoveryPhone, { phone: '+1 (780) 555-1234' }, alice);
+    assert.equal(sent.statusCode, 200);
+    assert.equal(store.row.target, PHONE);
+    assert.equal(saved.mock.callCount(), 0);
+
+    mock.method(RecoveryCode, 'findOne', async () => store.row);
+    mock.method(RecoveryCode, 'findOneAndUpdate', async () => ({ attempts: 1 }));
+    const wrong = await call(verifyRecoveryPhone, { code: lastSmsCode() === '000000' ? '111111' : '000000' }, alice);
+    assert.equal(wrong.statusCode, 401);
+    assert.equal(saved.mock.callCount(), 0);
+
+    const ok = await call(verifyRecoveryPhone, { code: lastSmsCode() }, alice);
+    assert.equal(ok.statusCode, 200);
+    const [, change] = saved.mock.calls[0].arguments;
+    assert.equal(change.$set.recovery_phone, PHONE);
+    assert.ok(change.$set.recovery_phone_verified_at instanceof Date);
+  });
+});
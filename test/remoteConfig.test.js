@@ -0,0 +1,84 @@
+// test/remoteConfig.test.js
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import ConfigEntry from '../src/models/ConfigEntry.js';
+import { clearConfigCache, explainConfig, getConfig, rolloutBucket } from '../src/services/remoteConfig.service.js';
+
+const KEY = 'orders.new_screen';
+const USERS = Array.from({ length: 200 }, (_, i) => `64a0000000000000000${String(i).padStart(5, '0')}`);
+
+/** Stored rows the service reads */
+const storeRows = (...rows) => mock.method(ConfigEntry, 'find', () => ({ lean: async () => rows }));
+
+const row = (fields = {}) => ({ key: KEY, type: 'boolean', default_value: false, overrides: [], ...fields });
+
+beforeEach(() => clearConfigCache());
+
+afterEach(() => mock.restoreAll());
+
+describe('rolloutBucket', () => {
+  it('gives a unit the same bucket every time', () => {
+    for (const unit of USERS.slice(0, 20)) assert.equal(rolloutBucket(KEY, unit), rolloutBucket(KEY, unit));
+  });
+
+  it('stays within 0-99 and spreads units across buckets', () => {
+    const buckets = USERS.map((u) => rolloutBucket(KEY, u));
+    assert.ok(buckets.every((b) => Number.isInteger(b) && b >= 0 && b < 100));
+    assert.ok(new Set(buckets).size > 50);
+  });
+
+  it('buckets the same unit independently per key', () => {
+    const differs = USERS.some((u) => rolloutBucket(KEY, u) !== rolloutBucket('orders.other', u));
+    assert.ok(differs);
+  });
+});
+
+describe('config evaluation', () => {
+  it('puts nobody in a 0% rollout and everybody in a 100% one', async () => {
+    storeRows(row({ rollout: { percentage: 0, value: true, by: 'user' } }));
+    for (const userId of USERS) assert.equal(await getConfig(KEY, { userId }), false);
+
+    clearConfigCache();
+    storeRows(row({ rollout: { percentage: 100, value: true, by: 'user' } }));
+    for (const userId of USERS) assert.equal(await getConfig(KEY, { userId }), true);
+  });
+
+  it('gives a partial rollout to the units whose bucket is below the percentage', async () => {
+    storeRows(row({ rollout: { percentage: 30, value: true, by: 'user' } }));
+    for (const userId of USERS) {
+      assert.equal(await getConfig(KEY, { userId }), rolloutBucket(KEY, userId) < 30);
+    }
+  });
+
+  it('rolls out by site when asked, and not without a unit', async () => {
+    storeRows(row({ rollout: { percentage: 100, value: true, by: 'site' } }));
+    assert.deepEqual(await explainConfig(KEY, { site: 'site-a', userId: USERS[0] }), { value: true, source: 'rollout' });
+    assert.deepEqual(await explainConfig(KEY, { userId: USERS[0] }), { value: false, source: 'default' });
+  });
+
+  it('prefers a user override, then a site override, then the rollout', async () => {
+    storeRows(row({
+      rollout: { percentage: 100, value: 'rollout', by: 'user' },
+      overrides: [
+        { scope: 'site', target: 'site-a', value: 'site' },
+        { scope: 'user', target: USERS[0], value: 'user' }
+      ]
+    }));
+    assert.equal((await explainConfig(KEY, { site: 'site-a', userId: USERS[0] })).source, 'user');
+    assert.equal((await explainConfig(KEY, { site: 'site-a', userId: USERS[1] })).source, 'site');
+    assert.equal((await explainConfig(KEY, { site: 'site-b', userId: USERS[1] })).source, 'rollout');
+  });
+
+  it('falls back to the built-in default without a stored value', async () => {
+    storeRows();
+    assert.deepEqual(await explainConfig('orders.default_extra_days'), { value: 7, source: 'default' });
+    assert.deepEqual(await explainConfig('orders.unknown'), { value: null, source: 'default' });
+  });
+
+  it('falls back to the built-in default when the store cannot be read', async () => {
+    mock.method(ConfigEntry, 'find', () => ({ lean: async () => { throw new Error('down'); } }));
+    mock.method(console, 'error', () => {});
+    assert.equal(await getConfig('orders.max_custom_days'), 62);
+  });
+});
@@ -0,0 +1,117 @@
+// test/serviceAuth.test.js
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import './env.js';
+import ApiKey from '../src/models/ApiKey.js';
+import ApiNonce from '../src/models/ApiNonce.js';
+import { newSecretEntry, signRequest, verifyServiceRequest } from '../src/services/apiKey.service.js';
+import { decryptAtRest, encryptAtRest } from '../src/services/crypto.service.js';
+
+const SECRET = 'bbs_test_secret';
+const KEY_ID = 'bbk_test';
+const PATH = '/api/order/notify?site=site-a';
+const BODY = '{"orderNumber":"BB-1"}';
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/** A request signed with `secret`; `overrides` replace headers or fields after signing */
+const signedReq = ({ secret = SECRET, timestamp = now(), body = BODY, ...overrides } = {}) => {
+  const nonce = crypto.randomBytes(12).toString('hex');
+  const headers = {
+    'x-bb-key-id': KEY_ID,
+    'x-bb-timestamp': String(timestamp),
+    'x-bb-nonce': nonce,
+    'x-bb-signature': signRequest(secret, { timestamp, nonce, method: 'POST', path: PATH, body })
+  };
+  const req = { method: 'POST', originalUrl: PATH, rawBody: body, headers: { ...headers, ...overrides.headers } };
+  if (overrides.rawBody !== undefined) req.rawBody = overrides.rawBody;
+  req.get = (name) => req.headers[name.toLowerCase()];
+  return req;
+};
+
+let apiKey;
+let nonces;
+
+beforeEach(() => {
+  apiKey = {
+    _id: '64d000000000000000000001',
+    key_id: KEY_ID,
+    status: 'active',
+    scopes: ['orders:notify'],
+    secrets: [newSecretEntry(SECRET)],
+    last_used_at: new Date()
+  };
+  nonces = new Set();
+  mock.method(ApiKey, 'findOne', () => ({ lean: async () => apiKey }));
+  // same contract as the unique (key_id, nonce) index
+  mock.method(ApiNonce, 'create', async ({ key_id: keyId, nonce }) => {
+    const key = `${keyId}:${nonce}`;
+    if (nonces.has(key)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    nonces.add(key);
+    return {};
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('verifyServiceRequest', () => {
+  it('accepts a correctly signed request', async () => {
+    const result = await verifyServiceRequest(signedReq());
+    assert.equal(result.ok, true);
+    assert.equal(result.apiKey.key_id, KEY_ID);
+  });
+
+  it('rejects a signature made with another secret', async () => {
+    const result = await verifyServiceRequest(signedReq({ secret: 'bbs_other' }));
+    assert.deepEqual(result, { ok: false, status: 401, message: 'Invalid signature' });
+  });
+
+  it('rejects a body changed after signing', async () => {
+    const result = await verifyServiceRequest(signedReq({ rawBody: '{"orderNumber":"BB-2"}' }));
+    assert.equal(result.message, 'Invalid signature');
+  });
+
+  it('rejects timestamps outside the allowed window', async () => {
+    const result = await verifyServiceRequest(signedReq({ timestamp: now() - 301 }));
+    assert.equal(result.message, 'Request timestamp outside allowed window');
+  });
+
+  it('rejects missing headers', async () => {
+    const result = await verifyServiceRequest(signedReq({ headers: { 'x-bb-signature': undefined } }));
+    assert.equal(result.message, 'Missing request signature');
+  });
+
+  it('rejects a replayed nonce', async () => {
+    const req = signedReq();
+    assert.equal((await verifyServiceRequest(req)).ok, true);
+    assert.deepEqual(await verifyServiceRequest(req), { ok: false, status: 401, message: 'Replayed request' });
+  });
+
+  it('records the nonce only after the signature checks out', async () => {
+    await verifyServiceRequest(signedReq({ secret: 'bbs_other' }));
+    assert.equal(nonces.size, 0);
+  });
+
+  it('accepts a rotated-out secret only until it expires', async () => {
+    const old = { ...newSecretEntry('bbs_old'), expires_at: new Date(Date.now() + 60_000) };
+    apiKey.secrets.push(old);
+    assert.equal((await verifyServiceRequest(signedReq({ secret: 'bbs_old' }))).ok, true);
+
+    old.expires_at = new Date(Date.now() - 1000);
+    assert.equal((await verifyServiceRequest(signedReq({ secret: 'bbs_old' }))).message, 'Invalid signature');
+  });
+});
+
+describe('encryptAtRest', () => {
+  it('round-trips under the current key id', () => {
+    const stored = encryptAtRest('totp-seed');
+    assert.match(stored, /^k1\./);
+    assert.equal(decryptAtRest(stored), 'totp-seed');
+  });
+
+  it('refuses ciphertexts without a key id', () => {
+    const [, ...rest] = encryptAtRest('totp-seed').split('.');
+    assert.throws(() => decryptAtRest(rest.join('.')), /unsupported format/);
+  });
+});
@@ -0,0 +1,48 @@
+// test/siteScope.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { allowedSitesFor, canAccessSite } from '../src/middleware/siteScope.js';
+
+const SITE_A = { _id: '64b000000000000000000001', slug: 'site-a' };
+const SITE_B = { _id: '64b000000000000000000002', slug: 'site-b' };
+
+const ownerOfA = { username: 'alice', role: 'owner', site: 'site-a' };
+const admin = { username: 'root', role: 'admin', site: null };
+
+describe('allowedSitesFor', () => {
+  it('limits site users to their token site', () => {
+    assert.deepEqual(allowedSitesFor(ownerOfA), ['site-a']);
+  });
+
+  it('returns null (any site) for platform admins', () => {
+    assert.equal(allowedSitesFor(admin), null);
+  });
+
+  it('allows nothing without a user or a site', () => {
+    assert.deepEqual(allowedSitesFor(null), []);
+    assert.deepEqual(allowedSitesFor({ role: 'staff', site: null }), []);
+  });
+});
+
+describe('canAccessSite', () => {
+  it('accepts the own site by slug, id or doc', () => {
+    assert.equal(canAccessSite(ownerOfA, 'site-a'), true);
+    assert.equal(canAccessSite(ownerOfA, SITE_A), true);
+    assert.equal(canAccessSite({ ...ownerOfA, site: SITE_A._id }, SITE_A), true);
+  });
+
+  it('rejects another site', () => {
+    assert.equal(canAccessSite(ownerOfA, 'site-b'), false);
+    assert.equal(canAccessSite(ownerOfA, SITE_B), false);
+    assert.equal(canAccessSite(ownerOfA, SITE_B._id), false);
+  });
+
+  it('rejects a missing site for site users', () => {
+    assert.equal(canAccessSite(ownerOfA, null), false);
+  });
+
+  it('lets platform admins into any site', () => {
+    assert.equal(canAccessSite(admin, SITE_B), true);
+    assert.equal(canAccessSite(admin, null), true);
+  });
+});
@@ -0,0 +1,46 @@
+// test/smsFallback.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import { outcomeFor } from '../src/services/notificationLog.service.js';
+import { needsSmsFallback } from '../src/services/smsFallback.service.js';
+
+// the counts sendOrderNotification passes, and the decision it makes
+const decide = ({ success = 0, failure = 0, suppressed = 0, recipients, topicSent = 0 }) => {
+  const outcome = outcomeFor({
+    successCount: success,
+    failureCount: failure,
+    suppressedCount: suppressed,
+    recipientCount: recipients,
+    unconfirmedCount: topicSent
+  });
+  return { outcome, sms: needsSmsFallback({ outcome, topicSent }) };
+};
+
+describe('SMS fallback decision', () => {
+  it('texts when push yields no successes', () => {
+    assert.deepEqual(decide({ failure: 3, recipients: 3 }), { outcome: 'failed', sms: true });
+    assert.deepEqual(decide({ recipients: 0 }), { outcome: 'no_recipients', sms: true });
+  });
+
+  it('texts when the topic send itself failed and no token device got it', () => {
+    // a rejected topic send counts its devices as failures
+    assert.deepEqual(decide({ failure: 4, recipients: 4 }), { outcome: 'failed', sms: true });
+  });
+
+  it('does not text when only topic sends went out (normal topic-mode order)', () => {
+    assert.deepEqual(decide({ recipients: 5, topicSent: 5 }), { outcome: 'sent', sms: false });
+  });
+
+  it('does not text when a topic went out and token sends failed', () => {
+    assert.deepEqual(decide({ failure: 1, recipients: 5, topicSent: 4 }), { outcome: 'partial', sms: false });
+  });
+
+  it('does not text when a token device got it', () => {
+    assert.deepEqual(decide({ success: 1, failure: 1, recipients: 2 }), { outcome: 'partial', sms: false });
+  });
+
+  it('does not text when every device opted out or is in quiet hours', () => {
+    assert.deepEqual(decide({ suppressed: 2, recipients: 2 }), { outcome: 'suppressed', sms: false });
+  });
+});
@@ -0,0 +1,118 @@
+// test/stripeWebhook.test.js
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Stripe from 'stripe';
+import './env.js';
+import Order from '../src/models/Order.js';
+import User from '../src/models/User.js';
+import { stripeWebhook } from '../src/api/stripeWebhook.js';
+
+const WEBHOOK_SECRET = 'whsec_test';
+const ORDER_ID = '64c000000000000000000001';
+
+const fakeRes = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.send = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+/** Delivers a signed checkout.session.completed event */
+const deliver = async (paymentStatus) => {
+  const payload = JSON.stringify({
+    id: 'evt_1',
+    type: 'checkout.session.completed',
+    data: { object: { id: 'cs_1', payment_status: paymentStatus, metadata: { orderId: ORDER_ID } } }
+  });
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET });
+  const res = fakeRes();
+  await stripeWebhook({ headers: { 'stripe-signature': signature }, body: Buffer.from(payload) }, res);
+  return res;
+};
+
+/** Order stored as `status`; returns the update and notification spies */
+const storedOrder = (status) => {
+  const order = { _id: ORDER_ID, site: 'site-a', status, fulfillmentType: 'pickup' };
+  // usable both as a query (.lean()) and as the loaded document
+  mock.method(Order, 'findById', () => ({ ...order, lean: async () => order }));
+  return {
+    update: mock.method(Order, 'findOneAndUpdate', async (filter, update) => ({ ...order, status: update.status })),
+    // first lookup sendOrderNotification makes; failing it ends the send there
+    notified: mock.method(User, 'find', async () => {
+      throw new Error('stop after counting');
+    })
+  };
+};
+
+beforeEach(() => {
+  process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  delete process.env.STRIPE_WEBHOOK_SECRET;
+  mock.restoreAll();
+});
+
+describe('POST /api/stripe/webhook', () => {
+  it('marks the order paid and notifies the site', async () => {
+    const { update, notified } = storedOrder('awaiting_payment');
+
+    const res = await deliver('paid');
+
+    assert.equal(res.statusCode, 200);
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: ORDER_ID, status: 'awaiting_payment' });
+    assert.equal(change.status, 'paid');
+    assert.ok(change.paidAt instanceof Date);
+    assert.equal(notified.mock.callCount(), 1);
+  });
+
+  it('does not notify again when the order is already paid', async () => {
+    const { update, notified } = storedOrder('paid');
+
+    const res = await deliver('paid');
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(update.mock.callCount(), 0);
+    assert.equal(notified.mock.callCount(), 0);
+  });
+
+  it('does not notify when the move is not allowed', async () => {
+    const { update, notified } = storedOrder('fulfilled');
+
+    const res = await deliver('unpaid');
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(update.mock.callCount(), 0);
+    assert.equal(notified.mock.callCount(), 0);
+  });
+
+  it('asks Stripe to retry when the status changed meanwhile', async () => {
+    const { update, notified } = storedOrder('awaiting_payment');
+    update.mock.mockImplementation(async () => null);
+
+    const res = await deliver('paid');
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(notified.mock.callCount(), 0);
+  });
+
+  it('rejects unsigned events', async () => {
+    const res = fakeRes();
+    await stripeWebhook({ headers: { 'stripe-signature': 't=1,v1=bad' }, body: Buffer.from('{}') }, res);
+    assert.equal(res.statusCode, 400);
+  });
+});
@@ -0,0 +1,60 @@
+// test/tempPassword.test.js
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import './env.js';
+import User from '../src/models/User.js';
+import { login } from '../src/controllers/auth.controller.js';
+import { verifyTempPassword } from '../src/services/password.service.js';
+
+// what accounts got before temp passwords were generated per user
+const LEGACY_DEFAULT = 'BlueBoxxNewUser';
+
+const fakeRes = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('verifyTempPassword', () => {
+  it('accepts the password its bcrypt hash was made from', async () => {
+    const stored = bcrypt.hashSync('bb-Xk3v9QmZtP', 4);
+    assert.deepEqual(await verifyTempPassword('bb-Xk3v9QmZtP', stored), { ok: true });
+    assert.deepEqual(await verifyTempPassword('bb-wrong', stored), { ok: false });
+  });
+
+  it('never matches a plaintext value, even the exact one', async () => {
+    assert.deepEqual(await verifyTempPassword(LEGACY_DEFAULT, LEGACY_DEFAULT), { ok: false });
+    assert.deepEqual(await verifyTempPassword('', ''), { ok: false });
+    assert.deepEqual(await verifyTempPassword('x', null), { ok: false });
+  });
+});
+
+describe('POST /api/user/login with a legacy temp password', () => {
+  it('is refused and counted as a failed login', async () => {
+    mock.method(User, 'findOne', async () => ({
+      _id: '64a000000000000000000001',
+      username: 'newbie',
+      password: null,
+      temp_password: LEGACY_DEFAULT
+    }));
+    const counted = mock.method(User, 'findOneAndUpdate', async () => ({ failed_login_count: 1 }));
+    const rehash = mock.method(User, 'updateOne', async () => ({}));
+
+    const res = fakeRes();
+    await login({ body: { username: 'newbie', password: LEGACY_DEFAULT }, headers: {} }, res);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(counted.mock.callCount(), 1);
+    assert.equal(rehash.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,72 @@
+// test/template.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import { orderVariables, parseTemplateFields, renderString } from '../src/services/template.service.js';
+
+describe('renderString', () => {
+  it('fills variables and tolerates spaces inside the braces', () => {
+    assert.equal(renderString('Order {{orderNumber}} for {{ customerName }}', { orderNumber: 'BB-7', customerName: 'Sam' }),
+      'Order BB-7 for Sam');
+  });
+
+  it('renders missing, null and unknown variables as empty', () => {
+    assert.equal(renderString('[{{a}}|{{b}}|{{nope}}]', { a: null, b: undefined }), '[||]');
+    assert.equal(renderString('{{total}}', { total: 0 }), '0');
+  });
+
+  it('keeps a section only when its variable is non-empty', () => {
+    const tpl = 'Hi{{#customerName}} {{customerName}}{{/customerName}},';
+    assert.equal(renderString(tpl, { customerName: 'Sam' }), 'Hi Sam,');
+    assert.equal(renderString(tpl, { customerName: '' }), 'Hi,');
+  });
+
+  it('inserts values literally, never as template syntax or replacement patterns', () => {
+    const variables = { customerName: '{{siteName}} $& $1 <b>', siteName: 'Site A' };
+    assert.equal(renderString('{{customerName}}', variables), '{{siteName}} $& $1 <b>');
+    assert.equal(
+      renderString('{{#customerName}}x{{/customerName}}', { customerName: '{{/customerName}}' }),
+      'x'
+    );
+  });
+});
+
+describe('parseTemplateFields', () => {
+  it('accepts known fields and placeholders', () => {
+    assert.deepEqual(parseTemplateFields('push.new_order', { title: 'New {{orderNumber}}' }), {
+      fields: { title: 'New {{orderNumber}}' }
+    });
+  });
+
+  it('rejects unknown placeholders, including inside sections', () => {
+    const plain = parseTemplateFields('push.new_order', { body: 'Hi {{password}}' });
+    assert.equal(plain.error, 'Unknown placeholder {{password}}');
+    assert.ok(plain.allowed.includes('orderNumber'));
+
+    const section = parseTemplateFields('push.new_order', { body: '{{#secret}}x{{/secret}}' });
+    assert.equal(section.error, 'Unknown placeholder {{secret}}');
+  });
+
+  it('allows a template\'s extra variables only on that template', () => {
+    assert.ok(parseTemplateFields('sms.order_fallback', { body: '{{pushBody}}' }).fields);
+    assert.equal(parseTemplateFields('push.new_order', { body: '{{pushBody}}' }).error, 'Unknown placeholder {{pushBody}}');
+  });
+
+  it('rejects unknown templates and fields, non-strings and overlong values', () => {
+    assert.equal(parseTemplateFields('push.nope', { title: 'x' }).error, 'Unknown template');
+    assert.equal(parseTemplateFields('push.new_order', { subject: 'x' }).error, 'Unknown field "subject"');
+    assert.equal(parseTemplateFields('push.new_order', { title: 5 }).error, 'title must be a string');
+    assert.equal(parseTemplateFields('push.new_order', { title: 'x'.repeat(101) }).error,
+      'title must be at most 100 characters');
+    assert.equal(parseTemplateFields('push.new_order', ['x']).error, 'fields must be an object');
+  });
+});
+
+describe('orderVariables', () => {
+  it('uses the same customer name fallbacks as the order screens', () => {
+    assert.equal(orderVariables({ guestName: 'Guest' }).customerName, 'Guest');
+    assert.equal(orderVariables({ userName: ' User ' }).customerName, 'User');
+    assert.equal(orderVariables({ customer: { name: 'Old' } }).customerName, 'Old');
+    assert.equal(orderVariables({ dropoff: { name: 'Door' } }).customerName, 'Door');
+  });
+});
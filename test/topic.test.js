@@ -0,0 +1,45 @@
+// test/topic.test.js
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import { fanoutMode, roleCondition, roleTopic, siteTopic } from '../src/services/topic.service.js';
+
+const saved = { ...process.env };
+afterEach(() => {
+  process.env.FCM_TOPIC_SECRET = saved.FCM_TOPIC_SECRET;
+  process.env.NOTIFY_FANOUT_MODE = saved.NOTIFY_FANOUT_MODE;
+  if (saved.FCM_TOPIC_SECRET === undefined) delete process.env.FCM_TOPIC_SECRET;
+  if (saved.NOTIFY_FANOUT_MODE === undefined) delete process.env.NOTIFY_FANOUT_MODE;
+});
+
+describe('FCM topic names', () => {
+  it('do not reveal the site or role and cannot be derived without the secret', () => {
+    process.env.FCM_TOPIC_SECRET = 'secret-1';
+    const site = siteTopic('pizza-palace');
+    const role = roleTopic('pizza-palace', 'owner');
+    assert.match(site, /^bb\.s\.[a-f0-9]{40}$/);
+    assert.ok(!site.includes('pizza') && !role.includes('owner'));
+
+    process.env.FCM_TOPIC_SECRET = 'secret-2';
+    assert.notEqual(siteTopic('pizza-palace'), site);
+  });
+
+  it('are stable per site and role and distinct across them', () => {
+    process.env.FCM_TOPIC_SECRET = 'secret-1';
+    assert.equal(siteTopic('a'), siteTopic('a'));
+    assert.notEqual(siteTopic('a'), siteTopic('b'));
+    assert.notEqual(roleTopic('a', 'owner'), roleTopic('a', 'staff'));
+    assert.notEqual(roleTopic('a', 'owner'), siteTopic('a'));
+    assert.equal(roleCondition('a', ['owner']), `'${roleTopic('a', 'owner')}' in topics`);
+  });
+
+  it('fall back to token fan-out when no secret is configured', () => {
+    delete process.env.FCM_TOPIC_SECRET;
+    delete process.env.NOTIFY_FANOUT_MODE;
+    assert.equal(fanoutMode(), 'tokens');
+    assert.throws(() => siteTopic('a'), /FCM_TOPIC_SECRET/);
+
+    process.env.FCM_TOPIC_SECRET = 'secret-1';
+    assert.equal(fanoutMode(), 'topic');
+  });
+});
@@ -0,0 +1,157 @@
+// test/totp.test.js
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import './env.js';
+import User from '../src/models/User.js';
+import { base32Encode, verifyTotp } from '../src/services/totp.service.js';
+import { encryptAtRest } from '../src/services/crypto.service.js';
+import { disableTotp, startTotpEnrollment } from '../src/controllers/twofactor.controller.js';
+
+// RFC 6238 appendix B (SHA-1 seed); codes are the last 6 of the 8 digits
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const at = (seconds) => mock.method(Date, 'now', () => seconds * 1000);
+const STEP_AT_59 = 1; // floor(59 / 30)
+
+const USER_ID = '64a000000000000000000001';
+
+const fakeRes = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const call = async (handler, body) => {
+  const res = fakeRes();
+  await handler({ body, user: { userId: USER_ID } }, res);
+  return res;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('verifyTotp', () => {
+  it('accepts the RFC 6238 test vectors and returns their step', () => {
+    at(59);
+    assert.equal(verifyTotp(SECRET, '287082'), STEP_AT_59);
+    mock.restoreAll();
+    at(1111111109);
+    assert.equal(verifyTotp(SECRET, '081804'), Math.floor(1111111109 / 30));
+  });
+
+  it('allows one step of clock drift either way by default', () => {
+    at(1111111109 + 30);
+    assert.equal(verifyTotp(SECRET, '081804'), Math.floor(1111111109 / 30));
+    mock.restoreAll();
+    at(1111111109 - 30);
+    assert.equal(verifyTotp(SECRET, '081804'), Math.floor(1111111109 / 30));
+  });
+
+  it('refuses codes outside the window', () => {
+    at(1111111109 + 60);
+    assert.equal(verifyTotp(SECRET, '081804'), null);
+    mock.restoreAll();
+    at(1111111109 - 60);
+    assert.equal(verifyTotp(SECRET, '081804'), null);
+    mock.restoreAll();
+    at(1111111109 + 30);
+    assert.equal(verifyTotp(SECRET, '081804', { window: 0 }), null);
+  });
+
+  it('refuses a step that was already used (replay)', () => {
+    at(59);
+    assert.equal(verifyTotp(SECRET, '287082', { lastUsedStep: STEP_AT_59 }), null);
+    assert.equal(verifyTotp(SECRET, '287082', { lastUsedStep: STEP_AT_59 - 1 }), STEP_AT_59);
+  });
+
+  it('ignores spaces and refuses malformed codes', () => {
+    at(59);
+    assert.equal(verifyTotp(SECRET, '287 082'), STEP_AT_59);
+    for (const code of ['28708', '2870820', 'abcdef', '', null]) {
+      assert.equal(verifyTotp(SECRET, code), null);
+    }
+  });
+});
+
+describe('POST /api/user/account/2fa/setup', () => {
+  it('is open to users who own one of their sites', async () => {
+    const user = new User({
+      _id: USER_ID,
+      username: 'carol',
+      site: 'site-a',
+      role: 'staff',
+      memberships: [{ site: 'site-b', role: 'owner' }]
+    });
+    mock.method(User, 'findById', async () => user);
+    mock.method(user, 'save', async () => user);
+
+    const res = await call(startTotpEnrollment, {});
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.body.otpauthUri.startsWith('otpauth://totp/'));
+  });
+
+  it('is refused to staff-only users', async () => {
+    mock.method(User, 'findById', async () => new User({ _id: USER_ID, username: 'dan', site: 'site-a', role: 'staff' }));
+
+    const res = await call(startTotpEnrollment, {});
+
+    assert.equal(res.statusCode, 403);
+  });
+});
+
+describe('POST /api/user/account/2fa/disable', () => {
+  const PASSWORD = 'correct horse battery';
+  const enrolled = (fields = {}) => ({
+    _id: USER_ID,
+    username: 'carol',
+    password: bcrypt.hashSync(PASSWORD, 4),
+    totp_enabled: true,
+    totp_secret: encryptAtRest(SECRET),
+    totp_last_step: null,
+    totp_backup_codes: [],
+    ...fields
+  });
+
+  it('counts a wrong code towards the lockout', async () => {
+    at(59);
+    mock.method(User, 'findById', async () => enrolled());
+    const counted = mock.method(User, 'findOneAndUpdate', async () => ({ failed_login_count: 1 }));
+    const write = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const res = await call(disableTotp, { password: PASSWORD, code: '000000' });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(counted.mock.callCount(), 1);
+    assert.ok(write.mock.calls.every((c) => c.arguments[1].$set?.totp_enabled !== false));
+  });
+
+  it('refuses every attempt while the account is locked', async () => {
+    at(59);
+    mock.method(User, 'findById', async () => enrolled({ lockout_until: new Date(59_000 + 600_000) }));
+    const write = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const res = await call(disableTotp, { password: PASSWORD, code: '287082' });
+
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(res.body, { error: 'Invalid credentials' });
+    assert.equal(write.mock.callCount(), 0);
+  });
+
+  it('turns 2FA off with the password and a fresh code', async () => {
+    at(59);
+    mock.method(User, 'findById', async () => enrolled());
+    const write = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const res = await call(disableTotp, { password: PASSWORD, code: '287082' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(write.mock.calls.at(-1).arguments[1].$set.totp_enabled, false);
+  });
+});
@@ -0,0 +1,77 @@
+// test/userScope.test.js
+// Site managers manage the members of their sites, whether the site is the
+// user's primary one or an extra membership.
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import User from '../src/models/User.js';
+import { getUser, updateUser } from '../src/controllers/user.controller.js';
+
+const USER_ID = '64a000000000000000000002';
+const managerOfB = { userId: '64a000000000000000000001', username: 'bob', role: 'manager', site: 'site-b' };
+
+const fakeRes = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const call = async (handler, body) => {
+  const res = fakeRes();
+  await handler(
+    {
+      method: 'PATCH',
+      originalUrl: `/api/admin/users/${USER_ID}`,
+      headers: {},
+      params: { id: USER_ID },
+      body,
+      user: managerOfB
+    },
+    res
+  );
+  return res;
+};
+
+const userWith = (fields) =>
+  new User({ _id: USER_ID, username: 'carol', name: 'Carol', site: 'site-a', role: 'owner', ...fields });
+
+beforeEach(() => mock.method(console, 'warn', () => {}));
+afterEach(() => mock.restoreAll());
+
+describe('admin user endpoints for a member of another primary site', () => {
+  it('finds users whose membership includes the caller\'s site', async () => {
+    mock.method(User, 'findById', async () => userWith({ memberships: [{ site: 'site-b', role: 'staff' }] }));
+
+    const res = await call(getUser);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.user.username, 'carol');
+  });
+
+  it('hides users without a membership of the caller\'s sites', async () => {
+    mock.method(User, 'findById', async () => userWith({ memberships: [{ site: 'site-c', role: 'staff' }] }));
+
+    const res = await call(getUser);
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.hint, undefined);
+  });
+
+  it('does not change the primary site\'s role', async () => {
+    const user = userWith({ memberships: [{ site: 'site-b', role: 'staff' }] });
+    mock.method(User, 'findById', async () => user);
+    const save = mock.method(user, 'save', async () => user);
+
+    const res = await call(updateUser, { role: 'staff' });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(save.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,44 @@
+// test/webpush.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import './env.js';
+import { isPushServiceEndpoint, parseSubscription } from '../src/services/webpush.service.js';
+
+const keys = { p256dh: 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM', auth: 'tBHItJI5svbpez7KI4CCXg' };
+
+describe('web push endpoints', () => {
+  it('accepts the browsers\' push services', () => {
+    for (const endpoint of [
+      'https://fcm.googleapis.com/fcm/send/abc123def456',
+      'https://updates.push.services.mozilla.com/wpush/v2/gAAAAAB',
+      'https://wns2-par02p.notify.windows.com/w/?token=BQYAAAD',
+      'https://web.push.apple.com/QGuQyavXutnMHRW'
+    ]) {
+      assert.equal(isPushServiceEndpoint(endpoint), true, endpoint);
+    }
+  });
+
+  it('rejects other, private and loopback hosts', () => {
+    for (const endpoint of [
+      'https://example.com/push/abcdefgh',
+      'https://127.0.0.1/push/abcdefgh',
+      'https://localhost/push/abcdefgh',
+      'https://10.0.0.5/push/abcdefgh',
+      'https://169.254.169.254/latest/meta-data',
+      'https://[::1]/push/abcdefgh',
+      'https://fcm.googleapis.com.evil.com/fcm/send/abc',
+      'https://evilnotify.windows.com/w/?token=abc',
+      'https://fcm.googleapis.com:8443/fcm/send/abc123',
+      'https://user:pw@fcm.googleapis.com/fcm/send/abc123',
+      'http://fcm.googleapis.com/fcm/send/abc123def456',
+      'not a url at all'
+    ]) {
+      assert.equal(isPushServiceEndpoint(endpoint), false, endpoint);
+    }
+  });
+
+  it('parseSubscription only keeps push service endpoints', () => {
+    assert.ok(parseSubscription({ endpoint: 'https://fcm.googleapis.com/fcm/send/abc123def456', keys }));
+    assert.equal(parseSubscription({ endpoint: 'https://internal.example/hook/abcdefgh', keys }), null);
+  });
+});